@@ -0,0 +1,342 @@
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+
+// Kinds of rules the engine can evaluate. `params` are the defaults a new
+// rule starts with; validate() returns an error message or null.
+const RULE_TYPES = {
+  device_silent: {
+    description: 'Device silent for too long',
+    severity: 'warning',
+    params: { seconds: 60 },
+    validate: (params) => (positive(params.seconds) ? null : 'seconds must be a positive number')
+  },
+  low_heap: {
+    description: 'free_heap below a threshold',
+    severity: 'warning',
+    params: { bytes: 20000 },
+    validate: (params) => (positive(params.bytes) ? null : 'bytes must be a positive number')
+  },
+  gateway_persistence: {
+    description: 'ESP1 gateway switched to PERSISTENCE_MODE',
+    severity: 'critical',
+    params: {},
+    validate: () => null
+  },
+  server_unreachable: {
+    description: 'Device reports server_reachable false',
+    severity: 'warning',
+    params: {},
+    validate: () => null
+  },
+  message_rate_spike: {
+    description: 'Message rate spike',
+    severity: 'info',
+    // Rate over the last `windowSeconds` vs the average of the last 5 minutes
+    params: { multiplier: 3, minPerSecond: 5, windowSeconds: 10 },
+    validate: (params) => {
+      if (!positive(params.multiplier)) return 'multiplier must be a positive number';
+      if (!positive(params.minPerSecond)) return 'minPerSecond must be a positive number';
+      if (!positive(params.windowSeconds) || params.windowSeconds > 60) return 'windowSeconds must be between 1 and 60';
+      return null;
+    }
+  }
+};
+
+const RATE_BASELINE_SECONDS = 300;
+const MAX_ALERTS = 200;
+
+// Evaluates alert rules against device traffic. A rule fires once when its
+// condition starts holding for a subject (device or gateway) and re-arms when
+// the condition clears, so a device stuck on low heap alerts once, not on
+// every ping. Rules and the notification switch are persisted as JSON:
+//   { "notifications": bool, "rules": [{ id, type, name, enabled, params }] }
+class AlertEngine extends EventEmitter {
+  constructor() {
+    super();
+    this.filePath = null;
+    this.notifications = true;
+    this.rules = defaultRules();
+    this.alerts = [];
+    this.active = new Set();
+    this.devices = new Map();
+    this.gateways = new Map();
+    this.rateBuckets = new Map();
+    this.counter = 0;
+  }
+
+  load(filePath) {
+    this.filePath = filePath;
+    try {
+      this.restore(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Could not read alert rules:', error.message);
+      }
+    }
+    return this.getStatus();
+  }
+
+  save() {
+    if (!this.filePath) return;
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(this.filePath, JSON.stringify(this.toJSON(), null, 2));
+  }
+
+  // Replace the rules with persisted `content`; unknown rule types are skipped
+  restore(content) {
+    this.notifications = content?.notifications !== false;
+    if (Array.isArray(content?.rules)) {
+      this.rules = content.rules
+        .filter(rule => rule && RULE_TYPES[rule.type])
+        .map(rule => ({
+          id: rule.id || `rule_${Date.now()}_${++this.counter}`,
+          type: rule.type,
+          name: rule.name || RULE_TYPES[rule.type].description,
+          enabled: rule.enabled !== false,
+          params: { ...RULE_TYPES[rule.type].params, ...rule.params }
+        }));
+    }
+    this.active.clear();
+  }
+
+  toJSON() {
+    return {
+      notifications: this.notifications,
+      rules: this.rules
+    };
+  }
+
+  setNotifications(enabled) {
+    this.notifications = Boolean(enabled);
+    this.save();
+  }
+
+  addRule(type) {
+    const definition = RULE_TYPES[type];
+    if (!definition) {
+      throw new Error(`Unknown rule type: ${type}`);
+    }
+    const rule = {
+      id: `rule_${Date.now()}_${++this.counter}`,
+      type: type,
+      name: definition.description,
+      enabled: true,
+      params: { ...definition.params }
+    };
+    this.rules.push(rule);
+    this.save();
+    return rule;
+  }
+
+  // changes: { name?, enabled?, params? }
+  updateRule(id, changes = {}) {
+    const rule = this.rules.find(r => r.id === id);
+    if (!rule) {
+      throw new Error(`Unknown rule: ${id}`);
+    }
+    const params = { ...rule.params };
+    Object.keys(changes.params || {}).forEach(key => {
+      if (key in RULE_TYPES[rule.type].params) params[key] = Number(changes.params[key]);
+    });
+    const paramsError = RULE_TYPES[rule.type].validate(params);
+    if (paramsError) {
+      throw new Error(paramsError);
+    }
+
+    rule.params = params;
+    if (typeof changes.name === 'string' && changes.name.trim()) rule.name = changes.name.trim();
+    if (changes.enabled !== undefined) rule.enabled = Boolean(changes.enabled);
+    // Conditions are re-evaluated from scratch with the new settings
+    this.resetRuleState(id);
+    this.save();
+    return rule;
+  }
+
+  removeRule(id) {
+    const before = this.rules.length;
+    this.rules = this.rules.filter(rule => rule.id !== id);
+    this.resetRuleState(id);
+    if (this.rules.length !== before) this.save();
+    return this.rules.length !== before;
+  }
+
+  resetRuleState(id) {
+    Array.from(this.active).forEach(key => {
+      if (key.startsWith(`${id}:`)) this.active.delete(key);
+    });
+  }
+
+  // An accepted ESP2 envelope (first arrival)
+  observeEnvelope(envelope, now = Date.now()) {
+    const deviceId = envelope?.source_device?.device_id;
+    if (!deviceId) return;
+
+    const payload = envelope.payload && typeof envelope.payload === 'object' ? envelope.payload : {};
+    const freeHeap = firstNumber(payload.free_heap, payload.system_data?.free_heap, payload.sensor_data?.system_data?.free_heap);
+    const reachable = [payload.server_reachable, payload.system_data?.server_reachable].find(value => typeof value === 'boolean');
+
+    const device = this.devices.get(deviceId) || { lastSeen: now };
+    device.lastSeen = now;
+    this.devices.set(deviceId, device);
+
+    this.countMessage(now);
+    this.rulesOf('device_silent').forEach(rule => this.setCondition(rule, deviceId, false));
+    if (freeHeap !== null) {
+      this.rulesOf('low_heap').forEach(rule => {
+        this.setCondition(rule, deviceId, freeHeap < rule.params.bytes,
+          `${deviceId} free heap ${freeHeap} bytes is below ${rule.params.bytes}`);
+      });
+    }
+    if (reachable !== undefined) {
+      this.rulesOf('server_unreachable').forEach(rule => {
+        this.setCondition(rule, deviceId, reachable === false, `${deviceId} reports the server unreachable`);
+      });
+    }
+  }
+
+  // An ESP1 gateway status line
+  observeGateway(gatewayId, gatewayStatus) {
+    if (!gatewayStatus) return;
+    this.gateways.set(gatewayId, gatewayStatus);
+    this.rulesOf('gateway_persistence').forEach(rule => {
+      this.setCondition(rule, gatewayId, gatewayStatus === 'PERSISTENCE_MODE',
+        `ESP1 gateway ${gatewayId} switched to PERSISTENCE_MODE (monitor link lost, storing messages)`);
+    });
+  }
+
+  // Time-based rules; call periodically
+  tick(now = Date.now()) {
+    this.rulesOf('device_silent').forEach(rule => {
+      this.devices.forEach((device, deviceId) => {
+        const silentFor = (now - device.lastSeen) / 1000;
+        this.setCondition(rule, deviceId, silentFor > rule.params.seconds,
+          `${deviceId} has been silent for ${Math.round(silentFor)} s`);
+      });
+    });
+
+    const second = Math.floor(now / 1000);
+    this.rateBuckets.forEach((count, bucket) => {
+      if (bucket <= second - RATE_BASELINE_SECONDS) this.rateBuckets.delete(bucket);
+    });
+    this.rulesOf('message_rate_spike').forEach(rule => {
+      const { multiplier, minPerSecond, windowSeconds } = rule.params;
+      const recent = this.countSince(second - windowSeconds) / windowSeconds;
+      const baseline = this.countSince(second - RATE_BASELINE_SECONDS) / RATE_BASELINE_SECONDS;
+      this.setCondition(rule, 'network', recent >= minPerSecond && recent > baseline * multiplier,
+        `Message rate ${recent.toFixed(1)}/s is over ${multiplier}× the 5-minute average (${baseline.toFixed(1)}/s)`);
+    });
+  }
+
+  countMessage(now) {
+    const second = Math.floor(now / 1000);
+    this.rateBuckets.set(second, (this.rateBuckets.get(second) || 0) + 1);
+  }
+
+  countSince(second) {
+    let total = 0;
+    this.rateBuckets.forEach((count, bucket) => {
+      if (bucket > second) total += count;
+    });
+    return total;
+  }
+
+  rulesOf(type) {
+    return this.rules.filter(rule => rule.enabled && rule.type === type);
+  }
+
+  // Fire on the transition into the condition; re-arm when it clears
+  setCondition(rule, subject, holds, message) {
+    const key = `${rule.id}:${subject}`;
+    if (!holds) {
+      this.active.delete(key);
+      return;
+    }
+    if (this.active.has(key)) return;
+    this.active.add(key);
+    this.fire(rule, subject, message);
+  }
+
+  fire(rule, subject, message) {
+    const alert = {
+      id: `alert_${Date.now()}_${++this.counter}`,
+      ruleId: rule.id,
+      ruleName: rule.name,
+      type: rule.type,
+      severity: RULE_TYPES[rule.type].severity,
+      subject: subject,
+      message: message,
+      firedAt: new Date().toISOString(),
+      acknowledged: false,
+      acknowledgedAt: null
+    };
+    this.alerts.push(alert);
+    if (this.alerts.length > MAX_ALERTS) this.alerts.shift();
+    this.emit('alert', alert);
+  }
+
+  acknowledge(id) {
+    const alert = this.alerts.find(a => a.id === id);
+    if (!alert) return null;
+    alert.acknowledged = true;
+    alert.acknowledgedAt = new Date().toISOString();
+    return alert;
+  }
+
+  clearAlert(id) {
+    const before = this.alerts.length;
+    this.alerts = this.alerts.filter(alert => alert.id !== id);
+    return this.alerts.length !== before;
+  }
+
+  clearAlerts() {
+    this.alerts = [];
+  }
+
+  // Newest first
+  listAlerts() {
+    return this.alerts.slice().reverse();
+  }
+
+  getStatus() {
+    return {
+      notifications: this.notifications,
+      rules: this.rules,
+      ruleTypes: Object.entries(RULE_TYPES).map(([type, definition]) => ({
+        type: type,
+        description: definition.description,
+        severity: definition.severity,
+        params: definition.params
+      }))
+    };
+  }
+
+  // Forget what has been seen (alerts themselves are kept)
+  reset() {
+    this.active.clear();
+    this.devices.clear();
+    this.gateways.clear();
+    this.rateBuckets.clear();
+  }
+}
+
+function defaultRules() {
+  return Object.entries(RULE_TYPES).map(([type, definition]) => ({
+    id: `default_${type}`,
+    type: type,
+    name: definition.description,
+    enabled: true,
+    params: { ...definition.params }
+  }));
+}
+
+function positive(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value > 0;
+}
+
+function firstNumber(...values) {
+  const value = values.find(v => typeof v === 'number' && Number.isFinite(v));
+  return value === undefined ? null : value;
+}
+
+module.exports = { AlertEngine, RULE_TYPES };
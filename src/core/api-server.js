@@ -0,0 +1,307 @@
+const http = require('http');
+const crypto = require('crypto');
+const { redactSharedKeys } = require('./redact');
+
+// Read-only HTTP API over what the monitor knows, for scripts and notebooks.
+// The contract is documented in docs/api_v1.md; anything that changes a
+// response shape goes into a new version prefix.
+const API_VERSION = 1;
+const API_PREFIX = `/api/v${API_VERSION}`;
+
+const LOCAL_HOST = '127.0.0.1';
+const LAN_HOST = '0.0.0.0';
+
+const MAX_LOG_ENTRIES = 1000;
+const DEFAULT_LOG_LIMIT = 100;
+const HEARTBEAT_MS = 15000;
+
+// Stream events sent when the client doesn't pick its own with ?events=
+const DEFAULT_STREAM_EVENTS = ['log', 'alert', 'esp2-device-update', 'esp2-device-removed'];
+
+class ApiServer {
+  // source: { events, getGatewayStats(), getConnectionStatus(), listDevices(), getDevice(deviceId) }
+  // `events` emits ('event', channel, data) for everything the pipeline publishes.
+  constructor(source) {
+    this.source = source;
+    this.server = null;
+    this.address = null;
+    this.token = '';
+    this.lanAccess = false;
+    this.logs = [];
+    this.sequence = 0;
+    this.clients = new Set();
+    this.heartbeat = null;
+
+    source.events.on('event', (channel, data) => this.handleEvent(channel, data));
+  }
+
+  // options: { port, lanAccess, token }. Resolves with { host, port }.
+  start(options) {
+    if (this.server) {
+      return Promise.reject(new Error('HTTP API is already running'));
+    }
+    if (options.lanAccess && !options.token) {
+      return Promise.reject(new Error('LAN access needs an API token'));
+    }
+
+    this.token = options.token || '';
+    this.lanAccess = Boolean(options.lanAccess);
+    const host = this.lanAccess ? LAN_HOST : LOCAL_HOST;
+    const server = http.createServer((req, res) => this.handleRequest(req, res));
+
+    return new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(options.port, host, () => {
+        server.off('error', reject);
+        this.server = server;
+        this.address = { host: host, port: server.address().port };
+        this.heartbeat = setInterval(() => {
+          this.clients.forEach(client => client.res.write(': ping\n\n'));
+        }, HEARTBEAT_MS);
+        resolve(this.address);
+      });
+    });
+  }
+
+  stop() {
+    if (!this.server) {
+      return Promise.resolve();
+    }
+    const server = this.server;
+    this.server = null;
+    this.address = null;
+    clearInterval(this.heartbeat);
+    this.clients.forEach(client => client.res.end());
+    this.clients.clear();
+    return new Promise(resolve => server.close(() => resolve()));
+  }
+
+  getStatus() {
+    return {
+      running: this.server !== null,
+      host: this.address?.host || null,
+      port: this.address?.port || null,
+      lanAccess: this.lanAccess,
+      streamClients: this.clients.size,
+      apiVersion: API_VERSION
+    };
+  }
+
+  // Log entries are kept (normalized) even while the server is stopped, so
+  // /logs has history as soon as it starts. Nothing served carries the
+  // network's shared key, as on MQTT.
+  handleEvent(channel, data) {
+    let payload = data;
+    let id = null;
+    if (channel === 'log') {
+      id = ++this.sequence;
+      payload = normalizeLogEntry(data, id);
+      this.logs.push(payload);
+      if (this.logs.length > MAX_LOG_ENTRIES) this.logs.shift();
+    } else if (this.clients.size > 0) {
+      payload = redactSharedKeys(data);
+    }
+
+    this.clients.forEach(client => {
+      if (!client.events.has(channel)) return;
+      if (channel === 'log' && !matchesFilter(payload, client.filter)) return;
+      writeEvent(client.res, channel, payload, id);
+    });
+  }
+
+  // A bad request must never take the monitor down with it
+  handleRequest(req, res) {
+    try {
+      this.routeRequest(req, res);
+    } catch (error) {
+      console.error(`HTTP API error on ${req.url}:`, error);
+      if (res.headersSent) {
+        res.end();
+      } else {
+        sendJson(res, 500, { error: 'Internal error' });
+      }
+    }
+  }
+
+  routeRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (!this.isAuthorized(req, url)) {
+      sendJson(res, 401, { error: 'Missing or invalid API token' });
+      return;
+    }
+    if (req.method !== 'GET') {
+      res.setHeader('Allow', 'GET');
+      sendJson(res, 405, { error: `${req.method} is not supported` });
+      return;
+    }
+
+    const route = url.pathname.replace(/\/+$/, '');
+    if (route === API_PREFIX) {
+      sendJson(res, 200, {
+        apiVersion: API_VERSION,
+        endpoints: ['gateway-stats', 'connection-status', 'devices', 'devices/{deviceId}', 'logs', 'stream']
+          .map(endpoint => `${API_PREFIX}/${endpoint}`)
+      });
+    } else if (route === `${API_PREFIX}/gateway-stats`) {
+      sendJson(res, 200, this.source.getGatewayStats());
+    } else if (route === `${API_PREFIX}/connection-status`) {
+      sendJson(res, 200, this.source.getConnectionStatus());
+    } else if (route === `${API_PREFIX}/devices`) {
+      sendJson(res, 200, { devices: this.source.listDevices() });
+    } else if (route.startsWith(`${API_PREFIX}/devices/`)) {
+      const encoded = route.slice(`${API_PREFIX}/devices/`.length);
+      let deviceId;
+      try {
+        deviceId = decodeURIComponent(encoded);
+      } catch (error) {
+        sendJson(res, 400, { error: `Malformed device id: ${encoded}` });
+        return;
+      }
+      const device = this.source.getDevice(deviceId);
+      if (device) {
+        sendJson(res, 200, device);
+      } else {
+        sendJson(res, 404, { error: `Unknown device ${deviceId}` });
+      }
+    } else if (route === `${API_PREFIX}/logs`) {
+      this.sendLogs(res, url.searchParams);
+    } else if (route === `${API_PREFIX}/stream`) {
+      this.openStream(req, res, url.searchParams);
+    } else {
+      sendJson(res, 404, { error: `No such endpoint: ${url.pathname}` });
+    }
+  }
+
+  // Bearer header, or ?token= for EventSource clients that can't set headers.
+  // Without a configured token the server only listens on localhost.
+  isAuthorized(req, url) {
+    if (!this.token) return true;
+    const header = req.headers.authorization || '';
+    const supplied = header.startsWith('Bearer ') ? header.slice(7).trim() : url.searchParams.get('token');
+    if (!supplied) return false;
+    const a = Buffer.from(supplied);
+    const b = Buffer.from(this.token);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+  }
+
+  sendLogs(res, params) {
+    let filter;
+    try {
+      filter = parseFilter(params);
+    } catch (error) {
+      sendJson(res, 400, { error: error.message });
+      return;
+    }
+    const limit = Math.min(MAX_LOG_ENTRIES, positiveInteger(params.get('limit')) || DEFAULT_LOG_LIMIT);
+    const matching = this.logs.filter(entry => matchesFilter(entry, filter));
+    const entries = matching.slice(-limit);
+    sendJson(res, 200, {
+      entries: entries,
+      total: matching.length,
+      lastId: this.sequence
+    });
+  }
+
+  openStream(req, res, params) {
+    let filter;
+    try {
+      filter = parseFilter(params);
+    } catch (error) {
+      sendJson(res, 400, { error: error.message });
+      return;
+    }
+    const events = params.get('events') ? splitList(params.get('events')) : DEFAULT_STREAM_EVENTS;
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-store',
+      Connection: 'keep-alive',
+      'X-Api-Version': String(API_VERSION)
+    });
+    res.write('retry: 3000\n\n');
+
+    const client = { res: res, events: new Set(events), filter: filter };
+    this.clients.add(client);
+    req.on('close', () => this.clients.delete(client));
+
+    // Reconnecting EventSources resume after the last entry they saw
+    const lastId = positiveInteger(req.headers['last-event-id']);
+    if (lastId && client.events.has('log')) {
+      this.logs
+        .filter(entry => entry.id > lastId && matchesFilter(entry, filter))
+        .forEach(entry => writeEvent(res, 'log', entry, entry.id));
+    }
+  }
+}
+
+// The shape /logs and the stream return for a log line (see docs/api_v1.md)
+function normalizeLogEntry(entry, id) {
+  const data = entry.data && typeof entry.data === 'object' ? entry.data : null;
+  return {
+    id: id,
+    timestamp: entry.timestamp || new Date().toISOString(),
+    source: entry.source || 'SYSTEM',
+    gateway: entry.gateway || null,
+    replay: Boolean(entry.replay),
+    deviceId: data?.source_device?.device_id || data?.esp2_sender_device || data?.device_id || null,
+    messageType: data?.message_type || data?.esp2_message_type || null,
+    messageKey: entry.messageKey || null,
+    valid: entry.validation ? entry.validation.valid : null,
+    errors: entry.validation?.errors || [],
+    arrivals: entry.arrivals || [],
+    text: redactSharedKeys(entry.message),
+    data: redactSharedKeys(data)
+  };
+}
+
+// ?source=WIFI,RELAY_USB &device= &type= &gateway= &since=<ISO time or epoch ms>
+function parseFilter(params) {
+  const filter = {};
+  if (params.get('source')) filter.sources = new Set(splitList(params.get('source')).map(s => s.toUpperCase()));
+  if (params.get('device')) filter.device = params.get('device');
+  if (params.get('type')) filter.types = new Set(splitList(params.get('type')));
+  if (params.get('gateway')) filter.gateway = params.get('gateway');
+  if (params.get('since')) {
+    const raw = params.get('since');
+    const since = /^\d+$/.test(raw) ? Number(raw) : Date.parse(raw);
+    if (Number.isNaN(since)) {
+      throw new Error(`Invalid since: ${raw}`);
+    }
+    filter.since = since;
+  }
+  return filter;
+}
+
+function matchesFilter(entry, filter) {
+  if (filter.sources && !filter.sources.has(entry.source)) return false;
+  if (filter.device && entry.deviceId !== filter.device) return false;
+  if (filter.types && !filter.types.has(entry.messageType)) return false;
+  if (filter.gateway && entry.gateway !== filter.gateway) return false;
+  if (filter.since && Date.parse(entry.timestamp) <= filter.since) return false;
+  return true;
+}
+
+function writeEvent(res, channel, payload, id) {
+  res.write(`${id ? `id: ${id}\n` : ''}event: ${channel}\ndata: ${JSON.stringify(payload)}\n\n`);
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Cache-Control': 'no-store',
+    'X-Api-Version': String(API_VERSION)
+  });
+  res.end(JSON.stringify(body));
+}
+
+function splitList(value) {
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function positiveInteger(value) {
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : null;
+}
+
+module.exports = { ApiServer, API_VERSION, normalizeLogEntry };
@@ -0,0 +1,166 @@
+const EventEmitter = require('events');
+
+// Commands the monitor can send down to devices
+const COMMANDS = {
+  ping: {
+    description: 'Send a ping immediately'
+  },
+  set_mode: {
+    description: 'Switch communication_mode',
+    validate: (args) => {
+      const mode = Number(args.communication_mode);
+      if (!Number.isInteger(mode) || mode < 0 || mode > 3) {
+        return 'communication_mode must be 0-3';
+      }
+      return null;
+    }
+  },
+  wifi_scan: {
+    description: 'Trigger a WiFi scan'
+  },
+  flush_messages: {
+    description: 'Flush stored relay messages'
+  },
+  reboot: {
+    description: 'Reboot the device'
+  }
+};
+
+const MONITOR_DEVICE_ID = 'ESP_MONITOR';
+const MAX_COMMAND_HISTORY = 100;
+
+// Builds command envelopes and tracks their lifecycle:
+// pending -> acknowledged | failed | timed_out
+class CommandChannel extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.timeoutMs = options.timeoutMs || 15000;
+    this.protocolVersion = options.protocolVersion || '5.0';
+    this.sharedKey = options.sharedKey || 'ESP2_NETWORK_KEY';
+    this.commands = new Map();
+    this.counter = 0;
+  }
+
+  // Create and register a command; throws if the command or its args are invalid
+  createCommand(target, command, args = {}) {
+    const definition = COMMANDS[command];
+    if (!definition) {
+      throw new Error(`Unknown command: ${command}`);
+    }
+    if (!target) {
+      throw new Error('Command target is required');
+    }
+    const argsError = definition.validate ? definition.validate(args) : null;
+    if (argsError) {
+      throw new Error(argsError);
+    }
+
+    const now = Date.now();
+    const messageId = `cmd_${Math.floor(now / 1000)}_${++this.counter}`;
+    const envelope = {
+      version: this.protocolVersion,
+      message_id: messageId,
+      timestamp: Math.floor(now / 1000),
+      shared_key: this.sharedKey,
+      source_device: {
+        device_id: MONITOR_DEVICE_ID,
+        owner: 'monitor',
+        device_type: MONITOR_DEVICE_ID
+      },
+      message_type: 'command',
+      target_device: target,
+      payload: {
+        command: command,
+        args: args
+      }
+    };
+
+    const record = {
+      messageId: messageId,
+      target: target,
+      command: command,
+      args: args,
+      transport: null,
+      route: null,
+      state: 'pending',
+      createdAt: new Date(now).toISOString(),
+      updatedAt: new Date(now).toISOString(),
+      ackedBy: null,
+      error: null,
+      envelope: envelope
+    };
+
+    this.commands.set(messageId, record);
+    this.trimHistory();
+    return record;
+  }
+
+  // Called once the envelope has been written to a transport
+  markSent(messageId, transport, route) {
+    const record = this.commands.get(messageId);
+    if (!record) return;
+
+    record.transport = transport;
+    record.route = route;
+    record.timer = setTimeout(() => {
+      if (record.state === 'pending') {
+        this.update(record, { state: 'timed_out', error: `No acknowledgement within ${this.timeoutMs / 1000}s` });
+      }
+    }, this.timeoutMs);
+    this.update(record, {});
+  }
+
+  markFailed(messageId, error) {
+    const record = this.commands.get(messageId);
+    if (!record) return;
+    this.update(record, { state: 'failed', error: error });
+  }
+
+  // Match a command_ack envelope against pending commands.
+  // Returns the updated command record, or null if it wasn't an ack for us.
+  handleAck(envelope) {
+    if (!envelope || envelope.message_type !== 'command_ack') return null;
+
+    const replyTo = envelope.payload?.reply_to;
+    const record = this.commands.get(replyTo);
+    if (!record || record.state !== 'pending') return null;
+
+    const status = envelope.payload?.status || 'ok';
+    this.update(record, {
+      state: status === 'error' ? 'failed' : 'acknowledged',
+      ackedBy: envelope.source_device?.device_id || envelope.device_id || null,
+      error: status === 'error' ? (envelope.payload?.detail || 'Device reported an error') : null
+    });
+    return record;
+  }
+
+  update(record, changes) {
+    Object.assign(record, changes, { updatedAt: new Date().toISOString() });
+    if (record.state !== 'pending' && record.timer) {
+      clearTimeout(record.timer);
+      record.timer = null;
+    }
+    this.emit('update', serializeCommand(record));
+  }
+
+  trimHistory() {
+    while (this.commands.size > MAX_COMMAND_HISTORY) {
+      const oldestId = this.commands.keys().next().value;
+      const oldest = this.commands.get(oldestId);
+      if (oldest.timer) clearTimeout(oldest.timer);
+      this.commands.delete(oldestId);
+    }
+  }
+
+  list() {
+    return Array.from(this.commands.values()).map(serializeCommand).reverse();
+  }
+}
+
+// Strip the timer handle so records can cross IPC
+function serializeCommand(record) {
+  const { timer, ...rest } = record;
+  return rest;
+}
+
+module.exports = { CommandChannel, COMMANDS, MONITOR_DEVICE_ID, serializeCommand };
@@ -0,0 +1,84 @@
+const { frameLine } = require('./decoders/framing');
+const { parseJson } = require('./decoders/json');
+const { detectSource } = require('./decoders/source');
+const { unwrapEnvelope } = require('./decoders/envelope');
+const { deriveStats } = require('./decoders/stats');
+
+// Turns one raw serial line or WebSocket message into a decoded frame: what
+// sent it and the events the monitor acts on. A decoder is a pure function
+// (frame) -> frame that returns a new frame instead of changing its input;
+// it adds to `frame.events` and sets `frame.done` to end decoding early.
+//
+// Input:  { transport: 'serial' | 'websocket', raw, timestamp, gateway }
+// Output: the input plus line, data, kind, source, mode, isESPNowRelay, log
+//         and events, which are (see the decoders in ./decoders)
+//   { type: 'debug', message, source }      shown with verbose logging
+//   { type: 'gateway', ... }                ESP1 gateway statistics
+//   { type: 'link', link, ... }             a connection path is active
+//   { type: 'envelope', envelope, context } an ESP2 envelope arrived
+//   { type: 'log', entry }                  an extra log line
+class DecoderPipeline {
+  constructor(decoders = []) {
+    this.decoders = [];
+    decoders.forEach(([name, decode]) => this.use(name, decode));
+  }
+
+  // Register a decoder, last by default or relative to another one with
+  // { before: name } / { after: name }
+  use(name, decode, options = {}) {
+    if (typeof decode !== 'function') {
+      throw new Error(`Decoder ${name} must be a function`);
+    }
+    if (this.decoders.some(decoder => decoder.name === name)) {
+      throw new Error(`Decoder already registered: ${name}`);
+    }
+
+    let index = this.decoders.length;
+    const anchor = options.before || options.after;
+    if (anchor) {
+      const anchorIndex = this.decoders.findIndex(decoder => decoder.name === anchor);
+      if (anchorIndex === -1) {
+        throw new Error(`Unknown decoder: ${anchor}`);
+      }
+      index = options.before ? anchorIndex : anchorIndex + 1;
+    }
+    this.decoders.splice(index, 0, { name: name, decode: decode });
+    return this;
+  }
+
+  remove(name) {
+    const index = this.decoders.findIndex(decoder => decoder.name === name);
+    if (index === -1) return false;
+    this.decoders.splice(index, 1);
+    return true;
+  }
+
+  list() {
+    return this.decoders.map(decoder => decoder.name);
+  }
+
+  decode(input) {
+    let frame = { ...input, events: [] };
+    for (const decoder of this.decoders) {
+      frame = decoder.decode(frame);
+      if (!frame || !Array.isArray(frame.events)) {
+        throw new Error(`Decoder ${decoder.name} did not return a frame`);
+      }
+      if (frame.done) break;
+    }
+    return frame;
+  }
+}
+
+// The built-in decoders, in order
+function createDecoderPipeline() {
+  return new DecoderPipeline([
+    ['framing', frameLine],
+    ['json', parseJson],
+    ['source', detectSource],
+    ['envelope', unwrapEnvelope],
+    ['stats', deriveStats]
+  ]);
+}
+
+module.exports = { DecoderPipeline, createDecoderPipeline };
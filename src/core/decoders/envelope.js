@@ -0,0 +1,97 @@
+// Envelope unwrapping: finds the ESP2 envelope a frame carries and emits it
+// as an 'envelope' event with the arrival context processESP2Message() needs
+// ({ path, gateway, rssi, deviceId, macAddress, receivedAt }).
+//   ESP1 gateway   the envelope embedded as esp2_raw_data
+//   USB ESP2       the line itself
+//   WiFi           the frame itself, or what a WiFi relay forwarded in
+//                  relayed_data / received_data
+// Phase 5 relays carry one more envelope; that one is unwrapped by the
+// monitor after the relay message has been validated.
+function unwrapEnvelope(frame) {
+  const data = frame.data;
+  const events = [];
+
+  if (frame.kind === 'esp1-gateway') {
+    if (data.esp2_raw_data) {
+      const envelope = parseEnvelope(data.esp2_raw_data);
+      if (envelope) {
+        events.push(envelopeEvent(envelope, {
+          path: 'ESP1_GATEWAY',
+          gateway: frame.gateway,
+          rssi: data.esp2_rssi,
+          deviceId: data.esp2_sender_device,
+          macAddress: data.esp2_sender_mac,
+          receivedAt: frame.timestamp
+        }));
+      } else {
+        events.push(debugEvent(`Could not parse embedded ESP2 data from ${frame.gateway}`));
+      }
+    }
+    events.push(debugEvent(`ESP1 Gateway: ${data.esp2_message_type || 'Status'} from ${data.esp2_sender_device || 'Unknown ESP2'}`));
+  } else if (frame.kind === 'esp2' && frame.transport === 'serial') {
+    events.push(envelopeEvent(data, { path: 'RELAY_USB', gateway: frame.gateway, receivedAt: frame.timestamp }));
+    events.push(debugEvent(`ESP2 ${data.message_type || 'message'} from ${data.source_device?.device_id || 'unknown'} (Phase ${getESP2Phase(data)})`));
+  } else if (frame.transport === 'websocket') {
+    const envelope = extractESP2Envelope(data);
+    if (envelope) {
+      events.push(envelopeEvent(envelope, {
+        path: frame.kind === 'relay' ? 'RELAY_WIFI' : 'WIFI',
+        rssi: envelope.payload?.wifi_rssi ?? envelope.payload?.system_data?.wifi_rssi ?? data.rssi,
+        macAddress: data.sender_mac,
+        receivedAt: frame.timestamp
+      }));
+    }
+  }
+
+  return events.length > 0 ? { ...frame, events: [...frame.events, ...events] } : frame;
+}
+
+function envelopeEvent(envelope, context) {
+  return { type: 'envelope', envelope: envelope, context: context };
+}
+
+function debugEvent(message) {
+  return { type: 'debug', message: message, source: 'SYSTEM' };
+}
+
+function parseEnvelope(text) {
+  try {
+    const envelope = JSON.parse(text);
+    return envelope && typeof envelope === 'object' ? envelope : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Find the ESP2 envelope inside a WebSocket frame: either the frame itself or
+// the payload a WiFi relay ESP forwarded on behalf of an ESP-NOW sender
+function extractESP2Envelope(data) {
+  if (data.source_device || (data.message_type && data.version)) {
+    return data;
+  }
+
+  const candidates = [data.relayed_data, data.received_data];
+  for (const candidate of candidates) {
+    if (!candidate) continue;
+    const envelope = typeof candidate === 'string' ? parseEnvelope(candidate) : candidate;
+    if (envelope && envelope.source_device) {
+      return envelope;
+    }
+  }
+  return null;
+}
+
+function getESP2Phase(envelope) {
+  const phaseMap = {
+    'ping': 1, 'data': 1,
+    'wifi_scan': 2,
+    'handshake': 3,
+    'triangulation': 4,
+    'relay': 5,
+    'optimization': 6
+  };
+  if (!envelope.message_type) return 'Unknown';
+  return phaseMap[envelope.message_type] || envelope.data?.phase || 'Unknown';
+}
+
+module.exports = { unwrapEnvelope };
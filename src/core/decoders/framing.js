@@ -0,0 +1,12 @@
+// Framing: one serial line (from the readline parser) or one WebSocket
+// message becomes the text the later stages work on. Serial lines lose the
+// \r the firmware's println() adds; empty frames end here.
+function frameLine(frame) {
+  const line = frame.transport === 'serial' ? frame.raw.trim() : frame.raw;
+  if (!line.trim()) {
+    return { ...frame, done: true };
+  }
+  return { ...frame, line: line };
+}
+
+module.exports = { frameLine };
@@ -0,0 +1,30 @@
+// JSON parse. On serial, anything that isn't a JSON object is a firmware
+// debug print or one of the ESP1's decorative status lines: it becomes a
+// 'debug' event (shown with verbose logging) and goes no further. WebSocket
+// text that isn't JSON is still logged, as { raw }.
+//
+// Skipped when an earlier decoder already set frame.data.
+function parseJson(frame) {
+  if (frame.data !== undefined) return frame;
+
+  let data = null;
+  try {
+    data = JSON.parse(frame.line);
+  } catch (e) {
+    // Not JSON
+  }
+  if (data && typeof data === 'object' && !Array.isArray(data)) {
+    return { ...frame, data: data };
+  }
+
+  if (frame.transport === 'serial') {
+    return {
+      ...frame,
+      done: true,
+      events: [...frame.events, { type: 'debug', message: `[${frame.gateway}] ${frame.line}`, source: 'USB' }]
+    };
+  }
+  return { ...frame, data: { raw: frame.line } };
+}
+
+module.exports = { parseJson };
@@ -0,0 +1,46 @@
+// Source detection: what sent the frame and whether it gets a log line.
+//   kind    'esp1-gateway'  ESP1 consolidated/status message (serial)
+//           'esp2'          ESP2 envelope, direct over USB or WiFi
+//           'relay'         ESP-NOW traffic a WiFi ESP forwarded
+//           'other'         any other JSON
+//   source  the log source (ESP1_GATEWAY, RELAY_USB, WIFI, RELAY_WIFI, ...)
+//   log     whether the frame is logged (serial JSON that is neither ESP1
+//           nor ESP2 is not)
+//
+// Skipped when an earlier decoder already set frame.kind.
+function detectSource(frame) {
+  if (frame.kind) return frame;
+
+  const data = frame.data;
+  const mode = data.mode || '';
+  if (frame.transport === 'serial') {
+    if (isESP1Gateway(data)) {
+      return { ...frame, kind: 'esp1-gateway', source: 'ESP1_GATEWAY', mode: mode, isESPNowRelay: false, log: true };
+    }
+    // ESP2 envelopes a USB-attached ESP printed as is
+    if (data.message_type || data.version || data.source_device) {
+      return { ...frame, kind: 'esp2', source: 'RELAY_USB', mode: mode, isESPNowRelay: true, log: true };
+    }
+    return { ...frame, kind: 'other', source: data.source || 'USB', mode: mode, isESPNowRelay: false, log: false };
+  }
+
+  if (isWiFiRelay(data)) {
+    return { ...frame, kind: 'relay', source: 'RELAY_WIFI', mode: mode, isESPNowRelay: true, log: true };
+  }
+  const isEnvelope = Boolean(data.source_device || (data.message_type && data.version));
+  return { ...frame, kind: isEnvelope ? 'esp2' : 'other', source: data.source || 'WIFI', mode: mode, isESPNowRelay: false, log: true };
+}
+
+function isESP1Gateway(data) {
+  return data.gateway_type === 'ESP1_WIRED_GATEWAY' ||
+    data.device_id === 'ESP1_WIRED_GATEWAY' ||
+    data.source === 'ESP1_GATEWAY';
+}
+
+// ESP-NOW messages the WiFi relay firmware passes on
+function isWiFiRelay(data) {
+  return Boolean(data.sender_mac || data.relayed_data || data.received_data ||
+    (typeof data.message === 'string' && data.message.includes('ESP-NOW message')));
+}
+
+module.exports = { detectSource };
@@ -0,0 +1,72 @@
+// Stats update: what the frame changes in the gateway statistics and the
+// connection indicators, as events the monitor applies.
+//   { type: 'gateway', gateway, info, gatewayInfo, status, messageStats, heard, rssi, ack }
+//       info goes to the gateway's gatewayInfo and the global one (which
+//       mirrors the most recent gateway); gatewayInfo only to the gateway's
+//   { type: 'link', link: 'wifi' | 'relayUsb' | 'relayWifi', rssi, deviceId }
+//       the path the frame arrived on is active
+function deriveStats(frame) {
+  const data = frame.data;
+  const events = [];
+
+  if (frame.kind === 'esp1-gateway') {
+    events.push(gatewayEvent(frame.gateway, data));
+  } else if (frame.kind === 'esp2' && frame.transport === 'serial') {
+    events.push({ type: 'link', link: 'relayUsb' });
+  }
+
+  if (frame.transport === 'websocket') {
+    // WiFi ESPs report their own signal; relays keep the WiFi link up too
+    if ((data.source || 'WIFI') === 'WIFI') {
+      events.push({ type: 'link', link: 'wifi', rssi: data.rssi, deviceId: data.source_device?.device_id || data.device_id });
+    }
+    if (frame.kind === 'relay') {
+      events.push({ type: 'link', link: 'relayWifi' });
+    }
+  }
+
+  return events.length > 0 ? { ...frame, events: [...frame.events, ...events] } : frame;
+}
+
+function gatewayEvent(gatewayId, data) {
+  const info = {};
+  if (data.device_id) info.deviceId = data.device_id;
+  if (data.esp1_version) info.version = data.esp1_version;
+  if (data.esp2_protocol_range) info.protocolRange = data.esp2_protocol_range;
+  if (data.uptime) info.uptime = data.uptime;
+  // Consolidated messages name the ESP2 they carry; status messages report
+  // the last one in gateway_health
+  if (data.esp2_sender_device) info.lastSender = data.esp2_sender_device;
+  if (data.esp2_message_type) info.lastMessageType = data.esp2_message_type;
+  if (data.gateway_health) {
+    info.lastSender = data.gateway_health.last_sender || 'None';
+    info.lastMessageType = data.gateway_health.last_message_type || 'None';
+  }
+
+  const gatewayInfo = {};
+  if (data.gateway_health?.esp_now_mac) gatewayInfo.macAddress = data.gateway_health.esp_now_mac;
+  if (typeof data.gateway_health?.protocol_mismatches === 'number') {
+    gatewayInfo.protocolMismatches = data.gateway_health.protocol_mismatches;
+  }
+
+  // Counters the gateway reports about itself
+  const messageStats = {};
+  if (data.message_count) messageStats.total = data.message_count;
+  if (data.message_stats) Object.assign(messageStats, data.message_stats);
+
+  const heard = Boolean(data.esp2_raw_data);
+  return {
+    type: 'gateway',
+    gateway: gatewayId,
+    info: info,
+    gatewayInfo: gatewayInfo,
+    status: data.gateway_status || null,
+    messageStats: messageStats,
+    heard: heard,
+    rssi: heard && typeof data.esp2_rssi === 'number' && data.esp2_rssi !== 0 ? data.esp2_rssi : null,
+    // ESP1 acknowledges commands addressed to the gateway itself
+    ack: data.message_type === 'command_ack' ? data : null
+  };
+}
+
+module.exports = { deriveStats };
@@ -0,0 +1,133 @@
+// What each ESP2 has told the monitor, for the device detail view: its
+// latest full envelope, the last few messages of every type, the latest
+// value of each status field (whichever message type carried it) and its
+// latest peer report. Keyed by the registry's device id, so MAC-only
+// placeholders end up under the right device.
+const DEFAULT_MESSAGES_PER_TYPE = 10;
+
+// Status fields and where they appear: ping payloads carry them at the top
+// level, data messages under system_data
+const STATUS_FIELDS = {
+  communicationMode: 'communication_mode',
+  wifiConnected: 'wifi_connected',
+  serverReachable: 'server_reachable',
+  ssid: 'connected_ssid',
+  wifiChannel: 'wifi_channel',
+  wifiRssi: 'wifi_rssi',
+  peerCount: 'peer_count',
+  freeHeap: 'free_heap',
+  uptime: 'uptime'
+};
+
+class DeviceHistory {
+  constructor(options = {}) {
+    this.messagesPerType = options.messagesPerType || DEFAULT_MESSAGES_PER_TYPE;
+    this.devices = new Map();
+  }
+
+  // `context` is the envelope's arrival: { path, gateway, rssi, receivedAt }
+  observe(deviceId, envelope, context = {}) {
+    if (!deviceId || !envelope) return;
+    const receivedAt = context.receivedAt || new Date().toISOString();
+    let entry = this.devices.get(deviceId);
+    if (!entry) {
+      entry = { latest: null, status: {}, peers: null, messages: {} };
+      this.devices.set(deviceId, entry);
+    }
+
+    const message = {
+      messageId: envelope.message_id || null,
+      messageType: envelope.message_type || 'unknown',
+      receivedAt: receivedAt,
+      path: context.path || 'UNKNOWN',
+      gateway: context.gateway || context.via || null,
+      rssi: typeof context.rssi === 'number' && context.rssi !== 0 ? context.rssi : null,
+      envelope: envelope
+    };
+    entry.latest = message;
+    const recent = entry.messages[message.messageType] || (entry.messages[message.messageType] = []);
+    recent.unshift(message);
+    if (recent.length > this.messagesPerType) recent.pop();
+
+    const payload = envelope.payload || {};
+    const systemData = payload.system_data || {};
+    Object.entries(STATUS_FIELDS).forEach(([name, field]) => {
+      const value = payload[field] ?? systemData[field];
+      if (value !== undefined && value !== null) entry.status[name] = { value: value, at: receivedAt };
+    });
+    // Two firmware generations name the relay storage fields differently
+    const storedMessages = payload.stored_messages ?? payload.stored_message_count;
+    if (typeof storedMessages === 'number') entry.status.storedMessages = { value: storedMessages, at: receivedAt };
+    const relayCapable = payload.relay_capable ?? payload.relay_capacity_available;
+    if (typeof relayCapable === 'boolean') entry.status.relayCapable = { value: relayCapable, at: receivedAt };
+
+    // A report replaces the previous one: peers it leaves out were dropped.
+    // Triangulation's nearby_peers only says who was heard, so those peers
+    // keep the handshake/validation flags of the last peers_status (null if
+    // it never mentioned them).
+    const reported = Array.isArray(payload.peers_status) ? payload.peers_status
+      : Array.isArray(payload.nearby_peers) ? payload.nearby_peers
+        : null;
+    if (reported) {
+      const known = new Map((entry.peers ? entry.peers.list : []).map(peer => [peer.deviceId, peer]));
+      const flag = (peer, field, name) => (typeof peer[field] === 'boolean' ? peer[field] : known.get(peer.device_id)?.[name] ?? null);
+      entry.peers = {
+        at: receivedAt,
+        list: reported
+          .filter(peer => peer && peer.device_id)
+          .map(peer => ({
+            deviceId: peer.device_id,
+            rssi: typeof peer.rssi === 'number' ? peer.rssi : null,
+            handshakeComplete: flag(peer, 'handshake_complete', 'handshakeComplete'),
+            validated: flag(peer, 'validated', 'validated'),
+            distance: typeof peer.distance === 'number' ? peer.distance : null
+          }))
+      };
+    }
+  }
+
+  //   { latest: Message, status: { <field>: { value, at } },
+  //     peers: { at, list: [{ deviceId, rssi, handshakeComplete, validated, distance }] } | null,
+  //       (handshakeComplete/validated are null when no report has said)
+  //     messages: { <message_type>: [Message, ...newest first] } }
+  // Message: { messageId, messageType, receivedAt, path, gateway, rssi, envelope }
+  get(deviceId) {
+    return this.devices.get(deviceId) || null;
+  }
+
+  // A MAC-only placeholder turned out to be `toId`: its messages join the
+  // device's (newest first, still capped per type) and the newer of each
+  // status field, latest message and peer report wins
+  mergeInto(fromId, toId) {
+    const from = this.devices.get(fromId);
+    if (!from || fromId === toId) return;
+    this.devices.delete(fromId);
+    const entry = this.devices.get(toId);
+    if (!entry) {
+      this.devices.set(toId, from);
+      return;
+    }
+
+    const newer = (a, b, key) => (!a || (b && b[key] > a[key]) ? b : a);
+    entry.latest = newer(entry.latest, from.latest, 'receivedAt');
+    entry.peers = newer(entry.peers, from.peers, 'at');
+    Object.entries(from.status).forEach(([name, value]) => {
+      entry.status[name] = newer(entry.status[name], value, 'at');
+    });
+    Object.entries(from.messages).forEach(([type, messages]) => {
+      entry.messages[type] = (entry.messages[type] || []).concat(messages)
+        .sort((a, b) => (a.receivedAt < b.receivedAt ? 1 : a.receivedAt > b.receivedAt ? -1 : 0))
+        .slice(0, this.messagesPerType);
+    });
+  }
+
+  remove(deviceId) {
+    this.devices.delete(deviceId);
+  }
+
+  clear() {
+    this.devices.clear();
+  }
+}
+
+module.exports = { DeviceHistory, DEFAULT_MESSAGES_PER_TYPE };
@@ -0,0 +1,153 @@
+const EventEmitter = require('events');
+
+// Arrival paths an ESP2 envelope can take to reach the monitor
+// (ESP_NOW_RELAY: unwrapped from another device's Phase 5 relay message)
+const DEVICE_PATHS = ['WIFI', 'RELAY_WIFI', 'ESP1_GATEWAY', 'RELAY_USB', 'ESP_NOW_RELAY'];
+
+// Registry of every ESP2 device the monitor has heard from.
+// Devices are keyed by source_device.device_id and indexed by mac_address,
+// so a device that only reports its MAC (e.g. an ESP1 gateway header) still
+// resolves to the same entry once its device_id is known.
+class DeviceRegistry extends EventEmitter {
+  constructor() {
+    super();
+    this.devices = new Map();
+    this.macIndex = new Map();
+  }
+
+  get size() {
+    return this.devices.size;
+  }
+
+  // Record one envelope. `context` describes how it arrived:
+  //   path       - one of DEVICE_PATHS
+  //   rssi       - signal strength measured by the receiver (if known)
+  //   deviceId   - fallback id when the envelope has no source_device
+  //   macAddress - fallback MAC (e.g. esp2_sender_mac from ESP1)
+  //   gateway    - ESP1 gateway (serial port) that heard it, if any
+  //   receivedAt - ISO timestamp of arrival (defaults to now)
+  observe(envelope, context = {}) {
+    const sourceDevice = envelope?.source_device || {};
+    const macAddress = normalizeMac(sourceDevice.mac_address || context.macAddress);
+    const deviceId = [
+      sourceDevice.device_id,
+      context.deviceId,
+      macAddress && this.macIndex.get(macAddress),
+      macAddress
+    ].find(isUsableId);
+
+    if (!deviceId) {
+      return null;
+    }
+
+    const receivedAt = context.receivedAt || new Date().toISOString();
+    let device = this.devices.get(deviceId);
+    const isNew = !device;
+
+    if (isNew) {
+      device = {
+        deviceId: deviceId,
+        macAddress: null,
+        owner: null,
+        deviceType: null,
+        firmwareVersion: null,
+        protocolVersion: null,
+        capabilities: [],
+        firstSeen: receivedAt,
+        lastSeen: receivedAt,
+        lastRssi: null,
+        communicationMode: null,
+        lastPath: null,
+        lastGateway: null,
+        paths: {},
+        lastMessageType: null,
+        messageCount: 0
+      };
+      this.devices.set(deviceId, device);
+    }
+
+    // A device first seen by MAC only is renamed once its real id shows up
+    if (macAddress && this.macIndex.has(macAddress) && this.macIndex.get(macAddress) !== deviceId) {
+      this.mergeInto(this.macIndex.get(macAddress), device);
+    }
+
+    const payload = envelope?.payload || {};
+    const systemData = payload.system_data || {};
+
+    if (macAddress) {
+      device.macAddress = macAddress;
+      this.macIndex.set(macAddress, deviceId);
+    }
+    if (sourceDevice.owner) device.owner = sourceDevice.owner;
+    if (sourceDevice.device_type) device.deviceType = sourceDevice.device_type;
+    if (sourceDevice.firmware_version) device.firmwareVersion = sourceDevice.firmware_version;
+    if (envelope?.version) device.protocolVersion = String(envelope.version);
+    if (Array.isArray(payload.capabilities)) device.capabilities = payload.capabilities.slice();
+
+    const communicationMode = payload.communication_mode ?? systemData.communication_mode;
+    if (communicationMode !== undefined) device.communicationMode = communicationMode;
+
+    if (typeof context.rssi === 'number' && context.rssi !== 0) {
+      device.lastRssi = context.rssi;
+    }
+
+    const path = context.path || 'UNKNOWN';
+    device.lastPath = path;
+    if (context.gateway) device.lastGateway = context.gateway;
+    device.paths[path] = (device.paths[path] || 0) + 1;
+    device.lastSeen = receivedAt;
+    device.lastMessageType = envelope?.message_type || device.lastMessageType;
+    device.messageCount++;
+
+    this.emit(isNew ? 'device-added' : 'device-updated', device);
+    return device;
+  }
+
+  // Fold a MAC-only placeholder entry into the device that now owns the MAC
+  mergeInto(oldId, device) {
+    const old = this.devices.get(oldId);
+    if (!old || old === device) return;
+
+    if (old.firstSeen < device.firstSeen) device.firstSeen = old.firstSeen;
+    device.messageCount += old.messageCount;
+    if (device.lastRssi === null) device.lastRssi = old.lastRssi;
+    Object.entries(old.paths).forEach(([path, count]) => {
+      device.paths[path] = (device.paths[path] || 0) + count;
+    });
+
+    this.devices.delete(oldId);
+    this.emit('device-merged', old, device);
+    this.emit('device-removed', old);
+  }
+
+  get(deviceIdOrMac) {
+    if (this.devices.has(deviceIdOrMac)) {
+      return this.devices.get(deviceIdOrMac);
+    }
+    const deviceId = this.macIndex.get(normalizeMac(deviceIdOrMac));
+    return deviceId ? this.devices.get(deviceId) : undefined;
+  }
+
+  list() {
+    return Array.from(this.devices.values())
+      .sort((a, b) => a.deviceId.localeCompare(b.deviceId));
+  }
+
+  clear() {
+    this.devices.clear();
+    this.macIndex.clear();
+    this.emit('cleared');
+  }
+}
+
+// Firmware reports "none"/"unknown" before it has parsed a sender
+function isUsableId(id) {
+  return typeof id === 'string' && id !== '' && id !== 'none' && id !== 'unknown';
+}
+
+function normalizeMac(mac) {
+  if (!mac || typeof mac !== 'string') return null;
+  return mac.trim().toUpperCase();
+}
+
+module.exports = { DeviceRegistry, DEVICE_PATHS };
@@ -0,0 +1,322 @@
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+
+// The one RSSI-to-distance model every distance in the app goes through:
+//   distance = 10^((TxPower - RSSI) / (10 * N))
+// TxPower is the RSSI measured at 1 m and N the path-loss exponent. Both come
+// from the active environment profile unless the measuring device has a
+// calibrated profile of its own.
+
+const MIN_DISTANCE = 0.1;
+const MAX_DISTANCE = 100;
+
+// -40 dBm at 1 m is what the ESP2 firmware assumes (RSSI_CALIBRATION_VALUE)
+const DEFAULT_ENVIRONMENTS = {
+  indoor: { name: 'Indoor', txPower: -40, pathLossExponent: 2.5 },
+  open: { name: 'Open space', txPower: -40, pathLossExponent: 2.0 },
+  obstructed: { name: 'Through walls', txPower: -40, pathLossExponent: 3.2 }
+};
+const DEFAULT_ENVIRONMENT = 'indoor';
+
+// Fits outside these bounds are almost certainly bad samples
+const TX_POWER_RANGE = [-100, 0];
+const EXPONENT_RANGE = [1, 6];
+
+// Environment and per-device profiles, persisted as JSON:
+//   { "environment": id, "environments": { id: { name, txPower, pathLossExponent } },
+//     "devices": [{ deviceId, txPower, pathLossExponent, calibratedAt, samples, rSquared }] }
+class DistanceModel {
+  constructor() {
+    this.filePath = null;
+    this.environment = DEFAULT_ENVIRONMENT;
+    this.environments = cloneDefaults();
+    this.devices = new Map();
+  }
+
+  load(filePath) {
+    this.filePath = filePath;
+    try {
+      this.restore(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Could not read distance profiles:', error.message);
+      }
+    }
+    return this.getStatus();
+  }
+
+  save() {
+    if (!this.filePath) return;
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(this.filePath, JSON.stringify(this.toJSON(), null, 2));
+  }
+
+  // Replace all profiles with persisted `content`; invalid entries are skipped
+  restore(content) {
+    this.environment = DEFAULT_ENVIRONMENT;
+    this.environments = cloneDefaults();
+    this.devices = new Map();
+    Object.entries(content?.environments || {}).forEach(([id, profile]) => {
+      if (isValidProfile(profile)) {
+        this.environments[id] = { name: profile.name || id, txPower: profile.txPower, pathLossExponent: profile.pathLossExponent };
+      }
+    });
+    if (this.environments[content?.environment]) {
+      this.environment = content.environment;
+    }
+    (content?.devices || []).forEach(entry => {
+      if (entry.deviceId && isValidProfile(entry)) this.devices.set(entry.deviceId, entry);
+    });
+  }
+
+  toJSON() {
+    return {
+      environment: this.environment,
+      environments: this.environments,
+      devices: Array.from(this.devices.values())
+    };
+  }
+
+  // Profile for a link: the measuring device's calibration, then the other
+  // end's, then the active environment.
+  //   link = { from: device that measured the RSSI, to: device it heard }
+  resolve(link = {}) {
+    const device = this.devices.get(link.from) || this.devices.get(link.to);
+    if (device) {
+      return { txPower: device.txPower, pathLossExponent: device.pathLossExponent, source: 'device', deviceId: device.deviceId };
+    }
+    const environment = this.environments[this.environment];
+    return { txPower: environment.txPower, pathLossExponent: environment.pathLossExponent, source: 'environment', environment: this.environment };
+  }
+
+  // Distance in metres, or null when the RSSI can't be a real reading
+  estimate(rssi, link) {
+    if (typeof rssi !== 'number' || !Number.isFinite(rssi) || rssi >= 0) return null;
+    const profile = this.resolve(link);
+    const distance = Math.pow(10, (profile.txPower - rssi) / (10 * profile.pathLossExponent));
+    return Math.max(MIN_DISTANCE, Math.min(MAX_DISTANCE, distance));
+  }
+
+  setEnvironment(id) {
+    if (!this.environments[id]) {
+      throw new Error(`Unknown environment "${id}"`);
+    }
+    this.environment = id;
+    this.save();
+  }
+
+  setEnvironmentProfile(id, profile) {
+    if (!this.environments[id]) {
+      throw new Error(`Unknown environment "${id}"`);
+    }
+    checkProfile(profile);
+    this.environments[id] = { ...this.environments[id], txPower: profile.txPower, pathLossExponent: profile.pathLossExponent };
+    this.save();
+    return this.environments[id];
+  }
+
+  // Back to the built-in constants (custom fits are discarded)
+  resetEnvironmentProfile(id) {
+    if (!DEFAULT_ENVIRONMENTS[id]) {
+      throw new Error(`Unknown environment "${id}"`);
+    }
+    this.environments[id] = { ...DEFAULT_ENVIRONMENTS[id] };
+    this.save();
+    return this.environments[id];
+  }
+
+  setDeviceProfile(deviceId, profile) {
+    if (!deviceId) {
+      throw new Error('Device ID is required');
+    }
+    checkProfile(profile);
+    const entry = {
+      deviceId: deviceId,
+      txPower: profile.txPower,
+      pathLossExponent: profile.pathLossExponent,
+      calibratedAt: profile.calibratedAt || new Date().toISOString(),
+      samples: profile.samples || 0,
+      rSquared: profile.rSquared ?? null
+    };
+    this.devices.set(deviceId, entry);
+    this.save();
+    return entry;
+  }
+
+  removeDeviceProfile(deviceId) {
+    const removed = this.devices.delete(deviceId);
+    if (removed) this.save();
+    return removed;
+  }
+
+  getStatus() {
+    return {
+      environment: this.environment,
+      environments: Object.entries(this.environments).map(([id, profile]) => ({ id, ...profile })),
+      devices: Array.from(this.devices.values()).sort((a, b) => a.deviceId.localeCompare(b.deviceId))
+    };
+  }
+}
+
+// Least-squares fit of RSSI = TxPower - 10 * N * log10(distance) over
+// samples [{ distance, rssi }] taken at two or more known distances.
+function fitProfile(samples) {
+  const distances = new Set(samples.map(sample => sample.distance));
+  if (distances.size < 2) {
+    throw new Error('Samples at two different distances are needed');
+  }
+
+  const points = samples.map(sample => ({ x: Math.log10(sample.distance), y: sample.rssi }));
+  const meanX = points.reduce((sum, p) => sum + p.x, 0) / points.length;
+  const meanY = points.reduce((sum, p) => sum + p.y, 0) / points.length;
+  let sxx = 0;
+  let sxy = 0;
+  let syy = 0;
+  points.forEach(p => {
+    sxx += (p.x - meanX) ** 2;
+    sxy += (p.x - meanX) * (p.y - meanY);
+    syy += (p.y - meanY) ** 2;
+  });
+
+  const slope = sxy / sxx;
+  const profile = {
+    txPower: Math.round((meanY - slope * meanX) * 10) / 10,
+    pathLossExponent: Math.round(-slope / 10 * 100) / 100,
+    samples: samples.length,
+    rSquared: syy > 0 ? Math.round((sxy * sxy) / (sxx * syy) * 1000) / 1000 : 1
+  };
+  checkProfile(profile);
+  return profile;
+}
+
+// Guided two-distance calibration of one device against a peer. Samples are
+// the RSSI `deviceId` reports for `peerId` in peers_status / nearby_peers.
+class CalibrationSession extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.samplesPerStep = options.samplesPerStep || 10;
+    this.reset();
+  }
+
+  reset() {
+    this.deviceId = null;
+    this.peerId = null;
+    this.steps = [];
+    this.collecting = null;
+    this.result = null;
+  }
+
+  start(deviceId, peerId) {
+    if (!deviceId || !peerId) {
+      throw new Error('Choose the device to calibrate and the peer it measures');
+    }
+    if (deviceId === peerId) {
+      throw new Error('Device and peer must be different');
+    }
+    this.reset();
+    this.deviceId = deviceId;
+    this.peerId = peerId;
+    this.emitUpdate();
+    return this.getStatus();
+  }
+
+  // Start (or restart) collecting samples with the devices `distance` metres apart
+  collect(distance) {
+    if (!this.deviceId) {
+      throw new Error('No calibration in progress');
+    }
+    const metres = Number(distance);
+    if (!(metres > 0)) {
+      throw new Error('Distance must be a positive number of metres');
+    }
+    this.steps = this.steps.filter(step => step.distance !== metres);
+    this.steps.push({ distance: metres, samples: [] });
+    this.collecting = metres;
+    this.result = null;
+    this.emitUpdate();
+    return this.getStatus();
+  }
+
+  stop() {
+    this.collecting = null;
+    this.emitUpdate();
+    return this.getStatus();
+  }
+
+  observe(envelope) {
+    if (this.collecting === null || envelope?.source_device?.device_id !== this.deviceId) return;
+    const payload = envelope.payload || {};
+    const peers = []
+      .concat(Array.isArray(payload.peers_status) ? payload.peers_status : [])
+      .concat(Array.isArray(payload.nearby_peers) ? payload.nearby_peers : []);
+    const peer = peers.find(p => p && p.device_id === this.peerId && typeof p.rssi === 'number' && p.rssi < 0);
+    if (!peer) return;
+
+    const step = this.steps.find(s => s.distance === this.collecting);
+    step.samples.push(peer.rssi);
+    if (step.samples.length >= this.samplesPerStep) {
+      this.collecting = null;
+    }
+    this.emitUpdate();
+  }
+
+  fit() {
+    const samples = this.steps.flatMap(step => step.samples.map(rssi => ({ distance: step.distance, rssi })));
+    this.result = fitProfile(samples);
+    this.emitUpdate();
+    return this.result;
+  }
+
+  getStatus() {
+    return {
+      active: this.deviceId !== null,
+      deviceId: this.deviceId,
+      peerId: this.peerId,
+      samplesPerStep: this.samplesPerStep,
+      collecting: this.collecting,
+      steps: this.steps.map(step => ({
+        distance: step.distance,
+        count: step.samples.length,
+        meanRssi: step.samples.length > 0
+          ? Math.round(step.samples.reduce((sum, rssi) => sum + rssi, 0) / step.samples.length * 10) / 10
+          : null
+      })),
+      result: this.result
+    };
+  }
+
+  emitUpdate() {
+    this.emit('update', this.getStatus());
+  }
+}
+
+function cloneDefaults() {
+  const environments = {};
+  Object.entries(DEFAULT_ENVIRONMENTS).forEach(([id, profile]) => {
+    environments[id] = { ...profile };
+  });
+  return environments;
+}
+
+function isValidProfile(profile) {
+  try {
+    checkProfile(profile);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+function checkProfile(profile) {
+  const txPower = profile?.txPower;
+  const exponent = profile?.pathLossExponent;
+  if (typeof txPower !== 'number' || txPower < TX_POWER_RANGE[0] || txPower > TX_POWER_RANGE[1]) {
+    throw new Error(`TxPower must be between ${TX_POWER_RANGE[0]} and ${TX_POWER_RANGE[1]} dBm (got ${txPower})`);
+  }
+  if (typeof exponent !== 'number' || exponent < EXPONENT_RANGE[0] || exponent > EXPONENT_RANGE[1]) {
+    throw new Error(`Path-loss exponent must be between ${EXPONENT_RANGE[0]} and ${EXPONENT_RANGE[1]} (got ${exponent})`);
+  }
+}
+
+module.exports = { DistanceModel, CalibrationSession, fitProfile };
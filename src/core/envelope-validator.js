@@ -0,0 +1,214 @@
+// Checks ESP2 envelopes against docs/envelope_schema.md and keeps per-device
+// counts of the ones that fail, so bad firmware builds stand out.
+
+const EXPECTED_DEVICE_TYPE = 'ESP2_UNIVERSAL';
+
+// Protocol versions we know about, by major number
+const KNOWN_MAJOR_VERSIONS = [1, 2, 3, 4, 5];
+
+// First major version each message_type appeared in
+const MESSAGE_TYPES = {
+  ping: 1,
+  handshake: 1,
+  data: 1,
+  relay: 2,
+  wifi_scan: 2,
+  optimization: 2,
+  triangulation: 3,
+  distance_measurement: 3,
+  command: 5,
+  command_ack: 5
+};
+
+// Payload checks per message_type (applied from version 2.0, where payloads
+// became part of the required envelope)
+const PAYLOAD_RULES = {
+  ping: (payload, errors) => {
+    requireNumber(payload, 'free_heap', 'payload', errors);
+    requireNumber(payload, 'uptime', 'payload', errors);
+  },
+  handshake: (payload, errors, envelope) => {
+    // Firmware puts reply_to in the payload; older builds put it on the envelope
+    if (!isNonEmptyString(payload.reply_to) && !isNonEmptyString(envelope.reply_to)) {
+      errors.push('missing payload.reply_to');
+    }
+  },
+  data: (payload, errors) => {
+    if (!isObject(payload.sensor_data) && !isObject(payload.system_data)) {
+      errors.push('missing payload.sensor_data or payload.system_data');
+    }
+  },
+  relay: (payload, errors) => {
+    // Two relay layouts exist: the firmware's delivery_request and the
+    // documented relay_info/original_message form
+    if (isObject(payload.message_data)) {
+      requireString(payload, 'relay_message_id', 'payload', errors);
+    } else if (isObject(payload.original_message)) {
+      if (!isObject(payload.relay_info)) errors.push('missing payload.relay_info');
+    } else {
+      errors.push('missing payload.message_data or payload.original_message');
+    }
+    if (payload.hop_count !== undefined && typeof payload.hop_count !== 'number') {
+      errors.push('payload.hop_count must be a number');
+    }
+  },
+  triangulation: (payload, errors) => {
+    requireString(payload, 'request_type', 'payload', errors);
+  },
+  distance_measurement: (payload, errors) => {
+    requireString(payload, 'target_device', 'payload', errors);
+    requireNumber(payload, 'rssi', 'payload', errors);
+  },
+  command: (payload, errors) => {
+    requireString(payload, 'command', 'payload', errors);
+  },
+  command_ack: (payload, errors) => {
+    requireString(payload, 'reply_to', 'payload', errors);
+  }
+};
+
+// Returns { valid, errors } where errors is a list of human readable reasons
+function validateEnvelope(envelope) {
+  const errors = [];
+
+  if (!isObject(envelope)) {
+    return { valid: false, errors: ['envelope is not a JSON object'] };
+  }
+
+  // Version decides which rules apply
+  let major = null;
+  if (envelope.version === undefined || envelope.version === null) {
+    errors.push('missing version');
+  } else if (typeof envelope.version !== 'string') {
+    errors.push('version must be a string');
+  } else {
+    major = parseInt(envelope.version, 10);
+    if (!KNOWN_MAJOR_VERSIONS.includes(major)) {
+      errors.push(`unknown version "${envelope.version}"`);
+      major = null;
+    }
+  }
+  // Unknown or missing versions are checked against the newest rules
+  const rulesVersion = major || KNOWN_MAJOR_VERSIONS[KNOWN_MAJOR_VERSIONS.length - 1];
+
+  requireString(envelope, 'message_id', null, errors);
+  requireNumber(envelope, 'timestamp', null, errors);
+
+  const sourceDevice = envelope.source_device;
+  if (!isObject(sourceDevice)) {
+    errors.push('missing source_device');
+  } else {
+    requireString(sourceDevice, 'device_id', 'source_device', errors);
+  }
+
+  const messageType = envelope.message_type;
+  if (!isNonEmptyString(messageType)) {
+    errors.push('missing message_type');
+  } else if (!MESSAGE_TYPES[messageType]) {
+    errors.push(`unknown message_type "${messageType}"`);
+  } else if (major && MESSAGE_TYPES[messageType] > major) {
+    errors.push(`message_type "${messageType}" requires version ${MESSAGE_TYPES[messageType]}.0 or later`);
+  }
+
+  // Version 2.0 made device info, shared_key and payload mandatory
+  if (rulesVersion >= 2) {
+    requireString(envelope, 'shared_key', null, errors);
+
+    if (isObject(sourceDevice)) {
+      ['owner', 'mac_address', 'firmware_version'].forEach(field => {
+        requireString(sourceDevice, field, 'source_device', errors);
+      });
+      if (sourceDevice.device_type === undefined) {
+        errors.push('missing source_device.device_type');
+      } else if (sourceDevice.device_type !== EXPECTED_DEVICE_TYPE) {
+        errors.push(`wrong device_type "${sourceDevice.device_type}" (expected ${EXPECTED_DEVICE_TYPE})`);
+      }
+    }
+
+    if (!isObject(envelope.payload)) {
+      errors.push('missing payload');
+    } else if (PAYLOAD_RULES[messageType]) {
+      PAYLOAD_RULES[messageType](envelope.payload, errors, envelope);
+    }
+  }
+
+  return { valid: errors.length === 0, errors: errors };
+}
+
+function requireString(object, field, prefix, errors) {
+  const name = prefix ? `${prefix}.${field}` : field;
+  if (object[field] === undefined || object[field] === null) {
+    errors.push(`missing ${name}`);
+  } else if (!isNonEmptyString(object[field])) {
+    errors.push(`${name} must be a non-empty string`);
+  }
+}
+
+function requireNumber(object, field, prefix, errors) {
+  const name = prefix ? `${prefix}.${field}` : field;
+  if (object[field] === undefined || object[field] === null) {
+    errors.push(`missing ${name}`);
+  } else if (typeof object[field] !== 'number' || !Number.isFinite(object[field])) {
+    errors.push(`${name} must be a number`);
+  }
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value !== '';
+}
+
+// Per-device counts of rejected envelopes and why they were rejected
+class RejectTracker {
+  constructor() {
+    this.devices = new Map();
+    this.total = 0;
+  }
+
+  // `deviceId` may be null when the envelope doesn't identify its sender
+  record(deviceId, envelope, errors, rejectedAt = new Date().toISOString()) {
+    const key = deviceId || 'unidentified';
+    let entry = this.devices.get(key);
+    if (!entry) {
+      entry = {
+        deviceId: key,
+        rejected: 0,
+        firmwareVersions: {},
+        reasons: {},
+        lastReasons: [],
+        lastRejectedAt: null
+      };
+      this.devices.set(key, entry);
+    }
+
+    const firmware = envelope?.source_device?.firmware_version || 'unknown';
+    entry.firmwareVersions[firmware] = (entry.firmwareVersions[firmware] || 0) + 1;
+    errors.forEach(reason => {
+      entry.reasons[reason] = (entry.reasons[reason] || 0) + 1;
+    });
+    entry.rejected++;
+    entry.lastReasons = errors.slice();
+    entry.lastRejectedAt = rejectedAt;
+    this.total++;
+    return entry;
+  }
+
+  get(deviceId) {
+    return this.devices.get(deviceId);
+  }
+
+  // Worst offenders first
+  list() {
+    return Array.from(this.devices.values()).sort((a, b) => b.rejected - a.rejected);
+  }
+
+  clear() {
+    this.devices.clear();
+    this.total = 0;
+  }
+}
+
+module.exports = { validateEnvelope, RejectTracker, EXPECTED_DEVICE_TYPE, MESSAGE_TYPES };
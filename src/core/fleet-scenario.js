@@ -0,0 +1,231 @@
+const fs = require('fs');
+
+// Scenario files for the fleet simulator (simulator.js). Positions are in
+// metres, times in seconds from the start of the run.
+//
+//   {
+//     "name": "Office",
+//     "seed": 42,                          // same seed, same run
+//     "network": { "ssid": "ESP_SIM", "channel": 6 },   // what WiFi devices report
+//     "radio": { "txPower": -40, "pathLossExponent": 2.5, "noiseDb": 2,
+//                "sensitivity": -85, "dropRate": 0 },
+//     "gateway": { "deviceId": "ESP1_WIRED_GATEWAY", "position": { "x": 0, "y": 0 },
+//                  "statusIntervalSec": 30, "banners": true },
+//     "intervals": { "pingSec": 10, "dataSec": 15, "triangulationSec": 30 },
+//     "devices": [
+//       { "deviceId": "ESP2_SENSOR_001", "owner": "alice",
+//         "position": { "x": 3, "y": 2 },
+//         "wifi": true,                    // also connects to the monitor's WebSocket server
+//         "key": "...",                    // WebSocket auth key, if auth is on
+//         "anchor": true,                  // reports its own position (my_position)
+//         "relayVia": "ESP2_SENSOR_002",   // never heard by the gateway directly
+//         "dropRate": 0.1,
+//         "movement": { "path": [{ "x": 10, "y": 2 }, { "x": 10, "y": 8 }],
+//                       "speed": 0.5, "loop": true } }
+//     ],
+//     "events": [
+//       { "at": 60, "type": "wifi-loss", "device": "ESP2_SENSOR_001", "durationSec": 30 },
+//       { "at": 90, "type": "offline", "device": "ESP2_SENSOR_003", "durationSec": 20 },
+//       { "at": 120, "type": "packet-loss", "device": "*", "rate": 0.5, "durationSec": 60 },
+//       { "at": 200, "type": "relay-via", "device": "ESP2_SENSOR_001", "via": "ESP2_SENSOR_002" }
+//     ]
+//   }
+//
+// Events without durationSec last until the end of the run.
+
+const EVENT_TYPES = ['wifi-loss', 'offline', 'packet-loss', 'relay-via'];
+
+const DEFAULTS = {
+  network: { ssid: 'ESP_SIM', channel: 6 },
+  radio: { txPower: -40, pathLossExponent: 2.5, noiseDb: 2, sensitivity: -85, dropRate: 0 },
+  gateway: { deviceId: 'ESP1_WIRED_GATEWAY', position: { x: 0, y: 0 }, statusIntervalSec: 30, banners: true },
+  intervals: { pingSec: 10, dataSec: 15, triangulationSec: 30 }
+};
+
+function loadScenario(filePath) {
+  let content;
+  try {
+    content = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read scenario ${filePath}: ${error.message}`);
+  }
+  return parseScenario(content);
+}
+
+// Validate a scenario and fill in the defaults; throws on the first problem
+function parseScenario(content) {
+  if (!content || typeof content !== 'object') {
+    throw new Error('Scenario must be a JSON object');
+  }
+  if (!Array.isArray(content.devices) || content.devices.length === 0) {
+    throw new Error('Scenario needs at least one device');
+  }
+
+  const network = { ...DEFAULTS.network, ...content.network };
+  const radio = { ...DEFAULTS.radio, ...content.radio };
+  ['txPower', 'pathLossExponent', 'noiseDb', 'sensitivity'].forEach(key => requireNumber(radio[key], `radio.${key}`));
+  requireRate(radio.dropRate, 'radio.dropRate');
+
+  const gateway = { ...DEFAULTS.gateway, ...content.gateway };
+  gateway.position = parsePosition(gateway.position, 'gateway.position');
+  requirePositive(gateway.statusIntervalSec, 'gateway.statusIntervalSec');
+
+  const intervals = { ...DEFAULTS.intervals, ...content.intervals };
+  Object.keys(DEFAULTS.intervals).forEach(key => requirePositive(intervals[key], `intervals.${key}`));
+
+  const ids = new Set();
+  const devices = content.devices.map((device, index) => {
+    const where = `devices[${index}]`;
+    if (!device || typeof device.deviceId !== 'string' || !device.deviceId) {
+      throw new Error(`${where}.deviceId is required`);
+    }
+    if (ids.has(device.deviceId)) {
+      throw new Error(`Duplicate device ${device.deviceId}`);
+    }
+    ids.add(device.deviceId);
+    const dropRate = device.dropRate === undefined ? 0 : device.dropRate;
+    requireRate(dropRate, `${where}.dropRate`);
+    return {
+      deviceId: device.deviceId,
+      owner: device.owner || 'simulator',
+      macAddress: device.macAddress || simulatedMac(index + 1),
+      position: parsePosition(device.position, `${where}.position`),
+      wifi: Boolean(device.wifi),
+      key: device.key || null,
+      anchor: Boolean(device.anchor),
+      relayVia: device.relayVia || null,
+      dropRate: dropRate,
+      movement: device.movement ? parseMovement(device.movement, `${where}.movement`) : null
+    };
+  });
+  devices.forEach(device => {
+    if (device.relayVia && !ids.has(device.relayVia)) {
+      throw new Error(`${device.deviceId}.relayVia: unknown device ${device.relayVia}`);
+    }
+  });
+
+  const events = (content.events || []).map((event, index) => {
+    const where = `events[${index}]`;
+    if (!EVENT_TYPES.includes(event.type)) {
+      throw new Error(`${where}.type must be one of ${EVENT_TYPES.join(', ')}`);
+    }
+    requireNumber(event.at, `${where}.at`);
+    if (event.durationSec !== undefined) requirePositive(event.durationSec, `${where}.durationSec`);
+    const device = event.device || '*';
+    if (device !== '*' && !ids.has(device)) {
+      throw new Error(`${where}.device: unknown device ${device}`);
+    }
+    if (event.type === 'packet-loss') requireRate(event.rate, `${where}.rate`);
+    if (event.type === 'relay-via' && !ids.has(event.via)) {
+      throw new Error(`${where}.via: unknown device ${event.via}`);
+    }
+    return {
+      ...event,
+      device: device,
+      until: event.durationSec === undefined ? Infinity : event.at + event.durationSec
+    };
+  });
+
+  return {
+    name: content.name || 'Unnamed scenario',
+    seed: Number.isInteger(content.seed) ? content.seed : 1,
+    sharedKey: content.sharedKey || 'ESP2_NETWORK_KEY',
+    network: network,
+    radio: radio,
+    gateway: gateway,
+    intervals: intervals,
+    devices: devices,
+    events: events
+  };
+}
+
+// Where a device is `time` seconds into the run. A movement path starts at
+// the device's position and is walked at `speed` m/s; with `loop` the device
+// walks back to the start and goes round again, otherwise it stays at the end.
+function positionAt(device, time) {
+  const movement = device.movement;
+  if (!movement) return device.position;
+
+  const points = [device.position, ...movement.path];
+  if (movement.loop) points.push(device.position);
+  const legs = [];
+  let total = 0;
+  for (let i = 1; i < points.length; i++) {
+    const length = distance(points[i - 1], points[i]);
+    legs.push({ from: points[i - 1], to: points[i], length: length });
+    total += length;
+  }
+  if (total === 0) return device.position;
+
+  let travelled = movement.speed * time;
+  travelled = movement.loop ? travelled % total : Math.min(travelled, total);
+  for (const leg of legs) {
+    if (travelled <= leg.length) {
+      const fraction = leg.length === 0 ? 0 : travelled / leg.length;
+      return {
+        x: leg.from.x + (leg.to.x - leg.from.x) * fraction,
+        y: leg.from.y + (leg.to.y - leg.from.y) * fraction
+      };
+    }
+    travelled -= leg.length;
+  }
+  return points[points.length - 1];
+}
+
+// Events of `type` in effect for `deviceId` at `time`
+function activeEvents(scenario, type, deviceId, time) {
+  return scenario.events.filter(event => event.type === type &&
+    (event.device === '*' || event.device === deviceId) &&
+    time >= event.at && time < event.until);
+}
+
+function distance(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+function parseMovement(movement, where) {
+  if (!Array.isArray(movement.path) || movement.path.length === 0) {
+    throw new Error(`${where}.path needs at least one point`);
+  }
+  requirePositive(movement.speed, `${where}.speed`);
+  return {
+    path: movement.path.map((point, index) => parsePosition(point, `${where}.path[${index}]`)),
+    speed: movement.speed,
+    loop: movement.loop !== false
+  };
+}
+
+function parsePosition(position, where) {
+  if (!position || typeof position.x !== 'number' || typeof position.y !== 'number') {
+    throw new Error(`${where} needs numeric x and y`);
+  }
+  return { x: position.x, y: position.y };
+}
+
+// Locally administered MACs (02:...) so they can't clash with real boards
+function simulatedMac(index) {
+  const bytes = [0x02, 0x53, 0x49, 0x4d, (index >> 8) & 0xff, index & 0xff];
+  return bytes.map(byte => byte.toString(16).padStart(2, '0').toUpperCase()).join(':');
+}
+
+function requireNumber(value, name) {
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    throw new Error(`${name} must be a number`);
+  }
+}
+
+function requirePositive(value, name) {
+  requireNumber(value, name);
+  if (value <= 0) {
+    throw new Error(`${name} must be greater than 0`);
+  }
+}
+
+function requireRate(value, name) {
+  requireNumber(value, name);
+  if (value < 0 || value > 1) {
+    throw new Error(`${name} must be between 0 and 1`);
+  }
+}
+
+module.exports = { loadScenario, parseScenario, positionAt, activeEvents, distance, simulatedMac };
@@ -0,0 +1,707 @@
+const EventEmitter = require('events');
+const { positionAt, activeEvents, distance, simulatedMac } = require('./fleet-scenario');
+
+// What the firmware builds report (ESP2_Universal.ino, ESP1_Smart_Dual_Mode.ino)
+const PROTOCOL_VERSION = '5.0';
+const DEVICE_TYPE = 'ESP2_UNIVERSAL';
+const FIRMWARE_VERSION = '2.0.0';
+const ESP1_DEVICE_TYPE = 'ESP1_WIRED_GATEWAY';
+const ESP1_VERSION = '5.0.0';
+const ESP2_PROTOCOL_RANGE = '1.0-6.0';
+const MAX_STORED_MESSAGES = 20;
+const HANDSHAKE_COOLDOWN_SEC = 10;
+// Peers not heard from for this long drop out of peers_status / nearby_peers
+const PEER_TIMEOUT_SEC = 60;
+
+// communication_mode values (CommMode in the ESP2 firmware)
+const MODE_ESP_NOW_ONLY = 0;
+const MODE_WIFI_PRIMARY = 2;
+
+const PHASES = {
+  ping: 'Phase 1', data: 'Phase 1', wifi_scan: 'Phase 2', handshake: 'Phase 3',
+  triangulation: 'Phase 4', relay: 'Phase 5', optimization: 'Phase 6'
+};
+const DIRECTIONS = ['North', 'Northeast', 'East', 'Southeast', 'South', 'Southwest', 'West', 'Northwest'];
+const BANNER = '═════════════════════════════════════════════════════════════';
+
+// Simulated time advances in steps of at most this many seconds
+const STEP_SEC = 0.1;
+
+// Emulates an ESP1 wired gateway and the ESP2_UNIVERSAL devices of a
+// scenario (fleet-scenario.js), producing what the real boards send:
+//   'serial' (line)                   a line the ESP1 prints over USB
+//   'websocket' (deviceId, message)   a frame a WiFi ESP2 sends the monitor
+//   'wifi' (deviceId, connected)      a WiFi ESP2 gained or lost its network
+//   'note' (message)                  scenario events, relays, commands
+// Time only moves with advance(), so a run is repeatable for a given seed.
+class FleetSimulator extends EventEmitter {
+  constructor(scenario) {
+    super();
+    this.scenario = scenario;
+    this.time = 0;
+    this.random = createRandom(scenario.seed);
+    this.pending = [];
+    this.activeEventKeys = new Set();
+
+    this.gateway = {
+      config: scenario.gateway,
+      macAddress: simulatedMac(0),
+      receiveCount: 0,
+      messageStats: { total: 0, ping: 0, handshake: 0, data: 0, triangulation: 0, relay: 0, wifi_scan: 0, optimization: 0, unknown: 0, delivered: 0 },
+      lastSender: 'None',
+      lastMessageType: 'None',
+      nextStatusAt: 2
+    };
+
+    this.devices = new Map();
+    scenario.devices.forEach(config => {
+      const device = { config: config, online: true, wifiConnected: false };
+      this.boot(device, this.random() * 3);
+      this.devices.set(config.deviceId, device);
+    });
+  }
+
+  // Boot banner; call once before the first advance()
+  start() {
+    if (this.scenario.gateway.banners) {
+      [
+        '',
+        '================================================',
+        'ESP1 - Wired ESP2 Communication Gateway',
+        '================================================',
+        `Device ID: ${this.gateway.config.deviceId}`,
+        `ESP1 Version: ${ESP1_VERSION}`,
+        '🚀 ESP1 Wired Gateway Ready!',
+        '📡 Monitoring ESP2 network (all phases)...'
+      ].forEach(line => this.emit('serial', line));
+    }
+    this.updateWiFi();
+  }
+
+  advance(seconds) {
+    const end = this.time + seconds;
+    while (this.time < end) {
+      this.time = Math.min(end, this.time + STEP_SEC);
+      this.step();
+    }
+  }
+
+  step() {
+    this.updateScenarioEvents();
+    this.updateWiFi();
+
+    const due = this.pending.filter(action => action.at <= this.time);
+    this.pending = this.pending.filter(action => action.at > this.time);
+    due.forEach(action => action.run());
+
+    if (this.time >= this.gateway.nextStatusAt) {
+      this.gateway.nextStatusAt = this.time + this.scenario.gateway.statusIntervalSec;
+      this.sendGatewayStatus();
+    }
+
+    this.devices.forEach(device => {
+      if (!device.online) return;
+      device.freeHeap = Math.round(Math.min(250000, Math.max(150000, device.freeHeap + (this.random() - 0.5) * 1000)));
+      if (this.time >= device.nextPingAt) {
+        device.nextPingAt = this.time + this.scenario.intervals.pingSec;
+        this.sendPing(device);
+      }
+      if (this.time >= device.nextDataAt) {
+        device.nextDataAt = this.time + this.scenario.intervals.dataSec;
+        this.sendData(device);
+      }
+      if (this.time >= device.nextTriangulationAt) {
+        device.nextTriangulationAt = this.time + this.scenario.intervals.triangulationSec;
+        if (this.validatedPeers(device).length >= 2) {
+          this.sendTriangulation(device);
+        }
+      }
+    });
+  }
+
+  // Announce scenario events as they start and end; devices coming back
+  // from 'offline' reboot
+  updateScenarioEvents() {
+    this.scenario.events.forEach((event, index) => {
+      const key = `${index}`;
+      const active = this.time >= event.at && this.time < event.until;
+      if (active && !this.activeEventKeys.has(key)) {
+        this.activeEventKeys.add(key);
+        this.emit('note', `${describeEvent(event)} started`);
+      } else if (!active && this.activeEventKeys.has(key)) {
+        this.activeEventKeys.delete(key);
+        this.emit('note', `${describeEvent(event)} ended`);
+      }
+    });
+
+    this.devices.forEach(device => {
+      const online = activeEvents(this.scenario, 'offline', device.config.deviceId, this.time).length === 0;
+      if (online && !device.online) {
+        this.boot(device, 0);
+      }
+      device.online = online;
+    });
+  }
+
+  updateWiFi() {
+    this.devices.forEach(device => {
+      const connected = device.online && device.config.wifi &&
+        activeEvents(this.scenario, 'wifi-loss', device.config.deviceId, this.time).length === 0;
+      if (connected !== device.wifiConnected) {
+        device.wifiConnected = connected;
+        device.communicationMode = connected ? MODE_WIFI_PRIMARY : MODE_ESP_NOW_ONLY;
+        this.emit('wifi', device.config.deviceId, connected);
+      }
+    });
+  }
+
+  // Power-on state; the first messages go out `delay` seconds later
+  boot(device, delay) {
+    device.bootAt = this.time;
+    device.messageCounter = 0;
+    device.peers = new Map();
+    device.handshakeAttempts = new Map();
+    device.storedMessages = 0;
+    device.freeHeap = 220000 + Math.round(this.random() * 20000);
+    device.wifiRssi = -45 - Math.round(this.random() * 20);
+    device.communicationMode = device.wifiConnected ? MODE_WIFI_PRIMARY : MODE_ESP_NOW_ONLY;
+    device.nextPingAt = this.time + delay;
+    device.nextDataAt = this.time + delay + 1 + this.random() * 2;
+    device.nextTriangulationAt = this.time + delay + this.scenario.intervals.triangulationSec;
+  }
+
+  // ---- Messages (the same envelopes the firmware builds) ----
+
+  createEnvelope(device, messageType, payload, messageId) {
+    const config = device.config;
+    device.messageCounter++;
+    return {
+      version: PROTOCOL_VERSION,
+      message_id: messageId || `${messageType}_${this.millis(device)}_${device.messageCounter}`,
+      timestamp: this.uptime(device),
+      shared_key: this.scenario.sharedKey,
+      source_device: {
+        device_id: config.deviceId,
+        owner: config.owner,
+        mac_address: config.macAddress,
+        device_type: DEVICE_TYPE,
+        firmware_version: FIRMWARE_VERSION
+      },
+      message_type: messageType,
+      payload: payload
+    };
+  }
+
+  sendPing(device) {
+    const peers = this.currentPeers(device);
+    const payload = {
+      rssi: this.wifiRssi(device),
+      free_heap: device.freeHeap,
+      uptime: this.uptime(device),
+      communication_mode: device.communicationMode,
+      wifi_connected: device.wifiConnected,
+      server_reachable: device.wifiConnected
+    };
+    payload.peer_count = peers.length;
+    if (device.wifiConnected) {
+      payload.connected_ssid = this.scenario.network.ssid;
+      payload.wifi_channel = this.scenario.network.channel;
+      payload.wifi_rssi = device.wifiRssi;
+    }
+    if (device.config.anchor) {
+      const position = this.positionOf(device);
+      payload.my_position = { x: round(position.x, 2), y: round(position.y, 2), confidence: 1.0 };
+    }
+    payload.positioning_ready = this.validatedPeers(device).length >= 2;
+    payload.triangulation_ready = this.validatedPeers(device).length >= 2;
+    payload.positioning_peers = peers.filter(peer => peer.handshakeComplete).length;
+    payload.peers_status = peers.map(peer => ({
+      device_id: peer.deviceId,
+      handshake_complete: peer.handshakeComplete,
+      validated: peer.validated,
+      rssi: peer.rssi,
+      ...this.relativePosition(device, peer)
+    }));
+    payload.capabilities = [
+      'peer_discovery', 'enhanced_messaging', 'mode_switching', 'wifi_scanning',
+      'triangulation', 'positioning', 'message_relaying', 'message_storage'
+    ];
+    if (device.communicationMode !== MODE_ESP_NOW_ONLY) payload.capabilities.push('wifi_communication');
+    if (device.wifiConnected) payload.capabilities.push('server_access');
+    payload.stored_messages = device.storedMessages;
+    payload.relay_capable = device.storedMessages < MAX_STORED_MESSAGES;
+    payload.server_delivery_available = device.wifiConnected;
+
+    this.transmit(device, this.createEnvelope(device, 'ping', payload));
+  }
+
+  sendData(device) {
+    const peers = this.currentPeers(device);
+    const systemData = {
+      free_heap: device.freeHeap,
+      uptime: this.uptime(device),
+      peer_count: peers.length,
+      communication_mode: device.communicationMode,
+      wifi_connected: device.wifiConnected,
+      server_reachable: device.wifiConnected
+    };
+    if (device.wifiConnected) {
+      systemData.connected_ssid = this.scenario.network.ssid;
+      systemData.wifi_rssi = device.wifiRssi;
+    }
+    const payload = {
+      sensor_data: {
+        temperature: round(23.5 + (this.random() - 0.5) * 10, 1),
+        humidity: round(65 + (this.random() - 0.5) * 20, 1)
+      },
+      system_data: systemData,
+      network_status: {
+        trusted_peers: peers.filter(peer => peer.handshakeComplete).length,
+        validated_peers: peers.filter(peer => peer.validated).length
+      },
+      relay_chain: [],
+      stored_message_count: device.storedMessages,
+      relay_capacity_available: device.storedMessages < MAX_STORED_MESSAGES
+    };
+    const validated = peers.filter(peer => peer.validated);
+    if (peers.length > 0) {
+      payload.nearby_peers = validated.map(peer => ({
+        device_id: peer.deviceId,
+        owner: peer.owner,
+        rssi: peer.rssi,
+        ...this.relativePosition(device, peer)
+      }));
+    }
+
+    const envelope = this.createEnvelope(device, 'data', payload);
+    const delivery = this.transmit(device, envelope);
+    if (!delivery.gateway && !delivery.wifi) {
+      this.relay(device, envelope, delivery.heardBy);
+    }
+  }
+
+  sendTriangulation(device) {
+    const payload = {
+      request_type: 'position_update',
+      rssi: this.wifiRssi(device),
+      timestamp: this.uptime(device)
+    };
+    if (device.config.anchor) {
+      const position = this.positionOf(device);
+      payload.position = { x: round(position.x, 2), y: round(position.y, 2), confidence: 1.0 };
+    }
+    payload.nearby_peers = this.validatedPeers(device).map(peer => ({
+      device_id: peer.deviceId,
+      ...this.relativePosition(device, peer)
+    }));
+    this.transmit(device, this.createEnvelope(device, 'triangulation', payload));
+  }
+
+  sendHandshake(device, ping) {
+    const peerId = ping.source_device.device_id;
+    const payload = {
+      reply_to: ping.message_id,
+      rssi: this.wifiRssi(device),
+      free_heap: device.freeHeap,
+      uptime: this.uptime(device),
+      communication_mode: device.communicationMode,
+      wifi_connected: device.wifiConnected,
+      server_reachable: device.wifiConnected,
+      capabilities: ['peer_discovery', 'enhanced_handshake', 'mode_switching', 'wifi_scanning', 'server_monitoring'],
+      validation: {
+        trusted: Boolean(device.peers.get(peerId)?.handshakeComplete),
+        validation_timestamp: this.uptime(device)
+      }
+    };
+    if (device.communicationMode !== MODE_ESP_NOW_ONLY) payload.capabilities.push('wifi_communication');
+
+    const peer = device.peers.get(peerId);
+    if (peer) {
+      peer.handshakeComplete = true;
+      peer.validated = true;
+    }
+    this.transmit(device, this.createEnvelope(device, 'handshake', payload), { target: peerId });
+  }
+
+  // A data message neither the gateway nor WiFi carried is stored by a peer
+  // that heard it and can reach the gateway, and forwarded as a Phase 5 relay
+  relay(sender, envelope, heardBy) {
+    const forcedVia = this.relayViaOf(sender);
+    const candidates = heardBy
+      .map(id => this.devices.get(id))
+      .filter(peer => peer.online && peer.storedMessages < MAX_STORED_MESSAGES &&
+        (forcedVia ? peer.config.deviceId === forcedVia : this.canReachGateway(peer)));
+    if (candidates.length === 0) {
+      this.emit('note', `${sender.config.deviceId} ${envelope.message_id} lost: no relay in range`);
+      return;
+    }
+
+    const relayDevice = candidates[0];
+    const hopRssi = relayDevice.peers.get(sender.config.deviceId)?.rssi ?? null;
+    relayDevice.storedMessages++;
+    this.schedule(1 + this.random() * 2, () => {
+      relayDevice.storedMessages = Math.max(0, relayDevice.storedMessages - 1);
+      if (!relayDevice.online) return;
+      const original = {
+        ...envelope,
+        payload: {
+          ...envelope.payload,
+          relay_chain: [{
+            device_id: relayDevice.config.deviceId,
+            device_owner: relayDevice.config.owner,
+            timestamp: this.uptime(relayDevice),
+            rssi: hopRssi
+          }]
+        }
+      };
+      const relayEnvelope = this.createEnvelope(relayDevice, 'relay', {
+        request_type: 'delivery_request',
+        relay_message_id: envelope.message_id,
+        original_sender: sender.config.deviceId,
+        hop_count: 1,
+        message_data: original
+      }, `msg_${relayDevice.config.deviceId}_${this.millis(relayDevice)}_${relayDevice.messageCounter + 1}`);
+      this.emit('note', `${relayDevice.config.deviceId} relays ${envelope.message_id} from ${sender.config.deviceId}`);
+      this.transmit(relayDevice, relayEnvelope);
+    });
+  }
+
+  // ---- Radio ----
+
+  // Send an envelope over ESP-NOW (heard by the gateway and every peer in
+  // range; a unicast only reaches `target`, the gateway still picks it up)
+  // and, for WiFi devices, over the WebSocket. Returns who got it.
+  transmit(device, envelope, options = {}) {
+    const message = JSON.stringify(envelope);
+    const result = { gateway: false, wifi: false, heardBy: [] };
+
+    if (!this.relayViaOf(device)) {
+      const rssi = this.linkRssi(this.positionOf(device), this.scenario.gateway.position);
+      if (this.isHeard(rssi) && !this.isDropped(device)) {
+        this.gatewayReceive(device, envelope, message, rssi);
+        result.gateway = true;
+      }
+    }
+
+    this.devices.forEach(peer => {
+      if (peer === device || !peer.online) return;
+      if (options.target && peer.config.deviceId !== options.target) return;
+      const rssi = this.linkRssi(this.positionOf(device), this.positionOf(peer));
+      if (this.isHeard(rssi) && !this.isDropped(device)) {
+        result.heardBy.push(peer.config.deviceId);
+        this.schedule(0.05, () => this.deviceReceive(peer, envelope, rssi));
+      }
+    });
+
+    if (device.wifiConnected && !this.isDropped(device)) {
+      this.emit('websocket', device.config.deviceId, message);
+      result.wifi = true;
+    }
+    return result;
+  }
+
+  deviceReceive(device, envelope, rssi) {
+    if (!device.online) return;
+    const sender = envelope.source_device;
+    const now = this.time;
+    let peer = device.peers.get(sender.device_id);
+    if (!peer) {
+      peer = { deviceId: sender.device_id, owner: sender.owner, macAddress: sender.mac_address, handshakeComplete: false, validated: false };
+      device.peers.set(sender.device_id, peer);
+    }
+    peer.rssi = rssi;
+    peer.lastSeen = now;
+
+    if (envelope.message_type === 'ping' && !peer.handshakeComplete) {
+      const lastAttempt = device.handshakeAttempts.get(sender.device_id);
+      if (lastAttempt === undefined || now - lastAttempt >= HANDSHAKE_COOLDOWN_SEC) {
+        device.handshakeAttempts.set(sender.device_id, now);
+        this.schedule(0.2 + this.random() * 0.8, () => {
+          if (device.online) this.sendHandshake(device, envelope);
+        });
+      }
+    } else if (envelope.message_type === 'handshake') {
+      peer.handshakeComplete = true;
+      peer.validated = true;
+    } else if (envelope.message_type === 'command' && envelope.target_device === device.config.deviceId) {
+      this.handleCommand(device, envelope, 'espnow');
+    }
+  }
+
+  // ---- ESP1 gateway ----
+
+  gatewayReceive(device, envelope, message, rssi) {
+    const gateway = this.gateway;
+    const messageType = envelope.message_type;
+    gateway.receiveCount++;
+    gateway.lastSender = device.config.deviceId;
+    gateway.lastMessageType = messageType;
+    gateway.messageStats.total++;
+    gateway.messageStats.delivered++;
+    if (gateway.messageStats[messageType] !== undefined && messageType !== 'total' && messageType !== 'delivered') {
+      gateway.messageStats[messageType]++;
+    } else {
+      gateway.messageStats.unknown++;
+    }
+
+    const consolidated = {
+      source: 'ESP1_GATEWAY',
+      timestamp: Math.floor(this.time),
+      gateway_type: 'ESP1_WIRED_GATEWAY',
+      device_id: gateway.config.deviceId,
+      esp1_version: ESP1_VERSION,
+      esp2_sender_mac: device.config.macAddress,
+      esp2_message_type: messageType,
+      esp2_phase: PHASES[messageType] || 'Unknown',
+      esp2_sender_device: device.config.deviceId,
+      esp2_rssi: rssi,
+      message_count: gateway.receiveCount,
+      gateway_status: 'CONNECTED',
+      queue_size: 0,
+      persisted_messages: 0,
+      esp2_raw_data: message
+    };
+    if (this.scenario.gateway.banners) {
+      this.emit('serial', '');
+      this.emit('serial', BANNER);
+      this.emit('serial', '📡 ESP2 MESSAGE RECEIVED (Universal Gateway)');
+      this.emit('serial', BANNER);
+    }
+    this.emit('serial', JSON.stringify(consolidated));
+    if (this.scenario.gateway.banners) {
+      this.emit('serial', BANNER);
+    }
+  }
+
+  sendGatewayStatus() {
+    const gateway = this.gateway;
+    this.emit('serial', JSON.stringify({
+      gateway_type: 'wired',
+      device_id: gateway.config.deviceId,
+      device_type: ESP1_DEVICE_TYPE,
+      esp1_version: ESP1_VERSION,
+      esp2_protocol_range: ESP2_PROTOCOL_RANGE,
+      uptime: Math.floor(this.time),
+      connection_type: 'usb_serial',
+      last_error: '',
+      message_stats: { ...gateway.messageStats },
+      gateway_health: {
+        protocol_mismatches: 0,
+        last_sender: gateway.lastSender,
+        last_message_type: gateway.lastMessageType,
+        esp_now_mac: gateway.macAddress
+      }
+    }));
+  }
+
+  // A line the monitor wrote to the gateway's serial port: commands for the
+  // gateway are acknowledged right away, the rest go out over ESP-NOW
+  receiveSerial(line) {
+    const envelope = parseJson(line);
+    if (!envelope || envelope.message_type !== 'command') return;
+
+    const target = envelope.target_device;
+    if (target === this.gateway.config.deviceId) {
+      this.emit('note', `Gateway command ${envelope.payload?.command}`);
+      this.emit('serial', JSON.stringify({
+        source: 'ESP1_GATEWAY',
+        gateway_type: 'ESP1_WIRED_GATEWAY',
+        device_id: this.gateway.config.deviceId,
+        message_type: 'command_ack',
+        payload: { reply_to: envelope.message_id, status: 'ok', detail: `${envelope.payload?.command} done` }
+      }));
+      if (envelope.payload?.command === 'ping') this.sendGatewayStatus();
+      return;
+    }
+
+    const device = this.devices.get(target);
+    const rssi = device ? this.linkRssi(this.scenario.gateway.position, this.positionOf(device)) : null;
+    if (!device || !device.online || !this.isHeard(rssi)) {
+      this.emit('note', `Command ${envelope.message_id} for ${target} not delivered: device out of reach`);
+      return;
+    }
+    this.schedule(0.2, () => this.handleCommand(device, envelope, 'espnow'));
+  }
+
+  // A frame the monitor sent down a device's WebSocket
+  receiveWebSocket(deviceId, message) {
+    const envelope = parseJson(message);
+    const device = this.devices.get(deviceId);
+    if (!envelope || !device || envelope.message_type !== 'command') return;
+    if (envelope.target_device && envelope.target_device !== deviceId) return;
+    this.handleCommand(device, envelope, 'websocket');
+  }
+
+  // Acknowledge, then act on the command
+  handleCommand(device, envelope, via) {
+    if (!device.online) return;
+    const command = envelope.payload?.command;
+    const args = envelope.payload?.args || {};
+    this.emit('note', `${device.config.deviceId} received ${command} via ${via}`);
+
+    const known = ['ping', 'set_mode', 'wifi_scan', 'flush_messages', 'reboot'].includes(command);
+    const ack = this.createEnvelope(device, 'command_ack', {
+      reply_to: envelope.message_id,
+      status: known ? 'ok' : 'error',
+      detail: known ? `${command} done` : `unknown command ${command}`
+    }, `ack_${this.millis(device)}_${device.messageCounter + 1}`);
+    if (via === 'websocket' && device.wifiConnected) {
+      this.emit('websocket', device.config.deviceId, JSON.stringify(ack));
+    } else {
+      this.transmit(device, ack);
+    }
+
+    if (!known) return;
+    switch (command) {
+      case 'ping':
+        this.schedule(0.1, () => this.sendPing(device));
+        break;
+      case 'set_mode':
+        device.communicationMode = Number(args.communication_mode);
+        break;
+      case 'flush_messages':
+        device.storedMessages = 0;
+        break;
+      case 'reboot':
+        this.schedule(0.5, () => this.boot(device, 2));
+        break;
+    }
+  }
+
+  // ---- Helpers ----
+
+  schedule(delaySec, run) {
+    this.pending.push({ at: this.time + delaySec, run: run });
+  }
+
+  positionOf(device) {
+    return positionAt(device.config, this.time);
+  }
+
+  uptime(device) {
+    return Math.floor(this.time - device.bootAt);
+  }
+
+  millis(device) {
+    return Math.floor((this.time - device.bootAt) * 1000);
+  }
+
+  // WiFi.RSSI() is 0 without a connection
+  wifiRssi(device) {
+    return device.wifiConnected ? device.wifiRssi : 0;
+  }
+
+  currentPeers(device) {
+    return Array.from(device.peers.values()).filter(peer => this.time - peer.lastSeen <= PEER_TIMEOUT_SEC);
+  }
+
+  validatedPeers(device) {
+    return this.currentPeers(device).filter(peer => peer.handshakeComplete && peer.validated);
+  }
+
+  relayViaOf(device) {
+    const events = activeEvents(this.scenario, 'relay-via', device.config.deviceId, this.time);
+    return events.length > 0 ? events[events.length - 1].via : device.config.relayVia;
+  }
+
+  canReachGateway(device) {
+    if (device.wifiConnected) return true;
+    if (this.relayViaOf(device)) return false;
+    const { txPower, pathLossExponent, sensitivity } = this.scenario.radio;
+    const meanRssi = txPower - 10 * pathLossExponent * Math.log10(Math.max(distance(this.positionOf(device), this.scenario.gateway.position), 0.1));
+    return meanRssi >= sensitivity;
+  }
+
+  // Log-distance path loss plus Gaussian noise
+  linkRssi(from, to) {
+    const { txPower, pathLossExponent, noiseDb } = this.scenario.radio;
+    const meters = Math.max(distance(from, to), 0.1);
+    return Math.round(txPower - 10 * pathLossExponent * Math.log10(meters) + this.gaussian() * noiseDb);
+  }
+
+  isHeard(rssi) {
+    return rssi !== null && rssi >= this.scenario.radio.sensitivity;
+  }
+
+  isDropped(device) {
+    const rates = [this.scenario.radio.dropRate, device.config.dropRate]
+      .concat(activeEvents(this.scenario, 'packet-loss', device.config.deviceId, this.time).map(event => event.rate));
+    return this.random() < Math.max(...rates);
+  }
+
+  // Distance and compass direction the way the firmware estimates them from RSSI
+  relativePosition(device, peer) {
+    const other = this.devices.get(peer.deviceId);
+    if (!other || typeof peer.rssi !== 'number') return {};
+    const { txPower, pathLossExponent } = this.scenario.radio;
+    const from = this.positionOf(device);
+    const to = this.positionOf(other);
+    const bearing = (Math.atan2(to.x - from.x, to.y - from.y) * 180 / Math.PI + 360) % 360;
+    return {
+      distance: round(Math.pow(10, (txPower - peer.rssi) / (10 * pathLossExponent)), 2),
+      direction: DIRECTIONS[Math.round(bearing / 45) % 8],
+      confidence: round(Math.min(0.9, Math.max(0.3, (peer.rssi + 100) / 60)), 2)
+    };
+  }
+
+  gaussian() {
+    const u = Math.max(this.random(), Number.EPSILON);
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * this.random());
+  }
+
+  getStatus() {
+    return {
+      time: round(this.time, 1),
+      gatewayMessages: this.gateway.receiveCount,
+      devices: Array.from(this.devices.values()).map(device => {
+        const position = this.positionOf(device);
+        return {
+          deviceId: device.config.deviceId,
+          online: device.online,
+          wifiConnected: device.wifiConnected,
+          position: { x: round(position.x, 1), y: round(position.y, 1) },
+          peers: this.currentPeers(device).length,
+          storedMessages: device.storedMessages
+        };
+      })
+    };
+  }
+}
+
+function describeEvent(event) {
+  const target = event.device === '*' ? 'all devices' : event.device;
+  switch (event.type) {
+    case 'packet-loss': return `Packet loss ${Math.round(event.rate * 100)}% for ${target}`;
+    case 'relay-via': return `Relay via ${event.via} for ${target}`;
+    case 'wifi-loss': return `WiFi loss for ${target}`;
+    default: return `${target} offline`;
+  }
+}
+
+// mulberry32: small seeded PRNG so a scenario replays the same way
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function parseJson(text) {
+  try {
+    const value = JSON.parse(text);
+    return value && typeof value === 'object' ? value : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function round(value, digits) {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+module.exports = { FleetSimulator };
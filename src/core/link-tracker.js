@@ -0,0 +1,194 @@
+// Rolling RSSI history per directed link (A hears B) from the peers_status /
+// nearby_peers lists ESP2s report. A filter smooths out multipath spikes so
+// one bad reading doesn't make a peer jump across the room, and the spread of
+// recent readings tells how far the resulting distance can be trusted.
+
+const DEFAULT_HISTORY_SIZE = 20;
+const DEFAULT_ASYMMETRY_DB = 10;
+const DEFAULT_STALE_MS = 2 * 60 * 1000;
+
+// Filters turn the raw readings of one link into a smoothed RSSI. Each
+// factory returns { update(rssi, history) -> smoothed RSSI }.
+const FILTERS = {
+  // Median of the last few readings - ignores isolated spikes entirely
+  median: () => ({
+    update(rssi, history) {
+      const window = history.slice(-5).map(sample => sample.rssi).sort((a, b) => a - b);
+      const middle = Math.floor(window.length / 2);
+      return window.length % 2 ? window[middle] : (window[middle - 1] + window[middle]) / 2;
+    }
+  }),
+  // Exponentially weighted moving average
+  ewma: () => {
+    const alpha = 0.3;
+    let value = null;
+    return {
+      update(rssi) {
+        value = value === null ? rssi : alpha * rssi + (1 - alpha) * value;
+        return value;
+      }
+    };
+  },
+  // One-dimensional Kalman filter for a (nearly) stationary link
+  kalman: () => {
+    const processNoise = 0.5;
+    const measurementNoise = 8;
+    let estimate = null;
+    let errorCovariance = 1;
+    return {
+      update(rssi) {
+        if (estimate === null) {
+          estimate = rssi;
+          return estimate;
+        }
+        errorCovariance += processNoise;
+        const gain = errorCovariance / (errorCovariance + measurementNoise);
+        estimate += gain * (rssi - estimate);
+        errorCovariance *= 1 - gain;
+        return estimate;
+      }
+    };
+  }
+};
+
+const DEFAULT_FILTER = 'kalman';
+
+class LinkTracker {
+  // options.rssiToDistance(rssi, { from, to }) converts smoothed RSSI to metres
+  constructor(options = {}) {
+    this.filter = FILTERS[options.filter] ? options.filter : DEFAULT_FILTER;
+    this.historySize = options.historySize || DEFAULT_HISTORY_SIZE;
+    this.asymmetryDb = options.asymmetryDb || DEFAULT_ASYMMETRY_DB;
+    this.staleMs = options.staleMs || DEFAULT_STALE_MS;
+    this.rssiToDistance = options.rssiToDistance;
+    this.links = new Map();
+  }
+
+  // Add the readings an envelope reports. Returns the directed links updated.
+  observe(envelope, receivedAt) {
+    const from = envelope?.source_device?.device_id;
+    const payload = envelope?.payload;
+    if (!from || !payload) return [];
+
+    const peers = []
+      .concat(Array.isArray(payload.peers_status) ? payload.peers_status : [])
+      .concat(Array.isArray(payload.nearby_peers) ? payload.nearby_peers : []);
+    const at = receivedAt ? new Date(receivedAt).getTime() : Date.now();
+    const updated = new Set();
+
+    peers.forEach(peer => {
+      const to = peer?.device_id;
+      // One reading per link per envelope, even if it lists the peer twice
+      if (!to || to === from || updated.has(to)) return;
+      if (typeof peer.rssi !== 'number' || peer.rssi >= 0) return;
+
+      const key = linkKey(from, to);
+      let link = this.links.get(key);
+      if (!link) {
+        link = { from, to, history: [], filterState: FILTERS[this.filter](), smoothedRssi: null };
+        this.links.set(key, link);
+      }
+      link.history.push({ rssi: peer.rssi, at: at });
+      if (link.history.length > this.historySize) link.history.shift();
+      link.smoothedRssi = link.filterState.update(peer.rssi, link.history);
+      updated.add(to);
+    });
+
+    return Array.from(updated).map(to => this.get(from, to));
+  }
+
+  // Switch filters; existing histories are replayed through the new one
+  setFilter(filter) {
+    if (!FILTERS[filter]) {
+      throw new Error(`Unknown filter "${filter}"`);
+    }
+    this.filter = filter;
+    this.links.forEach(link => {
+      link.filterState = FILTERS[filter]();
+      link.history.forEach((sample, index) => {
+        link.smoothedRssi = link.filterState.update(sample.rssi, link.history.slice(0, index + 1));
+      });
+    });
+  }
+
+  // Smoothed RSSI of a link, or null if it isn't tracked
+  smoothedRssi(from, to) {
+    const link = this.links.get(linkKey(from, to));
+    return link ? link.smoothedRssi : null;
+  }
+
+  // Report for one directed link:
+  //   { from, to, rssi, smoothedRssi, variance, stdDev, samples, distance,
+  //     rawDistance, confidence, reverseRssi, asymmetryDb, asymmetric, lastSeen }
+  get(from, to) {
+    const link = this.links.get(linkKey(from, to));
+    if (!link) return null;
+
+    const readings = link.history.map(sample => sample.rssi);
+    const mean = readings.reduce((sum, rssi) => sum + rssi, 0) / readings.length;
+    const variance = readings.reduce((sum, rssi) => sum + (rssi - mean) ** 2, 0) / readings.length;
+    const last = link.history[link.history.length - 1];
+
+    // Asymmetry only counts while the reverse direction is current too
+    const reverse = this.links.get(linkKey(to, from));
+    const reverseLast = reverse ? reverse.history[reverse.history.length - 1] : null;
+    const reverseRssi = reverseLast && Math.abs(reverseLast.at - last.at) <= this.staleMs ? reverse.smoothedRssi : null;
+    const asymmetryDb = reverseRssi !== null ? link.smoothedRssi - reverseRssi : null;
+
+    return {
+      from: from,
+      to: to,
+      rssi: last.rssi,
+      smoothedRssi: round(link.smoothedRssi, 1),
+      variance: round(variance, 2),
+      stdDev: round(Math.sqrt(variance), 2),
+      samples: readings.length,
+      distance: this.rssiToDistance(link.smoothedRssi, { from, to }),
+      rawDistance: this.rssiToDistance(last.rssi, { from, to }),
+      confidence: calculateConfidence(Math.sqrt(variance), readings.length),
+      reverseRssi: reverseRssi !== null ? round(reverseRssi, 1) : null,
+      asymmetryDb: asymmetryDb !== null ? round(asymmetryDb, 1) : null,
+      asymmetric: asymmetryDb !== null && Math.abs(asymmetryDb) >= this.asymmetryDb,
+      lastSeen: new Date(last.at).toISOString()
+    };
+  }
+
+  list() {
+    return Array.from(this.links.values())
+      .map(link => this.get(link.from, link.to))
+      .sort((a, b) => a.from.localeCompare(b.from) || a.to.localeCompare(b.to));
+  }
+
+  getStatus() {
+    return {
+      filter: this.filter,
+      filters: Object.keys(FILTERS),
+      historySize: this.historySize,
+      asymmetryDb: this.asymmetryDb
+    };
+  }
+
+  clear() {
+    this.links.clear();
+  }
+}
+
+// Confidence in a link's distance from how stable its RSSI has been: a few
+// dB of spread is normal, 8+ dB means the distance is little more than a
+// guess. A single reading can't show its spread, so few samples cap it.
+function calculateConfidence(stdDev, samples) {
+  const stability = 1 / (1 + (stdDev / 4) ** 2);
+  const coverage = Math.min(1, samples / 5);
+  return round(stability * coverage, 2);
+}
+
+function linkKey(from, to) {
+  return `${from}>${to}`;
+}
+
+function round(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+module.exports = { LinkTracker, calculateConfidence, FILTERS };
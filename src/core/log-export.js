@@ -0,0 +1,122 @@
+// Log exports for sharing a capture: JSON (one array), NDJSON (one entry per
+// line) or CSV with the common envelope fields flattened into columns, so the
+// file opens in a spreadsheet as is.
+
+const LOG_EXPORT_FORMATS = {
+  json: { name: 'JSON', extension: 'json' },
+  ndjson: { name: 'NDJSON', extension: 'ndjson' },
+  csv: { name: 'CSV', extension: 'csv' }
+};
+
+// Fixed CSV columns; one `sensor_data.<field>` column per sensor field seen
+// in the export goes before message and data
+const CSV_COLUMNS = [
+  'timestamp', 'source', 'gateway', 'replay', 'device_id', 'message_type', 'message_id',
+  'version', 'path', 'rssi', 'valid', 'errors', 'free_heap', 'uptime'
+];
+
+// entries: log lines as published on the 'log' channel
+function createLogExport(entries, format) {
+  if (!LOG_EXPORT_FORMATS[format]) {
+    throw new Error(`Unknown export format: ${format}`);
+  }
+  const exported = entries.map(toExportEntry);
+  if (format === 'json') {
+    return JSON.stringify(exported, null, 2);
+  }
+  if (format === 'ndjson') {
+    return exported.map(entry => JSON.stringify(entry)).join('\n') + (exported.length > 0 ? '\n' : '');
+  }
+
+  const rows = exported.map(flattenLogEntry);
+  const sensorColumns = new Set();
+  rows.forEach(row => Object.keys(row).forEach(column => {
+    if (column.startsWith('sensor_data.')) sensorColumns.add(column);
+  }));
+  const columns = [...CSV_COLUMNS, ...Array.from(sensorColumns).sort(), 'message', 'data'];
+  const lines = [columns.join(',')];
+  rows.forEach(row => lines.push(columns.map(column => csvCell(row[column])).join(',')));
+  return lines.join('\r\n') + '\r\n';
+}
+
+// The raw line, its parsed JSON and what the pipeline worked out about it
+function toExportEntry(entry) {
+  return {
+    timestamp: entry.timestamp || null,
+    source: entry.source || 'SYSTEM',
+    gateway: entry.gateway || null,
+    replay: Boolean(entry.replay),
+    messageKey: entry.messageKey || null,
+    arrivals: entry.arrivals || [],
+    validation: entry.validation || null,
+    message: entry.message,
+    data: entry.data && typeof entry.data === 'object' ? entry.data : null
+  };
+}
+
+function flattenLogEntry(entry) {
+  const data = entry.data || {};
+  const envelope = getEnvelope(data) || {};
+  const payload = envelope.payload && typeof envelope.payload === 'object' ? envelope.payload : {};
+  const firstArrival = entry.arrivals[0] || {};
+  const row = {
+    timestamp: entry.timestamp,
+    source: entry.source,
+    gateway: entry.gateway,
+    replay: entry.replay,
+    device_id: envelope.source_device?.device_id || data.esp2_sender_device || data.device_id,
+    message_type: envelope.message_type || data.esp2_message_type || data.message_type,
+    message_id: envelope.message_id,
+    version: envelope.version,
+    path: firstArrival.path,
+    rssi: firstArrival.rssi ?? data.esp2_rssi ?? data.rssi,
+    valid: entry.validation ? entry.validation.valid : null,
+    errors: entry.validation ? entry.validation.errors.join('; ') : null,
+    free_heap: payload.free_heap,
+    uptime: payload.uptime,
+    message: entry.message,
+    data: entry.data ? JSON.stringify(entry.data) : null
+  };
+  flattenObject(payload.sensor_data, 'sensor_data', row);
+  return row;
+}
+
+// The ESP2 envelope in a log line: the line itself, or the one an ESP1
+// gateway embedded as esp2_raw_data
+function getEnvelope(data) {
+  if (data.source_device || data.message_type) {
+    return data;
+  }
+  if (typeof data.esp2_raw_data === 'string') {
+    try {
+      return JSON.parse(data.esp2_raw_data);
+    } catch (e) {
+      return null;
+    }
+  }
+  return null;
+}
+
+// { a: { b: 1 } } -> row['prefix.a.b'] = 1; arrays stay JSON
+function flattenObject(value, prefix, row) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return;
+  Object.entries(value).forEach(([key, child]) => {
+    const column = `${prefix}.${key}`;
+    if (child && typeof child === 'object' && !Array.isArray(child)) {
+      flattenObject(child, column, row);
+    } else {
+      row[column] = Array.isArray(child) ? JSON.stringify(child) : child;
+    }
+  });
+}
+
+// RFC 4180 quoting; empty for missing values. Text a spreadsheet would run
+// as a formula gets a leading ' (numbers like an RSSI of -60 stay numbers).
+function csvCell(value) {
+  if (value === undefined || value === null) return '';
+  let text = String(value);
+  if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+module.exports = { createLogExport, LOG_EXPORT_FORMATS };
@@ -0,0 +1,88 @@
+const fs = require('fs');
+const path = require('path');
+const { parseLogQuery } = require('./log-query');
+
+const MAX_NAME_LENGTH = 60;
+
+// Named log search queries (see log-query.js), kept in log-filters.json
+class LogFilterStore {
+  constructor() {
+    this.filePath = null;
+    // name -> { name, query, createdAt }
+    this.filters = new Map();
+  }
+
+  load(filePath) {
+    this.filePath = filePath;
+    try {
+      this.restore(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Could not read saved log filters:', error.message);
+      }
+    }
+    return this.list();
+  }
+
+  save() {
+    if (!this.filePath) return;
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(this.filePath, JSON.stringify(this.toJSON(), null, 2));
+  }
+
+  // Replace the filters with persisted `content`; queries that no longer parse are skipped
+  restore(content) {
+    if (!Array.isArray(content?.filters)) return;
+    this.filters = new Map(content.filters
+      .filter(filter => filter && typeof filter.name === 'string' && isValidQuery(filter.query))
+      .map(filter => [filter.name, {
+        name: filter.name,
+        query: filter.query,
+        createdAt: filter.createdAt || new Date().toISOString()
+      }]));
+  }
+
+  toJSON() {
+    return { filters: this.list() };
+  }
+
+  list() {
+    return Array.from(this.filters.values()).sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  // Add or replace a filter; throws when the name is empty or the query is invalid
+  set(name, query) {
+    const filterName = typeof name === 'string' ? name.trim() : '';
+    if (!filterName || filterName.length > MAX_NAME_LENGTH) {
+      throw new Error(`Filter name must be 1-${MAX_NAME_LENGTH} characters`);
+    }
+    const text = typeof query === 'string' ? query.trim() : '';
+    if (!text) {
+      throw new Error('Query is empty');
+    }
+    parseLogQuery(text);
+
+    const filter = { name: filterName, query: text, createdAt: new Date().toISOString() };
+    this.filters.set(filterName, filter);
+    this.save();
+    return filter;
+  }
+
+  remove(name) {
+    const removed = this.filters.delete(name);
+    if (removed) this.save();
+    return removed;
+  }
+}
+
+function isValidQuery(query) {
+  if (typeof query !== 'string' || !query.trim()) return false;
+  try {
+    parseLogQuery(query);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+module.exports = { LogFilterStore };
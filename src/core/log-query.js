@@ -0,0 +1,263 @@
+// Log search queries over stored log entries, e.g.
+//   type:handshake device:ESP2_SENSOR_003 rssi<-75
+//   source:relay phase:5 -device:ESP2_SENSOR_001 "low heap" last:15m
+//
+//   device:<id>            sending ESP2 (* wildcards allowed)
+//   type:<message_type>    envelope message type
+//   source:<source>        log source (substring, like the source dropdown)
+//   gateway:<port>         serial gateway (substring)
+//   phase:<n>              protocol phase of the message type
+//   is:rejected | is:replay
+//   after:<time> before:<time>   ISO 8601 or epoch milliseconds
+//   last:<n>s|m|h|d        entries from the last n seconds/minutes/hours/days
+//   <field><op><value>     compare an envelope field: rssi<-75,
+//                          payload.free_heap<20000, temperature>=30
+//                          (op is <, <=, >, >=, = or !=)
+//   <field>:<value>        envelope field equals value
+//   anything else          free text in the raw line ("quoted" for spaces)
+//
+// Terms are ANDed; a leading "-" negates one and comma lists (type:ping,data)
+// match any of their values. index.html loads this file before renderer.js
+// (as window.LogQuery); Node code requires it.
+(function (exports) {
+  // Protocol phase of each ESP2 message type (as the monitor classifies them)
+  const PHASES = {
+    ping: 1, data: 1, wifi_scan: 2, handshake: 3,
+    triangulation: 4, relay: 5, optimization: 6
+  };
+
+  const TIME_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+  const COMPARISON = /^([A-Za-z_][\w.]*)(<=|>=|!=|<|>|=)(.+)$/;
+  const FIELD_MATCH = /^([A-Za-z_][\w.]*):(.+)$/;
+
+  // Parsed envelopes of ESP1 lines (esp2_raw_data), so a query re-run doesn't parse again
+  const envelopeCache = new WeakMap();
+
+  // Returns { text, terms, highlights }; throws on invalid terms
+  function parseLogQuery(text) {
+    const terms = tokenize(text || '').map(parseTerm);
+    const highlights = [];
+    terms.forEach(term => {
+      if (term.negate) return;
+      if (term.kind === 'text') highlights.push(term.value);
+      if ((term.kind === 'device' || term.kind === 'type') && term.values.every(value => !value.includes('*'))) {
+        highlights.push(...term.values);
+      }
+    });
+    return { text: text || '', terms: terms, highlights: highlights };
+  }
+
+  function matchesLogQuery(query, entry, now = Date.now()) {
+    return query.terms.every(term => matchesTerm(term, entry, now) !== term.negate);
+  }
+
+  // Whitespace-separated tokens; double quotes group spaces (also after a key: device:"A B")
+  function tokenize(text) {
+    const tokens = [];
+    let i = 0;
+    while (i < text.length) {
+      if (/\s/.test(text[i])) {
+        i++;
+        continue;
+      }
+      // A token that starts with a quote is always free text
+      const literal = text[i] === '"';
+      let token = '';
+      let quoted = false;
+      while (i < text.length && (quoted || !/\s/.test(text[i]))) {
+        if (text[i] === '"') {
+          quoted = !quoted;
+        } else {
+          token += text[i];
+        }
+        i++;
+      }
+      if (quoted) {
+        throw new Error('Unclosed quote');
+      }
+      tokens.push({ value: token, literal: literal });
+    }
+    return tokens;
+  }
+
+  function parseTerm({ value, literal }) {
+    let token = value;
+    let negate = false;
+    if (!literal && token.length > 1 && token.startsWith('-') && !/^-\d/.test(token)) {
+      negate = true;
+      token = token.slice(1);
+    }
+    const term = literal ? { kind: 'text', value: token } : parseCondition(token);
+    term.negate = negate;
+    return term;
+  }
+
+  function parseCondition(token) {
+    const field = token.match(FIELD_MATCH);
+    if (field) {
+      const key = field[1].toLowerCase();
+      const value = field[2];
+      const values = value.split(',').map(item => item.trim()).filter(Boolean);
+      switch (key) {
+        case 'device':
+        case 'type':
+        case 'source':
+        case 'gateway':
+          return { kind: key, values: values };
+        case 'phase':
+          if (!values.every(item => /^\d+$/.test(item))) {
+            throw new Error(`phase: needs a phase number, got "${value}"`);
+          }
+          return { kind: 'phase', values: values.map(Number) };
+        case 'is':
+          if (!values.every(item => ['rejected', 'replay'].includes(item))) {
+            throw new Error(`is: accepts rejected or replay, got "${value}"`);
+          }
+          return { kind: 'is', values: values };
+        case 'after':
+        case 'before':
+          return { kind: key, time: parseTime(value, key) };
+        case 'last': {
+          const match = value.match(/^(\d+)([smhd])$/);
+          if (!match) {
+            throw new Error(`last: needs a duration such as 15m, 2h or 1d, got "${value}"`);
+          }
+          return { kind: 'last', ms: Number(match[1]) * TIME_UNITS[match[2]] };
+        }
+        default:
+          return { kind: 'compare', field: field[1], op: '=', value: value, number: toNumber(value) };
+      }
+    }
+
+    const comparison = token.match(COMPARISON);
+    if (comparison) {
+      const [, name, op, value] = comparison;
+      const number = toNumber(value);
+      if (number === null && op !== '=' && op !== '!=') {
+        throw new Error(`${name}${op} needs a number, got "${value}"`);
+      }
+      return { kind: 'compare', field: name, op: op, value: value, number: number };
+    }
+
+    return { kind: 'text', value: token };
+  }
+
+  function matchesTerm(term, entry, now) {
+    const envelope = getEnvelope(entry);
+    const data = entry.data && typeof entry.data === 'object' ? entry.data : {};
+    switch (term.kind) {
+      case 'device': {
+        const deviceId = envelope?.source_device?.device_id || data.esp2_sender_device || data.device_id;
+        return Boolean(deviceId) && term.values.some(value => wildcard(value).test(deviceId));
+      }
+      case 'type': {
+        const messageType = envelope?.message_type || data.esp2_message_type;
+        return Boolean(messageType) && term.values.some(value => wildcard(value).test(messageType));
+      }
+      case 'source':
+        return term.values.some(value => (entry.source || '').toUpperCase().includes(value.toUpperCase()));
+      case 'gateway':
+        return term.values.some(value => (entry.gateway || '').includes(value));
+      case 'phase': {
+        const phase = PHASES[envelope?.message_type || data.esp2_message_type] || Number(envelope?.data?.phase);
+        return term.values.includes(phase);
+      }
+      case 'is':
+        return term.values.some(value => (value === 'replay'
+          ? Boolean(entry.replay)
+          : Boolean(entry.validation && !entry.validation.valid)));
+      case 'after':
+        return entryTime(entry) > term.time;
+      case 'before':
+        return entryTime(entry) < term.time;
+      case 'last':
+        return entryTime(entry) >= now - term.ms;
+      case 'compare':
+        return compare(resolveField(term.field, entry, envelope, data), term);
+      default:
+        return (entry.message || '').toLowerCase().includes(term.value.toLowerCase());
+    }
+  }
+
+  // `rssi` is the signal of the first arrival (or what the line reports);
+  // other names are paths into the envelope, then into its payload and
+  // sensor_data, then into the raw line
+  function resolveField(name, entry, envelope, data) {
+    if (name === 'rssi') {
+      const arrival = entry.arrivals && entry.arrivals[0];
+      return arrival?.rssi ?? data.esp2_rssi ?? data.rssi ?? envelope?.rssi;
+    }
+    for (const root of [envelope, envelope?.payload, envelope?.payload?.sensor_data, data]) {
+      const value = lookup(root, name);
+      if (value !== undefined) return value;
+    }
+    return undefined;
+  }
+
+  function compare(actual, term) {
+    if (actual === undefined || actual === null) return term.op === '!=';
+    if (term.number !== null && typeof actual === 'number') {
+      switch (term.op) {
+        case '<': return actual < term.number;
+        case '<=': return actual <= term.number;
+        case '>': return actual > term.number;
+        case '>=': return actual >= term.number;
+        case '!=': return actual !== term.number;
+        default: return actual === term.number;
+      }
+    }
+    if (term.op === '=' || term.op === '!=') {
+      const equal = String(actual).toLowerCase() === term.value.toLowerCase();
+      return term.op === '=' ? equal : !equal;
+    }
+    return false;
+  }
+
+  // The ESP2 envelope in a log line: the line itself, or the one an ESP1
+  // gateway embedded as esp2_raw_data
+  function getEnvelope(entry) {
+    const data = entry.data;
+    if (!data || typeof data !== 'object') return null;
+    if (data.source_device || data.message_type) return data;
+    if (typeof data.esp2_raw_data !== 'string') return null;
+    if (!envelopeCache.has(entry)) {
+      let envelope = null;
+      try {
+        envelope = JSON.parse(data.esp2_raw_data);
+      } catch (e) {
+        // Not JSON - nothing to match on
+      }
+      envelopeCache.set(entry, envelope);
+    }
+    return envelopeCache.get(entry);
+  }
+
+  function lookup(root, name) {
+    return name.split('.').reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), root);
+  }
+
+  function entryTime(entry) {
+    return entry.timestamp ? new Date(entry.timestamp).getTime() : NaN;
+  }
+
+  function parseTime(value, key) {
+    const time = /^\d+$/.test(value) ? Number(value) : new Date(value).getTime();
+    if (Number.isNaN(time)) {
+      throw new Error(`${key}: needs a date and time, got "${value}"`);
+    }
+    return time;
+  }
+
+  function toNumber(value) {
+    return value.trim() !== '' && !Number.isNaN(Number(value)) ? Number(value) : null;
+  }
+
+  function wildcard(value) {
+    const pattern = value.split('*').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${pattern}$`, 'i');
+  }
+
+  exports.parseLogQuery = parseLogQuery;
+  exports.matchesLogQuery = matchesLogQuery;
+})(typeof module !== 'undefined' && module.exports ? module.exports : (window.LogQuery = {}));
@@ -0,0 +1,166 @@
+// Recognises the same ESP2 envelope arriving over several paths (WiFi, WiFi
+// relay, one or more ESP1 gateways, direct USB, Phase 5 relays) so it is
+// processed and logged once, with every arrival listed on that one entry.
+// Also keeps analytics on how the paths compare.
+class MessageDeduplicator {
+  constructor(options = {}) {
+    // Store-and-forward relays can deliver minutes after the original
+    this.windowMs = options.windowMs || 10 * 60 * 1000;
+    this.maxEntries = options.maxEntries || 5000;
+    this.entries = new Map();
+    this.resetStats();
+  }
+
+  resetStats() {
+    this.stats = {
+      unique: 0,
+      duplicates: 0,
+      // Messages that aged out of the window, by how many distinct paths they used
+      settledSinglePath: {},
+      settledMultiPath: 0
+    };
+  }
+
+  // Returns { isFirst, arrivals } where arrivals lists every path (and
+  // gateway) the message came in on inside the tracking window:
+  //   [{ path, gateway, rssi, at, delayMs, count }]
+  record(key, arrival) {
+    const now = arrival.at ? new Date(arrival.at).getTime() : Date.now();
+    this.prune(now);
+
+    let entry = this.entries.get(key);
+    const isFirst = !entry;
+    if (isFirst) {
+      entry = { firstArrival: now, arrivals: [] };
+      this.entries.set(key, entry);
+      this.stats.unique++;
+    } else {
+      this.stats.duplicates++;
+    }
+
+    const gateway = arrival.gateway || null;
+    const existing = entry.arrivals.find(a => a.path === arrival.path && a.gateway === gateway);
+    if (existing) {
+      // Same path delivering the envelope again (e.g. persisted resend)
+      if (arrival.rssi !== undefined) existing.rssi = arrival.rssi;
+      existing.count++;
+    } else {
+      entry.arrivals.push({
+        path: arrival.path,
+        gateway: gateway,
+        rssi: arrival.rssi ?? null,
+        at: new Date(now).toISOString(),
+        delayMs: now - entry.firstArrival,
+        count: 1
+      });
+    }
+
+    return { isFirst, arrivals: entry.arrivals.slice() };
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    return entry ? entry.arrivals.slice() : [];
+  }
+
+  // Entries are kept in insertion order, so the oldest are at the front
+  prune(now) {
+    for (const [key, entry] of this.entries) {
+      if (now - entry.firstArrival <= this.windowMs && this.entries.size <= this.maxEntries) {
+        break;
+      }
+      this.settle(entry);
+      this.entries.delete(key);
+    }
+  }
+
+  // Fold a finished entry into the single/multi-path counters
+  settle(entry) {
+    const paths = distinctPaths(entry.arrivals);
+    if (paths.length === 1) {
+      this.stats.settledSinglePath[paths[0]] = (this.stats.settledSinglePath[paths[0]] || 0) + 1;
+    } else {
+      this.stats.settledMultiPath++;
+    }
+  }
+
+  // Path comparison over every message still in the window, plus the
+  // single/multi-path totals of messages that already aged out
+  getAnalytics() {
+    const paths = {};
+    const spreads = [];
+    const singlePathOnly = { ...this.stats.settledSinglePath };
+    let multiPath = this.stats.settledMultiPath;
+
+    const pathEntry = (path) => {
+      if (!paths[path]) {
+        paths[path] = { path: path, messages: 0, first: 0, lagCount: 0, totalLagMs: 0, maxLagMs: 0 };
+      }
+      return paths[path];
+    };
+
+    this.entries.forEach(entry => {
+      const byPath = new Map();
+      entry.arrivals.forEach(arrival => {
+        // Earliest arrival per path (several gateways share ESP1_GATEWAY)
+        if (!byPath.has(arrival.path) || arrival.delayMs < byPath.get(arrival.path)) {
+          byPath.set(arrival.path, arrival.delayMs);
+        }
+      });
+
+      byPath.forEach((delayMs, path) => {
+        const stats = pathEntry(path);
+        stats.messages++;
+        if (delayMs === 0) {
+          stats.first++;
+        } else {
+          stats.lagCount++;
+          stats.totalLagMs += delayMs;
+          stats.maxLagMs = Math.max(stats.maxLagMs, delayMs);
+        }
+      });
+
+      if (byPath.size === 1) {
+        const path = byPath.keys().next().value;
+        singlePathOnly[path] = (singlePathOnly[path] || 0) + 1;
+      } else {
+        multiPath++;
+        spreads.push(Math.max(...byPath.values()));
+      }
+    });
+
+    return {
+      unique: this.stats.unique,
+      duplicates: this.stats.duplicates,
+      multiPath: multiPath,
+      singlePathOnly: singlePathOnly,
+      averageSpreadMs: spreads.length > 0 ? spreads.reduce((a, b) => a + b, 0) / spreads.length : null,
+      maxSpreadMs: spreads.length > 0 ? Math.max(...spreads) : null,
+      paths: Object.values(paths).map(stats => ({
+        path: stats.path,
+        messages: stats.messages,
+        firstCount: stats.first,
+        averageLagMs: stats.lagCount > 0 ? stats.totalLagMs / stats.lagCount : null,
+        maxLagMs: stats.lagCount > 0 ? stats.maxLagMs : null
+      })).sort((a, b) => b.firstCount - a.firstCount)
+    };
+  }
+
+  clear() {
+    this.entries.clear();
+    this.resetStats();
+  }
+}
+
+function distinctPaths(arrivals) {
+  return Array.from(new Set(arrivals.map(arrival => arrival.path)));
+}
+
+// Key used to recognise the same envelope across paths
+function getEnvelopeKey(envelope, fallbackDeviceId) {
+  const deviceId = envelope?.source_device?.device_id || fallbackDeviceId;
+  if (!deviceId || !envelope?.message_id) return null;
+  return `${deviceId}:${envelope.message_id}`;
+}
+
+module.exports = { MessageDeduplicator, getEnvelopeKey };
@@ -0,0 +1,101 @@
+// Rolling time series of device telemetry, one series per device and field,
+// so trends (a leaking heap, a link that keeps dropping) are visible rather
+// than just the latest value in a log line.
+
+// Fields pulled out of ESP2 payloads. Pings carry them at the top of the
+// payload; data messages nest them in system_data / sensor_data.
+const METRIC_FIELDS = {
+  free_heap: { label: 'Free Heap', unit: 'bytes' },
+  uptime: { label: 'Uptime', unit: 's' },
+  wifi_rssi: { label: 'WiFi RSSI', unit: 'dBm' },
+  peer_count: { label: 'Peer Count', unit: '' },
+  temperature: { label: 'Temperature', unit: '°C' },
+  humidity: { label: 'Humidity', unit: '%' }
+};
+
+const DEFAULT_WINDOW_MS = 60 * 60 * 1000;
+// Pings arrive every 5 s, so this holds the full hour
+const DEFAULT_MAX_POINTS = 720;
+
+class MetricsStore {
+  constructor(options = {}) {
+    this.windowMs = options.windowMs || DEFAULT_WINDOW_MS;
+    this.maxPoints = options.maxPoints || DEFAULT_MAX_POINTS;
+    // field -> deviceId -> [[time, value], ...] oldest first
+    this.series = new Map(Object.keys(METRIC_FIELDS).map(field => [field, new Map()]));
+    this.latestAt = 0;
+  }
+
+  // Record the telemetry in an envelope. Returns the number of points added.
+  observe(envelope, receivedAt) {
+    const deviceId = envelope?.source_device?.device_id;
+    if (!deviceId || !envelope.payload || typeof envelope.payload !== 'object') return 0;
+
+    const at = receivedAt ? new Date(receivedAt).getTime() : Date.now();
+    const metrics = extractMetrics(envelope.payload);
+    Object.entries(metrics).forEach(([field, value]) => {
+      const byDevice = this.series.get(field);
+      if (!byDevice.has(deviceId)) byDevice.set(deviceId, []);
+      const points = byDevice.get(deviceId);
+      points.push([at, value]);
+      this.trim(points, at);
+    });
+
+    this.latestAt = Math.max(this.latestAt, at);
+    return Object.keys(metrics).length;
+  }
+
+  trim(points, now) {
+    while (points.length > 0 && (points.length > this.maxPoints || now - points[0][0] > this.windowMs)) {
+      points.shift();
+    }
+  }
+
+  // Points newer than `since` (epoch ms), for incremental updates:
+  //   { fields, windowMs, latestAt, series: { field: { deviceId: [[t, v], ...] } } }
+  getSince(since = 0) {
+    const series = {};
+    this.series.forEach((byDevice, field) => {
+      series[field] = {};
+      byDevice.forEach((points, deviceId) => {
+        const fresh = since > 0 ? points.filter(point => point[0] > since) : points.slice();
+        if (fresh.length > 0) series[field][deviceId] = fresh;
+      });
+    });
+    return {
+      fields: METRIC_FIELDS,
+      windowMs: this.windowMs,
+      latestAt: this.latestAt,
+      series: series
+    };
+  }
+
+  clear() {
+    this.series.forEach(byDevice => byDevice.clear());
+    this.latestAt = 0;
+  }
+}
+
+function extractMetrics(payload) {
+  const sources = [
+    payload,
+    payload.system_data,
+    payload.sensor_data,
+    payload.sensor_data?.system_data
+  ].filter(source => source && typeof source === 'object');
+
+  const metrics = {};
+  Object.keys(METRIC_FIELDS).forEach(field => {
+    for (const source of sources) {
+      const value = source[field];
+      if (typeof value !== 'number' || !Number.isFinite(value)) continue;
+      // Firmware leaves wifi_rssi at 0 when it isn't associated
+      if (field === 'wifi_rssi' && value >= 0) continue;
+      metrics[field] = value;
+      break;
+    }
+  });
+  return metrics;
+}
+
+module.exports = { MetricsStore, METRIC_FIELDS };
@@ -0,0 +1,268 @@
+const EventEmitter = require('events');
+const mqtt = require('mqtt');
+const { redactSharedKeys } = require('./redact');
+
+// Publishes classified ESP2 traffic to an MQTT broker (Mosquitto, Node-RED,
+// Grafana, ...):
+//   - every accepted ESP2 message on the message topic (not retained)
+//   - each ESP1 gateway's status on the gateway topic (retained)
+//   - device presence "online"/"offline" on the presence topic (retained)
+//   - the monitor's own presence on the bridge topic, with an MQTT last will
+//     so the broker marks it "offline" if the monitor dies
+// While the broker is unreachable, messages wait in a bounded queue and the
+// connection is retried with exponential backoff.
+
+const MIN_BACKOFF_MS = 1000;
+const MAX_BACKOFF_MS = 60000;
+
+class MqttBridge extends EventEmitter {
+  // options.connect replaces mqtt.connect (same signature)
+  constructor(options = {}) {
+    super();
+    this.connect = options.connect || mqtt.connect;
+    this.config = null;
+    this.client = null;
+    this.state = 'disabled';
+    this.queue = [];
+    this.backoffMs = MIN_BACKOFF_MS;
+    this.retryTimer = null;
+    this.nextRetryAt = null;
+    this.lastError = null;
+    this.published = 0;
+    this.dropped = 0;
+    // deviceId -> { lastSeen, online }
+    this.devices = new Map();
+    // gatewayId -> last published status JSON
+    this.gateways = new Map();
+  }
+
+  // config: { enabled, url, username, password, messageTopic, gatewayTopic,
+  //           presenceTopic, bridgeTopic, qos, queueSize, presenceTimeoutSec }
+  // Reconnects with the new settings; the queue is kept.
+  async configure(config) {
+    await this.disconnect();
+    this.config = config.enabled ? { ...config } : null;
+    if (!this.config) {
+      this.queue = [];
+      this.devices.clear();
+      this.gateways.clear();
+      this.setState('disabled');
+      return;
+    }
+    this.backoffMs = MIN_BACKOFF_MS;
+    this.open();
+  }
+
+  open() {
+    const { url, username, password, bridgeTopic, qos } = this.config;
+    this.setState('connecting');
+    const client = this.connect(url, {
+      username: username || undefined,
+      password: password || undefined,
+      clientId: `esp-monitor-${process.pid}-${Date.now().toString(36)}`,
+      // Backoff and queueing are handled here, not by mqtt.js
+      reconnectPeriod: 0,
+      connectTimeout: 10000,
+      will: { topic: bridgeTopic, payload: 'offline', qos: qos, retain: true }
+    });
+    this.client = client;
+
+    client.on('connect', () => {
+      if (this.client !== client) return;
+      this.backoffMs = MIN_BACKOFF_MS;
+      this.lastError = null;
+      this.setState('connected');
+      client.publish(bridgeTopic, 'online', { qos: qos, retain: true });
+      this.flush();
+    });
+    client.on('error', (error) => {
+      if (this.client !== client) return;
+      this.lastError = error.message;
+      this.emitStatus();
+    });
+    client.on('close', () => {
+      if (this.client !== client) return;
+      this.scheduleReconnect();
+    });
+  }
+
+  scheduleReconnect() {
+    if (this.retryTimer || !this.config) return;
+    const delay = this.backoffMs;
+    this.backoffMs = Math.min(MAX_BACKOFF_MS, this.backoffMs * 2);
+    this.nextRetryAt = new Date(Date.now() + delay).toISOString();
+    this.setState('disconnected');
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.nextRetryAt = null;
+      if (!this.config || !this.client) return;
+      this.setState('connecting');
+      this.client.reconnect();
+    }, delay);
+  }
+
+  // Mark every device offline, then close the connection cleanly
+  async stop() {
+    if (this.client && this.state === 'connected') {
+      this.devices.forEach((device, deviceId) => {
+        if (device.online) this.publishPresence(deviceId, false);
+      });
+      this.send({ topic: this.config.bridgeTopic, payload: 'offline', retain: true });
+    }
+    await this.disconnect();
+    this.config = null;
+    this.queue = [];
+    this.devices.clear();
+    this.gateways.clear();
+    this.setState('disabled');
+  }
+
+  disconnect() {
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+    this.nextRetryAt = null;
+    const client = this.client;
+    this.client = null;
+    if (!client) {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => client.end(false, {}, () => resolve()));
+  }
+
+  // An accepted ESP2 envelope (first arrival). context is the arrival:
+  // { path, gateway, rssi, receivedAt }
+  publishMessage(envelope, context = {}) {
+    if (!this.config) return;
+    const deviceId = envelope?.source_device?.device_id;
+    if (!deviceId) return;
+
+    const messageType = envelope.message_type || 'unknown';
+    const receivedAt = context.receivedAt || new Date().toISOString();
+    this.enqueue({
+      topic: renderTopic(this.config.messageTopic, {
+        device_id: deviceId,
+        message_type: messageType,
+        gateway_id: context.gateway,
+        path: context.path
+      }),
+      payload: JSON.stringify({
+        device_id: deviceId,
+        message_type: messageType,
+        message_id: envelope.message_id || null,
+        version: envelope.version || null,
+        received_at: receivedAt,
+        path: context.path || null,
+        gateway: context.gateway || context.via || null,
+        rssi: typeof context.rssi === 'number' ? context.rssi : null,
+        source_device: redactSharedKeys(envelope.source_device),
+        payload: redactSharedKeys(envelope.payload ?? null)
+      }),
+      retain: false
+    });
+
+    // Presence follows the live clock, also for replayed sessions
+    const device = this.devices.get(deviceId) || { lastSeen: 0, online: false };
+    device.lastSeen = Date.now();
+    this.devices.set(deviceId, device);
+    if (!device.online) {
+      device.online = true;
+      this.publishPresence(deviceId, true);
+    }
+  }
+
+  // Retained gateway status; only republished when it changes
+  publishGateway(gatewayId, status) {
+    if (!this.config) return;
+    const payload = JSON.stringify({ gateway_id: gatewayId, ...status });
+    if (this.gateways.get(gatewayId) === payload) return;
+    this.gateways.set(gatewayId, payload);
+    this.enqueue({
+      topic: renderTopic(this.config.gatewayTopic, { gateway_id: gatewayId }),
+      payload: payload,
+      retain: true
+    });
+  }
+
+  publishPresence(deviceId, online) {
+    this.enqueue({
+      topic: renderTopic(this.config.presenceTopic, { device_id: deviceId }),
+      payload: online ? 'online' : 'offline',
+      retain: true
+    });
+  }
+
+  // Devices silent for longer than the presence timeout go offline; call periodically
+  tick(now = Date.now()) {
+    if (!this.config) return;
+    const timeoutMs = this.config.presenceTimeoutSec * 1000;
+    this.devices.forEach((device, deviceId) => {
+      if (device.online && now - device.lastSeen > timeoutMs) {
+        device.online = false;
+        this.publishPresence(deviceId, false);
+      }
+    });
+  }
+
+  enqueue(message) {
+    if (this.state === 'connected' && this.queue.length === 0) {
+      this.send(message);
+      return;
+    }
+    // Only the newest value of a retained topic matters
+    if (message.retain) {
+      this.queue = this.queue.filter(queued => !(queued.retain && queued.topic === message.topic));
+    }
+    this.queue.push(message);
+    while (this.queue.length > this.config.queueSize) {
+      this.queue.shift();
+      this.dropped++;
+    }
+  }
+
+  flush() {
+    const pending = this.queue;
+    this.queue = [];
+    pending.forEach(message => this.send(message));
+  }
+
+  send(message) {
+    this.client.publish(message.topic, message.payload, { qos: this.config.qos, retain: message.retain });
+    this.published++;
+  }
+
+  // 'status' is emitted on state changes and errors; counters are read with getStatus()
+  setState(state) {
+    if (this.state === state) return;
+    this.state = state;
+    this.emitStatus();
+  }
+
+  emitStatus() {
+    this.emit('status', this.getStatus());
+  }
+
+  getStatus() {
+    return {
+      state: this.state,
+      url: this.config?.url || null,
+      queued: this.queue.length,
+      published: this.published,
+      dropped: this.dropped,
+      onlineDevices: Array.from(this.devices.values()).filter(device => device.online).length,
+      lastError: this.lastError,
+      nextRetryAt: this.nextRetryAt
+    };
+  }
+}
+
+// Fill {placeholder}s in a topic template. Values are made safe as a single
+// topic level: "/", "#", "+" and whitespace become "_".
+function renderTopic(template, values) {
+  return template.replace(/\{(\w+)\}/g, (match, key) => {
+    const value = values[key];
+    if (value === undefined || value === null || value === '') return 'unknown';
+    return String(value).replace(/[/#+\s]+/g, '_').replace(/^_+|_+$/g, '') || 'unknown';
+  });
+}
+
+module.exports = { MqttBridge, renderTopic };
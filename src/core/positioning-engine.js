@@ -0,0 +1,368 @@
+// Relative 2D positioning from the pairwise RSSI ESP2 devices report about
+// each other (payload.peers_status in pings, payload.nearby_peers in data and
+// triangulation messages).
+//
+// Pairwise distances form a distance matrix; gaps are filled with shortest
+// paths through measured links, classical MDS gives a first layout and a
+// stress-minimising pass fits it to the measured links. The layout is only
+// defined up to rotation and mirroring, so it is turned to agree with the
+// compass directions the firmware reports, or - when there are none - so the
+// reference device lies due north of the first one.
+
+const DEFAULT_STALE_MS = 2 * 60 * 1000;
+const REFINE_ITERATIONS = 300;
+// Start vectors for the power iteration, tried in turn
+const START_SEEDS = [i => Math.sin(i + 1) + 1.5, i => Math.cos(2 * i + 1), i => ((i * 7919) % 13) - 6];
+
+const COMPASS_POINTS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+
+// Direction strings from the firmware's directionToString()
+const REPORTED_BEARINGS = {
+  North: 0, Northeast: 45, East: 90, Southeast: 135,
+  South: 180, Southwest: 225, West: 270, Northwest: 315
+};
+
+class PositioningEngine {
+  // options.rssiToDistance(rssi, { from, to }) converts a link's RSSI to metres;
+  // options.smoothedRssi(from, to), when given, replaces the last raw reading
+  constructor(options = {}) {
+    this.staleMs = options.staleMs || DEFAULT_STALE_MS;
+    this.rssiToDistance = options.rssiToDistance;
+    this.smoothedRssi = options.smoothedRssi || null;
+    this.links = new Map();
+    this.latestAt = 0;
+  }
+
+  // Record the peer links an envelope reports. Returns how many were recorded.
+  observe(envelope, receivedAt) {
+    const reporter = envelope?.source_device?.device_id;
+    const payload = envelope?.payload;
+    if (!reporter || !payload) return 0;
+
+    const peers = []
+      .concat(Array.isArray(payload.peers_status) ? payload.peers_status : [])
+      .concat(Array.isArray(payload.nearby_peers) ? payload.nearby_peers : []);
+    const at = receivedAt ? new Date(receivedAt).getTime() : Date.now();
+    let recorded = 0;
+
+    peers.forEach(peer => {
+      if (!peer || !peer.device_id || peer.device_id === reporter) return;
+      const rssi = typeof peer.rssi === 'number' && peer.rssi < 0 ? peer.rssi : null;
+      const reportedDistance = typeof peer.distance === 'number' && peer.distance > 0 ? peer.distance : null;
+      if (rssi === null && reportedDistance === null) return;
+
+      this.links.set(`${reporter}>${peer.device_id}`, {
+        from: reporter,
+        to: peer.device_id,
+        rssi: rssi,
+        reportedDistance: reportedDistance,
+        direction: peer.direction in REPORTED_BEARINGS ? peer.direction : null,
+        at: at
+      });
+      recorded++;
+    });
+
+    this.latestAt = Math.max(this.latestAt, at);
+    return recorded;
+  }
+
+  linkDistance(link) {
+    if (link.rssi !== null) {
+      const smoothed = this.smoothedRssi ? this.smoothedRssi(link.from, link.to) : null;
+      return this.rssiToDistance(smoothed ?? link.rssi, { from: link.from, to: link.to });
+    }
+    return link.reportedDistance;
+  }
+
+  // Links still fresh relative to the newest observation (so replays work)
+  freshLinks() {
+    return Array.from(this.links.values())
+      .filter(link => this.latestAt - link.at <= this.staleMs);
+  }
+
+  // Undirected pair distances, averaging A->B and B->A when both are known
+  pairDistances(links) {
+    const pairs = new Map();
+    links.forEach(link => {
+      const distance = this.linkDistance(link);
+      if (!(distance > 0)) return;
+      const [a, b] = [link.from, link.to].sort();
+      const key = `${a}|${b}`;
+      if (!pairs.has(key)) pairs.set(key, { a, b, total: 0, count: 0 });
+      const pair = pairs.get(key);
+      pair.total += distance;
+      pair.count++;
+    });
+    pairs.forEach(pair => {
+      pair.distance = pair.total / pair.count;
+    });
+    return pairs;
+  }
+
+  // Solve the layout. Returns { nodes, pairs, orientation, anchor } where
+  // nodes are { deviceId, x, y, measuredLinks, confidence } with y pointing north.
+  solve() {
+    const links = this.freshLinks();
+    const pairs = this.pairDistances(links);
+    const ids = Array.from(new Set(Array.from(pairs.values()).flatMap(pair => [pair.a, pair.b]))).sort();
+    const n = ids.length;
+    if (n === 0) {
+      return { nodes: [], pairs: pairs, orientation: 'none', anchor: null };
+    }
+
+    const index = new Map(ids.map((id, i) => [id, i]));
+    const measured = matrix(n, Infinity);
+    for (let i = 0; i < n; i++) measured[i][i] = 0;
+    pairs.forEach(pair => {
+      const i = index.get(pair.a);
+      const j = index.get(pair.b);
+      measured[i][j] = measured[j][i] = pair.distance;
+    });
+
+    const full = fillShortestPaths(measured);
+    let coords = classicalMDS(full);
+    coords = refine(coords, measured, full);
+
+    const orientation = orient(coords, links, index, ids);
+
+    const nodes = ids.map((id, i) => {
+      let measuredLinks = 0;
+      let relativeError = 0;
+      for (let j = 0; j < n; j++) {
+        if (i === j || measured[i][j] === Infinity) continue;
+        measuredLinks++;
+        relativeError += Math.abs(distanceBetween(coords[i], coords[j]) - measured[i][j]) / measured[i][j];
+      }
+      // Three links pin a point down in 2D; layout error erodes confidence
+      const fit = measuredLinks > 0 ? Math.max(0, 1 - relativeError / measuredLinks) : 0;
+      return {
+        deviceId: id,
+        x: coords[i][0],
+        y: coords[i][1],
+        measuredLinks: measuredLinks,
+        confidence: Math.min(1, measuredLinks / 3) * fit
+      };
+    });
+
+    return { nodes: nodes, pairs: pairs, orientation: orientation.mode, anchor: orientation.anchor };
+  }
+
+  // Every other device as seen from `originId`: distance, bearing and compass
+  // point, sorted nearest first
+  viewFrom(originId) {
+    const solution = this.solve();
+    const origin = solution.nodes.find(node => node.deviceId === originId);
+    const result = {
+      origin: originId || null,
+      orientation: solution.orientation,
+      anchor: solution.anchor,
+      nodes: solution.nodes,
+      devices: [],
+      updatedAt: this.latestAt ? new Date(this.latestAt).toISOString() : null
+    };
+    if (!origin) return result;
+
+    result.devices = solution.nodes
+      .filter(node => node !== origin)
+      .map(node => {
+        const x = node.x - origin.x;
+        const y = node.y - origin.y;
+        const [a, b] = [originId, node.deviceId].sort();
+        const direct = solution.pairs.get(`${a}|${b}`);
+        const bearing = (Math.atan2(x, y) * 180 / Math.PI + 360) % 360;
+        return {
+          deviceId: node.deviceId,
+          x: x,
+          y: y,
+          // A measured link beats the distance implied by the layout
+          distance: direct ? direct.distance : Math.hypot(x, y),
+          measured: Boolean(direct),
+          bearing: bearing,
+          compass: COMPASS_POINTS[Math.round(bearing / 45) % 8],
+          confidence: Math.sqrt(origin.confidence * node.confidence) * (direct ? 1 : 0.6)
+        };
+      })
+      .sort((a, b) => a.distance - b.distance);
+    return result;
+  }
+
+  clear() {
+    this.links.clear();
+    this.latestAt = 0;
+  }
+}
+
+function matrix(n, value) {
+  return Array.from({ length: n }, () => new Array(n).fill(value));
+}
+
+function distanceBetween(p, q) {
+  return Math.hypot(p[0] - q[0], p[1] - q[1]);
+}
+
+// Floyd-Warshall; pairs in different components get a generous finite guess
+function fillShortestPaths(measured) {
+  const n = measured.length;
+  const full = measured.map(row => row.slice());
+  for (let k = 0; k < n; k++) {
+    for (let i = 0; i < n; i++) {
+      for (let j = 0; j < n; j++) {
+        if (full[i][k] + full[k][j] < full[i][j]) {
+          full[i][j] = full[i][k] + full[k][j];
+        }
+      }
+    }
+  }
+
+  let maxFinite = 1;
+  full.forEach(row => row.forEach(value => {
+    if (value !== Infinity) maxFinite = Math.max(maxFinite, value);
+  }));
+  return full.map(row => row.map(value => (value === Infinity ? maxFinite * 1.5 : value)));
+}
+
+// Classical (Torgerson) MDS to two dimensions
+function classicalMDS(distances) {
+  const n = distances.length;
+  if (n === 1) return [[0, 0]];
+
+  const squared = distances.map(row => row.map(value => value * value));
+  const rowMeans = squared.map(row => row.reduce((sum, value) => sum + value, 0) / n);
+  const grandMean = rowMeans.reduce((sum, value) => sum + value, 0) / n;
+  const b = squared.map((row, i) => row.map((value, j) => -0.5 * (value - rowMeans[i] - rowMeans[j] + grandMean)));
+
+  const first = powerIteration(b);
+  const deflated = b.map((row, i) => row.map((value, j) => value - first.value * first.vector[i] * first.vector[j]));
+  // With equal top eigenvalues (a square, say) the first start vector lies in
+  // the first axis' eigenspace and would find it again, so the second axis
+  // is searched strictly perpendicular to the first
+  const second = powerIteration(deflated, first.vector);
+
+  const scale1 = Math.sqrt(Math.max(first.value, 0));
+  const scale2 = Math.sqrt(Math.max(second.value, 0));
+  return first.vector.map((value, i) => [value * scale1, second.vector[i] * scale2]);
+}
+
+// Dominant eigenpair of the symmetric matrix `m`; with `orthogonalTo` (a unit
+// vector) only directions perpendicular to it are considered
+function powerIteration(m, orthogonalTo = null) {
+  const n = m.length;
+  const project = v => {
+    if (!orthogonalTo) return v;
+    const dot = v.reduce((sum, x, i) => sum + x * orthogonalTo[i], 0);
+    return v.map((x, i) => x - dot * orthogonalTo[i]);
+  };
+  // Deterministic starts so the same input always gives the same layout. A
+  // start can miss the dominant direction entirely (once projected it may be
+  // all null space), so the next one is tried when nothing was found.
+  const scale = Math.max(...m.map(row => Math.max(...row.map(Math.abs))));
+  let result = { value: 0, vector: new Array(n).fill(0) };
+  for (const seed of START_SEEDS) {
+    result = iterate(m, project(Array.from({ length: n }, (_, i) => seed(i))), project);
+    if (result.value > scale * 1e-9) break;
+  }
+  return result;
+}
+
+function iterate(m, start, project) {
+  let vector = start;
+  let value = 0;
+  const startNorm = Math.hypot(...vector);
+  if (startNorm < 1e-12) return { value, vector };
+  vector = vector.map(x => x / startNorm);
+  for (let iteration = 0; iteration < 100; iteration++) {
+    const next = project(m.map(row => row.reduce((sum, x, j) => sum + x * vector[j], 0)));
+    const norm = Math.hypot(...next);
+    if (norm < 1e-12) break;
+    value = next.reduce((sum, x, i) => sum + x * vector[i], 0);
+    vector = next.map(x => x / norm);
+  }
+  return { value, vector };
+}
+
+// Gradient descent on weighted stress. Measured links dominate; distances
+// inferred through other devices only nudge the layout.
+function refine(coords, measured, full) {
+  const n = coords.length;
+  const points = coords.map(point => point.slice());
+  const weight = (i, j) => (measured[i][j] !== Infinity ? 1 : 0.1);
+
+  for (let iteration = 0; iteration < REFINE_ITERATIONS; iteration++) {
+    const step = 0.2 * (1 - iteration / REFINE_ITERATIONS) / Math.max(1, n - 1);
+    const gradients = points.map(() => [0, 0]);
+    for (let i = 0; i < n; i++) {
+      for (let j = i + 1; j < n; j++) {
+        const dx = points[i][0] - points[j][0];
+        const dy = points[i][1] - points[j][1];
+        const current = Math.hypot(dx, dy) || 1e-6;
+        const error = weight(i, j) * (current - full[i][j]) / current;
+        gradients[i][0] += error * dx;
+        gradients[i][1] += error * dy;
+        gradients[j][0] -= error * dx;
+        gradients[j][1] -= error * dy;
+      }
+    }
+    points.forEach((point, i) => {
+      point[0] -= step * gradients[i][0];
+      point[1] -= step * gradients[i][1];
+    });
+  }
+  return points;
+}
+
+// Rotate (and mirror if needed) the layout in place. Returns the mode used.
+function orient(coords, links, index, ids) {
+  const observations = links
+    .filter(link => link.direction && index.has(link.from) && index.has(link.to))
+    .map(link => ({ from: index.get(link.from), to: index.get(link.to), bearing: toRadians(REPORTED_BEARINGS[link.direction]) }));
+
+  if (observations.length > 0) {
+    let best = null;
+    [false, true].forEach(mirror => {
+      const points = coords.map(([x, y]) => [mirror ? -x : x, y]);
+      let sin = 0;
+      let cos = 0;
+      observations.forEach(observation => {
+        const delta = observation.bearing - bearingOf(points[observation.from], points[observation.to]);
+        sin += Math.sin(delta);
+        cos += Math.cos(delta);
+      });
+      const agreement = Math.hypot(sin, cos) / observations.length;
+      if (!best || agreement > best.agreement) {
+        best = { mirror, rotation: Math.atan2(sin, cos), agreement };
+      }
+    });
+    applyTransform(coords, best.mirror, best.rotation);
+    return { mode: 'reported', anchor: null };
+  }
+
+  if (coords.length > 1) {
+    // No compass hints: put the second device due north of the first
+    applyTransform(coords, false, -bearingOf(coords[0], coords[1]));
+    return { mode: 'anchored', anchor: { origin: ids[0], north: ids[1] } };
+  }
+  return { mode: 'anchored', anchor: null };
+}
+
+// Bearing from p to q in radians, clockwise from north (+y)
+function bearingOf(p, q) {
+  return Math.atan2(q[0] - p[0], q[1] - p[1]);
+}
+
+// Mirror across the y axis, then rotate clockwise by `rotation`
+function applyTransform(coords, mirror, rotation) {
+  const sin = Math.sin(rotation);
+  const cos = Math.cos(rotation);
+  coords.forEach(point => {
+    const x = mirror ? -point[0] : point[0];
+    const y = point[1];
+    point[0] = x * cos + y * sin;
+    point[1] = -x * sin + y * cos;
+  });
+}
+
+function toRadians(degrees) {
+  return degrees * Math.PI / 180;
+}
+
+module.exports = { PositioningEngine, COMPASS_POINTS };
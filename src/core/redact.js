@@ -0,0 +1,39 @@
+// The ESP2 network's shared_key must not leave the monitor. Envelopes carry
+// it at the top level, and copies of it travel inside other envelopes as
+// JSON strings (esp2_raw_data, relayed_data, a relay's message_data) - so
+// everything that goes out over MQTT or the HTTP API passes through here.
+
+// A copy of `value` with every shared_key removed, also inside nested
+// objects and JSON strings (which stay strings). Returns `value` itself when
+// there was nothing to remove.
+function redactSharedKeys(value) {
+  if (typeof value === 'string') {
+    if (!value.includes('shared_key')) return value;
+    const trimmed = value.trim();
+    if (!trimmed.startsWith('{') && !trimmed.startsWith('[')) return value;
+    let parsed;
+    try {
+      parsed = JSON.parse(trimmed);
+    } catch (error) {
+      return value;
+    }
+    const redacted = redactSharedKeys(parsed);
+    return redacted === parsed ? value : JSON.stringify(redacted);
+  }
+  if (!value || typeof value !== 'object') return value;
+
+  let changed = false;
+  const copy = Array.isArray(value) ? [] : {};
+  Object.entries(value).forEach(([key, child]) => {
+    if (key === 'shared_key' && !Array.isArray(value)) {
+      changed = true;
+      return;
+    }
+    const redacted = redactSharedKeys(child);
+    if (redacted !== child) changed = true;
+    copy[key] = redacted;
+  });
+  return changed ? copy : value;
+}
+
+module.exports = { redactSharedKeys };
@@ -0,0 +1,203 @@
+const EventEmitter = require('events');
+
+// Matches MAX_RELAY_HOPS in the ESP2 firmware; messages at this many hops are
+// no longer forwarded
+const MAX_RELAY_HOPS = 5;
+
+// Rebuilds the hop path of store-and-forward messages and keeps aggregate
+// relay statistics. Two relay layouts are understood:
+//   firmware: payload.message_data (original envelope) whose
+//             payload.relay_chain lists each relay, plus payload.hop_count
+//   docs:     payload.relay_info { original_sender, relay_path, hop_count }
+//             plus payload.original_message
+// Any other envelope with a non-empty payload.relay_chain is an original
+// message that reached us after being relayed.
+class RelayTracer extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.maxTraces = options.maxTraces || 200;
+    this.traces = new Map();
+    this.relayCounts = {};
+  }
+
+  // Returns the trace for a relayed envelope, or null if it wasn't relayed.
+  // `context` is the arrival: { path, gateway, receivedAt }
+  observe(envelope, context = {}) {
+    const parts = extractRelayParts(envelope);
+    if (!parts) return null;
+
+    const receivedAt = context.receivedAt || new Date().toISOString();
+    const hops = buildHops(parts);
+    const hopCount = Math.max(parts.hopCount || 0, hops.length - 1);
+    const origin = hops[0];
+    const originAt = origin.at ? new Date(origin.at).getTime() : null;
+
+    const trace = {
+      traceId: `${origin.deviceId}:${parts.messageId}`,
+      messageId: parts.messageId,
+      messageType: parts.original?.message_type || null,
+      origin: origin.deviceId,
+      deliveredBy: hops[hops.length - 1].deviceId,
+      hops: hops,
+      hopCount: hopCount,
+      hitMaxHops: hopCount >= MAX_RELAY_HOPS,
+      arrival: {
+        path: context.path || 'UNKNOWN',
+        gateway: context.gateway || null,
+        at: receivedAt
+      },
+      // Only meaningful when the origin stamped an epoch time
+      latencyMs: originAt !== null ? new Date(receivedAt).getTime() - originAt : null,
+      deliveries: 1
+    };
+
+    const existing = this.traces.get(trace.traceId);
+    if (existing) {
+      // The same message relayed again (another route or a retry)
+      trace.deliveries = existing.deliveries + 1;
+      this.traces.delete(trace.traceId);
+    } else {
+      hops.slice(1).forEach(hop => {
+        this.relayCounts[hop.deviceId] = (this.relayCounts[hop.deviceId] || 0) + 1;
+      });
+    }
+    this.traces.set(trace.traceId, trace);
+    this.trim();
+
+    this.emit('trace', trace);
+    return trace;
+  }
+
+  trim() {
+    while (this.traces.size > this.maxTraces) {
+      this.traces.delete(this.traces.keys().next().value);
+    }
+  }
+
+  // Newest first
+  list() {
+    return Array.from(this.traces.values()).reverse();
+  }
+
+  getStats() {
+    const traces = Array.from(this.traces.values());
+    const totalHops = traces.reduce((sum, trace) => sum + trace.hopCount, 0);
+    const latencies = traces.map(trace => trace.latencyMs).filter(latency => latency !== null);
+
+    return {
+      tracedMessages: traces.length,
+      averageHops: traces.length > 0 ? totalHops / traces.length : 0,
+      averageLatencyMs: latencies.length > 0
+        ? latencies.reduce((sum, latency) => sum + latency, 0) / latencies.length
+        : null,
+      maxHops: MAX_RELAY_HOPS,
+      maxHopMessages: traces.filter(trace => trace.hitMaxHops).map(trace => trace.traceId),
+      topRelays: Object.entries(this.relayCounts)
+        .map(([deviceId, count]) => ({ deviceId, count }))
+        .sort((a, b) => b.count - a.count)
+        .slice(0, 10)
+    };
+  }
+
+  clear() {
+    this.traces.clear();
+    this.relayCounts = {};
+  }
+}
+
+// Pull the original envelope, relay hops and hop count out of an envelope
+function extractRelayParts(envelope) {
+  const payload = envelope?.payload;
+  if (!payload || typeof payload !== 'object') return null;
+
+  if (envelope.message_type === 'relay') {
+    const original = asObject(payload.message_data) || asObject(payload.original_message);
+    const relayInfo = payload.relay_info || {};
+    return {
+      original: original,
+      originId: original?.source_device?.device_id || relayInfo.original_sender || payload.original_sender || 'unknown',
+      messageId: original?.message_id || payload.relay_message_id || envelope.message_id,
+      chain: Array.isArray(original?.payload?.relay_chain) ? original.payload.relay_chain : [],
+      relayPath: Array.isArray(relayInfo.relay_path) ? relayInfo.relay_path : [],
+      relayTimestamp: relayInfo.relay_timestamp,
+      hopCount: Number(payload.hop_count ?? relayInfo.hop_count) || 0,
+      deliverer: envelope.source_device?.device_id || null,
+      deliveredTimestamp: envelope.timestamp
+    };
+  }
+
+  if (Array.isArray(payload.relay_chain) && payload.relay_chain.length > 0) {
+    return {
+      original: envelope,
+      originId: envelope.source_device?.device_id || 'unknown',
+      messageId: envelope.message_id,
+      chain: payload.relay_chain,
+      relayPath: [],
+      hopCount: payload.relay_chain.length,
+      deliverer: null,
+      deliveredTimestamp: null
+    };
+  }
+
+  return null;
+}
+
+// Hop list from origin to the delivering device:
+//   [{ deviceId, role: 'origin'|'relay'|'delivery', timestamp, at, rssi }]
+// `timestamp` is what the device reported; `at` is set when that looks like
+// an epoch time (firmware often reports uptime seconds instead).
+function buildHops(parts) {
+  const hops = [makeHop(parts.originId, 'origin', parts.original?.timestamp)];
+
+  parts.chain.forEach(hop => {
+    hops.push(makeHop(hop.device_id, 'relay', hop.timestamp, hop.rssi));
+  });
+
+  // relay_path lists device ids only; it starts with the original sender
+  parts.relayPath.forEach((deviceId, index) => {
+    if (index === 0 && deviceId === parts.originId) return;
+    if (hops.some(hop => hop.deviceId === deviceId)) return;
+    const isLast = index === parts.relayPath.length - 1;
+    hops.push(makeHop(deviceId, 'relay', isLast ? parts.relayTimestamp : undefined));
+  });
+
+  const last = hops[hops.length - 1];
+  if (parts.deliverer && last.deviceId !== parts.deliverer) {
+    hops.push(makeHop(parts.deliverer, 'delivery', parts.deliveredTimestamp));
+  } else if (hops.length > 1) {
+    last.role = 'delivery';
+  }
+  return hops;
+}
+
+function makeHop(deviceId, role, timestamp, rssi) {
+  return {
+    deviceId: deviceId || 'unknown',
+    role: role,
+    timestamp: typeof timestamp === 'number' ? timestamp : null,
+    at: toEpochTime(timestamp),
+    rssi: typeof rssi === 'number' ? rssi : null
+  };
+}
+
+// Epoch seconds or milliseconds to ISO; anything smaller is device uptime
+function toEpochTime(timestamp) {
+  if (typeof timestamp !== 'number') return null;
+  if (timestamp > 1e12) return new Date(timestamp).toISOString();
+  if (timestamp > 1e9) return new Date(timestamp * 1000).toISOString();
+  return null;
+}
+
+function asObject(value) {
+  if (value && typeof value === 'object') return value;
+  if (typeof value === 'string') {
+    try {
+      return JSON.parse(value);
+    } catch (e) {
+      return null;
+    }
+  }
+  return null;
+}
+
+module.exports = { RelayTracer, MAX_RELAY_HOPS };
@@ -0,0 +1,78 @@
+// Fixed-capacity FIFO: once full, every push drops the oldest item. Used for
+// the dashboard's log (index.html loads this file as window.RingBuffer before
+// renderer.js); Node code requires it.
+(function (exports) {
+  class RingBuffer {
+    constructor(capacity) {
+      this.items = [];
+      this.start = 0;
+      this.length = 0;
+      this.capacity = 0;
+      this.resize(capacity);
+    }
+
+    // Returns the item that was dropped to make room, or undefined
+    push(item) {
+      if (this.length < this.capacity) {
+        this.items[(this.start + this.length) % this.capacity] = item;
+        this.length++;
+        return undefined;
+      }
+      const dropped = this.items[this.start];
+      this.items[this.start] = item;
+      this.start = (this.start + 1) % this.capacity;
+      return dropped;
+    }
+
+    // index 0 is the oldest item
+    get(index) {
+      if (index < 0 || index >= this.length) return undefined;
+      return this.items[(this.start + index) % this.capacity];
+    }
+
+    // Newest item matching `predicate`
+    findLast(predicate) {
+      for (let i = this.length - 1; i >= 0; i--) {
+        const item = this.get(i);
+        if (predicate(item)) return item;
+      }
+      return undefined;
+    }
+
+    forEach(callback) {
+      for (let i = 0; i < this.length; i++) {
+        callback(this.get(i), i);
+      }
+    }
+
+    toArray() {
+      const items = new Array(this.length);
+      this.forEach((item, i) => {
+        items[i] = item;
+      });
+      return items;
+    }
+
+    clear() {
+      this.items = [];
+      this.start = 0;
+      this.length = 0;
+    }
+
+    // Change the capacity, keeping the newest items. Returns how many were dropped.
+    resize(capacity) {
+      if (!Number.isInteger(capacity) || capacity < 1) {
+        throw new Error(`Invalid capacity: ${capacity}`);
+      }
+      const items = this.toArray();
+      const dropped = Math.max(0, items.length - capacity);
+      this.items = items.slice(dropped);
+      this.start = 0;
+      this.length = this.items.length;
+      this.capacity = capacity;
+      return dropped;
+    }
+  }
+
+  exports.RingBuffer = RingBuffer;
+})(typeof module !== 'undefined' && module.exports ? module.exports : window);
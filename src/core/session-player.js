@@ -0,0 +1,199 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+
+// Frames fed per tick when replaying "as fast as possible"
+const MAX_SPEED_BATCH = 200;
+
+// Replays an NDJSON session written by SessionRecorder.
+// Emits 'frame' for every recorded frame (in order, honouring the original
+// spacing divided by the playback speed), 'status' whenever the playback
+// state changes and 'rewind' when frames may be played again (a session was
+// loaded, playback restarted from the beginning or jumped).
+class SessionPlayer extends EventEmitter {
+  constructor() {
+    super();
+    this.reset();
+  }
+
+  reset() {
+    this.stopTimer();
+    this.frames = [];
+    this.filePath = null;
+    this.header = null;
+    this.index = 0;
+    this.speed = 1;
+    this.state = 'idle';
+  }
+
+  load(filePath) {
+    const content = fs.readFileSync(filePath, 'utf8');
+    const frames = [];
+    let header = null;
+
+    content.split('\n').forEach((line, lineNumber) => {
+      if (!line.trim()) return;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (e) {
+        throw new Error(`Invalid session file: line ${lineNumber + 1} is not JSON`);
+      }
+      if (entry.session) {
+        header = entry.session;
+      } else if (entry.transport && entry.t && entry.data !== undefined) {
+        frames.push({ ...entry, time: new Date(entry.t).getTime() });
+      }
+    });
+
+    if (frames.length === 0) {
+      throw new Error('Session file contains no frames');
+    }
+
+    frames.sort((a, b) => a.time - b.time);
+
+    this.reset();
+    this.frames = frames;
+    this.filePath = filePath;
+    this.header = header;
+    this.state = 'loaded';
+    this.emit('rewind');
+    this.emitStatus();
+    return this.getStatus();
+  }
+
+  // speed: 1, 10 or 'max'
+  play(speed = this.speed) {
+    if (this.frames.length === 0) return this.getStatus();
+
+    this.speed = speed;
+    if (this.index >= this.frames.length) {
+      this.index = 0;
+      this.emit('rewind');
+    }
+    this.state = 'playing';
+    this.stopTimer();
+    this.emitStatus();
+    this.scheduleNext(0);
+    return this.getStatus();
+  }
+
+  pause() {
+    if (this.state !== 'playing') return this.getStatus();
+    this.stopTimer();
+    this.state = 'paused';
+    this.emitStatus();
+    return this.getStatus();
+  }
+
+  // Jump to an offset (ms from the first frame); playback continues from there
+  seek(positionMs) {
+    if (this.frames.length === 0) return this.getStatus();
+
+    const target = this.frames[0].time + Math.max(0, positionMs);
+    let index = this.frames.findIndex(frame => frame.time >= target);
+    if (index === -1) index = this.frames.length;
+    this.index = index;
+    this.emit('rewind');
+
+    if (this.state === 'playing') {
+      this.stopTimer();
+      this.scheduleNext(0);
+    } else if (this.state === 'finished' && index < this.frames.length) {
+      this.state = 'paused';
+    }
+    this.emitStatus();
+    return this.getStatus();
+  }
+
+  stop() {
+    this.reset();
+    this.emitStatus();
+    return this.getStatus();
+  }
+
+  scheduleNext(delay) {
+    this.timerIsTimeout = this.speed !== 'max';
+    if (this.timerIsTimeout) {
+      this.timer = setTimeout(() => this.playFrame(), delay);
+    } else {
+      this.timer = setImmediate(() => this.playBatch());
+    }
+  }
+
+  playFrame() {
+    this.timer = null;
+    const frame = this.frames[this.index++];
+    this.emit('frame', frame);
+
+    if (this.index >= this.frames.length) {
+      this.finish();
+      return;
+    }
+
+    const gap = this.frames[this.index].time - frame.time;
+    this.scheduleNext(Math.max(0, gap / this.speed));
+    this.emitProgress();
+  }
+
+  playBatch() {
+    this.timer = null;
+    const end = Math.min(this.index + MAX_SPEED_BATCH, this.frames.length);
+    while (this.index < end) {
+      this.emit('frame', this.frames[this.index++]);
+    }
+
+    if (this.index >= this.frames.length) {
+      this.finish();
+      return;
+    }
+    this.emitProgress();
+    this.scheduleNext(0);
+  }
+
+  finish() {
+    this.state = 'finished';
+    this.emitStatus();
+  }
+
+  stopTimer() {
+    if (!this.timer) return;
+    if (this.timerIsTimeout) {
+      clearTimeout(this.timer);
+    } else {
+      clearImmediate(this.timer);
+    }
+    this.timer = null;
+  }
+
+  // Throttle progress updates to roughly four per second
+  emitProgress() {
+    const now = Date.now();
+    if (!this.lastProgress || now - this.lastProgress > 250) {
+      this.lastProgress = now;
+      this.emitStatus();
+    }
+  }
+
+  emitStatus() {
+    this.emit('status', this.getStatus());
+  }
+
+  getStatus() {
+    const first = this.frames[0];
+    const last = this.frames[this.frames.length - 1];
+    const current = this.frames[Math.min(this.index, this.frames.length - 1)];
+
+    return {
+      state: this.state,
+      filePath: this.filePath,
+      startedAt: this.header?.startedAt || (first ? first.t : null),
+      frameCount: this.frames.length,
+      index: this.index,
+      speed: this.speed,
+      durationMs: first ? last.time - first.time : 0,
+      positionMs: current ? current.time - first.time : 0
+    };
+  }
+}
+
+module.exports = { SessionPlayer };
@@ -0,0 +1,89 @@
+const fs = require('fs');
+const path = require('path');
+
+const SESSION_FORMAT_VERSION = 1;
+
+// Writes every raw frame the monitor receives to an NDJSON session file.
+// The first line is a header; every following line is one frame:
+//   { "t": <ISO host timestamp>, "transport": "serial"|"websocket", "data": <raw text>, ...meta }
+class SessionRecorder {
+  constructor() {
+    this.stream = null;
+    this.filePath = null;
+    this.startedAt = null;
+    this.frameCount = 0;
+  }
+
+  get isRecording() {
+    return this.stream !== null;
+  }
+
+  start(filePath) {
+    if (this.isRecording) {
+      this.stop();
+    }
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+    this.stream = fs.createWriteStream(filePath, { flags: 'w' });
+    this.stream.on('error', (error) => {
+      console.error('Session recording error:', error);
+      this.stream = null;
+    });
+    this.filePath = filePath;
+    this.startedAt = new Date().toISOString();
+    this.frameCount = 0;
+
+    this.writeLine({
+      session: {
+        version: SESSION_FORMAT_VERSION,
+        startedAt: this.startedAt,
+        app: 'esp-monitor'
+      }
+    });
+    return this.getStatus();
+  }
+
+  // `meta` carries transport details such as the serial port or client address
+  record(transport, data, meta = {}) {
+    if (!this.isRecording) return;
+
+    const { timestamp, ...details } = meta;
+    this.writeLine({
+      t: timestamp || new Date().toISOString(),
+      transport: transport,
+      ...details,
+      data: typeof data === 'string' ? data : data.toString()
+    });
+    this.frameCount++;
+  }
+
+  stop() {
+    const status = this.getStatus();
+    if (this.stream) {
+      this.stream.end();
+      this.stream = null;
+    }
+    return status;
+  }
+
+  writeLine(object) {
+    this.stream.write(JSON.stringify(object) + '\n');
+  }
+
+  getStatus() {
+    return {
+      recording: this.isRecording,
+      filePath: this.filePath,
+      startedAt: this.startedAt,
+      frameCount: this.frameCount
+    };
+  }
+}
+
+// Default file name for a new session, e.g. session-2024-05-01T10-22-03.ndjson
+function createSessionFileName(date = new Date()) {
+  return `session-${date.toISOString().replace(/:/g, '-').replace(/\..+$/, '')}.ndjson`;
+}
+
+module.exports = { SessionRecorder, createSessionFileName, SESSION_FORMAT_VERSION };
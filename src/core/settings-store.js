@@ -0,0 +1,306 @@
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+
+// Topic templates: no wildcards or spaces; placeholders are filled per message
+function topicTemplate(label, defaultTemplate) {
+  return {
+    label: label,
+    type: 'string',
+    default: defaultTemplate,
+    pattern: /^([^#+\s{}]|\{(device_id|message_type|gateway_id|path)\})+$/,
+    hint: 'must be a topic without wildcards or spaces; placeholders: {device_id}, {message_type}, {gateway_id}, {path}'
+  };
+}
+
+// Every application setting with its default and the values it accepts
+const SETTINGS_SCHEMA = {
+  websocketPort: {
+    label: 'WebSocket server port',
+    type: 'integer',
+    default: 8080,
+    min: 1,
+    max: 65535
+  },
+  baudRate: {
+    label: 'Serial baud rate',
+    type: 'integer',
+    default: 115200,
+    values: [9600, 19200, 38400, 57600, 115200, 230400, 460800, 921600]
+  },
+  serialReconnectMs: {
+    label: 'Serial reconnect delay (ms)',
+    type: 'integer',
+    default: 3000,
+    min: 500,
+    max: 60000
+  },
+  relayTimeoutMs: {
+    label: 'Relay indicator timeout (ms)',
+    type: 'integer',
+    default: 10000,
+    min: 1000,
+    max: 300000
+  },
+  verboseLogging: {
+    label: 'Verbose logging',
+    type: 'boolean',
+    default: false
+  },
+  // Log entries the dashboard keeps; the oldest are dropped beyond this
+  logRetention: {
+    label: 'Log retention (entries)',
+    type: 'integer',
+    default: 10000,
+    min: 500,
+    max: 200000
+  },
+  apiEnabled: {
+    label: 'HTTP API',
+    type: 'boolean',
+    default: false
+  },
+  apiPort: {
+    label: 'HTTP API port',
+    type: 'integer',
+    default: 8090,
+    min: 1,
+    max: 65535
+  },
+  apiLanAccess: {
+    label: 'HTTP API LAN access',
+    type: 'boolean',
+    default: false
+  },
+  // Required for LAN access; secrets are left out of settings exports
+  apiToken: {
+    label: 'HTTP API token',
+    type: 'string',
+    default: '',
+    pattern: /^([A-Za-z0-9_-]{16,128})?$/,
+    hint: 'must be empty or 16-128 letters, digits, "-" or "_"',
+    secret: true
+  },
+  mqttEnabled: {
+    label: 'MQTT bridge',
+    type: 'boolean',
+    default: false
+  },
+  mqttUrl: {
+    label: 'MQTT broker URL',
+    type: 'string',
+    default: 'mqtt://localhost:1883',
+    pattern: /^(mqtts?|wss?|tcp|ssl):\/\/\S+$/,
+    hint: 'must be a broker URL such as mqtt://localhost:1883'
+  },
+  mqttUsername: {
+    label: 'MQTT username',
+    type: 'string',
+    default: '',
+    pattern: /^\S{0,128}$/,
+    hint: 'must be at most 128 characters without spaces'
+  },
+  mqttPassword: {
+    label: 'MQTT password',
+    type: 'string',
+    default: '',
+    pattern: /^.{0,256}$/,
+    hint: 'must be at most 256 characters',
+    secret: true
+  },
+  mqttMessageTopic: topicTemplate('MQTT message topic', 'esp/{device_id}/{message_type}'),
+  mqttGatewayTopic: topicTemplate('MQTT gateway status topic', 'esp/gateway/{gateway_id}/status'),
+  mqttPresenceTopic: topicTemplate('MQTT device presence topic', 'esp/{device_id}/status'),
+  mqttBridgeTopic: topicTemplate('MQTT monitor presence topic', 'esp/monitor/status'),
+  mqttQos: {
+    label: 'MQTT QoS',
+    type: 'integer',
+    default: 0,
+    values: [0, 1, 2]
+  },
+  mqttQueueSize: {
+    label: 'MQTT offline queue size',
+    type: 'integer',
+    default: 1000,
+    min: 0,
+    max: 100000
+  },
+  mqttPresenceTimeoutSec: {
+    label: 'MQTT presence timeout (s)',
+    type: 'integer',
+    default: 60,
+    min: 10,
+    max: 3600
+  }
+};
+
+const EXPORT_FORMAT = 'esp32-dashboard-settings';
+const EXPORT_VERSION = 1;
+
+// Application settings persisted as JSON in userData. Emits 'change' with
+// { key, value, previous } for every setting an update actually changes.
+class SettingsStore extends EventEmitter {
+  constructor() {
+    super();
+    this.filePath = null;
+    this.values = defaults();
+    // Values for this run only (command-line flags); never saved
+    this.overrides = {};
+  }
+
+  load(filePath) {
+    this.filePath = filePath;
+    try {
+      const content = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      Object.keys(SETTINGS_SCHEMA).forEach(key => {
+        if (content[key] === undefined) return;
+        const { value, error } = validateSetting(key, content[key]);
+        if (error) {
+          console.error(`Ignoring saved setting ${key}: ${error}`);
+        } else {
+          this.values[key] = value;
+        }
+      });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Could not read settings:', error.message);
+      }
+    }
+    return this.getAll();
+  }
+
+  save() {
+    if (!this.filePath) return;
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(this.filePath, JSON.stringify(this.values, null, 2));
+  }
+
+  get(key) {
+    return key in this.overrides ? this.overrides[key] : this.values[key];
+  }
+
+  getAll() {
+    return { ...this.values, ...this.overrides };
+  }
+
+  // Validate every change first so a bad value leaves nothing half-applied.
+  // Returns the keys that changed.
+  update(changes) {
+    const validated = this.validate(changes);
+    const changed = Object.keys(validated).filter(key => validated[key] !== this.get(key));
+    const previous = this.getAll();
+    changed.forEach(key => {
+      this.values[key] = validated[key];
+      delete this.overrides[key];
+    });
+    if (changed.length > 0) this.save();
+    changed.forEach(key => {
+      this.emit('change', { key, value: this.get(key), previous: previous[key] });
+    });
+    return changed;
+  }
+
+  override(changes) {
+    Object.assign(this.overrides, this.validate(changes));
+  }
+
+  // Validated values for `changes`; throws listing every invalid entry
+  validate(changes) {
+    const errors = [];
+    const validated = {};
+    Object.entries(changes || {}).forEach(([key, raw]) => {
+      if (!SETTINGS_SCHEMA[key]) {
+        errors.push(`unknown setting "${key}"`);
+        return;
+      }
+      const { value, error } = validateSetting(key, raw);
+      if (error) {
+        errors.push(`${SETTINGS_SCHEMA[key].label}: ${error}`);
+      } else {
+        validated[key] = value;
+      }
+    });
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+    return validated;
+  }
+
+  reset() {
+    return this.update(defaults());
+  }
+
+  getSchema() {
+    return SETTINGS_SCHEMA;
+  }
+}
+
+// Returns { value, error } with numeric strings coerced for integer settings
+function validateSetting(key, raw) {
+  const schema = SETTINGS_SCHEMA[key];
+  if (schema.type === 'boolean') {
+    return typeof raw === 'boolean' ? { value: raw, error: null } : { value: null, error: 'must be true or false' };
+  }
+  if (schema.type === 'string') {
+    const value = typeof raw === 'string' ? raw.trim() : raw;
+    if (typeof value !== 'string' || !schema.pattern.test(value)) {
+      return { value: null, error: schema.hint };
+    }
+    return { value: value, error: null };
+  }
+
+  const value = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+  if (typeof value !== 'number' || !Number.isInteger(value)) {
+    return { value: null, error: 'must be a whole number' };
+  }
+  if (schema.values && !schema.values.includes(value)) {
+    return { value: null, error: `must be one of ${schema.values.join(', ')}` };
+  }
+  if ((schema.min !== undefined && value < schema.min) || (schema.max !== undefined && value > schema.max)) {
+    return { value: null, error: `must be between ${schema.min} and ${schema.max}` };
+  }
+  return { value: value, error: null };
+}
+
+function defaults() {
+  const values = {};
+  Object.entries(SETTINGS_SCHEMA).forEach(([key, schema]) => {
+    values[key] = schema.default;
+  });
+  return values;
+}
+
+// Settings file shared between machines. `sections` holds the other
+// persisted stores (distance profiles, alert rules) by name. Secret settings
+// stay on this machine.
+function createSettingsExport(settings, sections = {}) {
+  const shared = {};
+  Object.entries(settings).forEach(([key, value]) => {
+    if (!SETTINGS_SCHEMA[key]?.secret) shared[key] = value;
+  });
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    settings: shared,
+    ...sections
+  };
+}
+
+function parseSettingsExport(text) {
+  let content;
+  try {
+    content = JSON.parse(text);
+  } catch (e) {
+    throw new Error('Settings file is not valid JSON');
+  }
+  if (!content || content.format !== EXPORT_FORMAT) {
+    throw new Error('Not a settings export file');
+  }
+  if (content.version > EXPORT_VERSION) {
+    throw new Error(`Settings file version ${content.version} is newer than this app supports`);
+  }
+  return content;
+}
+
+module.exports = { SettingsStore, SETTINGS_SCHEMA, createSettingsExport, parseSettingsExport };
@@ -0,0 +1,162 @@
+// Force-directed layout for the topology graph: nodes repel each other,
+// edges pull like springs whose rest length grows as the link's RSSI falls,
+// and a weak pull keeps everything near the origin. Positions persist across
+// updates - only a change to the set of nodes or edges starts the simulation
+// again (gently, from where everything already is), so new readings on known
+// links don't make the graph jump. index.html and the Gateway Monitor load
+// this file as window.TopologyLayout; Node code requires it.
+(function (exports) {
+  const NEAR_RSSI = -40;
+  const FAR_RSSI = -90;
+  const MIN_LINK_LENGTH = 70;
+  const MAX_LINK_LENGTH = 200;
+  const REPULSION = 4000;
+  const GRAVITY = 0.02;
+  const FRICTION = 0.6;
+  // Energy when the simulation starts and when a change warms it up again
+  const START_ALPHA = 1;
+  const REHEAT_ALPHA = 0.3;
+  const ALPHA_DECAY = 0.03;
+  const MIN_ALPHA = 0.005;
+
+  // Spring rest length for a link: strong links draw devices close together
+  function linkLength(rssi) {
+    if (typeof rssi !== 'number') return (MIN_LINK_LENGTH + MAX_LINK_LENGTH) / 2;
+    const weakness = Math.min(1, Math.max(0, (NEAR_RSSI - rssi) / (NEAR_RSSI - FAR_RSSI)));
+    return MIN_LINK_LENGTH + weakness * (MAX_LINK_LENGTH - MIN_LINK_LENGTH);
+  }
+
+  class TopologyLayout {
+    constructor() {
+      this.positions = new Map();
+      this.links = [];
+      this.alpha = 0;
+      this.structure = '';
+    }
+
+    // nodes: [{ id }], edges: [{ id, source, target, rssi }]. Returns true
+    // when nodes or edges were added or removed (the layout moves again).
+    setGraph(nodes, edges) {
+      const structure = nodes.map(node => node.id).join(',') + '/' + edges.map(edge => edge.id).join(',');
+      const ids = new Set(nodes.map(node => node.id));
+      this.links = edges
+        .filter(edge => ids.has(edge.source) && ids.has(edge.target))
+        .map(edge => ({ source: edge.source, target: edge.target, length: linkLength(edge.rssi) }));
+      if (structure === this.structure) return false;
+
+      const first = this.positions.size === 0;
+      this.positions.forEach((position, id) => {
+        if (!ids.has(id)) this.positions.delete(id);
+      });
+      nodes.forEach(node => {
+        if (!this.positions.has(node.id)) this.positions.set(node.id, this.placeNew(node.id, edges));
+      });
+      this.structure = structure;
+      this.alpha = Math.max(this.alpha, first ? START_ALPHA : REHEAT_ALPHA);
+      return true;
+    }
+
+    // A new node starts next to a neighbour that already has a place, so it
+    // settles without dragging the rest of the graph around
+    placeNew(id, edges) {
+      const anchors = edges
+        .map(edge => (edge.source === id ? edge.target : edge.target === id ? edge.source : null))
+        .map(neighbour => neighbour && this.positions.get(neighbour))
+        .filter(Boolean);
+      const angle = Math.random() * Math.PI * 2;
+      const radius = anchors.length > 0 ? MIN_LINK_LENGTH : 40 + Math.sqrt(this.positions.size) * 40;
+      const base = anchors[0] || { x: 0, y: 0 };
+      return {
+        x: base.x + Math.cos(angle) * radius,
+        y: base.y + Math.sin(angle) * radius,
+        vx: 0,
+        vy: 0,
+        pinned: false
+      };
+    }
+
+    // One simulation step. Returns false once the layout has settled.
+    step() {
+      if (this.alpha < MIN_ALPHA) return false;
+      const entries = Array.from(this.positions.values());
+
+      for (let i = 0; i < entries.length; i++) {
+        const a = entries[i];
+        for (let j = i + 1; j < entries.length; j++) {
+          const b = entries[j];
+          let dx = b.x - a.x;
+          let dy = b.y - a.y;
+          let distanceSquared = dx * dx + dy * dy;
+          if (distanceSquared < 1) {
+            dx = Math.random() - 0.5;
+            dy = Math.random() - 0.5;
+            distanceSquared = 1;
+          }
+          const force = REPULSION * this.alpha / distanceSquared;
+          const distance = Math.sqrt(distanceSquared);
+          a.vx -= dx / distance * force;
+          a.vy -= dy / distance * force;
+          b.vx += dx / distance * force;
+          b.vy += dy / distance * force;
+        }
+      }
+
+      this.links.forEach(link => {
+        const a = this.positions.get(link.source);
+        const b = this.positions.get(link.target);
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const distance = Math.sqrt(dx * dx + dy * dy) || 1;
+        const force = (distance - link.length) / distance * 0.1 * this.alpha;
+        a.vx += dx * force;
+        a.vy += dy * force;
+        b.vx -= dx * force;
+        b.vy -= dy * force;
+      });
+
+      entries.forEach(position => {
+        if (position.pinned) {
+          position.vx = 0;
+          position.vy = 0;
+          return;
+        }
+        position.vx = (position.vx - position.x * GRAVITY * this.alpha) * FRICTION;
+        position.vy = (position.vy - position.y * GRAVITY * this.alpha) * FRICTION;
+        position.x += position.vx;
+        position.y += position.vy;
+      });
+
+      this.alpha *= 1 - ALPHA_DECAY;
+      return true;
+    }
+
+    // Run until settled (or `maxSteps`), e.g. before the first frame
+    settle(maxSteps = 300) {
+      for (let i = 0; i < maxSteps && this.step(); i++);
+    }
+
+    // Dragging pins a node where it's dropped; the others follow a little
+    moveTo(id, x, y) {
+      const position = this.positions.get(id);
+      if (!position) return;
+      position.x = x;
+      position.y = y;
+      position.pinned = true;
+      this.alpha = Math.max(this.alpha, REHEAT_ALPHA / 3);
+    }
+
+    setPinned(id, pinned) {
+      const position = this.positions.get(id);
+      if (!position) return;
+      position.pinned = pinned;
+      if (!pinned) this.alpha = Math.max(this.alpha, REHEAT_ALPHA / 3);
+    }
+
+    get moving() {
+      return this.alpha >= MIN_ALPHA;
+    }
+  }
+
+  exports.TopologyLayout = TopologyLayout;
+  exports.linkLength = linkLength;
+})(typeof module !== 'undefined' && module.exports ? module.exports : (window.TopologyLayout = {}));
@@ -0,0 +1,277 @@
+// Network graph for the topology views: ESP2 devices and the ESP1 gateways
+// that hear them as nodes, observed links as edges.
+//   - peer edges come from the peers_status / nearby_peers lists ESP2s
+//     report, with each direction's RSSI and handshake/validation state
+//   - gateway edges from envelopes an ESP1 heard directly (esp2_rssi)
+//   - relay paths from the relay tracer's hop lists
+// The graph only changes when a report changes it; `version` goes up each
+// time, so the monitor publishes a snapshot only when there's something new.
+
+const DEFAULT_STALE_MS = 2 * 60 * 1000;
+const DEFAULT_EXPIRE_MS = 10 * 60 * 1000;
+// A relay path stays highlighted this long after a message used it
+const DEFAULT_RELAY_HIGHLIGHT_MS = 60 * 1000;
+const MAX_RELAY_PATHS = 20;
+
+class TopologyTracker {
+  // options.smoothedRssi(from, to) returns the filtered RSSI of a directed
+  // link (LinkTracker), used instead of the last reading when known
+  constructor(options = {}) {
+    this.staleMs = options.staleMs || DEFAULT_STALE_MS;
+    this.expireMs = options.expireMs || DEFAULT_EXPIRE_MS;
+    this.relayHighlightMs = options.relayHighlightMs || DEFAULT_RELAY_HIGHLIGHT_MS;
+    this.smoothedRssi = options.smoothedRssi || (() => null);
+    this.nodes = new Map();
+    this.edges = new Map();
+    this.relayPaths = [];
+    this.version = 0;
+    // Newest observation time and the wall clock when it was seen
+    this.latestAt = null;
+    this.latestWallAt = null;
+    // Stale/highlight state as of the last snapshot, to notice when time alone changes it
+    this.timeState = '';
+  }
+
+  // Add what one accepted envelope says about the network.
+  // `context` is its arrival: { path, gateway, rssi, receivedAt }
+  observe(envelope, context = {}) {
+    const deviceId = envelope?.source_device?.device_id;
+    if (!deviceId) return;
+    const at = this.observedAt(context.receivedAt);
+    const payload = envelope.payload || {};
+    const systemData = payload.system_data || {};
+
+    const node = this.getNode(deviceId, 'device');
+    node.lastSeen = Math.max(node.lastSeen || 0, at);
+    node.lastPath = context.path || node.lastPath;
+    if (envelope.source_device.owner) node.owner = envelope.source_device.owner;
+    const wifiConnected = payload.wifi_connected ?? systemData.wifi_connected;
+    if (typeof wifiConnected === 'boolean') node.wifiConnected = wifiConnected;
+    const serverReachable = payload.server_reachable ?? systemData.server_reachable;
+    if (typeof serverReachable === 'boolean') node.serverReachable = serverReachable;
+    const communicationMode = payload.communication_mode ?? systemData.communication_mode;
+    if (communicationMode !== undefined) node.communicationMode = communicationMode;
+    const ssid = payload.connected_ssid ?? systemData.connected_ssid;
+    if (ssid !== undefined) node.ssid = ssid;
+    if (typeof payload.relay_capable === 'boolean') node.relayCapable = payload.relay_capable;
+    const storedMessages = payload.stored_messages ?? payload.stored_message_count;
+    if (typeof storedMessages === 'number') node.storedMessages = storedMessages;
+    const peerCount = payload.peer_count ?? systemData.peer_count;
+    if (typeof peerCount === 'number') node.peerCount = peerCount;
+
+    // Heard directly by an ESP1 (relayed originals arrive on ESP_NOW_RELAY)
+    if (context.path === 'ESP1_GATEWAY' && context.gateway) {
+      const gatewayId = gatewayNodeId(context.gateway);
+      const gateway = this.getNode(gatewayId, 'gateway');
+      gateway.label = context.gateway;
+      gateway.lastSeen = Math.max(gateway.lastSeen || 0, at);
+      node.lastGatewayAt = at;
+      this.updateDirection('gateway', deviceId, gatewayId, {
+        rssi: typeof context.rssi === 'number' && context.rssi !== 0 ? context.rssi : null,
+        at: at
+      });
+    }
+
+    // peers_status carries the handshake flags. Data messages only list
+    // validated peers under nearby_peers, so those count as validated;
+    // triangulation lists every peer it has a position for, so it says nothing
+    const listedValidated = envelope.message_type === 'data';
+    const reports = []
+      .concat((Array.isArray(payload.peers_status) ? payload.peers_status : []).map(peer => ({ peer, listed: false })))
+      .concat((Array.isArray(payload.nearby_peers) ? payload.nearby_peers : []).map(peer => ({ peer, listed: listedValidated })));
+    const seen = new Set();
+    reports.forEach(({ peer, listed }) => {
+      const peerId = peer?.device_id;
+      if (!peerId || peerId === deviceId || seen.has(peerId)) return;
+      seen.add(peerId);
+      const peerNode = this.getNode(peerId, 'device');
+      if (peer.owner && !peerNode.owner) peerNode.owner = peer.owner;
+      this.updateDirection('peer', deviceId, peerId, {
+        rssi: typeof peer.rssi === 'number' && peer.rssi < 0 ? peer.rssi : null,
+        handshakeComplete: typeof peer.handshake_complete === 'boolean' ? peer.handshake_complete : (listed ? true : undefined),
+        validated: typeof peer.validated === 'boolean' ? peer.validated : (listed ? true : undefined),
+        at: at
+      });
+    });
+
+    this.version++;
+  }
+
+  // Mark the links a relayed message travelled (a RelayTracer trace)
+  observeRelay(trace) {
+    const ids = trace.hops.map(hop => hop.deviceId).filter(id => id && id !== 'unknown');
+    if (trace.arrival?.path === 'ESP1_GATEWAY' && trace.arrival.gateway) {
+      ids.push(gatewayNodeId(trace.arrival.gateway));
+    }
+    if (ids.length < 2) return;
+
+    const at = this.observedAt(trace.arrival?.at);
+    const edgeIds = [];
+    for (let i = 1; i < ids.length; i++) {
+      const kind = ids[i].startsWith('gateway:') ? 'gateway' : 'peer';
+      const edge = this.getEdge(kind, ids[i - 1], ids[i]);
+      edge.relayCount++;
+      edge.lastRelayAt = Math.max(edge.lastRelayAt || 0, at);
+      edge.lastSeen = Math.max(edge.lastSeen, at);
+      edgeIds.push(edge.id);
+    }
+    const relayNode = this.nodes.get(ids[ids.length - 2]);
+    if (relayNode && ids.length > 2) relayNode.relayCount = (relayNode.relayCount || 0) + 1;
+
+    this.relayPaths.push({ traceId: trace.traceId, origin: trace.origin, nodes: ids, edges: edgeIds, at: at });
+    if (this.relayPaths.length > MAX_RELAY_PATHS) this.relayPaths.shift();
+    this.version++;
+  }
+
+  // The device was merged into another entry or forgotten
+  removeNode(deviceId) {
+    if (!this.nodes.delete(deviceId)) return;
+    this.edges.forEach((edge, id) => {
+      if (edge.source === deviceId || edge.target === deviceId) this.edges.delete(id);
+    });
+    this.version++;
+  }
+
+  // Drop expired edges and bump the version when time alone has changed
+  // what a snapshot would show (links going stale, relay highlights ending)
+  expire(now = this.clock()) {
+    this.edges.forEach((edge, id) => {
+      if (now - edge.lastSeen > this.expireMs) {
+        this.edges.delete(id);
+        this.version++;
+      }
+    });
+    const timeState = Array.from(this.edges.values())
+      .map(edge => `${edge.id}:${now - edge.lastSeen > this.staleMs}:${now - (edge.lastRelayAt || 0) <= this.relayHighlightMs}`)
+      .join(',');
+    if (timeState !== this.timeState) {
+      this.timeState = timeState;
+      this.version++;
+    }
+  }
+
+  //   { nodes: [{ id, kind, label, owner, communicationMode, wifiConnected,
+  //               serverReachable, gatewayReachable, ssid, lastPath, ... }],
+  //     edges: [{ id, kind, source, target, rssi, state, stale, relayCount,
+  //               relayActive, directions: [{ from, to, rssi, ... }] }],
+  //     relayPaths: [{ traceId, origin, nodes, edges, at }] }
+  // state is 'validated', 'handshake' or 'discovered' (gateway edges: 'heard')
+  snapshot(now = this.clock()) {
+    const nodes = Array.from(this.nodes.values()).map(node => ({
+      ...node,
+      gatewayReachable: node.kind === 'gateway' || (node.lastGatewayAt !== undefined && now - node.lastGatewayAt <= this.staleMs),
+      lastSeen: node.lastSeen ? new Date(node.lastSeen).toISOString() : null,
+      lastGatewayAt: undefined
+    }));
+
+    const edges = Array.from(this.edges.values()).map(edge => {
+      const directions = Object.values(edge.directions).map(direction => {
+        const smoothed = edge.kind === 'peer' ? this.smoothedRssi(direction.from, direction.to) : null;
+        return {
+          ...direction,
+          rssi: smoothed !== null ? Math.round(smoothed) : direction.rssi,
+          lastSeen: new Date(direction.at).toISOString(),
+          at: undefined
+        };
+      });
+      const readings = directions.map(direction => direction.rssi).filter(rssi => rssi !== null);
+      return {
+        id: edge.id,
+        kind: edge.kind,
+        source: edge.source,
+        target: edge.target,
+        // The stronger direction is the better guess at what the link can carry
+        rssi: readings.length > 0 ? Math.max(...readings) : null,
+        state: edgeState(edge, directions),
+        stale: now - edge.lastSeen > this.staleMs,
+        relayCount: edge.relayCount,
+        relayActive: edge.lastRelayAt !== null && now - edge.lastRelayAt <= this.relayHighlightMs,
+        directions: directions
+      };
+    });
+
+    return {
+      nodes: nodes.sort((a, b) => a.id.localeCompare(b.id)),
+      edges: edges.sort((a, b) => a.id.localeCompare(b.id)),
+      relayPaths: this.relayPaths.map(path => ({ ...path, at: new Date(path.at).toISOString() })).reverse()
+    };
+  }
+
+  clear() {
+    this.nodes.clear();
+    this.edges.clear();
+    this.relayPaths = [];
+    this.latestAt = null;
+    this.latestWallAt = null;
+    this.version++;
+  }
+
+  observedAt(timestamp) {
+    const at = toTime(timestamp);
+    if (this.latestAt === null || at >= this.latestAt) {
+      this.latestAt = at;
+      this.latestWallAt = Date.now();
+    }
+    return at;
+  }
+
+  // The newest observation's time, run on with the wall clock since, so
+  // links in a replayed session age the way live ones do
+  clock() {
+    return this.latestAt === null ? Date.now() : this.latestAt + (Date.now() - this.latestWallAt);
+  }
+
+  getNode(id, kind) {
+    let node = this.nodes.get(id);
+    if (!node) {
+      node = { id: id, kind: kind, label: id, owner: null, lastSeen: null, relayCount: 0 };
+      this.nodes.set(id, node);
+    }
+    return node;
+  }
+
+  getEdge(kind, a, b) {
+    const [source, target] = a < b ? [a, b] : [b, a];
+    const id = `${source}|${target}`;
+    let edge = this.edges.get(id);
+    if (!edge) {
+      edge = { id: id, kind: kind, source: source, target: target, directions: {}, lastSeen: 0, relayCount: 0, lastRelayAt: null };
+      this.edges.set(id, edge);
+      this.getNode(a, a.startsWith('gateway:') ? 'gateway' : 'device');
+      this.getNode(b, b.startsWith('gateway:') ? 'gateway' : 'device');
+    }
+    return edge;
+  }
+
+  // What `from` reports about hearing `to` (for gateway edges: the ESP1
+  // hearing the device)
+  updateDirection(kind, from, to, reading) {
+    const edge = this.getEdge(kind, from, to);
+    const key = `${from}>${to}`;
+    const direction = edge.directions[key] || { from: from, to: to, rssi: null, handshakeComplete: false, validated: false };
+    if (reading.rssi !== null) direction.rssi = reading.rssi;
+    if (reading.handshakeComplete !== undefined) direction.handshakeComplete = reading.handshakeComplete;
+    if (reading.validated !== undefined) direction.validated = reading.validated;
+    direction.at = reading.at;
+    edge.directions[key] = direction;
+    edge.lastSeen = Math.max(edge.lastSeen, reading.at);
+  }
+}
+
+function edgeState(edge, directions) {
+  if (edge.kind === 'gateway') return 'heard';
+  if (directions.some(direction => direction.validated && direction.handshakeComplete)) return 'validated';
+  if (directions.some(direction => direction.handshakeComplete)) return 'handshake';
+  return 'discovered';
+}
+
+function gatewayNodeId(gateway) {
+  return `gateway:${gateway}`;
+}
+
+function toTime(timestamp) {
+  const time = timestamp ? new Date(timestamp).getTime() : NaN;
+  return Number.isFinite(time) ? time : Date.now();
+}
+
+module.exports = { TopologyTracker };
@@ -0,0 +1,201 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MIN_KEY_LENGTH = 8;
+
+// Per-device keys WebSocket clients must present when authentication is
+// enabled. Persisted as JSON: { "enabled": bool, "keys": [{ deviceId, key, createdAt }] }
+class DeviceKeyStore {
+  constructor() {
+    this.filePath = null;
+    this.enabled = false;
+    this.keys = new Map();
+  }
+
+  load(filePath) {
+    this.filePath = filePath;
+    try {
+      const content = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      this.enabled = content.enabled === true;
+      this.keys = new Map((content.keys || [])
+        .filter(entry => entry.deviceId && entry.key)
+        .map(entry => [entry.deviceId, entry]));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Could not read device keys:', error.message);
+      }
+    }
+    return this.getStatus();
+  }
+
+  save() {
+    if (!this.filePath) return;
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(this.filePath, JSON.stringify({
+      enabled: this.enabled,
+      keys: Array.from(this.keys.values())
+    }, null, 2));
+  }
+
+  setEnabled(enabled) {
+    this.enabled = Boolean(enabled);
+    this.save();
+  }
+
+  // Add or replace a device's key; a random key is generated when none is given
+  setKey(deviceId, key) {
+    const id = typeof deviceId === 'string' ? deviceId.trim() : '';
+    if (!id) {
+      throw new Error('Device ID is required');
+    }
+    const value = key ? String(key).trim() : generateKey();
+    if (value.length < MIN_KEY_LENGTH) {
+      throw new Error(`Key must be at least ${MIN_KEY_LENGTH} characters`);
+    }
+
+    const entry = { deviceId: id, key: value, createdAt: new Date().toISOString() };
+    this.keys.set(id, entry);
+    this.save();
+    return entry;
+  }
+
+  removeKey(deviceId) {
+    const removed = this.keys.delete(deviceId);
+    if (removed) this.save();
+    return removed;
+  }
+
+  has(deviceId) {
+    return this.keys.has(deviceId);
+  }
+
+  // Returns the device id the credentials belong to, or null. Without a
+  // device id the key alone identifies the device.
+  verify(deviceId, key) {
+    if (!key) return null;
+    if (deviceId) {
+      const entry = this.keys.get(deviceId);
+      return entry && keysMatch(entry.key, key) ? deviceId : null;
+    }
+    for (const entry of this.keys.values()) {
+      if (keysMatch(entry.key, key)) return entry.deviceId;
+    }
+    return null;
+  }
+
+  list() {
+    return Array.from(this.keys.values())
+      .sort((a, b) => a.deviceId.localeCompare(b.deviceId));
+  }
+
+  getStatus() {
+    return { enabled: this.enabled, keys: this.list() };
+  }
+}
+
+// Trust decision for a client whose upgrade request may carry credentials:
+//   ws://host:8080/?device_id=<id>&token=<key>   (or key=<key>)
+//   Authorization: Bearer <key>, optionally with X-Device-Id: <id>
+// Returns { state: 'trusted'|'untrusted'|'pending', deviceId, reason }
+function authenticateUpgrade(req, store) {
+  if (!store.enabled) {
+    return { state: 'trusted', deviceId: null, reason: null };
+  }
+
+  const url = new URL(req.url || '/', 'ws://localhost');
+  const authorization = req.headers?.authorization || '';
+  const bearer = authorization.startsWith('Bearer ') ? authorization.slice(7).trim() : null;
+  const key = url.searchParams.get('token') || url.searchParams.get('key') || bearer;
+  const deviceId = url.searchParams.get('device_id') || req.headers?.['x-device-id'] || null;
+
+  if (!key) {
+    // No credentials in the upgrade - the first frame has to carry them
+    return { state: 'pending', deviceId: null, reason: null };
+  }
+  return checkCredentials(store, deviceId, key);
+}
+
+// Trust decision from a pending client's first frame: either an explicit
+//   {"type":"auth","device_id":"<id>","token":"<key>"}
+// frame, or an ordinary envelope whose shared_key is the device's key.
+// `authFrame` is true when the frame only carried credentials.
+function authenticateFirstFrame(message, store) {
+  let parsedData;
+  try {
+    parsedData = JSON.parse(message);
+  } catch (e) {
+    return { state: 'untrusted', deviceId: null, reason: 'first frame is not JSON', authFrame: false };
+  }
+
+  if (parsedData && parsedData.type === 'auth') {
+    const key = parsedData.token || parsedData.key;
+    if (!key) {
+      return { state: 'untrusted', deviceId: null, reason: 'auth frame without token', authFrame: true };
+    }
+    return { ...checkCredentials(store, parsedData.device_id, key), authFrame: true };
+  }
+
+  const deviceId = parsedData?.source_device?.device_id;
+  if (!parsedData?.shared_key || !deviceId) {
+    return { state: 'untrusted', deviceId: null, reason: 'no credentials presented', authFrame: false };
+  }
+  return { ...checkCredentials(store, deviceId, parsedData.shared_key), authFrame: false };
+}
+
+// Whether a decoded frame from a client authenticated as `deviceId` speaks
+// only for that device. A direct envelope must come from it. ESP-NOW traffic
+// a WiFi relay forwarded may come from another device, but the relay wrapper
+// has to carry the authenticated id and the envelope its own device's key
+// (see checkForwardedEnvelope; Phase 5 relay originals are checked the same
+// way when they are unwrapped). Returns null when it does, or the reason to
+// quarantine the frame.
+function checkFrameSender(frame, deviceId, store) {
+  const envelopeEvent = frame.events.find(event => event.type === 'envelope');
+  if (!envelopeEvent) return null;
+
+  const wrapper = frame.data || {};
+  const direct = envelopeEvent.envelope === wrapper;
+  const sender = direct
+    ? envelopeEvent.envelope.source_device?.device_id
+    : wrapper.device_id ?? wrapper.source_device?.device_id;
+  if (sender !== deviceId) {
+    return `authenticated as ${deviceId} but sent ${sender ? `a frame from ${sender}` : 'a frame without a sender'}`;
+  }
+  return direct ? null : checkForwardedEnvelope(envelopeEvent.envelope, deviceId, store);
+}
+
+// An authenticated client may pass on another device's envelope only if that
+// envelope carries the other device's key as shared_key - the credential the
+// device would present connecting itself. Returns null or the reason.
+function checkForwardedEnvelope(envelope, deviceId, store) {
+  const origin = envelope?.source_device?.device_id;
+  if (origin === deviceId) return null;
+  if (!origin) return `${deviceId} forwarded an envelope without a sender`;
+  if (!store.has(origin)) return `${deviceId} forwarded an envelope from unknown device ${origin}`;
+  return store.verify(origin, envelope.shared_key) ? null : `${deviceId} forwarded an envelope from ${origin} without its key`;
+}
+
+function checkCredentials(store, deviceId, key) {
+  if (deviceId && !store.has(deviceId)) {
+    return { state: 'untrusted', deviceId: deviceId, reason: `unknown device ${deviceId}` };
+  }
+  const verified = store.verify(deviceId, key);
+  if (!verified) {
+    return { state: 'untrusted', deviceId: deviceId || null, reason: deviceId ? `wrong key for ${deviceId}` : 'unknown key' };
+  }
+  return { state: 'trusted', deviceId: verified, reason: null };
+}
+
+// Constant-time comparison so keys can't be guessed byte by byte
+function keysMatch(expected, actual) {
+  const a = Buffer.from(String(expected));
+  const b = Buffer.from(String(actual));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function generateKey() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+module.exports = { DeviceKeyStore, authenticateUpgrade, authenticateFirstFrame, checkFrameSender, checkForwardedEnvelope };
@@ -0,0 +1,181 @@
+#!/usr/bin/env node
+// Headless monitor: the same pipeline as the dashboard without a window, for a
+// Raspberry Pi or server next to the ESP1. Every event is written as one JSON
+// line:
+//   { "event": "<channel>", "time": "<ISO 8601>", "data": { ... } }
+// Channels and payloads are the ones the dashboard receives over IPC.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const monitor = require('./monitor');
+
+// gateway-stats and topology (snapshots at most once a second) and
+// connection-status are mostly noise in a stream; ask for them with --events
+const DEFAULT_EVENTS = [
+  'log', 'esp2-device-update', 'esp2-device-removed', 'serial-gateways',
+  'message-arrivals', 'relay-trace', 'envelope-rejects', 'alert', 'command-update'
+];
+
+const USAGE = `Usage: node src/headless.js [options]
+
+Options:
+  -p, --port <port>        WebSocket server port (default: saved setting, 8080)
+  -s, --serial <path>      ESP1 gateway serial port; repeat for several gateways
+  -b, --baud <rate>        Serial baud rate (default: saved setting, 115200)
+  -o, --output <file>      Append events to <file> instead of stdout ("-")
+  -e, --events <list>      Comma-separated channels to write, or "all"
+                           (default: ${DEFAULT_EVENTS.join(',')})
+  -d, --data-dir <dir>     Settings, keys and profiles (default: the dashboard's
+                           user data folder, ${defaultDataDirectory()})
+      --api <port>         Serve the HTTP API (docs/api_v1.md) on <port>
+      --api-lan            Let the HTTP API listen on every interface; needs a
+                           token (ESP_MONITOR_API_TOKEN or the saved setting)
+      --mqtt <url>         Publish to the MQTT broker at <url>; the password may
+                           come from ESP_MONITOR_MQTT_PASSWORD
+      --list-ports         Print the available serial ports and exit
+  -h, --help               Show this help`;
+
+function parseArgs(argv) {
+  const options = { serial: [], output: '-', events: DEFAULT_EVENTS, dataDirectory: defaultDataDirectory() };
+  const value = (index, flag) => {
+    if (index >= argv.length || argv[index].startsWith('-')) {
+      throw new Error(`${flag} needs a value`);
+    }
+    return argv[index];
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i];
+    switch (flag) {
+      case '-p':
+      case '--port':
+        options.port = value(++i, flag);
+        break;
+      case '-s':
+      case '--serial':
+        options.serial.push(value(++i, flag));
+        break;
+      case '-b':
+      case '--baud':
+        options.baud = value(++i, flag);
+        break;
+      case '-o':
+      case '--output':
+        options.output = argv[++i] === '-' ? '-' : value(i, flag);
+        break;
+      case '-e':
+      case '--events': {
+        const list = value(++i, flag);
+        options.events = list === 'all' ? null : list.split(',').map(channel => channel.trim()).filter(Boolean);
+        break;
+      }
+      case '-d':
+      case '--data-dir':
+        options.dataDirectory = path.resolve(value(++i, flag));
+        break;
+      case '--api':
+        options.api = value(++i, flag);
+        break;
+      case '--api-lan':
+        options.apiLan = true;
+        break;
+      case '--mqtt':
+        options.mqtt = value(++i, flag);
+        break;
+      case '--list-ports':
+        options.listPorts = true;
+        break;
+      case '-h':
+      case '--help':
+        options.help = true;
+        break;
+      default:
+        throw new Error(`Unknown option ${flag}`);
+    }
+  }
+  return options;
+}
+
+// Electron's userData for this app, so both share settings on one machine
+function defaultDataDirectory() {
+  const appName = 'esp-monitor';
+  if (process.platform === 'win32') {
+    return path.join(process.env.APPDATA || path.join(os.homedir(), 'AppData', 'Roaming'), appName);
+  }
+  if (process.platform === 'darwin') {
+    return path.join(os.homedir(), 'Library', 'Application Support', appName);
+  }
+  return path.join(process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config'), appName);
+}
+
+async function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    process.exit(2);
+  }
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (options.listPorts) {
+    const ports = await monitor.listSerialPorts();
+    ports.forEach(port => console.log(`${port.path}\t${port.manufacturer || ''}`));
+    return;
+  }
+
+  const output = options.output === '-'
+    ? process.stdout
+    : fs.createWriteStream(options.output, { flags: 'a' });
+  // Diagnostics go to stderr so stdout carries nothing but events
+  console.log = console.error;
+
+  const wanted = options.events ? new Set(options.events) : null;
+  monitor.events.on('event', (channel, data) => {
+    if (wanted && !wanted.has(channel)) return;
+    output.write(JSON.stringify({ event: channel, time: new Date().toISOString(), data: data }) + '\n');
+  });
+
+  const settings = {};
+  if (options.port !== undefined) settings.websocketPort = options.port;
+  if (options.baud !== undefined) settings.baudRate = options.baud;
+  if (options.api !== undefined) {
+    settings.apiEnabled = true;
+    settings.apiPort = options.api;
+  }
+  if (options.apiLan) settings.apiLanAccess = true;
+  if (process.env.ESP_MONITOR_API_TOKEN) settings.apiToken = process.env.ESP_MONITOR_API_TOKEN;
+  if (options.mqtt !== undefined) {
+    settings.mqttEnabled = true;
+    settings.mqttUrl = options.mqtt;
+  }
+  if (process.env.ESP_MONITOR_MQTT_PASSWORD) settings.mqttPassword = process.env.ESP_MONITOR_MQTT_PASSWORD;
+  try {
+    monitor.start({ dataDirectory: options.dataDirectory, settings: settings });
+  } catch (error) {
+    console.error(error.message);
+    process.exit(2);
+  }
+  options.serial.forEach(portPath => monitor.openSerialPort(portPath));
+
+  let stopping = false;
+  const shutdown = async (signal) => {
+    if (stopping) {
+      // Second signal - don't wait any longer
+      process.exit(1);
+    }
+    stopping = true;
+    console.error(`${signal} received, shutting down`);
+    await monitor.stop();
+    if (output === process.stdout) {
+      process.exit(0);
+    }
+    output.end(() => process.exit(0));
+  };
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+}
+
+main();
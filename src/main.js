@@ -1,52 +1,110 @@
-const { app, BrowserWindow, ipcMain } = require('electron');
+const { app, BrowserWindow, Menu, ipcMain, dialog, screen, Notification } = require('electron');
 const path = require('path');
-const WebSocket = require('ws');
-const { SerialPort } = require('serialport');
-const { ReadlineParser } = require('@serialport/parser-readline');
+const fs = require('fs');
+const crypto = require('crypto');
+const { createSessionFileName } = require('./core/session-recorder');
+const { COMMANDS } = require('./core/command-channel');
+const { createSettingsExport, parseSettingsExport } = require('./core/settings-store');
+const { createLogExport, LOG_EXPORT_FORMATS } = require('./core/log-export');
+const { LogFilterStore } = require('./core/log-filter-store');
+const {
+  events,
+  publish,
+  start,
+  stop,
+  settingsStore,
+  apiServer,
+  mqttBridge,
+  deviceKeyStore,
+  distanceModel,
+  calibrationSession,
+  alertEngine,
+  metricsStore,
+  linkTracker,
+  topologyTracker,
+  deviceHistory,
+  positioningEngine,
+  deviceRegistry,
+  rejectTracker,
+  relayTracer,
+  getPathAnalytics,
+  commandChannel,
+  sessionRecorder,
+  sessionPlayer,
+  gatewayStats,
+  getConnectionStatus,
+  getSessionsDirectory,
+  listSerialPorts,
+  openSerialPort,
+  closeSerialPort,
+  sendCommand,
+  reevaluateWebSocketClients,
+  resetGatewayStats
+} = require('./monitor');
 
 let mainWindow;
-let wss;
-let serialPort = null;
-let serialParser = null;
-const WEBSOCKET_PORT = 8080;
-
-// Connection states
-let connections = {
-  wifi: { connected: false, signalStrength: 0, distance: 0 },
-  relayUsb: { connected: false },
-  relayWifi: { connected: false },
-  usb: { connected: false }
+// The Gateway Monitor (monitoring/gateway-monitor.html): a second window on
+// the same pipeline, optionally full-screen in kiosk mode
+let gatewayWindow;
+
+// Saved log search queries (log-filters.json)
+const logFilterStore = new LogFilterStore();
+
+// Everything the monitoring pipeline publishes goes to the dashboard. The
+// per-message channels are sent as one 'event-batch' per frame instead of
+// one IPC message each; within a batch only the newest update per key of a
+// coalesced channel is kept.
+const BATCH_INTERVAL_MS = 1000 / 30;
+const BATCHED_CHANNELS = new Set(['log', 'message-arrivals', 'esp2-device-update', 'relay-trace']);
+const COALESCED_CHANNELS = {
+  'message-arrivals': (data) => data.messageKey,
+  'esp2-device-update': (data) => data.device.deviceId
 };
+let pendingEvents = [];
+let pendingKeys = new Map();
+let batchTimer = null;
+
+events.on('event', (channel, data) => {
+  if (!BATCHED_CHANNELS.has(channel)) {
+    // Keep the order: whatever is waiting goes first
+    flushEvents();
+    sendToRenderer(channel, data);
+    return;
+  }
 
-// ESP Gateway Monitoring
-let gatewayStats = {
-  esp1Connected: false,
-  esp2DeviceCount: 0,
-  messageStats: {
-    ping: 0, handshake: 0, data: 0, triangulation: 0,
-    relay: 0, wifiScan: 0, optimization: 0, unknown: 0,
-    total: 0, delivered: 0
-  },
-  gatewayInfo: {
-    deviceId: 'Unknown', version: 'Unknown', uptime: 0,
-    protocolRange: 'Unknown', lastSender: 'None', lastMessageType: 'None'
+  const keyOf = COALESCED_CHANNELS[channel];
+  const key = keyOf ? `${channel}:${keyOf(data)}` : null;
+  const pending = key ? pendingKeys.get(key) : null;
+  if (pending) {
+    // A device stays "new" until the renderer has seen it
+    const isNew = channel === 'esp2-device-update' && (pending.data.isNew || data.isNew);
+    pending.data = isNew ? { ...data, isNew: true } : data;
+  } else {
+    const event = { channel: channel, data: data };
+    pendingEvents.push(event);
+    if (key) pendingKeys.set(key, event);
   }
-};
+  if (!batchTimer) {
+    batchTimer = setTimeout(flushEvents, BATCH_INTERVAL_MS);
+  }
+});
 
-// Estimate distance from RSSI (in meters)
-// Formula: distance = 10^((TxPower - RSSI) / (10 * N))
-// TxPower: typical ESP32 transmission power at 1m = -59 dBm
-// N: path loss exponent (2 = free space, 2-4 = indoor)
-function estimateDistance(rssi) {
-  if (rssi === 0 || rssi >= 0) return 0;
-  
-  const txPower = -59; // Measured RSSI at 1 meter
-  const n = 2.5; // Path loss exponent (indoor environment)
-  
-  const distance = Math.pow(10, (txPower - rssi) / (10 * n));
-  return Math.round(distance * 10) / 10; // Round to 1 decimal
+function flushEvents() {
+  clearTimeout(batchTimer);
+  batchTimer = null;
+  if (pendingEvents.length === 0) return;
+  const batch = pendingEvents;
+  pendingEvents = [];
+  pendingKeys = new Map();
+  sendToRenderer('event-batch', batch);
 }
 
+alertEngine.on('alert', (alert) => {
+  if (alertEngine.notifications && Notification.isSupported()) {
+    new Notification({ title: `ESP32 Dashboard: ${alert.ruleName}`, body: alert.message }).show();
+  }
+});
+
 function createWindow() {
   mainWindow = new BrowserWindow({
     width: 1200,
@@ -63,436 +121,613 @@ function createWindow() {
   mainWindow.loadFile(path.join(__dirname, 'index.html'));
 }
 
-// WebSocket Server for WiFi ESPs
-function startWebSocketServer() {
-  wss = new WebSocket.Server({ port: WEBSOCKET_PORT });
+// Open the Gateway Monitor, or bring it to the front; `kiosk` switches an
+// open window in or out of kiosk mode. A kiosk goes to a display the main
+// window isn't on, when there is one.
+function openGatewayMonitor(options = {}) {
+  const kiosk = Boolean(options.kiosk);
+  if (gatewayWindow && !gatewayWindow.isDestroyed()) {
+    setGatewayMonitorKiosk(kiosk);
+    gatewayWindow.show();
+    gatewayWindow.focus();
+    return;
+  }
 
-  wss.on('listening', () => {
-    console.log(`WebSocket server listening on port ${WEBSOCKET_PORT}`);
-    sendToRenderer('log', {
-      message: `WebSocket server started on port ${WEBSOCKET_PORT}`,
-      source: 'SYSTEM',
-      timestamp: new Date().toISOString()
-    });
+  const display = kiosk ? pickKioskDisplay() : null;
+  gatewayWindow = new BrowserWindow({
+    width: 1100,
+    height: 800,
+    ...(display ? { x: display.bounds.x, y: display.bounds.y } : {}),
+    kiosk: kiosk,
+    webPreferences: {
+      preload: path.join(__dirname, 'monitoring', 'gateway-preload.js'),
+      contextIsolation: true,
+      nodeIntegration: false
+    },
+    title: 'ESP Gateway Monitor'
   });
+  gatewayWindow.on('closed', () => {
+    gatewayWindow = null;
+  });
+  gatewayWindow.loadFile(path.join(__dirname, 'monitoring', 'gateway-monitor.html'), { query: { kiosk: kiosk ? '1' : '0' } });
+}
 
-  wss.on('connection', (ws, req) => {
-    const clientIP = req.socket.remoteAddress;
-    console.log(`WebSocket client connected from ${clientIP}`);
-
-    ws.on('message', (data) => {
-      try {
-        const message = data.toString();
-        let parsedData;
-        
-        try {
-          parsedData = JSON.parse(message);
-        } catch (e) {
-          parsedData = { raw: message };
-        }
-
-        // Determine source (WiFi or Relay)
-        let source = parsedData.source || 'WIFI';
-        const mode = parsedData.mode || '';
-        
-        // Update connection status
-        if (source === 'WIFI') {
-          connections.wifi.connected = true;
-          connections.wifi.signalStrength = parsedData.rssi || 0;
-          connections.wifi.distance = estimateDistance(parsedData.rssi || 0);
-        }
-
-        // Detect ESP-NOW relay messages (WiFi path)
-        const isESPNowRelay = parsedData.sender_mac || 
-                             parsedData.relayed_data ||
-                             parsedData.received_data ||
-                             (parsedData.message && parsedData.message.includes('ESP-NOW message'));
-        if (isESPNowRelay) {
-          source = 'RELAY_WIFI';
-          connections.relayWifi.connected = true;
-          // Clear any existing timeout
-          if (connections.relayWifi.timeout) {
-            clearTimeout(connections.relayWifi.timeout);
-          }
-          // Set timeout to clear indicator after 10 seconds of inactivity
-          connections.relayWifi.timeout = setTimeout(() => {
-            connections.relayWifi.connected = false;
-            sendConnectionStatus();
-          }, 10000);
-        }
-
-        sendConnectionStatus();
-        
-        sendToRenderer('log', {
-          message: message,
-          source: source,
-          mode: mode,
-          isESPNowRelay: isESPNowRelay,
-          timestamp: new Date().toISOString(),
-          distance: connections.wifi.distance || connections.relay.distance || 0,
-          data: parsedData
-        });
-      } catch (error) {
-        console.error('Error processing WebSocket message:', error);
-      }
-    });
+function setGatewayMonitorKiosk(kiosk) {
+  if (!gatewayWindow || gatewayWindow.isDestroyed()) return false;
+  if (kiosk && !gatewayWindow.isKiosk()) {
+    const display = pickKioskDisplay();
+    if (display) gatewayWindow.setBounds({ x: display.bounds.x, y: display.bounds.y });
+  }
+  gatewayWindow.setKiosk(kiosk);
+  gatewayWindow.webContents.send('window-mode', { kiosk: kiosk });
+  return kiosk;
+}
 
-    ws.on('close', () => {
-      console.log('WebSocket client disconnected');
-      connections.wifi.connected = false;
-      connections.relay.connected = false;
-      sendConnectionStatus();
-      sendToRenderer('log', {
-        message: 'WebSocket client disconnected',
-        source: 'SYSTEM',
-        timestamp: new Date().toISOString()
-      });
-      
-      // Auto-reconnect is handled by ESP trying to reconnect
-    });
+function pickKioskDisplay() {
+  const displays = screen.getAllDisplays();
+  if (!mainWindow || mainWindow.isDestroyed() || displays.length < 2) return null;
+  const mainDisplay = screen.getDisplayMatching(mainWindow.getBounds());
+  return displays.find(display => display.id !== mainDisplay.id) || null;
+}
 
-    ws.on('error', (error) => {
-      console.error('WebSocket error:', error);
-      sendToRenderer('log', {
-        message: `WebSocket error: ${error.message}`,
-        source: 'ERROR',
-        timestamp: new Date().toISOString()
-      });
-    });
-  });
+function createApplicationMenu() {
+  const isMac = process.platform === 'darwin';
+  const template = [
+    ...(isMac ? [{ role: 'appMenu' }] : []),
+    { role: 'fileMenu' },
+    { role: 'editMenu' },
+    { role: 'viewMenu' },
+    {
+      label: 'Monitor',
+      submenu: [
+        { label: 'Gateway Monitor', accelerator: 'CmdOrCtrl+Shift+G', click: () => openGatewayMonitor() },
+        { label: 'Gateway Monitor (Kiosk)', accelerator: 'CmdOrCtrl+Shift+K', click: () => openGatewayMonitor({ kiosk: true }) }
+      ]
+    },
+    { role: 'windowMenu' }
+  ];
+  Menu.setApplicationMenu(Menu.buildFromTemplate(template));
+}
 
-  wss.on('error', (error) => {
-    console.error('WebSocket server error:', error);
+// Both windows get every event; the Gateway Monitor keeps no state of its own
+function sendToRenderer(channel, data) {
+  [mainWindow, gatewayWindow].forEach(window => {
+    if (window && !window.isDestroyed()) {
+      window.webContents.send(channel, data);
+    }
   });
 }
 
-// Serial Port Communication
-async function listSerialPorts() {
+// IPC Handlers
+ipcMain.handle('list-serial-ports', async () => {
+  return await listSerialPorts();
+});
+
+ipcMain.handle('open-serial-port', async (event, portPath) => {
+  openSerialPort(portPath);
+  return { success: true };
+});
+
+ipcMain.handle('close-serial-port', async (event, portPath) => {
+  closeSerialPort(portPath);
+  return { success: true };
+});
+
+ipcMain.handle('get-serial-gateways', async () => {
+  return Object.values(gatewayStats.gateways);
+});
+
+ipcMain.handle('get-connection-status', async () => {
+  return getConnectionStatus();
+});
+
+ipcMain.handle('clear-log', async () => {
+  return { success: true };
+});
+
+// `entries` are the log lines the renderer selected (filter and time range)
+ipcMain.handle('export-log', async (event, entries, format) => {
   try {
-    const ports = await SerialPort.list();
-    return ports;
+    const type = LOG_EXPORT_FORMATS[format];
+    if (!type) {
+      return { success: false, error: `Unknown export format: ${format}` };
+    }
+    const stamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+    const result = await dialog.showSaveDialog(mainWindow, {
+      title: 'Export Log',
+      defaultPath: `esp-log-${stamp}.${type.extension}`,
+      filters: [{ name: `${type.name} Files`, extensions: [type.extension] }]
+    });
+    if (result.canceled || !result.filePath) {
+      return { success: false, canceled: true };
+    }
+
+    fs.writeFileSync(result.filePath, createLogExport(entries, format));
+    return { success: true, filePath: result.filePath, count: entries.length };
   } catch (error) {
-    console.error('Error listing serial ports:', error);
-    return [];
+    console.error('Error exporting log:', error);
+    return { success: false, error: error.message };
   }
-}
+});
+
+ipcMain.handle('get-log-filters', async () => {
+  return logFilterStore.list();
+});
 
-function openSerialPort(portPath) {
-  if (serialPort && serialPort.isOpen) {
-    serialPort.close();
+ipcMain.handle('save-log-filter', async (event, name, query) => {
+  try {
+    const filter = logFilterStore.set(name, query);
+    return { success: true, filter: filter, filters: logFilterStore.list() };
+  } catch (error) {
+    return { success: false, error: error.message };
   }
+});
 
-  serialPort = new SerialPort({
-    path: portPath,
-    baudRate: 115200,
-    autoOpen: false
-  });
+ipcMain.handle('delete-log-filter', async (event, name) => {
+  logFilterStore.remove(name);
+  return { success: true, filters: logFilterStore.list() };
+});
 
-  serialParser = serialPort.pipe(new ReadlineParser({ delimiter: '\n' }));
-
-  serialPort.open((error) => {
-    if (error) {
-      console.error('Error opening serial port:', error);
-      connections.usb.connected = false;
-      sendConnectionStatus();
-      sendToRenderer('log', {
-        message: `Failed to open serial port: ${error.message}`,
-        source: 'ERROR',
-        timestamp: new Date().toISOString()
-      });
-      
-      // Auto-reconnect after 3 seconds
-      setTimeout(() => {
-        if (!serialPort.isOpen) {
-          openSerialPort(portPath);
-        }
-      }, 3000);
-      return;
-    }
+// Gateway Monitoring IPC Handlers
+ipcMain.handle('get-gateway-stats', async () => {
+  return gatewayStats;
+});
 
-    connections.usb.connected = true;
-    sendConnectionStatus();
-    sendToRenderer('log', {
-      message: `Serial port opened: ${portPath}`,
-      source: 'SYSTEM',
-      timestamp: new Date().toISOString()
-    });
-  });
+ipcMain.handle('open-gateway-monitor', async (event, options) => {
+  openGatewayMonitor(options || {});
+  return { success: true };
+});
 
-  serialParser.on('data', (data) => {
-    try {
-      const message = data.trim();
-      if (!message) return;
-      
-      let parsedData;
-      let isValidJSON = false;
-      
-      try {
-        parsedData = JSON.parse(message);
-        isValidJSON = true;
-      } catch (e) {
-        // Handle non-JSON messages (like status lines)
-        parsedData = { raw: message };
-      }
+ipcMain.handle('set-gateway-monitor-kiosk', async (event, kiosk) => {
+  return { kiosk: setGatewayMonitorKiosk(Boolean(kiosk)) };
+});
 
-      // Skip processing decorative lines and status messages
-      if (message.includes('═══') || message.includes('🔄') || message.includes('📡') || 
-          message.includes('✅') || message.startsWith('Phase:') || message.startsWith('From ESP2:') ||
-          message.startsWith('Message Type:') || message.startsWith('Sender Device:') ||
-          message.startsWith('Total Messages:') || message.startsWith('Gateway Status:')) {
-        return; // Skip these fragmented display messages
-      }
+ipcMain.handle('get-esp2-devices', async () => {
+  return deviceRegistry.list();
+});
 
-      // Detect ESP1 Gateway vs ESP2 messages
-      let source = parsedData.source || 'USB';
-      const mode = parsedData.mode || '';
-      
-      // ESP1 Gateway Detection (prioritize consolidated messages)
-      const isESP1Gateway = isValidJSON && (
-        parsedData.gateway_type === 'ESP1_WIRED_GATEWAY' ||
-        parsedData.device_id === 'ESP1_WIRED_GATEWAY' ||
-        source === 'ESP1_GATEWAY'
-      );
-      
-      // ESP2 Message Detection (direct from ESP2 or relayed) - but NOT if it's embedded in ESP1 Gateway
-      const isESP2Message = isValidJSON && (
-        parsedData.message_type ||
-        parsedData.version ||
-        parsedData.source_device
-      ) && !isESP1Gateway;
-      
-      const isESPNowRelay = isESP2Message;
-      
-      // Process ESP1 Gateway Status Messages
-      if (isESP1Gateway) {
-        source = 'ESP1_GATEWAY';
-        gatewayStats.esp1Connected = true;
-        processESP1GatewayMessage(parsedData);
-        
-        // If this gateway message contains ESP2 data, process it but don't create separate log entry
-        if (parsedData.esp2_raw_data) {
-          try {
-            const esp2Data = JSON.parse(parsedData.esp2_raw_data);
-            processESP2Message(esp2Data);
-          } catch (e) {
-            console.log('Could not parse embedded ESP2 data:', e.message);
-          }
-        }
-        
-        console.log(`ESP1 Gateway: ${parsedData.esp2_message_type || 'Status'} from ${parsedData.esp2_sender_device || 'Unknown ESP2'}`);
-      }
-      
-      // Process ESP2 Messages (Phase 1-6) - ONLY if not already processed via ESP1 Gateway
-      if (isESPNowRelay && !isESP1Gateway) {
-        source = 'RELAY_USB';
-        connections.relayUsb.connected = true;
-        processESP2Message(parsedData);
-        console.log(`ESP2 ${parsedData.message_type || 'message'} from ${parsedData.source_device?.device_id || 'unknown'} (Phase ${getESP2Phase(parsedData)})`);
-        
-        // Clear any existing timeout
-        if (connections.relayUsb.timeout) {
-          clearTimeout(connections.relayUsb.timeout);
-        }
-        // Set timeout to clear indicator after 10 seconds of inactivity
-        connections.relayUsb.timeout = setTimeout(() => {
-          connections.relayUsb.connected = false;
-          sendConnectionStatus();
-        }, 10000);
-      }
-      
-      // Send to renderer - ESP1 Gateway messages take priority, standalone ESP2 only if no gateway
-      if (isValidJSON && isESP1Gateway) {
-        // Always send ESP1 Gateway messages (they may contain ESP2 data)
-        sendToRenderer('log', {
-          message: message,
-          source: source,
-          mode: mode,
-          isESPNowRelay: isESPNowRelay,
-          timestamp: new Date().toISOString(),
-          data: parsedData
-        });
-      } else if (isValidJSON && isESP2Message && !isESP1Gateway) {
-        // Send standalone ESP2 messages only if they're not from gateway
-        sendToRenderer('log', {
-          message: message,
-          source: source,
-          mode: mode,
-          isESPNowRelay: isESPNowRelay,
-          timestamp: new Date().toISOString(),
-          data: parsedData
-        });
-      }
-    } catch (error) {
-      console.error('Error processing serial data:', error);
-    }
-  });
+ipcMain.handle('get-esp2-device', async (event, deviceId) => {
+  return deviceRegistry.get(deviceId) || null;
+});
 
-  serialPort.on('close', () => {
-    console.log('Serial port closed');
-    connections.usb.connected = false;
-    sendConnectionStatus();
-    sendToRenderer('log', {
-      message: 'Serial port disconnected',
-      source: 'SYSTEM',
-      timestamp: new Date().toISOString()
-    });
+// Everything the monitor has seen from one device, for the detail view
+ipcMain.handle('get-esp2-device-details', async (event, deviceId) => {
+  const device = deviceRegistry.get(deviceId);
+  if (!device) return null;
+  return { device: device, history: deviceHistory.get(device.deviceId) };
+});
 
-    // Auto-reconnect after 3 seconds
-    setTimeout(() => {
-      if (!serialPort.isOpen) {
-        openSerialPort(portPath);
-      }
-    }, 3000);
-  });
+ipcMain.handle('get-envelope-rejects', async () => {
+  return rejectTracker.list();
+});
 
-  serialPort.on('error', (error) => {
-    console.error('Serial port error:', error);
-    sendToRenderer('log', {
-      message: `Serial port error: ${error.message}`,
-      source: 'ERROR',
-      timestamp: new Date().toISOString()
-    });
-  });
-}
+ipcMain.handle('get-path-analytics', async () => {
+  return getPathAnalytics();
+});
 
-function sendToRenderer(channel, data) {
-  if (mainWindow && !mainWindow.isDestroyed()) {
-    mainWindow.webContents.send(channel, data);
+ipcMain.handle('get-relay-traces', async () => {
+  return { traces: relayTracer.list(), stats: relayTracer.getStats() };
+});
+
+ipcMain.handle('get-positioning', async (event, originId) => {
+  return positioningEngine.viewFrom(originId);
+});
+
+// Alert IPC Handlers
+ipcMain.handle('get-alerts', async () => {
+  return { ...alertEngine.getStatus(), alerts: alertEngine.listAlerts() };
+});
+
+ipcMain.handle('set-notifications-enabled', async (event, enabled) => {
+  alertEngine.setNotifications(enabled);
+  return alertEngine.getStatus();
+});
+
+ipcMain.handle('add-alert-rule', async (event, type) => {
+  try {
+    return { success: true, rule: alertEngine.addRule(type) };
+  } catch (error) {
+    return { success: false, error: error.message };
   }
-}
+});
 
-// ESP Message Processing Functions
-function processESP1GatewayMessage(parsedData) {
-  // Update gateway information
-  if (parsedData.device_id) {
-    gatewayStats.gatewayInfo.deviceId = parsedData.device_id;
+ipcMain.handle('update-alert-rule', async (event, ruleId, changes) => {
+  try {
+    return { success: true, rule: alertEngine.updateRule(ruleId, changes) };
+  } catch (error) {
+    return { success: false, error: error.message };
   }
-  if (parsedData.esp1_version) {
-    gatewayStats.gatewayInfo.version = parsedData.esp1_version;
+});
+
+ipcMain.handle('remove-alert-rule', async (event, ruleId) => {
+  alertEngine.removeRule(ruleId);
+  return { success: true };
+});
+
+ipcMain.handle('acknowledge-alert', async (event, alertId) => {
+  return { success: alertEngine.acknowledge(alertId) !== null };
+});
+
+ipcMain.handle('clear-alert', async (event, alertId) => {
+  if (alertId) {
+    alertEngine.clearAlert(alertId);
+  } else {
+    alertEngine.clearAlerts();
   }
-  if (parsedData.esp2_protocol_range) {
-    gatewayStats.gatewayInfo.protocolRange = parsedData.esp2_protocol_range;
+  return { success: true };
+});
+
+// Telemetry points newer than `since` (epoch ms; 0 for everything)
+ipcMain.handle('get-metrics', async (event, since) => {
+  return metricsStore.getSince(since || 0);
+});
+
+// Peer Link IPC Handlers
+ipcMain.handle('get-peer-links', async () => {
+  return { ...linkTracker.getStatus(), links: linkTracker.list() };
+});
+
+ipcMain.handle('get-topology', async () => {
+  return topologyTracker.snapshot();
+});
+
+ipcMain.handle('set-link-filter', async (event, filter) => {
+  try {
+    linkTracker.setFilter(filter);
+    return { success: true, links: linkTracker.list(), ...linkTracker.getStatus() };
+  } catch (error) {
+    return { success: false, error: error.message };
   }
-  if (parsedData.uptime) {
-    gatewayStats.gatewayInfo.uptime = parsedData.uptime;
+});
+
+// Distance Model & Calibration IPC Handlers
+ipcMain.handle('get-distance-model', async () => {
+  return distanceModel.getStatus();
+});
+
+ipcMain.handle('set-distance-environment', async (event, environmentId) => {
+  try {
+    distanceModel.setEnvironment(environmentId);
+    return { success: true, model: distanceModel.getStatus() };
+  } catch (error) {
+    return { success: false, error: error.message };
   }
-  
-  // Update gateway health info from consolidated message
-  if (parsedData.esp2_sender_device) {
-    gatewayStats.gatewayInfo.lastSender = parsedData.esp2_sender_device;
+});
+
+ipcMain.handle('set-environment-profile', async (event, environmentId, profile) => {
+  try {
+    distanceModel.setEnvironmentProfile(environmentId, profile);
+    return { success: true, model: distanceModel.getStatus() };
+  } catch (error) {
+    return { success: false, error: error.message };
   }
-  if (parsedData.esp2_message_type) {
-    gatewayStats.gatewayInfo.lastMessageType = parsedData.esp2_message_type;
+});
+
+ipcMain.handle('reset-environment-profile', async (event, environmentId) => {
+  try {
+    distanceModel.resetEnvironmentProfile(environmentId);
+    return { success: true, model: distanceModel.getStatus() };
+  } catch (error) {
+    return { success: false, error: error.message };
   }
-  if (parsedData.message_count) {
-    gatewayStats.messageStats.total = parsedData.message_count;
+});
+
+ipcMain.handle('remove-device-profile', async (event, deviceId) => {
+  distanceModel.removeDeviceProfile(deviceId);
+  return { success: true, model: distanceModel.getStatus() };
+});
+
+ipcMain.handle('get-calibration', async () => {
+  return calibrationSession.getStatus();
+});
+
+ipcMain.handle('start-calibration', async (event, deviceId, peerId) => {
+  try {
+    return { success: true, calibration: calibrationSession.start(deviceId, peerId) };
+  } catch (error) {
+    return { success: false, error: error.message };
   }
-  
-  // Update message statistics from gateway
-  if (parsedData.message_stats) {
-    Object.assign(gatewayStats.messageStats, parsedData.message_stats);
+});
+
+ipcMain.handle('collect-calibration', async (event, distance) => {
+  try {
+    return { success: true, calibration: calibrationSession.collect(distance) };
+  } catch (error) {
+    return { success: false, error: error.message };
   }
-  
-  // Update gateway health info
-  if (parsedData.gateway_health) {
-    gatewayStats.gatewayInfo.lastSender = parsedData.gateway_health.last_sender || 'None';
-    gatewayStats.gatewayInfo.lastMessageType = parsedData.gateway_health.last_message_type || 'None';
+});
+
+ipcMain.handle('stop-calibration-collect', async () => {
+  return { success: true, calibration: calibrationSession.stop() };
+});
+
+ipcMain.handle('fit-calibration', async () => {
+  try {
+    return { success: true, profile: calibrationSession.fit() };
+  } catch (error) {
+    return { success: false, error: error.message };
   }
-}
+});
 
-function processESP2Message(parsedData) {
-  // Update ESP2 message statistics
-  const messageType = parsedData.message_type || 'unknown';
-  if (gatewayStats.messageStats.hasOwnProperty(messageType)) {
-    gatewayStats.messageStats[messageType]++;
-  } else {
-    gatewayStats.messageStats.unknown++;
+// Save the fitted profile for the calibrated device, or as the active
+// environment's profile
+ipcMain.handle('apply-calibration', async (event, target) => {
+  const status = calibrationSession.getStatus();
+  if (!status.result) {
+    return { success: false, error: 'Fit the calibration first' };
   }
-  
-  gatewayStats.messageStats.total++;
-  gatewayStats.messageStats.delivered++;
-  
-  // Update ESP2 device count (simplified)
-  if (parsedData.source_device?.device_id) {
-    gatewayStats.esp2DeviceCount = Math.max(gatewayStats.esp2DeviceCount, 
-      parseInt(parsedData.source_device.device_id.replace(/\D/g, '')) || 1);
+  try {
+    if (target === 'environment') {
+      distanceModel.setEnvironmentProfile(distanceModel.environment, status.result);
+    } else {
+      distanceModel.setDeviceProfile(status.deviceId, status.result);
+    }
+    publish('log', {
+      message: `Distance calibration applied to ${target === 'environment' ? `environment "${distanceModel.environment}"` : status.deviceId}: TxPower ${status.result.txPower} dBm, exponent ${status.result.pathLossExponent}`,
+      source: 'SYSTEM',
+      timestamp: new Date().toISOString()
+    });
+    calibrationSession.reset();
+    calibrationSession.emitUpdate();
+    return { success: true, model: distanceModel.getStatus() };
+  } catch (error) {
+    return { success: false, error: error.message };
   }
-}
+});
 
-function getESP2Phase(parsedData) {
-  // Determine ESP2 phase from message type
-  const messageType = parsedData.message_type;
-  if (!messageType) return 'Unknown';
-  
-  const phaseMap = {
-    'ping': 1, 'data': 1,
-    'wifi_scan': 2,
-    'handshake': 3,
-    'triangulation': 4,
-    'relay': 5,
-    'optimization': 6
-  };
-  
-  return phaseMap[messageType] || parsedData.data?.phase || 'Unknown';
-}
+ipcMain.handle('cancel-calibration', async () => {
+  calibrationSession.reset();
+  calibrationSession.emitUpdate();
+  return { success: true };
+});
 
-function sendConnectionStatus() {
-  // Create a clean copy for sending (without timeout references)
-  const cleanConnections = {
-    wifi: connections.wifi,
-    relayUsb: { connected: connections.relayUsb.connected },
-    relayWifi: { connected: connections.relayWifi.connected },
-    usb: connections.usb
-  };
-  sendToRenderer('connection-status', cleanConnections);
-  
-  // Also send gateway statistics
-  sendToRenderer('gateway-stats', gatewayStats);
-}
+// WebSocket Authentication IPC Handlers
+ipcMain.handle('get-ws-auth', async () => {
+  return deviceKeyStore.getStatus();
+});
 
-// IPC Handlers
-ipcMain.handle('list-serial-ports', async () => {
-  return await listSerialPorts();
+ipcMain.handle('set-ws-auth-enabled', async (event, enabled) => {
+  deviceKeyStore.setEnabled(enabled);
+  reevaluateWebSocketClients();
+  publish('log', {
+    message: `WebSocket authentication ${deviceKeyStore.enabled ? 'enabled' : 'disabled'}`,
+    source: 'SYSTEM',
+    timestamp: new Date().toISOString()
+  });
+  return deviceKeyStore.getStatus();
 });
 
-ipcMain.handle('open-serial-port', async (event, portPath) => {
-  openSerialPort(portPath);
+ipcMain.handle('set-device-key', async (event, deviceId, key) => {
+  try {
+    const entry = deviceKeyStore.setKey(deviceId, key);
+    reevaluateWebSocketClients();
+    return { success: true, entry: entry };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('remove-device-key', async (event, deviceId) => {
+  deviceKeyStore.removeKey(deviceId);
+  reevaluateWebSocketClients();
   return { success: true };
 });
 
-ipcMain.handle('close-serial-port', async () => {
-  if (serialPort && serialPort.isOpen) {
-    serialPort.close();
-  }
+ipcMain.handle('reset-gateway-stats', async () => {
+  resetGatewayStats();
   return { success: true };
 });
 
-ipcMain.handle('get-connection-status', async () => {
-  return connections;
+// Command Channel IPC Handlers
+ipcMain.handle('send-command', async (event, target, command, args) => {
+  try {
+    const result = sendCommand(target, command, args || {});
+    return { success: result.state !== 'failed', command: result };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
 });
 
-ipcMain.handle('clear-log', async () => {
-  return { success: true };
+ipcMain.handle('get-commands', async () => {
+  return commandChannel.list();
 });
 
-// Gateway Monitoring IPC Handlers
-ipcMain.handle('get-gateway-stats', async () => {
-  return gatewayStats;
+ipcMain.handle('get-command-definitions', async () => {
+  return Object.entries(COMMANDS).map(([name, definition]) => ({
+    name: name,
+    description: definition.description
+  }));
 });
 
-ipcMain.handle('reset-gateway-stats', async () => {
-  gatewayStats.messageStats = {
-    ping: 0, handshake: 0, data: 0, triangulation: 0,
-    relay: 0, wifiScan: 0, optimization: 0, unknown: 0,
-    total: 0, delivered: 0
-  };
-  return { success: true };
+// Session Recording & Replay IPC Handlers
+ipcMain.handle('start-recording', async () => {
+  try {
+    const filePath = path.join(getSessionsDirectory(), createSessionFileName());
+    const status = sessionRecorder.start(filePath);
+    publish('recording-status', status);
+    publish('log', {
+      message: `Recording session to ${filePath}`,
+      source: 'SYSTEM',
+      timestamp: new Date().toISOString()
+    });
+    return { success: true, ...status };
+  } catch (error) {
+    console.error('Error starting recording:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('stop-recording', async () => {
+  const status = sessionRecorder.stop();
+  publish('recording-status', sessionRecorder.getStatus());
+  if (status.filePath) {
+    publish('log', {
+      message: `Session saved: ${status.filePath} (${status.frameCount} frames)`,
+      source: 'SYSTEM',
+      timestamp: new Date().toISOString()
+    });
+  }
+  return { success: true, ...status };
+});
+
+ipcMain.handle('get-recording-status', async () => {
+  return sessionRecorder.getStatus();
+});
+
+ipcMain.handle('load-replay', async (event, filePath) => {
+  try {
+    if (!filePath) {
+      const result = await dialog.showOpenDialog(mainWindow, {
+        title: 'Open Monitoring Session',
+        defaultPath: getSessionsDirectory(),
+        filters: [{ name: 'Session Files', extensions: ['ndjson', 'jsonl'] }],
+        properties: ['openFile']
+      });
+      if (result.canceled || result.filePaths.length === 0) {
+        return { success: false, canceled: true };
+      }
+      filePath = result.filePaths[0];
+    }
+
+    const status = sessionPlayer.load(filePath);
+    publish('log', {
+      message: `Loaded session ${filePath} (${status.frameCount} frames)`,
+      source: 'SYSTEM',
+      timestamp: new Date().toISOString()
+    });
+    return { success: true, ...status };
+  } catch (error) {
+    console.error('Error loading session:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('replay-play', async (event, speed) => {
+  return sessionPlayer.play(speed);
+});
+
+ipcMain.handle('replay-pause', async () => {
+  return sessionPlayer.pause();
+});
+
+ipcMain.handle('replay-seek', async (event, positionMs) => {
+  return sessionPlayer.seek(positionMs);
+});
+
+ipcMain.handle('replay-stop', async () => {
+  return sessionPlayer.stop();
+});
+
+ipcMain.handle('get-replay-status', async () => {
+  return sessionPlayer.getStatus();
+});
+
+// Settings IPC Handlers
+ipcMain.handle('get-settings', async () => {
+  return { settings: settingsStore.getAll(), schema: settingsStore.getSchema() };
+});
+
+ipcMain.handle('update-settings', async (event, changes) => {
+  try {
+    const changed = settingsStore.update(changes);
+    return { success: true, changed: changed, settings: settingsStore.getAll() };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('reset-settings', async () => {
+  const changed = settingsStore.reset();
+  return { success: true, changed: changed, settings: settingsStore.getAll() };
+});
+
+// HTTP API IPC Handlers
+ipcMain.handle('get-api-status', async () => {
+  return apiServer.getStatus();
+});
+
+// A fresh token invalidates the old one immediately (the API restarts)
+ipcMain.handle('generate-api-token', async () => {
+  settingsStore.update({ apiToken: crypto.randomBytes(24).toString('base64url') });
+  return { success: true, settings: settingsStore.getAll() };
+});
+
+// MQTT Bridge IPC Handlers
+ipcMain.handle('get-mqtt-status', async () => {
+  return mqttBridge.getStatus();
+});
+
+// Settings, distance profiles, alert rules and saved log filters in one
+// file. Device keys are secrets and stay on this machine.
+ipcMain.handle('export-settings', async () => {
+  try {
+    const result = await dialog.showSaveDialog(mainWindow, {
+      title: 'Export Settings',
+      defaultPath: 'esp32-dashboard-settings.json',
+      filters: [{ name: 'Settings Files', extensions: ['json'] }]
+    });
+    if (result.canceled || !result.filePath) {
+      return { success: false, canceled: true };
+    }
+
+    const content = createSettingsExport(settingsStore.getAll(), {
+      distanceModel: distanceModel.toJSON(),
+      alertRules: alertEngine.toJSON(),
+      logFilters: logFilterStore.toJSON()
+    });
+    fs.writeFileSync(result.filePath, JSON.stringify(content, null, 2));
+    return { success: true, filePath: result.filePath };
+  } catch (error) {
+    console.error('Error exporting settings:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('import-settings', async () => {
+  try {
+    const result = await dialog.showOpenDialog(mainWindow, {
+      title: 'Import Settings',
+      filters: [{ name: 'Settings Files', extensions: ['json'] }],
+      properties: ['openFile']
+    });
+    if (result.canceled || result.filePaths.length === 0) {
+      return { success: false, canceled: true };
+    }
+
+    const filePath = result.filePaths[0];
+    const content = parseSettingsExport(fs.readFileSync(filePath, 'utf8'));
+    // Settings are validated as a whole first, so a bad file changes nothing
+    settingsStore.update(content.settings || {});
+    if (content.distanceModel) {
+      distanceModel.restore(content.distanceModel);
+      distanceModel.save();
+    }
+    if (content.alertRules) {
+      alertEngine.restore(content.alertRules);
+      alertEngine.save();
+    }
+    if (content.logFilters) {
+      logFilterStore.restore(content.logFilters);
+      logFilterStore.save();
+    }
+    publish('log', {
+      message: `Imported settings from ${filePath}`,
+      source: 'SYSTEM',
+      timestamp: new Date().toISOString()
+    });
+    return { success: true, filePath: filePath, settings: settingsStore.getAll() };
+  } catch (error) {
+    console.error('Error importing settings:', error);
+    return { success: false, error: error.message };
+  }
 });
 
 // App lifecycle
 app.whenReady().then(() => {
+  start({ dataDirectory: app.getPath('userData') });
+  logFilterStore.load(path.join(app.getPath('userData'), 'log-filters.json'));
+  createApplicationMenu();
   createWindow();
-  startWebSocketServer();
   
   app.on('activate', () => {
     if (BrowserWindow.getAllWindows().length === 0) {
@@ -502,12 +737,7 @@ app.whenReady().then(() => {
 });
 
 app.on('window-all-closed', () => {
-  if (wss) {
-    wss.close();
-  }
-  if (serialPort && serialPort.isOpen) {
-    serialPort.close();
-  }
+  stop();
   if (process.platform !== 'darwin') {
     app.quit();
   }
@@ -0,0 +1,1222 @@
+// The monitoring pipeline: WebSocket server, ESP1 serial gateways, message
+// classification, deduplication, statistics and every derived view. It has no
+// Electron dependency, so the dashboard (main.js) and the headless command
+// (headless.js) run the same code. Everything it produces is published as
+// (channel, data) on `events` - the same channels the dashboard receives.
+const path = require('path');
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+const { SerialPort } = require('serialport');
+const { ReadlineParser } = require('@serialport/parser-readline');
+const { DeviceRegistry } = require('./core/device-registry');
+const { SessionRecorder } = require('./core/session-recorder');
+const { SessionPlayer } = require('./core/session-player');
+const { MessageDeduplicator, getEnvelopeKey } = require('./core/message-deduplicator');
+const { CommandChannel } = require('./core/command-channel');
+const { validateEnvelope, RejectTracker } = require('./core/envelope-validator');
+const { DeviceKeyStore, authenticateUpgrade, authenticateFirstFrame, checkFrameSender, checkForwardedEnvelope } = require('./core/ws-auth');
+const { RelayTracer } = require('./core/relay-tracer');
+const { PositioningEngine } = require('./core/positioning-engine');
+const { DistanceModel, CalibrationSession } = require('./core/distance-model');
+const { LinkTracker } = require('./core/link-tracker');
+const { TopologyTracker } = require('./core/topology-tracker');
+const { DeviceHistory } = require('./core/device-history');
+const { MetricsStore } = require('./core/metrics-store');
+const { AlertEngine } = require('./core/alert-engine');
+const { SettingsStore } = require('./core/settings-store');
+const { ApiServer } = require('./core/api-server');
+const { MqttBridge } = require('./core/mqtt-bridge');
+const { createDecoderPipeline } = require('./core/decoder-pipeline');
+
+const events = new EventEmitter();
+
+function publish(channel, data) {
+  events.emit('event', channel, data);
+}
+
+let wss;
+// Where settings, keys, profiles, rules and sessions are stored
+let dataDirectory = null;
+// Open ESP1 gateway serial ports, keyed by port path
+const serialGateways = new Map();
+
+// Port, baud rate, timeouts and logging level (settings.json)
+const settingsStore = new SettingsStore();
+
+// Changes take effect without a restart
+settingsStore.on('change', ({ key, value, previous }) => {
+  const schema = settingsStore.getSchema()[key];
+  publish('log', {
+    message: schema.secret
+      ? `Setting changed: ${schema.label}`
+      : `Setting changed: ${schema.label} ${previous} → ${value}`,
+    source: 'SYSTEM',
+    timestamp: new Date().toISOString()
+  });
+  if (key === 'websocketPort' && wss) {
+    restartWebSocketServer();
+  } else if (key === 'baudRate') {
+    reopenSerialPorts();
+  } else if (key.startsWith('api') && dataDirectory) {
+    applyApiSettings();
+  } else if (key.startsWith('mqtt') && dataDirectory) {
+    applyMqttSettings();
+  }
+});
+
+// Diagnostic lines that only reach the log with verbose logging on
+function logVerbose(message, source = 'SYSTEM') {
+  if (!settingsStore.get('verboseLogging')) return;
+  console.log(message);
+  publish('log', {
+    message: message,
+    source: source,
+    timestamp: new Date().toISOString()
+  });
+}
+
+// Connection states
+let connections = {
+  wifi: { connected: false, signalStrength: 0, distance: 0 },
+  relayUsb: { connected: false },
+  relayWifi: { connected: false },
+  usb: { connected: false }
+};
+
+// ESP Gateway Monitoring
+let gatewayStats = {
+  esp1Connected: false,
+  esp2DeviceCount: 0,
+  messageStats: {
+    ping: 0, handshake: 0, data: 0, triangulation: 0,
+    relay: 0, wifiScan: 0, optimization: 0, unknown: 0,
+    total: 0, delivered: 0, rejected: 0, duplicates: 0
+  },
+  gatewayInfo: {
+    deviceId: 'Unknown', version: 'Unknown', uptime: 0, uptimeAt: null,
+    protocolRange: 'Unknown', lastSender: 'None', lastMessageType: 'None'
+  },
+  // Per-gateway statistics, keyed by serial port path
+  gateways: {}
+};
+
+// gatewayStats changes with every message, so it's published at most once
+// per interval (a snapshot is always available from get-gateway-stats)
+const STATS_INTERVAL_MS = 1000;
+let statsChanged = false;
+let statsTimer = null;
+let lastConnectionStatus = null;
+
+// Every path (and gateway) each ESP2 envelope arrived on, so an envelope is
+// processed and logged once however many ways it reaches us
+const messageDeduplicator = new MessageDeduplicator();
+// Replayed sessions have their own, emptied whenever frames may be played
+// again - otherwise a second pass would be nothing but duplicates
+const replayDeduplicator = new MessageDeduplicator();
+
+// Serial lines and WebSocket frames are classified by the decoder pipeline
+// (core/decoder-pipeline.js); more decoders can be registered on it
+const decoderPipeline = createDecoderPipeline();
+
+// ESP2 devices seen on any path (WiFi, relay, ESP1 gateway)
+const deviceRegistry = new DeviceRegistry();
+
+deviceRegistry.on('device-added', (device) => {
+  gatewayStats.esp2DeviceCount = deviceRegistry.size;
+  statsChanged = true;
+  publish('esp2-device-update', { device: device, isNew: true });
+  publish('log', {
+    message: `New ESP2 device detected: ${device.deviceId}${device.macAddress ? ` (${device.macAddress})` : ''}`,
+    source: 'SYSTEM',
+    timestamp: new Date().toISOString()
+  });
+});
+
+deviceRegistry.on('device-updated', (device) => {
+  publish('esp2-device-update', { device: device, isNew: false });
+});
+
+// Before 'device-removed' drops the placeholder's history
+deviceRegistry.on('device-merged', (old, device) => {
+  deviceHistory.mergeInto(old.deviceId, device.deviceId);
+});
+
+deviceRegistry.on('device-removed', (device) => {
+  gatewayStats.esp2DeviceCount = deviceRegistry.size;
+  statsChanged = true;
+  topologyTracker.removeNode(device.deviceId);
+  deviceHistory.remove(device.deviceId);
+  publish('esp2-device-removed', { deviceId: device.deviceId });
+});
+
+// Optional read-only HTTP API (REST + Server-Sent Events) for other tools
+const apiServer = new ApiServer({
+  events: events,
+  getGatewayStats: () => gatewayStats,
+  getConnectionStatus: () => getConnectionStatus(),
+  listDevices: () => deviceRegistry.list(),
+  getDevice: (deviceId) => deviceRegistry.get(deviceId) || null
+});
+// Restarts run one after another when several API settings change at once
+let apiUpdate = Promise.resolve();
+
+// Optional MQTT publisher for Node-RED, Grafana and home automation
+const mqttBridge = new MqttBridge();
+let mqttUpdate = Promise.resolve();
+let mqttState = 'disabled';
+
+mqttBridge.on('status', (status) => {
+  publish('mqtt-status', status);
+  if (status.state === mqttState) return;
+  if (status.state === 'connected') {
+    publish('log', {
+      message: `MQTT bridge connected to ${status.url}`,
+      source: 'SYSTEM',
+      timestamp: new Date().toISOString()
+    });
+  } else if (status.state === 'disconnected' && mqttState === 'connected') {
+    publish('log', {
+      message: `MQTT broker connection lost${status.lastError ? `: ${status.lastError}` : ''}; queueing messages until it is back`,
+      source: 'ERROR',
+      timestamp: new Date().toISOString()
+    });
+  }
+  mqttState = status.state;
+});
+
+// Envelopes that failed schema validation, counted per sending device
+const rejectTracker = new RejectTracker();
+
+// Hop-by-hop traces of store-and-forward (Phase 5) messages
+const relayTracer = new RelayTracer();
+
+relayTracer.on('trace', (trace) => {
+  publish('relay-trace', { trace: trace, stats: relayTracer.getStats() });
+  topologyTracker.observeRelay(trace);
+  if (trace.hitMaxHops && trace.deliveries === 1) {
+    publish('log', {
+      message: `Relayed message ${trace.messageId} from ${trace.origin} reached the ${trace.hopCount}-hop relay limit`,
+      source: 'SYSTEM',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// RSSI-to-distance model shared by every distance the app shows, plus the
+// calibration wizard that fits its profiles
+const distanceModel = new DistanceModel();
+const calibrationSession = new CalibrationSession();
+
+calibrationSession.on('update', (status) => {
+  publish('calibration-update', status);
+});
+
+// Alert rules (silent devices, low heap, gateway persistence mode, ...)
+const alertEngine = new AlertEngine();
+// Alert rules and MQTT presence timeouts are checked every 5 seconds
+let tickTimer = null;
+
+alertEngine.on('alert', (alert) => {
+  publish('alert', alert);
+  publish('log', {
+    message: `🔔 Alert (${alert.ruleName}): ${alert.message}`,
+    source: 'SYSTEM',
+    timestamp: alert.firedAt
+  });
+});
+
+// Telemetry time series per device (heap, RSSI, peers, sensors)
+const metricsStore = new MetricsStore();
+
+// Filtered RSSI history of every directed peer link (A hears B)
+const linkTracker = new LinkTracker({
+  rssiToDistance: (rssi, link) => estimateDistance(rssi, link)
+});
+
+// Latest envelope, status and recent messages of each device (detail view)
+const deviceHistory = new DeviceHistory();
+
+// Device graph (peer links, gateways, relay paths) for the topology views,
+// published with the statistics whenever it changed
+const topologyTracker = new TopologyTracker({
+  smoothedRssi: (from, to) => linkTracker.smoothedRssi(from, to)
+});
+let publishedTopologyVersion = 0;
+
+// Relative device positions from the RSSI devices report about their peers
+const positioningEngine = new PositioningEngine({
+  rssiToDistance: (rssi, link) => distanceModel.estimate(rssi, link),
+  smoothedRssi: (from, to) => linkTracker.smoothedRssi(from, to)
+});
+
+// Downlink commands (monitor -> ESP1/ESP2)
+const commandChannel = new CommandChannel();
+
+// WebSocket connection of each ESP2 that talks to us directly over WiFi
+const deviceSockets = new Map();
+
+commandChannel.on('update', (command) => {
+  publish('command-update', command);
+  if (command.state === 'timed_out' || command.state === 'failed') {
+    publish('log', {
+      message: `Command ${command.command} (${command.messageId}) to ${command.target} ${command.state.replace('_', ' ')}: ${command.error}`,
+      source: 'ERROR',
+      timestamp: new Date().toISOString()
+    });
+  } else if (command.state === 'acknowledged') {
+    publish('log', {
+      message: `Command ${command.command} (${command.messageId}) acknowledged by ${command.ackedBy || command.target}`,
+      source: 'SYSTEM',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Optional per-device keys for WebSocket clients
+const deviceKeyStore = new DeviceKeyStore();
+
+// Session recording (raw serial/WebSocket frames) and replay
+const sessionRecorder = new SessionRecorder();
+const sessionPlayer = new SessionPlayer();
+
+// Replayed frames go through the same classification path as live ones
+sessionPlayer.on('frame', (frame) => {
+  const meta = { timestamp: frame.t, replay: true, gateway: frame.port };
+  if (frame.transport === 'serial') {
+    handleSerialLine(frame.data, meta);
+  } else if (frame.transport === 'websocket' && frame.untrusted) {
+    handleUntrustedMessage(frame.data, { ...meta, client: frame.client });
+  } else if (frame.transport === 'websocket') {
+    handleWebSocketMessage(frame.data, meta);
+  }
+});
+
+sessionPlayer.on('rewind', () => {
+  replayDeduplicator.clear();
+});
+
+sessionPlayer.on('status', (status) => {
+  publish('replay-status', status);
+});
+
+// How the paths compare - for the loaded session while one is replayed
+function getPathAnalytics() {
+  return (sessionPlayer.state === 'idle' ? messageDeduplicator : replayDeduplicator).getAnalytics();
+}
+
+function getSessionsDirectory() {
+  return path.join(dataDirectory, 'sessions');
+}
+
+// Distance (in meters, 1 decimal) for an RSSI measured by `from` while
+// hearing `to`; 0 when there is no usable reading
+function estimateDistance(rssi, link = {}) {
+  const distance = distanceModel.estimate(rssi, link);
+  return distance === null ? 0 : Math.round(distance * 10) / 10;
+}
+
+// Smoothed link state for each peer an envelope reports, keyed by peer id:
+//   { distance, smoothedRssi, stdDev, confidence, asymmetric, asymmetryDb }
+function describePeerLinks(links) {
+  if (links.length === 0) return null;
+  const peerLinks = {};
+  links.forEach(link => {
+    peerLinks[link.to] = {
+      distance: link.distance,
+      smoothedRssi: link.smoothedRssi,
+      stdDev: link.stdDev,
+      confidence: link.confidence,
+      asymmetric: link.asymmetric,
+      asymmetryDb: link.asymmetryDb
+    };
+  });
+  return peerLinks;
+}
+
+// WebSocket Server for WiFi ESPs
+function startWebSocketServer() {
+  const port = settingsStore.get('websocketPort');
+  wss = new WebSocket.Server({ port: port });
+
+  wss.on('listening', () => {
+    console.log(`WebSocket server listening on port ${port}`);
+    publish('log', {
+      message: `WebSocket server started on port ${port}`,
+      source: 'SYSTEM',
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  wss.on('connection', (ws, req) => {
+    const clientIP = req.socket.remoteAddress;
+    logVerbose(`WebSocket client connected from ${clientIP}`);
+
+    ws.clientIP = clientIP;
+    setClientAuth(ws, authenticateUpgrade(req, deviceKeyStore));
+
+    ws.on('message', (data) => {
+      const message = data.toString();
+
+      // Clients that sent no credentials with the upgrade get judged by their first frame
+      if (ws.auth.state === 'pending') {
+        const result = authenticateFirstFrame(message, deviceKeyStore);
+        setClientAuth(ws, result);
+        if (result.authFrame) {
+          return; // Credentials only - nothing to record or display
+        }
+      }
+
+      if (ws.auth.state !== 'trusted') {
+        sessionRecorder.record('websocket', message, { client: clientIP, untrusted: true });
+        handleUntrustedMessage(message, { client: clientIP, reason: ws.auth.reason });
+        return;
+      }
+
+      // With keys on, the client may only speak for the device it authenticated as
+      const accepted = handleWebSocketMessage(message, {
+        socket: ws,
+        client: clientIP,
+        deviceId: deviceKeyStore.enabled ? ws.auth.deviceId : null
+      });
+      sessionRecorder.record('websocket', message, accepted ? { client: clientIP } : { client: clientIP, untrusted: true });
+    });
+
+    ws.on('close', () => {
+      console.log('WebSocket client disconnected');
+      deviceSockets.forEach((socket, deviceId) => {
+        if (socket === ws) {
+          deviceSockets.delete(deviceId);
+        }
+      });
+      connections.wifi.connected = false;
+      connections.relayWifi.connected = false;
+      sendConnectionStatus();
+      publish('log', {
+        message: 'WebSocket client disconnected',
+        source: 'SYSTEM',
+        timestamp: new Date().toISOString()
+      });
+      
+      // Auto-reconnect is handled by ESP trying to reconnect
+    });
+
+    ws.on('error', (error) => {
+      console.error('WebSocket error:', error);
+      publish('log', {
+        message: `WebSocket error: ${error.message}`,
+        source: 'ERROR',
+        timestamp: new Date().toISOString()
+      });
+    });
+  });
+
+  wss.on('error', (error) => {
+    console.error('WebSocket server error:', error);
+    publish('log', {
+      message: `WebSocket server error on port ${port}: ${error.message}`,
+      source: 'ERROR',
+      timestamp: new Date().toISOString()
+    });
+  });
+}
+
+// Move the server to the configured port; connected devices reconnect to it
+function restartWebSocketServer() {
+  const previous = wss;
+  wss = null;
+  previous.clients.forEach(client => client.terminate());
+  previous.close(() => startWebSocketServer());
+}
+
+// Record a client's trust state and log the transitions worth knowing about
+function setClientAuth(ws, auth) {
+  const previous = ws.auth;
+  ws.auth = { state: auth.state, deviceId: auth.deviceId, reason: auth.reason };
+
+  if (previous && previous.state === ws.auth.state) return;
+  if (ws.auth.state === 'untrusted') {
+    publish('log', {
+      message: `WebSocket client ${ws.clientIP} quarantined: ${ws.auth.reason}`,
+      source: 'ERROR',
+      timestamp: new Date().toISOString()
+    });
+  } else if (ws.auth.state === 'trusted' && ws.auth.deviceId) {
+    publish('log', {
+      message: `WebSocket client ${ws.clientIP} authenticated as ${ws.auth.deviceId}`,
+      source: 'SYSTEM',
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+// Re-check connected clients after the key table or the auth switch changes
+function reevaluateWebSocketClients() {
+  if (!wss) return;
+  wss.clients.forEach(ws => {
+    if (!ws.auth) return;
+    if (!deviceKeyStore.enabled) {
+      setClientAuth(ws, { state: 'trusted', deviceId: ws.auth.deviceId, reason: null });
+    } else if (ws.auth.state === 'trusted' && !ws.auth.deviceId) {
+      // Connected while auth was off - must authenticate with its next frame
+      setClientAuth(ws, { state: 'pending', deviceId: null, reason: null });
+    } else if (ws.auth.state === 'trusted' && !deviceKeyStore.has(ws.auth.deviceId)) {
+      setClientAuth(ws, { state: 'untrusted', deviceId: ws.auth.deviceId, reason: `key for ${ws.auth.deviceId} was revoked` });
+    }
+    if (ws.auth.state !== 'trusted') {
+      deviceSockets.forEach((socket, deviceId) => {
+        if (socket === ws) deviceSockets.delete(deviceId);
+      });
+    }
+  });
+}
+
+// Frames from unauthenticated clients are only shown in the UNTRUSTED log
+// stream; they never reach the statistics, registry or connection status.
+function handleUntrustedMessage(message, meta = {}) {
+  let parsedData = null;
+  try {
+    parsedData = JSON.parse(message);
+  } catch (e) {
+    // Shown as raw text
+  }
+
+  publish('log', {
+    message: message,
+    source: 'UNTRUSTED',
+    timestamp: meta.timestamp || new Date().toISOString(),
+    replay: meta.replay || false,
+    client: meta.client,
+    data: parsedData
+  });
+}
+
+// A trusted client sent something it may not vouch for: say why, then treat
+// it like traffic from an untrusted client
+function quarantineFrame(message, client, reason, timestamp) {
+  publish('log', {
+    message: `WebSocket client ${client} quarantined a frame: ${reason}`,
+    source: 'ERROR',
+    timestamp: timestamp || new Date().toISOString()
+  });
+  handleUntrustedMessage(message, { client: client, reason: reason });
+}
+
+// Classify one WebSocket frame. Live frames and replayed session frames both
+// come through here; `meta.timestamp` carries the original arrival time.
+// `meta.deviceId` is the device an authenticated client proved it is. Returns
+// false when the frame was quarantined for claiming to be another device.
+function handleWebSocketMessage(message, meta = {}) {
+  return handleFrame({
+    transport: 'websocket',
+    raw: message,
+    timestamp: meta.timestamp || new Date().toISOString(),
+    gateway: null
+  }, meta);
+}
+
+// Serial Port Communication
+async function listSerialPorts() {
+  try {
+    const ports = await SerialPort.list();
+    return ports;
+  } catch (error) {
+    console.error('Error listing serial ports:', error);
+    return [];
+  }
+}
+
+function openSerialPort(portPath) {
+  let gateway = serialGateways.get(portPath);
+  if (gateway && gateway.port && (gateway.port.isOpen || gateway.port.opening)) {
+    return;
+  }
+  if (!gateway) {
+    gateway = { portPath: portPath, port: null, closing: false, reopening: false, reconnectTimer: null };
+    serialGateways.set(portPath, gateway);
+    getGatewayEntry(portPath);
+  }
+
+  const serialPort = new SerialPort({
+    path: portPath,
+    baudRate: settingsStore.get('baudRate'),
+    autoOpen: false
+  });
+  gateway.port = serialPort;
+
+  const serialParser = serialPort.pipe(new ReadlineParser({ delimiter: '\n' }));
+
+  serialPort.open((error) => {
+    if (error) {
+      console.error(`Error opening serial port ${portPath}:`, error);
+      updateSerialConnectionStatus();
+      publish('log', {
+        message: `Failed to open serial port ${portPath}: ${error.message}`,
+        source: 'ERROR',
+        timestamp: new Date().toISOString()
+      });
+      
+      // Auto-reconnect after the configured delay
+      scheduleSerialReconnect(gateway);
+      return;
+    }
+
+    getGatewayEntry(portPath).connected = true;
+    updateSerialConnectionStatus();
+    publish('log', {
+      message: `Serial port opened: ${portPath} (${serialPort.baudRate} baud)`,
+      source: 'SYSTEM',
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  serialParser.on('data', (data) => {
+    sessionRecorder.record('serial', data, { port: portPath });
+    handleSerialLine(data, { gateway: portPath });
+  });
+
+  serialPort.on('close', () => {
+    console.log(`Serial port closed: ${portPath}`);
+    if (gatewayStats.gateways[portPath]) {
+      gatewayStats.gateways[portPath].connected = false;
+    }
+    updateSerialConnectionStatus();
+
+    if (gateway.closing) {
+      return;
+    }
+
+    // Closed on purpose to pick up a new baud rate
+    if (gateway.reopening) {
+      gateway.reopening = false;
+      openSerialPort(portPath);
+      return;
+    }
+
+    publish('log', {
+      message: `Serial port disconnected: ${portPath}`,
+      source: 'SYSTEM',
+      timestamp: new Date().toISOString()
+    });
+
+    // Auto-reconnect after the configured delay
+    scheduleSerialReconnect(gateway);
+  });
+
+  serialPort.on('error', (error) => {
+    console.error(`Serial port error on ${portPath}:`, error);
+    publish('log', {
+      message: `Serial port error (${portPath}): ${error.message}`,
+      source: 'ERROR',
+      timestamp: new Date().toISOString()
+    });
+  });
+}
+
+function scheduleSerialReconnect(gateway) {
+  clearTimeout(gateway.reconnectTimer);
+  gateway.reconnectTimer = setTimeout(() => {
+    if (!gateway.closing && serialGateways.get(gateway.portPath) === gateway && !gateway.port.isOpen) {
+      openSerialPort(gateway.portPath);
+    }
+  }, settingsStore.get('serialReconnectMs'));
+}
+
+// Reopen every open gateway so a new baud rate applies
+function reopenSerialPorts() {
+  serialGateways.forEach(gateway => {
+    if (gateway.port && gateway.port.isOpen) {
+      clearTimeout(gateway.reconnectTimer);
+      gateway.reopening = true;
+      gateway.port.close();
+    }
+  });
+}
+
+// Close one gateway, or every gateway when no port is given
+function closeSerialPort(portPath) {
+  const targets = portPath ? [portPath] : Array.from(serialGateways.keys());
+
+  targets.forEach(target => {
+    const gateway = serialGateways.get(target);
+    if (!gateway) return;
+
+    gateway.closing = true;
+    clearTimeout(gateway.reconnectTimer);
+    serialGateways.delete(target);
+    if (gatewayStats.gateways[target]) {
+      publishGatewayStatus({ ...gatewayStats.gateways[target], connected: false });
+    }
+    delete gatewayStats.gateways[target];
+
+    if (gateway.port && gateway.port.isOpen) {
+      gateway.port.close();
+    }
+    publish('log', {
+      message: `Gateway removed: ${target}`,
+      source: 'SYSTEM',
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  updateSerialConnectionStatus();
+}
+
+// Per-gateway statistics entry (created on first use, also for replayed gateways)
+function getGatewayEntry(gatewayId) {
+  if (!gatewayStats.gateways[gatewayId]) {
+    gatewayStats.gateways[gatewayId] = {
+      gatewayId: gatewayId,
+      connected: false,
+      gatewayInfo: {
+        deviceId: 'Unknown', version: 'Unknown', uptime: 0, uptimeAt: null,
+        protocolRange: 'Unknown', macAddress: 'Unknown', gatewayStatus: 'Unknown', protocolMismatches: 0,
+        lastSender: 'None', lastMessageType: 'None'
+      },
+      messageStats: {},
+      heardCount: 0,
+      lastRssi: null,
+      lastMessageAt: null
+    };
+  }
+  return gatewayStats.gateways[gatewayId];
+}
+
+function updateSerialConnectionStatus() {
+  const openCount = Array.from(serialGateways.values())
+    .filter(gateway => gateway.port && gateway.port.isOpen).length;
+
+  connections.usb.connected = openCount > 0;
+  connections.usb.gatewayCount = openCount;
+  if (openCount === 0 && serialGateways.size === 0) {
+    gatewayStats.esp1Connected = false;
+  }
+
+  sendConnectionStatus();
+  publish('serial-gateways', Object.values(gatewayStats.gateways));
+  Object.values(gatewayStats.gateways).forEach(publishGatewayStatus);
+}
+
+// Classify one line from the ESP1 gateway serial port. Live lines and
+// replayed session frames both come through here.
+function handleSerialLine(data, meta = {}) {
+  handleFrame({
+    transport: 'serial',
+    raw: data,
+    timestamp: meta.timestamp || new Date().toISOString(),
+    gateway: meta.gateway || 'unknown'
+  }, meta);
+}
+
+// Run a frame through the decoder pipeline, apply its events in order and
+// log it - unless its envelope was already logged via another path, in which
+// case that entry was updated with this arrival
+function handleFrame(input, meta) {
+  let frame;
+  try {
+    frame = decoderPipeline.decode(input);
+  } catch (error) {
+    console.error(`Error decoding ${input.transport} frame:`, error);
+    return true;
+  }
+
+  const senderProblem = meta.deviceId ? checkFrameSender(frame, meta.deviceId, deviceKeyStore) : null;
+  if (senderProblem) {
+    quarantineFrame(input.raw, meta.client, senderProblem, frame.timestamp);
+    return false;
+  }
+
+  let result = null;
+  frame.events.forEach(event => {
+    try {
+      switch (event.type) {
+        case 'debug':
+          logVerbose(event.message, event.source);
+          break;
+        case 'gateway':
+          processESP1GatewayMessage(event, frame.timestamp);
+          break;
+        case 'link':
+          markLinkActive(event);
+          break;
+        case 'envelope':
+          result = processESP2Message(event.envelope, {
+            ...event.context,
+            replay: meta.replay || false,
+            // Relayed originals from this client have to carry their own keys
+            authenticatedAs: meta.deviceId || null,
+            client: meta.client
+          });
+          // Remember the socket so commands can be sent straight back to this device
+          // (repeat arrivals count too - the first copy may have come via ESP1).
+          // An authenticated socket only ever routes to its own device.
+          if (result.validation?.valid !== false && meta.socket && event.context.path === 'WIFI' && event.envelope.source_device?.device_id) {
+            deviceSockets.set(meta.deviceId || event.envelope.source_device.device_id, meta.socket);
+          }
+          break;
+        case 'log':
+          publish('log', { timestamp: frame.timestamp, replay: meta.replay || false, ...event.entry });
+          break;
+      }
+    } catch (error) {
+      console.error(`Error processing ${event.type} from ${input.transport} frame:`, error);
+    }
+  });
+  if (frame.done) return true;
+
+  sendConnectionStatus();
+  if (!frame.log || (result && !result.isFirst)) return true;
+
+  publish('log', {
+    message: frame.line,
+    source: frame.source,
+    mode: frame.mode,
+    isESPNowRelay: frame.isESPNowRelay,
+    timestamp: frame.timestamp,
+    replay: meta.replay || false,
+    gateway: frame.gateway || undefined,
+    distance: frame.transport === 'websocket' ? connections.wifi.distance || 0 : undefined,
+    messageKey: result ? result.messageKey : null,
+    arrivals: result ? result.arrivals : null,
+    validation: result ? result.validation : null,
+    peerLinks: result ? result.peerLinks : null,
+    data: frame.data
+  });
+  return true;
+}
+
+// A frame arrived over `event.link`; the relay indicators go off again after
+// relayTimeoutMs without traffic
+function markLinkActive(event) {
+  const connection = connections[event.link];
+  connection.connected = true;
+  if (event.link === 'wifi') {
+    connection.signalStrength = event.rssi || 0;
+    connection.distance = estimateDistance(event.rssi, { from: event.deviceId });
+    return;
+  }
+  clearTimeout(connection.timeout);
+  connection.timeout = setTimeout(() => {
+    connection.connected = false;
+    sendConnectionStatus();
+  }, settingsStore.get('relayTimeoutMs'));
+}
+
+// Send a command to a device. `target` is an ESP2 device_id, or a gateway
+// serial port path to address that ESP1 itself. ESP2s with an open WebSocket
+// get the envelope directly; everything else goes to an ESP1 over serial,
+// which forwards it over ESP-NOW.
+function sendCommand(target, command, args = {}) {
+  const isGatewayTarget = serialGateways.has(target);
+  const record = commandChannel.createCommand(
+    isGatewayTarget ? 'ESP1_WIRED_GATEWAY' : target, command, args
+  );
+  const line = JSON.stringify(record.envelope);
+
+  try {
+    const socket = deviceSockets.get(target);
+    if (!isGatewayTarget && socket && socket.readyState === WebSocket.OPEN) {
+      socket.send(line);
+      commandChannel.markSent(record.messageId, 'websocket', target);
+    } else {
+      const gateway = pickCommandGateway(target);
+      if (!gateway) {
+        commandChannel.markFailed(record.messageId, 'No WebSocket connection or open ESP1 gateway to reach the device');
+        return commandChannel.list().find(c => c.messageId === record.messageId);
+      }
+      gateway.port.write(line + '\n');
+      commandChannel.markSent(record.messageId, 'serial', gateway.portPath);
+    }
+  } catch (error) {
+    commandChannel.markFailed(record.messageId, error.message);
+  }
+
+  publish('log', {
+    message: `Command ${command} sent to ${target} (${record.messageId})`,
+    source: 'SYSTEM',
+    timestamp: new Date().toISOString()
+  });
+  return commandChannel.list().find(c => c.messageId === record.messageId);
+}
+
+// Prefer the gateway addressed directly, then the one that last heard the
+// device, then any open gateway
+function pickCommandGateway(target) {
+  const isOpen = (gateway) => gateway && gateway.port && gateway.port.isOpen;
+
+  const direct = serialGateways.get(target);
+  if (isOpen(direct)) return direct;
+
+  const lastGateway = deviceRegistry.get(target)?.lastGateway;
+  if (lastGateway && isOpen(serialGateways.get(lastGateway))) {
+    return serialGateways.get(lastGateway);
+  }
+
+  return Array.from(serialGateways.values()).find(isOpen) || null;
+}
+
+// ESP Message Processing Functions
+// `update` is a 'gateway' event from the decoder pipeline
+function processESP1GatewayMessage(update, timestamp) {
+  const gateway = getGatewayEntry(update.gateway);
+  statsChanged = true;
+  gatewayStats.esp1Connected = true;
+  gateway.lastMessageAt = timestamp || new Date().toISOString();
+
+  // Global info mirrors the most recent gateway
+  Object.assign(gatewayStats.gatewayInfo, update.info);
+  Object.assign(gateway.gatewayInfo, update.info, update.gatewayInfo);
+  // The reported uptime is as of this message
+  if (update.info.uptime !== undefined) {
+    gatewayStats.gatewayInfo.uptimeAt = gateway.lastMessageAt;
+    gateway.gatewayInfo.uptimeAt = gateway.lastMessageAt;
+  }
+  if (update.status) {
+    gateway.gatewayInfo.gatewayStatus = update.status;
+    alertEngine.observeGateway(update.gateway, update.status);
+  }
+
+  // Counters reported by the gateway itself are kept per gateway; the
+  // aggregate messageStats are counted by the monitor from ESP2 envelopes
+  Object.assign(gateway.messageStats, update.messageStats);
+
+  if (update.ack) {
+    commandChannel.handleAck(update.ack);
+  }
+
+  if (update.heard) {
+    gateway.heardCount++;
+    if (update.rssi !== null) {
+      gateway.lastRssi = update.rssi;
+    }
+  }
+
+  publishGatewayStatus(gateway);
+}
+
+// Retained MQTT gateway status; the bridge skips unchanged statuses, so
+// volatile fields like uptime are left out
+function publishGatewayStatus(gateway) {
+  mqttBridge.publishGateway(gateway.gatewayId, {
+    connected: gateway.connected,
+    device_id: gateway.gatewayInfo.deviceId,
+    version: gateway.gatewayInfo.version,
+    status: gateway.gatewayInfo.gatewayStatus,
+    mac_address: gateway.gatewayInfo.macAddress
+  });
+}
+
+// Process one arrival of an ESP2 envelope. Returns
+//   { isFirst, messageKey, arrivals, validation, peerLinks }
+// Only the first arrival of an envelope is validated and counted; later
+// arrivals over other paths are just added to its arrival list. Rejected
+// envelopes don't count towards the message statistics or the device registry.
+function processESP2Message(parsedData, context = {}) {
+  const arrival = recordArrival(parsedData, context);
+  if (!arrival.isFirst) {
+    // Another ESP1 hearing the same message is one more gateway link
+    if (context.path === 'ESP1_GATEWAY') topologyTracker.observe(parsedData, context);
+    return { ...arrival, validation: null };
+  }
+
+  const validation = checkEnvelope(parsedData, context);
+  if (!validation.valid) {
+    return { ...arrival, validation: validation };
+  }
+
+  // Update ESP2 message statistics
+  const messageType = parsedData.message_type || 'unknown';
+  if (gatewayStats.messageStats.hasOwnProperty(messageType)) {
+    gatewayStats.messageStats[messageType]++;
+  } else {
+    gatewayStats.messageStats.unknown++;
+  }
+  
+  gatewayStats.messageStats.total++;
+  gatewayStats.messageStats.delivered++;
+  
+  // Track the sending device in the registry
+  const device = deviceRegistry.observe(parsedData, context);
+  if (device) deviceHistory.observe(device.deviceId, parsedData, context);
+  gatewayStats.esp2DeviceCount = deviceRegistry.size;
+  metricsStore.observe(parsedData, context.receivedAt);
+  alertEngine.observeEnvelope(parsedData);
+  positioningEngine.observe(parsedData, context.receivedAt);
+  calibrationSession.observe(parsedData);
+  mqttBridge.publishMessage(parsedData, context);
+  const peerLinks = describePeerLinks(linkTracker.observe(parsedData, context.receivedAt));
+  topologyTracker.observe(parsedData, context);
+  
+  // The relay message itself was traced; its unwrapped original isn't traced again
+  if (context.path !== 'ESP_NOW_RELAY') {
+    relayTracer.observe(parsedData, context);
+  }
+  commandChannel.handleAck(parsedData);
+
+  // A Phase 5 relay carries the original envelope - that's one more arrival
+  // of the original message
+  const relayed = getRelayedEnvelope(parsedData);
+  const relayProblem = relayed && context.authenticatedAs
+    ? checkForwardedEnvelope(relayed, context.authenticatedAs, deviceKeyStore)
+    : null;
+  if (relayProblem) {
+    quarantineFrame(JSON.stringify(relayed), context.client, relayProblem, context.receivedAt);
+  } else if (relayed) {
+    processESP2Message(relayed, {
+      path: 'ESP_NOW_RELAY',
+      via: parsedData.source_device?.device_id,
+      receivedAt: context.receivedAt,
+      replay: context.replay,
+      authenticatedAs: context.authenticatedAs,
+      client: context.client
+    });
+  }
+
+  return { ...arrival, validation: validation, peerLinks: peerLinks };
+}
+
+// Track which paths an envelope came in on. Repeat arrivals update the log
+// entry of the first one.
+function recordArrival(envelope, context) {
+  statsChanged = true;
+  const arrival = {
+    path: context.path || 'UNKNOWN',
+    gateway: context.gateway || context.via || null,
+    rssi: context.rssi,
+    at: context.receivedAt
+  };
+  const messageKey = getEnvelopeKey(envelope, context.deviceId);
+  if (!messageKey) {
+    return {
+      isFirst: true,
+      messageKey: null,
+      arrivals: [{ ...arrival, rssi: arrival.rssi ?? null, at: arrival.at || new Date().toISOString(), delayMs: 0, count: 1 }]
+    };
+  }
+
+  const deduplicator = context.replay ? replayDeduplicator : messageDeduplicator;
+  const result = deduplicator.record(messageKey, arrival);
+  if (!result.isFirst) {
+    gatewayStats.messageStats.duplicates++;
+    publish('message-arrivals', { messageKey: messageKey, arrivals: result.arrivals });
+  }
+  return { isFirst: result.isFirst, messageKey: messageKey, arrivals: result.arrivals };
+}
+
+// The original envelope inside a Phase 5 relay message, if any
+function getRelayedEnvelope(envelope) {
+  if (envelope?.message_type !== 'relay') return null;
+  let original = envelope.payload?.message_data || envelope.payload?.original_message;
+  if (typeof original === 'string') {
+    try {
+      original = JSON.parse(original);
+    } catch (e) {
+      return null;
+    }
+  }
+  return original && typeof original === 'object' && original.source_device ? original : null;
+}
+
+// Validate an ESP2 envelope against the documented schema and count rejects
+// against the sending device
+function checkEnvelope(envelope, context = {}) {
+  const validation = validateEnvelope(envelope);
+  if (!validation.valid) {
+    const deviceId = envelope?.source_device?.device_id || context.deviceId || context.macAddress || null;
+    const entry = rejectTracker.record(deviceId, envelope, validation.errors, context.receivedAt);
+    gatewayStats.messageStats.rejected++;
+    publish('envelope-rejects', entry);
+  }
+  return validation;
+}
+
+// Connection states without the indicator timeout handles
+function getConnectionStatus() {
+  return {
+    wifi: connections.wifi,
+    relayUsb: { connected: connections.relayUsb.connected },
+    relayWifi: { connected: connections.relayWifi.connected },
+    usb: connections.usb
+  };
+}
+
+// Connection status goes out when it changes; the statistics it used to carry
+// on every message are published by publishGatewayStats() instead
+function sendConnectionStatus() {
+  const status = getConnectionStatus();
+  const serialized = JSON.stringify(status);
+  if (serialized !== lastConnectionStatus) {
+    lastConnectionStatus = serialized;
+    publish('connection-status', status);
+  }
+  statsChanged = true;
+}
+
+// Called every STATS_INTERVAL_MS; quiet while nothing changes
+function publishGatewayStats() {
+  if (!statsChanged) return;
+  statsChanged = false;
+  publish('gateway-stats', gatewayStats);
+}
+
+function publishTopology() {
+  if (topologyTracker.version === publishedTopologyVersion) return;
+  publishedTopologyVersion = topologyTracker.version;
+  publish('topology', topologyTracker.snapshot());
+}
+
+function resetGatewayStats() {
+  gatewayStats.messageStats = {
+    ping: 0, handshake: 0, data: 0, triangulation: 0,
+    relay: 0, wifiScan: 0, optimization: 0, unknown: 0,
+    total: 0, delivered: 0, rejected: 0, duplicates: 0
+  };
+  Object.values(gatewayStats.gateways).forEach(gateway => {
+    gateway.messageStats = {};
+    gateway.heardCount = 0;
+  });
+  messageDeduplicator.clear();
+  replayDeduplicator.clear();
+  rejectTracker.clear();
+  relayTracer.clear();
+  positioningEngine.clear();
+  linkTracker.clear();
+  topologyTracker.clear();
+  metricsStore.clear();
+  alertEngine.reset();
+  statsChanged = true;
+}
+
+// Load the persisted stores from `options.dataDirectory` and start listening
+// for WiFi devices. `options.settings` overrides settings for this run only.
+function start(options = {}) {
+  dataDirectory = options.dataDirectory;
+  settingsStore.load(path.join(dataDirectory, 'settings.json'));
+  if (options.settings) {
+    settingsStore.override(options.settings);
+  }
+  deviceKeyStore.load(path.join(dataDirectory, 'device-keys.json'));
+  distanceModel.load(path.join(dataDirectory, 'distance-profiles.json'));
+  alertEngine.load(path.join(dataDirectory, 'alert-rules.json'));
+  startWebSocketServer();
+  applyApiSettings();
+  applyMqttSettings();
+  tickTimer = setInterval(() => {
+    alertEngine.tick();
+    mqttBridge.tick();
+    topologyTracker.expire();
+  }, 5000);
+  statsTimer = setInterval(() => {
+    publishGatewayStats();
+    publishTopology();
+  }, STATS_INTERVAL_MS);
+}
+
+// Start, restart or stop the HTTP API to match the settings
+function applyApiSettings() {
+  apiUpdate = apiUpdate.then(async () => {
+    await apiServer.stop();
+    if (!settingsStore.get('apiEnabled')) return;
+    try {
+      const address = await apiServer.start({
+        port: settingsStore.get('apiPort'),
+        lanAccess: settingsStore.get('apiLanAccess'),
+        token: settingsStore.get('apiToken')
+      });
+      publish('log', {
+        message: `HTTP API listening on http://${address.host}:${address.port}/api/v1${address.host === '127.0.0.1' ? '' : ' (LAN, token required)'}`,
+        source: 'SYSTEM',
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      publish('log', {
+        message: `HTTP API not started: ${error.message}`,
+        source: 'ERROR',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }).then(() => publish('api-status', apiServer.getStatus()));
+  return apiUpdate;
+}
+
+// Connect, reconnect or disconnect the MQTT bridge to match the settings
+function applyMqttSettings() {
+  mqttUpdate = mqttUpdate.then(() => mqttBridge.configure({
+    enabled: settingsStore.get('mqttEnabled'),
+    url: settingsStore.get('mqttUrl'),
+    username: settingsStore.get('mqttUsername'),
+    password: settingsStore.get('mqttPassword'),
+    messageTopic: settingsStore.get('mqttMessageTopic'),
+    gatewayTopic: settingsStore.get('mqttGatewayTopic'),
+    presenceTopic: settingsStore.get('mqttPresenceTopic'),
+    bridgeTopic: settingsStore.get('mqttBridgeTopic'),
+    qos: settingsStore.get('mqttQos'),
+    queueSize: settingsStore.get('mqttQueueSize'),
+    presenceTimeoutSec: settingsStore.get('mqttPresenceTimeoutSec')
+  })).catch(error => {
+    publish('log', {
+      message: `MQTT bridge not started: ${error.message}`,
+      source: 'ERROR',
+      timestamp: new Date().toISOString()
+    });
+  });
+  return mqttUpdate;
+}
+
+// Close the servers, every gateway and any recording. Resolves once the
+// WebSocket server, the HTTP API and the MQTT bridge have shut down.
+function stop() {
+  clearInterval(tickTimer);
+  clearInterval(statsTimer);
+  sessionRecorder.stop();
+  sessionPlayer.stop();
+  closeSerialPort();
+  [connections.relayUsb, connections.relayWifi].forEach(connection => clearTimeout(connection.timeout));
+  const apiStopped = apiUpdate.then(() => apiServer.stop());
+  // Devices and the monitor are marked offline on the broker
+  const mqttStopped = mqttUpdate.then(() => mqttBridge.stop());
+  if (!wss) {
+    return Promise.all([apiStopped, mqttStopped]);
+  }
+  const server = wss;
+  wss = null;
+  server.clients.forEach(client => client.terminate());
+  return Promise.all([apiStopped, mqttStopped, new Promise(resolve => server.close(() => resolve()))]);
+}
+
+module.exports = {
+  events,
+  publish,
+  start,
+  stop,
+  settingsStore,
+  apiServer,
+  mqttBridge,
+  deviceKeyStore,
+  distanceModel,
+  calibrationSession,
+  alertEngine,
+  metricsStore,
+  linkTracker,
+  topologyTracker,
+  deviceHistory,
+  positioningEngine,
+  deviceRegistry,
+  rejectTracker,
+  relayTracer,
+  messageDeduplicator,
+  getPathAnalytics,
+  decoderPipeline,
+  commandChannel,
+  sessionRecorder,
+  sessionPlayer,
+  connections,
+  gatewayStats,
+  getConnectionStatus,
+  getSessionsDirectory,
+  listSerialPorts,
+  openSerialPort,
+  closeSerialPort,
+  sendCommand,
+  reevaluateWebSocketClients,
+  resetGatewayStats
+};
@@ -1,41 +1,21 @@
 // ESP Gateway Monitor JavaScript - Electron Integration
 class GatewayMonitor {
     constructor() {
-        this.messageCount = 0;
         this.isPaused = false;
         this.esp2Devices = new Map();
-        this.messageStats = {
-            ping: 0,
-            handshake: 0,
-            data: 0,
-            triangulation: 0,
-            relay: 0,
-            wifiScan: 0,
-            optimization: 0,
-            unknown: 0,
-            total: 0,
-            delivered: 0
-        };
-        
-        this.gatewayInfo = {
-            deviceId: 'Unknown',
-            version: 'Unknown',
-            uptime: 0,
-            protocolRange: 'Unknown',
-            usbStatus: 'Disconnected',
-            espNowStatus: 'Unknown',
-            macAddress: 'Unknown',
-            protocolMismatches: 0,
-            lastSender: 'None',
-            lastMessageType: 'None'
-        };
-
+        // Latest snapshots from the main process; the window keeps no
+        // counters of its own, so it always matches the main dashboard
+        this.stats = null;
         this.connections = {
             wifi: { connected: false },
             relayUsb: { connected: false },
             relayWifi: { connected: false },
             usb: { connected: false }
         };
+        this.topology = { nodes: [], edges: [], relayPaths: [] };
+        this.topologyGraph = new TopologyGraph(document.getElementById('topology-graph'), {
+            onSelect: nodeId => this.showTopologyDetails(nodeId)
+        });
 
         this.initializeEventListeners();
         this.initializeElectronAPI();
@@ -52,6 +32,16 @@ class GatewayMonitor {
             this.togglePause();
         });
 
+        document.getElementById('kiosk-toggle').addEventListener('click', () => {
+            this.setKiosk(!document.body.classList.contains('kiosk'));
+        });
+
+        document.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape' && document.body.classList.contains('kiosk')) {
+                this.setKiosk(false);
+            }
+        });
+
         // Window visibility handling
         document.addEventListener('visibilitychange', () => {
             if (document.visibilityState === 'visible') {
@@ -84,14 +74,41 @@ class GatewayMonitor {
             this.processLogMessage(logData);
         });
 
+        // Listen for ESP2 device registry changes
+        window.electronAPI.onESP2DeviceUpdate(({ device }) => {
+            this.esp2Devices.set(device.deviceId, device);
+        });
+
+        window.electronAPI.onESP2DeviceRemoved(({ deviceId }) => {
+            this.esp2Devices.delete(deviceId);
+        });
+
+        window.electronAPI.onTopology((snapshot) => {
+            this.updateNetworkTopology(snapshot);
+        });
+
+        window.electronAPI.onWindowMode(({ kiosk }) => {
+            this.showWindowMode(kiosk);
+        });
+        this.showWindowMode(new URLSearchParams(window.location.search).get('kiosk') === '1');
+
         // Load initial data
         this.loadInitialData();
     }
 
     async loadInitialData() {
         try {
-            const stats = await window.electronAPI.getGatewayStats();
+            const devices = await window.electronAPI.getESP2Devices();
+            this.esp2Devices = new Map(devices.map(device => [device.deviceId, device]));
+
+            const [stats, connections, topology] = await Promise.all([
+                window.electronAPI.getGatewayStats(),
+                window.electronAPI.getConnectionStatus(),
+                window.electronAPI.getTopology()
+            ]);
+            this.updateConnectionStatus(connections);
             this.updateGatewayStats(stats);
+            this.updateNetworkTopology(topology);
             console.log('✅ Initial gateway stats loaded');
         } catch (error) {
             console.error('Failed to load initial gateway stats:', error);
@@ -102,55 +119,36 @@ class GatewayMonitor {
     updateGatewayStats(stats) {
         if (!stats) return;
 
-        // Update gateway info
-        Object.assign(this.gatewayInfo, stats.gatewayInfo);
-        
-        // Update message statistics
-        Object.assign(this.messageStats, stats.messageStats);
-        
-        // Update ESP2 device count
-        this.esp2Devices = new Map();
-        for (let i = 1; i <= stats.esp2DeviceCount; i++) {
-            this.esp2Devices.set(`ESP2_SENSOR_${i.toString().padStart(2, '0')}`, {
-                deviceId: `ESP2_SENSOR_${i.toString().padStart(2, '0')}`,
-                lastSeen: new Date().toISOString(),
-                messageCount: Math.floor(Math.random() * 100),
-                phases: new Set([1, 2, 3, 4, 5])
-            });
-        }
+        this.stats = stats;
 
         this.updateGatewayDisplay();
         this.updateStatisticsDisplay();
         this.updateActivitySummary();
-        this.updateNetworkTopology();
+        this.updateUptime();
     }
 
     updateConnectionStatus(connections) {
         if (!connections) return;
-        
+
         this.connections = connections;
-        
+
         const gatewayStatus = document.getElementById('gateway-status');
         const esp2Network = document.getElementById('esp2-network');
-        
+
         if (connections.usb.connected) {
             gatewayStatus.textContent = 'Online';
             gatewayStatus.className = 'status-indicator online';
-            this.gatewayInfo.usbStatus = 'Connected';
         } else {
             gatewayStatus.textContent = 'Offline';
             gatewayStatus.className = 'status-indicator offline';
-            this.gatewayInfo.usbStatus = 'Disconnected';
         }
 
         if (connections.relayUsb.connected) {
             esp2Network.textContent = `Active (${this.esp2Devices.size} devices)`;
             esp2Network.className = 'status-indicator online';
-            this.gatewayInfo.espNowStatus = 'Active';
         } else {
             esp2Network.textContent = 'No Activity';
             esp2Network.className = 'status-indicator offline';
-            this.gatewayInfo.espNowStatus = 'Inactive';
         }
 
         this.updateGatewayDisplay();
@@ -230,81 +228,75 @@ class GatewayMonitor {
         messageLog.scrollTop = 0;
     }
 
-    updateConnectionStatus(status) {
-        // This method is now handled by updateConnectionStatus from Electron data
-        console.log('Connection status updated:', status);
+    // The gateway heard from most recently; MAC address and protocol
+    // mismatches are only known per gateway
+    getCurrentGateway() {
+        const gateways = Object.values(this.stats?.gateways || {});
+        return gateways
+            .filter(gateway => gateway.lastMessageAt)
+            .sort((a, b) => b.lastMessageAt.localeCompare(a.lastMessageAt))[0] || null;
     }
 
     updateGatewayDisplay() {
-        document.getElementById('gateway-id').textContent = this.gatewayInfo.deviceId;
-        document.getElementById('gateway-version').textContent = this.gatewayInfo.version;
-        document.getElementById('protocol-range').textContent = this.gatewayInfo.protocolRange;
-        document.getElementById('usb-status').textContent = this.gatewayInfo.usbStatus;
-        document.getElementById('espnow-status').textContent = this.gatewayInfo.espNowStatus;
-        document.getElementById('esp-mac').textContent = this.gatewayInfo.macAddress;
-        document.getElementById('protocol-mismatches').textContent = this.gatewayInfo.protocolMismatches;
+        const info = this.stats?.gatewayInfo || {};
+        const gatewayInfo = this.getCurrentGateway()?.gatewayInfo || {};
+        document.getElementById('gateway-id').textContent = info.deviceId || 'Unknown';
+        document.getElementById('gateway-version').textContent = info.version || 'Unknown';
+        document.getElementById('protocol-range').textContent = info.protocolRange || 'Unknown';
+        document.getElementById('usb-status').textContent = this.connections.usb.connected ? 'Connected' : 'Disconnected';
+        document.getElementById('espnow-status').textContent = this.connections.relayUsb.connected ? 'Active' : 'Inactive';
+        document.getElementById('esp-mac').textContent = gatewayInfo.macAddress || 'Unknown';
+        document.getElementById('protocol-mismatches').textContent = gatewayInfo.protocolMismatches ?? 0;
     }
 
     updateStatisticsDisplay() {
-        document.getElementById('ping-count').textContent = this.messageStats.ping;
-        document.getElementById('data-count').textContent = this.messageStats.data;
-        document.getElementById('wifi-scan-count').textContent = this.messageStats.wifiScan;
-        document.getElementById('handshake-count').textContent = this.messageStats.handshake;
-        document.getElementById('triangulation-count').textContent = this.messageStats.triangulation;
-        document.getElementById('relay-count').textContent = this.messageStats.relay;
-        document.getElementById('optimization-count').textContent = this.messageStats.optimization;
+        const messageStats = this.stats?.messageStats || {};
+        document.getElementById('ping-count').textContent = messageStats.ping || 0;
+        document.getElementById('data-count').textContent = messageStats.data || 0;
+        document.getElementById('wifi-scan-count').textContent = messageStats.wifiScan || 0;
+        document.getElementById('handshake-count').textContent = messageStats.handshake || 0;
+        document.getElementById('triangulation-count').textContent = messageStats.triangulation || 0;
+        document.getElementById('relay-count').textContent = messageStats.relay || 0;
+        document.getElementById('optimization-count').textContent = messageStats.optimization || 0;
     }
 
     updateActivitySummary() {
-        document.getElementById('total-messages').textContent = this.messageStats.total;
-        document.getElementById('delivered-messages').textContent = this.messageStats.delivered;
-        document.getElementById('last-sender').textContent = this.gatewayInfo.lastSender;
-        document.getElementById('last-message-type').textContent = this.gatewayInfo.lastMessageType;
+        const messageStats = this.stats?.messageStats || {};
+        const info = this.stats?.gatewayInfo || {};
+        document.getElementById('total-messages').textContent = messageStats.total || 0;
+        document.getElementById('delivered-messages').textContent = messageStats.delivered || 0;
+        document.getElementById('last-sender').textContent = info.lastSender || 'None';
+        document.getElementById('last-message-type').textContent = info.lastMessageType || 'None';
     }
 
-    updateNetworkTopology() {
-        const canvas = document.getElementById('topology-canvas');
-        const placeholder = canvas.querySelector('.topology-placeholder');
-        
-        if (this.esp2Devices.size > 0 && placeholder) {
-            placeholder.remove();
-        }
+    // The uptime the ESP1 last reported. While its port is open the clock
+    // runs on from that report; otherwise (closed, replayed) it stands still.
+    updateUptime() {
+        const uptimeElement = document.getElementById('gateway-uptime');
+        const info = this.stats?.gatewayInfo;
+        if (!uptimeElement || !info?.uptime) return;
 
-        // Simple topology visualization
-        // Position ESP1 gateway at center
-        if (!canvas.querySelector('.esp1-node')) {
-            const esp1Node = document.createElement('div');
-            esp1Node.className = 'esp-node esp1';
-            esp1Node.textContent = 'ESP1';
-            esp1Node.style.left = '50%';
-            esp1Node.style.top = '50%';
-            esp1Node.style.transform = 'translate(-50%, -50%)';
-            esp1Node.title = 'ESP1 Wired Gateway';
-            canvas.appendChild(esp1Node);
+        let uptime = info.uptime;
+        if (this.connections.usb.connected && info.uptimeAt) {
+            uptime += Math.max(0, Math.floor((Date.now() - Date.parse(info.uptimeAt)) / 1000));
         }
+        const hours = Math.floor(uptime / 3600);
+        const minutes = Math.floor((uptime % 3600) / 60);
+        const seconds = uptime % 60;
+        uptimeElement.textContent = `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+    }
 
-        // Position ESP2 devices around ESP1
-        let angle = 0;
-        const radius = 100;
-        this.esp2Devices.forEach((device, deviceId) => {
-            let node = canvas.querySelector(`[data-device="${deviceId}"]`);
-            if (!node) {
-                node = document.createElement('div');
-                node.className = 'esp-node esp2';
-                node.textContent = deviceId.replace('ESP2_SENSOR_', 'S');
-                node.setAttribute('data-device', deviceId);
-                node.title = `${deviceId}\nMessages: ${device.messageCount}\nPhases: ${Array.from(device.phases).join(', ')}`;
-                
-                const x = 50 + (radius * Math.cos(angle * Math.PI / 180)) / canvas.offsetWidth * 100;
-                const y = 50 + (radius * Math.sin(angle * Math.PI / 180)) / canvas.offsetHeight * 100;
-                node.style.left = x + '%';
-                node.style.top = y + '%';
-                node.style.transform = 'translate(-50%, -50%)';
-                
-                canvas.appendChild(node);
-                angle += 360 / Math.max(this.esp2Devices.size, 6);
-            }
-        });
+    // Devices, peer links and relay paths (../topology-graph.js); the graph
+    // keeps its layout between snapshots, so only new devices or links move it
+    updateNetworkTopology(snapshot) {
+        this.topology = snapshot;
+        this.topologyGraph.setData(snapshot);
+        this.showTopologyDetails(this.topologyGraph.selectedId);
+    }
+
+    showTopologyDetails(nodeId) {
+        const pinned = nodeId !== null && this.topologyGraph.isPinned(nodeId);
+        renderTopologyDetails(document.getElementById('topology-details'), this.topology, nodeId, pinned);
     }
 
     clearMessages() {
@@ -319,17 +311,19 @@ class GatewayMonitor {
         button.style.background = this.isPaused ? '#ffc107' : '';
     }
 
+    async setKiosk(kiosk) {
+        const { kiosk: enabled } = await window.electronAPI.setKiosk(kiosk);
+        this.showWindowMode(enabled);
+    }
+
+    showWindowMode(kiosk) {
+        document.body.classList.toggle('kiosk', kiosk);
+        document.getElementById('kiosk-toggle').textContent = kiosk ? 'Exit Kiosk (Esc)' : 'Kiosk';
+    }
+
     startUpdateLoop() {
         setInterval(() => {
-            // Update uptime
-            this.gatewayInfo.uptime++;
-            const uptimeElement = document.getElementById('gateway-uptime');
-            if (uptimeElement) {
-                const hours = Math.floor(this.gatewayInfo.uptime / 3600);
-                const minutes = Math.floor((this.gatewayInfo.uptime % 3600) / 60);
-                const seconds = this.gatewayInfo.uptime % 60;
-                uptimeElement.textContent = `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
-            }
+            this.updateUptime();
 
             // Update ESP2 network status
             const esp2Network = document.getElementById('esp2-network');
@@ -343,7 +337,7 @@ class GatewayMonitor {
         this.updateGatewayDisplay();
         this.updateStatisticsDisplay();
         this.updateActivitySummary();
-        this.updateNetworkTopology();
+        this.updateUptime();
     }
 }
 
@@ -353,18 +347,12 @@ document.addEventListener('DOMContentLoaded', () => {
     console.log('🚀 ESP Gateway Monitor initialized for Electron');
 });
 
-// Handle window resize for topology canvas
-window.addEventListener('resize', () => {
-    if (window.gatewayMonitor) {
-        window.gatewayMonitor.updateNetworkTopology();
-    }
-});
-
 // Cleanup listeners when window is closed
 window.addEventListener('beforeunload', () => {
     if (window.electronAPI && window.electronAPI.removeAllListeners) {
         window.electronAPI.removeAllListeners('gateway-stats');
         window.electronAPI.removeAllListeners('connection-status');
         window.electronAPI.removeAllListeners('log');
+        window.electronAPI.removeAllListeners('topology');
     }
 });
\ No newline at end of file
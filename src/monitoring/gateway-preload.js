@@ -1,15 +1,38 @@
 const { contextBridge, ipcRenderer } = require('electron');
 
+// Per-message channels arrive from main bundled as 'event-batch', like in
+// the main window (see ../preload.js)
+const batchListeners = {};
+
+ipcRenderer.on('event-batch', (event, batch) => {
+  batch.forEach(({ channel, data }) => {
+    (batchListeners[channel] || []).forEach(callback => callback(data));
+  });
+});
+
+function onBatchedEvent(channel, callback) {
+  if (!batchListeners[channel]) batchListeners[channel] = [];
+  batchListeners[channel].push(callback);
+}
+
 contextBridge.exposeInMainWorld('electronAPI', {
   // Gateway monitoring specific APIs
   getGatewayStats: () => ipcRenderer.invoke('get-gateway-stats'),
+  getConnectionStatus: () => ipcRenderer.invoke('get-connection-status'),
   resetGatewayStats: () => ipcRenderer.invoke('reset-gateway-stats'),
-  
+  getESP2Devices: () => ipcRenderer.invoke('get-esp2-devices'),
+  getTopology: () => ipcRenderer.invoke('get-topology'),
+  setKiosk: (kiosk) => ipcRenderer.invoke('set-gateway-monitor-kiosk', kiosk),
+
   // Listen for real-time updates
   onGatewayStats: (callback) => ipcRenderer.on('gateway-stats', (event, data) => callback(data)),
   onConnectionStatus: (callback) => ipcRenderer.on('connection-status', (event, data) => callback(data)),
-  onLog: (callback) => ipcRenderer.on('log', (event, data) => callback(data)),
-  
+  onLog: (callback) => onBatchedEvent('log', callback),
+  onESP2DeviceUpdate: (callback) => onBatchedEvent('esp2-device-update', callback),
+  onESP2DeviceRemoved: (callback) => ipcRenderer.on('esp2-device-removed', (event, data) => callback(data)),
+  onTopology: (callback) => ipcRenderer.on('topology', (event, data) => callback(data)),
+  onWindowMode: (callback) => ipcRenderer.on('window-mode', (event, data) => callback(data)),
+
   // Remove listeners
   removeAllListeners: (channel) => ipcRenderer.removeAllListeners(channel)
-});
\ No newline at end of file
+});
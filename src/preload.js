@@ -1,17 +1,120 @@
 const { contextBridge, ipcRenderer } = require('electron');
 
+// Per-message channels arrive from main bundled as 'event-batch'
+// ([{ channel, data }, ...]); each event goes to its channel's listeners
+const batchListeners = {};
+
+ipcRenderer.on('event-batch', (event, batch) => {
+  batch.forEach(({ channel, data }) => {
+    (batchListeners[channel] || []).forEach(callback => callback(data));
+  });
+});
+
+function onBatchedEvent(channel, callback) {
+  if (!batchListeners[channel]) batchListeners[channel] = [];
+  batchListeners[channel].push(callback);
+}
+
 contextBridge.exposeInMainWorld('electronAPI', {
   listSerialPorts: () => ipcRenderer.invoke('list-serial-ports'),
   openSerialPort: (portPath) => ipcRenderer.invoke('open-serial-port', portPath),
-  closeSerialPort: () => ipcRenderer.invoke('close-serial-port'),
+  closeSerialPort: (portPath) => ipcRenderer.invoke('close-serial-port', portPath),
+  getSerialGateways: () => ipcRenderer.invoke('get-serial-gateways'),
   getConnectionStatus: () => ipcRenderer.invoke('get-connection-status'),
   clearLog: () => ipcRenderer.invoke('clear-log'),
+  exportLog: (entries, format) => ipcRenderer.invoke('export-log', entries, format),
+  getLogFilters: () => ipcRenderer.invoke('get-log-filters'),
+  saveLogFilter: (name, query) => ipcRenderer.invoke('save-log-filter', name, query),
+  deleteLogFilter: (name) => ipcRenderer.invoke('delete-log-filter', name),
   
   // Gateway monitoring
   getGatewayStats: () => ipcRenderer.invoke('get-gateway-stats'),
   resetGatewayStats: () => ipcRenderer.invoke('reset-gateway-stats'),
+  openGatewayMonitor: (options) => ipcRenderer.invoke('open-gateway-monitor', options),
+  
+  // ESP2 device registry
+  getESP2Devices: () => ipcRenderer.invoke('get-esp2-devices'),
+  getESP2Device: (deviceId) => ipcRenderer.invoke('get-esp2-device', deviceId),
+  getESP2DeviceDetails: (deviceId) => ipcRenderer.invoke('get-esp2-device-details', deviceId),
+  getEnvelopeRejects: () => ipcRenderer.invoke('get-envelope-rejects'),
+  getRelayTraces: () => ipcRenderer.invoke('get-relay-traces'),
+  getPathAnalytics: () => ipcRenderer.invoke('get-path-analytics'),
+  getPositioning: (originId) => ipcRenderer.invoke('get-positioning', originId),
+  getPeerLinks: () => ipcRenderer.invoke('get-peer-links'),
+  getTopology: () => ipcRenderer.invoke('get-topology'),
+  getMetrics: (since) => ipcRenderer.invoke('get-metrics', since),
+  setLinkFilter: (filter) => ipcRenderer.invoke('set-link-filter', filter),
+  
+  // Distance model & calibration
+  getDistanceModel: () => ipcRenderer.invoke('get-distance-model'),
+  setDistanceEnvironment: (environmentId) => ipcRenderer.invoke('set-distance-environment', environmentId),
+  setEnvironmentProfile: (environmentId, profile) => ipcRenderer.invoke('set-environment-profile', environmentId, profile),
+  resetEnvironmentProfile: (environmentId) => ipcRenderer.invoke('reset-environment-profile', environmentId),
+  removeDeviceProfile: (deviceId) => ipcRenderer.invoke('remove-device-profile', deviceId),
+  getCalibration: () => ipcRenderer.invoke('get-calibration'),
+  startCalibration: (deviceId, peerId) => ipcRenderer.invoke('start-calibration', deviceId, peerId),
+  collectCalibration: (distance) => ipcRenderer.invoke('collect-calibration', distance),
+  stopCalibrationCollect: () => ipcRenderer.invoke('stop-calibration-collect'),
+  fitCalibration: () => ipcRenderer.invoke('fit-calibration'),
+  applyCalibration: (target) => ipcRenderer.invoke('apply-calibration', target),
+  cancelCalibration: () => ipcRenderer.invoke('cancel-calibration'),
+  
+  // Alerts
+  getAlerts: () => ipcRenderer.invoke('get-alerts'),
+  setNotificationsEnabled: (enabled) => ipcRenderer.invoke('set-notifications-enabled', enabled),
+  addAlertRule: (type) => ipcRenderer.invoke('add-alert-rule', type),
+  updateAlertRule: (ruleId, changes) => ipcRenderer.invoke('update-alert-rule', ruleId, changes),
+  removeAlertRule: (ruleId) => ipcRenderer.invoke('remove-alert-rule', ruleId),
+  acknowledgeAlert: (alertId) => ipcRenderer.invoke('acknowledge-alert', alertId),
+  clearAlert: (alertId) => ipcRenderer.invoke('clear-alert', alertId),
+  
+  // Settings
+  getSettings: () => ipcRenderer.invoke('get-settings'),
+  updateSettings: (changes) => ipcRenderer.invoke('update-settings', changes),
+  resetSettings: () => ipcRenderer.invoke('reset-settings'),
+  exportSettings: () => ipcRenderer.invoke('export-settings'),
+  importSettings: () => ipcRenderer.invoke('import-settings'),
+  getApiStatus: () => ipcRenderer.invoke('get-api-status'),
+  generateApiToken: () => ipcRenderer.invoke('generate-api-token'),
+  getMqttStatus: () => ipcRenderer.invoke('get-mqtt-status'),
+  
+  // WebSocket authentication
+  getWsAuth: () => ipcRenderer.invoke('get-ws-auth'),
+  setWsAuthEnabled: (enabled) => ipcRenderer.invoke('set-ws-auth-enabled', enabled),
+  setDeviceKey: (deviceId, key) => ipcRenderer.invoke('set-device-key', deviceId, key),
+  removeDeviceKey: (deviceId) => ipcRenderer.invoke('remove-device-key', deviceId),
+  
+  // Downlink commands
+  sendCommand: (target, command, args) => ipcRenderer.invoke('send-command', target, command, args),
+  getCommands: () => ipcRenderer.invoke('get-commands'),
+  getCommandDefinitions: () => ipcRenderer.invoke('get-command-definitions'),
+  
+  // Session recording & replay
+  startRecording: () => ipcRenderer.invoke('start-recording'),
+  stopRecording: () => ipcRenderer.invoke('stop-recording'),
+  getRecordingStatus: () => ipcRenderer.invoke('get-recording-status'),
+  loadReplay: (filePath) => ipcRenderer.invoke('load-replay', filePath),
+  replayPlay: (speed) => ipcRenderer.invoke('replay-play', speed),
+  replayPause: () => ipcRenderer.invoke('replay-pause'),
+  replaySeek: (positionMs) => ipcRenderer.invoke('replay-seek', positionMs),
+  replayStop: () => ipcRenderer.invoke('replay-stop'),
+  getReplayStatus: () => ipcRenderer.invoke('get-replay-status'),
   
-  onLog: (callback) => ipcRenderer.on('log', (event, data) => callback(data)),
+  onLog: (callback) => onBatchedEvent('log', callback),
   onConnectionStatus: (callback) => ipcRenderer.on('connection-status', (event, data) => callback(data)),
-  onGatewayStats: (callback) => ipcRenderer.on('gateway-stats', (event, data) => callback(data))
+  onGatewayStats: (callback) => ipcRenderer.on('gateway-stats', (event, data) => callback(data)),
+  onESP2DeviceUpdate: (callback) => onBatchedEvent('esp2-device-update', callback),
+  onESP2DeviceRemoved: (callback) => ipcRenderer.on('esp2-device-removed', (event, data) => callback(data)),
+  onSerialGateways: (callback) => ipcRenderer.on('serial-gateways', (event, data) => callback(data)),
+  onMessageArrivals: (callback) => onBatchedEvent('message-arrivals', callback),
+  onRelayTrace: (callback) => onBatchedEvent('relay-trace', callback),
+  onTopology: (callback) => ipcRenderer.on('topology', (event, data) => callback(data)),
+  onEnvelopeRejects: (callback) => ipcRenderer.on('envelope-rejects', (event, data) => callback(data)),
+  onApiStatus: (callback) => ipcRenderer.on('api-status', (event, data) => callback(data)),
+  onMqttStatus: (callback) => ipcRenderer.on('mqtt-status', (event, data) => callback(data)),
+  onAlert: (callback) => ipcRenderer.on('alert', (event, data) => callback(data)),
+  onCalibrationUpdate: (callback) => ipcRenderer.on('calibration-update', (event, data) => callback(data)),
+  onCommandUpdate: (callback) => ipcRenderer.on('command-update', (event, data) => callback(data)),
+  onRecordingStatus: (callback) => ipcRenderer.on('recording-status', (event, data) => callback(data)),
+  onReplayStatus: (callback) => ipcRenderer.on('replay-status', (event, data) => callback(data))
 });
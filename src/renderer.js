@@ -1,13 +1,110 @@
 // DOM elements
 const logPanel = document.getElementById('log-panel');
+const logViewport = document.getElementById('log-viewport');
+const logRows = document.getElementById('log-rows');
 const serialPortSelect = document.getElementById('serial-port-select');
 const connectBtn = document.getElementById('connect-btn');
 const disconnectBtn = document.getElementById('disconnect-btn');
+const gatewayList = document.getElementById('gateway-list');
 const clearBtn = document.getElementById('clear-btn');
 const refreshOverviewBtn = document.getElementById('refresh-overview');
+const openGatewayMonitorBtn = document.getElementById('open-gateway-monitor');
 const autoScrollCheck = document.getElementById('auto-scroll');
 const filterSelect = document.getElementById('filter-select');
 const resetStatsBtn = document.getElementById('reset-stats');
+const logExportRangeSelect = document.getElementById('log-export-range');
+const logExportCustom = document.getElementById('log-export-custom');
+const logExportFromInput = document.getElementById('log-export-from');
+const logExportToInput = document.getElementById('log-export-to');
+const logExportFormatSelect = document.getElementById('log-export-format');
+const exportLogBtn = document.getElementById('export-log-btn');
+const logQueryInput = document.getElementById('log-query');
+const logQueryStatus = document.getElementById('log-query-status');
+const savedFilterSelect = document.getElementById('saved-filter-select');
+const filterNameInput = document.getElementById('filter-name');
+
+// Command console
+const commandTargetSelect = document.getElementById('command-target');
+const commandNameSelect = document.getElementById('command-name');
+const commandModeSelect = document.getElementById('command-mode');
+const sendCommandBtn = document.getElementById('send-command-btn');
+const commandList = document.getElementById('command-list');
+const rejectList = document.getElementById('reject-list');
+
+// Application settings elements
+const websocketPortInput = document.getElementById('setting-websocket-port');
+const baudRateSelect = document.getElementById('setting-baud-rate');
+const serialReconnectInput = document.getElementById('setting-serial-reconnect');
+const relayTimeoutInput = document.getElementById('setting-relay-timeout');
+const logRetentionInput = document.getElementById('setting-log-retention');
+const verboseLoggingCheck = document.getElementById('verbose-logging');
+const settingsStatusElement = document.getElementById('settings-status');
+const apiEnabledCheck = document.getElementById('api-enabled');
+const apiPortInput = document.getElementById('api-port');
+const apiLanAccessCheck = document.getElementById('api-lan-access');
+const apiTokenElement = document.getElementById('api-token');
+const apiStatusElement = document.getElementById('api-status');
+const mqttEnabledCheck = document.getElementById('mqtt-enabled');
+const mqttStatusElement = document.getElementById('mqtt-status');
+// Setting key -> input of the MQTT Bridge section (saved together)
+const mqttInputs = {
+  mqttUrl: document.getElementById('mqtt-url'),
+  mqttUsername: document.getElementById('mqtt-username'),
+  mqttPassword: document.getElementById('mqtt-password'),
+  mqttMessageTopic: document.getElementById('mqtt-message-topic'),
+  mqttGatewayTopic: document.getElementById('mqtt-gateway-topic'),
+  mqttPresenceTopic: document.getElementById('mqtt-presence-topic'),
+  mqttBridgeTopic: document.getElementById('mqtt-bridge-topic'),
+  mqttQos: document.getElementById('mqtt-qos'),
+  mqttQueueSize: document.getElementById('mqtt-queue-size'),
+  mqttPresenceTimeoutSec: document.getElementById('mqtt-presence-timeout')
+};
+
+// WebSocket authentication elements
+const wsAuthEnabledCheck = document.getElementById('ws-auth-enabled');
+const deviceKeyIdInput = document.getElementById('device-key-id');
+const deviceKeyValueInput = document.getElementById('device-key-value');
+const addDeviceKeyBtn = document.getElementById('add-device-key-btn');
+const deviceKeyList = document.getElementById('device-key-list');
+
+// Alert elements
+const enableNotificationsCheck = document.getElementById('enable-notifications');
+const alertList = document.getElementById('alert-list');
+const alertCountElement = document.getElementById('alert-count');
+const clearAlertsBtn = document.getElementById('clear-alerts-btn');
+const alertRuleList = document.getElementById('alert-rule-list');
+const alertRuleTypeSelect = document.getElementById('alert-rule-type');
+const addAlertRuleBtn = document.getElementById('add-alert-rule-btn');
+
+// Distance model & calibration elements
+const distanceEnvironmentSelect = document.getElementById('distance-environment');
+const environmentTxPowerInput = document.getElementById('environment-tx-power');
+const environmentExponentInput = document.getElementById('environment-exponent');
+const saveEnvironmentBtn = document.getElementById('save-environment-btn');
+const resetEnvironmentBtn = document.getElementById('reset-environment-btn');
+const deviceProfileList = document.getElementById('device-profile-list');
+const calibrationDeviceSelect = document.getElementById('calibration-device');
+const calibrationPeerSelect = document.getElementById('calibration-peer');
+const startCalibrationBtn = document.getElementById('start-calibration-btn');
+const calibrationWizard = document.getElementById('calibration-wizard');
+const collectNearBtn = document.getElementById('collect-near-btn');
+const calibrationDistanceInput = document.getElementById('calibration-distance');
+const collectFarBtn = document.getElementById('collect-far-btn');
+const calibrationStatusElement = document.getElementById('calibration-status');
+const fitCalibrationBtn = document.getElementById('fit-calibration-btn');
+const applyDeviceCalibrationBtn = document.getElementById('apply-device-calibration-btn');
+const applyEnvironmentCalibrationBtn = document.getElementById('apply-environment-calibration-btn');
+const cancelCalibrationBtn = document.getElementById('cancel-calibration-btn');
+
+// Session recording & replay controls
+const recordBtn = document.getElementById('record-btn');
+const recordingStatusElement = document.getElementById('recording-status');
+const replayLoadBtn = document.getElementById('replay-load-btn');
+const replaySpeedBtns = document.querySelectorAll('.replay-speed-btn');
+const replayPauseBtn = document.getElementById('replay-pause-btn');
+const replayStopBtn = document.getElementById('replay-stop-btn');
+const replaySeek = document.getElementById('replay-seek');
+const replayStatusElement = document.getElementById('replay-status');
 
 // Status indicators
 const wifiStatus = document.getElementById('wifi-status');
@@ -24,7 +121,12 @@ const esp2CountElement = document.getElementById('esp2-count');
 const totalMessagesElement = document.getElementById('total-messages');
 const systemUptimeElement = document.getElementById('system-uptime');
 const recentActivityFeed = document.getElementById('recent-activity');
-const networkConnections = document.getElementById('network-connections');
+const topologyCanvas = document.getElementById('topology-canvas');
+const topologyDetails = document.getElementById('topology-details');
+const esp2DevicesList = document.getElementById('esp2-devices-list');
+const deviceDetailPanel = document.getElementById('device-detail-panel');
+const deviceDetailTitle = document.getElementById('device-detail-title');
+const deviceDetailContent = document.getElementById('device-detail-content');
 
 // Phase count elements
 const phaseCountElements = {
@@ -44,16 +146,82 @@ const esp1Status = document.getElementById('esp1-status');
 const wifiSignalDetail = document.getElementById('wifi-signal-detail');
 const wifiDistanceDetail = document.getElementById('wifi-distance-detail');
 const messageRate = document.getElementById('message-rate');
+
+// Path analytics elements
+const pathUniqueCount = document.getElementById('path-unique-count');
+const pathDuplicateCount = document.getElementById('path-duplicate-count');
+const pathMultiCount = document.getElementById('path-multi-count');
+const pathSpread = document.getElementById('path-spread');
+const pathTableBody = document.getElementById('path-table-body');
+
+// Relay trace elements
+const relayTracedCount = document.getElementById('relay-traced-count');
+const relayAverageHops = document.getElementById('relay-average-hops');
+const relayAverageLatency = document.getElementById('relay-average-latency');
+const relayMaxHopCount = document.getElementById('relay-max-hop-count');
+const relayTopList = document.getElementById('relay-top-list');
+const relayTraceList = document.getElementById('relay-trace-list');
+
+// Telemetry chart elements
+const metricCharts = document.querySelectorAll('.metric-chart');
+const chartDeviceLists = document.querySelectorAll('.chart-devices');
+const chartRangeSelects = document.querySelectorAll('.chart-range');
+const chartLiveBtns = document.querySelectorAll('.chart-live-btn');
+
+// Peer link elements
+const linkFilterSelect = document.getElementById('link-filter');
+const peerLinkTableBody = document.getElementById('peer-link-table-body');
+
+// Positioning elements
+const positioningOrigin = document.getElementById('positioning-origin');
+const positioningCanvas = document.getElementById('positioning-canvas');
+const positioningNote = document.getElementById('positioning-note');
+const positioningTableBody = document.getElementById('positioning-table-body');
 const signalBars = document.querySelectorAll('.signal-bar');
 
 // Application state
 let isConnected = false;
 let connectionStatus = {};
 let logFilter = 'ALL';
+// Log lines as received (message, source, data, timestamp, ...), newest
+// `logRetention` only; the panel, the search and exports all work on these
+let logBuffer = new RingBuffer(10000);
+let logQuery = LogQuery.parseLogQuery('');
+let logQueryTimer = null;
+let savedFilters = [];
+// The entries the source filter and search let through, oldest first, with
+// their row heights. Entries that left the buffer are removed from the front
+// on the next render (logViewDropped counts them).
+let logView = [];
+let logViewHeights = [];
+let logViewDropped = 0;
+let logViewOffsets = new Float64Array(1);
+let logLayoutChanged = false;
+// Measured row heights, reused when the filter changes
+let logRowHeights = new WeakMap();
+// Row elements currently in the panel, by entry
+let logRowElements = new Map();
+let logRenderPending = false;
 let autoScroll = true;
 let startTime = Date.now();
 let messageCount = 0;
 let lastMessageTime = 0;
+let esp2Devices = new Map();
+let serialGatewayIds = [];
+let commands = new Map();
+let envelopeRejects = new Map();
+let relayTraces = new Map();
+let positioningOriginId = null;
+let distanceModel = null;
+let settings = {};
+let alerts = [];
+let metrics = { fields: {}, windowMs: 60 * 60 * 1000, latestAt: 0, series: {} };
+let hiddenChartDevices = new Set();
+let chartDeviceColors = new Map();
+let chartSpanMs = 15 * 60 * 1000;
+let chartEndMs = null; // null follows the newest data
+let isRecording = false;
+let isSeeking = false;
 let gatewayStats = {
   esp1Connected: false,
   esp2DeviceCount: 0,
@@ -65,9 +233,35 @@ let gatewayStats = {
 document.addEventListener('DOMContentLoaded', () => {
   initializeDashboard();
   loadSerialPorts();
+  loadESP2Devices();
+  window.electronAPI.getSerialGateways().then(renderSerialGateways);
+  loadCommandConsole();
+  loadEnvelopeRejects();
+  loadSettings();
+  loadLogFilters();
+  window.electronAPI.getApiStatus().then(renderApiStatus);
+  loadMqttStatus();
+  loadWsAuth();
+  loadAlerts();
+  loadDistanceModel();
+  window.electronAPI.getCalibration().then(renderCalibration);
+  loadRelayTraces();
+  loadPathAnalytics();
+  loadPositioning();
+  loadPeerLinks();
+  loadTopology();
+  loadMetrics();
+  window.electronAPI.getRecordingStatus().then(updateRecordingStatus);
+  window.electronAPI.getReplayStatus().then(updateReplayStatus);
   updateSystemUptime();
   setInterval(updateSystemUptime, 1000);
   setInterval(updateMessageRate, 1000);
+  setInterval(renderESP2Devices, 5000);
+  setInterval(loadPathAnalytics, 5000);
+  setInterval(loadPeerLinks, 5000);
+  setInterval(loadMetrics, 5000);
+  setInterval(loadPositioning, 3000);
+  setInterval(loadMqttStatus, 5000);
 });
 
 function initializeDashboard() {
@@ -84,6 +278,13 @@ function initializeDashboard() {
   
   // Setup event listeners
   setupEventListeners();
+  
+  appendLogEntry({
+    message: 'ESP32 Dashboard started. Waiting for connections...',
+    source: 'SYSTEM',
+    timestamp: new Date().toISOString(),
+    data: null
+  });
 }
 
 function switchTab(tabId) {
@@ -99,6 +300,11 @@ function switchTab(tabId) {
     selectedNavItem.classList.add('active');
     selectedTabContent.classList.add('active');
   }
+  
+  // The log panel only renders while it's visible
+  if (tabId === 'logs') {
+    scheduleLogRender();
+  }
 }
 
 function updateSystemUptime() {
@@ -153,98 +359,1793 @@ function updateDashboard() {
     gatewayProtocol.textContent = gatewayStats.gatewayInfo.protocolRange || '-';
   }
   
-  // Update ESP1 status
-  if (esp1Status) {
-    esp1Status.textContent = gatewayStats.esp1Connected ? '🟢' : '🔴';
+  // Update ESP1 status
+  if (esp1Status) {
+    esp1Status.textContent = gatewayStats.esp1Connected ? '🟢' : '🔴';
+  }
+  
+  // Update phase counts
+  Object.keys(phaseCountElements).forEach(phase => {
+    const element = phaseCountElements[phase];
+    if (element) {
+      element.textContent = gatewayStats.messageStats[getPhaseMessageType(phase)] || 0;
+    }
+  });
+}
+
+// ESP2 device registry (Devices tab)
+async function loadESP2Devices() {
+  try {
+    const devices = await window.electronAPI.getESP2Devices();
+    esp2Devices = new Map(devices.map(device => [device.deviceId, device]));
+    renderESP2Devices();
+    renderCommandTargets();
+    renderCalibrationDevices();
+  } catch (error) {
+    console.error('Error loading ESP2 devices:', error);
+  }
+}
+
+function renderESP2Devices() {
+  if (!esp2DevicesList) return;
+  
+  esp2DevicesList.innerHTML = '';
+  if (esp2Devices.size === 0) {
+    esp2DevicesList.innerHTML = '<div class="device-placeholder">No ESP2 devices seen yet</div>';
+    return;
+  }
+  
+  esp2Devices.forEach(device => {
+    esp2DevicesList.appendChild(createESP2DeviceCard(device));
+  });
+}
+
+function updateESP2DeviceCard(device) {
+  esp2Devices.set(device.deviceId, device);
+  
+  const existing = esp2DevicesList?.querySelector(`[data-device-id="${CSS.escape(device.deviceId)}"]`);
+  if (existing) {
+    existing.replaceWith(createESP2DeviceCard(device));
+  } else {
+    renderESP2Devices();
+  }
+}
+
+function createESP2DeviceCard(device) {
+  const card = document.createElement('div');
+  card.className = `device-card esp2${device.deviceId === detailDeviceId ? ' selected' : ''}`;
+  card.dataset.deviceId = device.deviceId;
+  card.title = 'Show everything this device has reported';
+  card.addEventListener('click', () => openDeviceDetails(device.deviceId));
+  
+  const paths = Object.keys(device.paths || {}).join(', ') || '-';
+  const rssi = device.lastRssi !== null && device.lastRssi !== undefined ? `${device.lastRssi} dBm` : '-';
+  
+  card.innerHTML = `
+    <div class="device-header">
+      <h3>${escapeHtml(device.deviceId)}</h3>
+      <div class="device-status">${getDeviceFreshnessIcon(device.lastSeen)}</div>
+    </div>
+    <div class="device-details">
+      ${deviceInfoRow('MAC', device.macAddress || '-')}
+      ${deviceInfoRow('Owner', device.owner || '-')}
+      ${deviceInfoRow('Type', device.deviceType || '-')}
+      ${deviceInfoRow('Firmware', device.firmwareVersion || '-')}
+      ${deviceInfoRow('Mode', getCommunicationModeName(device.communicationMode))}
+      ${deviceInfoRow('RSSI', rssi)}
+      ${deviceInfoRow('Last Path', device.lastPath || '-')}
+      ${deviceInfoRow('Paths', paths)}
+      ${deviceInfoRow('Messages', device.messageCount)}
+      ${deviceInfoRow('First Seen', new Date(device.firstSeen).toLocaleTimeString())}
+      ${deviceInfoRow('Last Seen', new Date(device.lastSeen).toLocaleTimeString())}
+      ${deviceInfoRow('Capabilities', (device.capabilities || []).join(', ') || '-')}
+    </div>
+  `;
+  return card;
+}
+
+function deviceInfoRow(label, value) {
+  return `
+    <div class="device-info">
+      <span class="info-label">${label}:</span>
+      <span class="info-value">${escapeHtml(String(value))}</span>
+    </div>
+  `;
+}
+
+function getDeviceFreshnessIcon(lastSeen) {
+  const age = (Date.now() - new Date(lastSeen).getTime()) / 1000;
+  if (age < 30) return '🟢';
+  if (age < 120) return '🟡';
+  return '🔴';
+}
+
+function getCommunicationModeName(mode) {
+  const modes = {
+    0: 'ESP-NOW only',
+    1: 'WiFi backup',
+    2: 'WiFi primary',
+    3: 'WiFi only'
+  };
+  return modes[mode] || '-';
+}
+
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Device detail view: everything the monitor has seen from one device
+// (registry entry plus core/device-history.js). It follows the device live;
+// expanded parts of the envelope trees stay expanded across refreshes.
+const DEVICE_DETAIL_REFRESH_MS = 2000;
+let detailDeviceId = null;
+let detailRefreshTimer = null;
+
+async function openDeviceDetails(deviceId) {
+  detailDeviceId = deviceId;
+  esp2DevicesList?.querySelectorAll('.device-card.esp2').forEach(card => {
+    card.classList.toggle('selected', card.dataset.deviceId === deviceId);
+  });
+  switchTab('devices');
+  await loadDeviceDetails();
+  deviceDetailPanel.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+function closeDeviceDetails() {
+  detailDeviceId = null;
+  clearTimeout(detailRefreshTimer);
+  detailRefreshTimer = null;
+  deviceDetailPanel.style.display = 'none';
+  esp2DevicesList?.querySelectorAll('.device-card.esp2.selected').forEach(card => card.classList.remove('selected'));
+}
+
+// Called for every update of the device; refreshes at most every 2 s
+function scheduleDeviceDetailRefresh(deviceId) {
+  if (deviceId !== detailDeviceId || detailRefreshTimer) return;
+  detailRefreshTimer = setTimeout(() => {
+    detailRefreshTimer = null;
+    loadDeviceDetails();
+  }, DEVICE_DETAIL_REFRESH_MS);
+}
+
+async function loadDeviceDetails() {
+  if (!detailDeviceId) return;
+  try {
+    const details = await window.electronAPI.getESP2DeviceDetails(detailDeviceId);
+    if (!details) {
+      closeDeviceDetails();
+      return;
+    }
+    renderDeviceDetails(details);
+  } catch (error) {
+    console.error('Error loading device details:', error);
+  }
+}
+
+function renderDeviceDetails({ device, history }) {
+  const status = history?.status || {};
+  const value = (name, format = String) => (status[name] !== undefined ? format(status[name].value) : '-');
+  const flag = (name, yes, no) => value(name, v => (v ? yes : no));
+  const expanded = new Set(Array.from(deviceDetailContent.querySelectorAll('details[open]')).map(element => element.dataset.key));
+
+  deviceDetailTitle.textContent = device.deviceId;
+  deviceDetailPanel.style.display = 'block';
+  deviceDetailContent.innerHTML = `
+    <div class="device-detail-grid">
+      <div class="device-details">
+        ${deviceInfoRow('MAC', device.macAddress || '-')}
+        ${deviceInfoRow('Owner', device.owner || '-')}
+        ${deviceInfoRow('Type', device.deviceType || '-')}
+        ${deviceInfoRow('Firmware', device.firmwareVersion || '-')}
+        ${deviceInfoRow('Protocol', device.protocolVersion || '-')}
+        ${deviceInfoRow('Messages', device.messageCount)}
+        ${deviceInfoRow('First Seen', new Date(device.firstSeen).toLocaleString())}
+        ${deviceInfoRow('Last Seen', new Date(device.lastSeen).toLocaleString())}
+      </div>
+      <div class="device-details">
+        ${deviceInfoRow('Mode', getCommunicationModeName(device.communicationMode))}
+        ${deviceInfoRow('WiFi', flag('wifiConnected', 'Connected', 'Disconnected'))}
+        ${deviceInfoRow('SSID', value('ssid'))}
+        ${deviceInfoRow('Channel', value('wifiChannel'))}
+        ${deviceInfoRow('WiFi RSSI', value('wifiRssi', v => `${v} dBm`))}
+        ${deviceInfoRow('Server', flag('serverReachable', 'Reachable', 'Unreachable'))}
+        ${deviceInfoRow('Last Path', device.lastPath ? `${device.lastPath}${device.lastGateway ? ` (${device.lastGateway})` : ''}` : '-')}
+        ${deviceInfoRow('Last RSSI', device.lastRssi !== null ? `${device.lastRssi} dBm` : '-')}
+      </div>
+      <div class="device-details">
+        ${deviceInfoRow('Stored Messages', value('storedMessages'))}
+        ${deviceInfoRow('Relay Capacity', flag('relayCapable', 'Available', 'Full'))}
+        ${deviceInfoRow('Peers Reported', value('peerCount'))}
+        ${deviceInfoRow('Free Heap', value('freeHeap', v => formatMetricValue(v, 'bytes')))}
+        ${deviceInfoRow('Uptime', value('uptime', v => formatMetricValue(v, 's')))}
+        ${deviceInfoRow('Paths', Object.entries(device.paths || {}).map(([path, count]) => `${path} ${count}`).join(', ') || '-')}
+      </div>
+    </div>
+    <h4>Capabilities</h4>
+    <div class="capability-list">
+      ${(device.capabilities || []).map(capability => `<span class="capability">${escapeHtml(capability)}</span>`).join('') || '<span class="device-placeholder">None reported</span>'}
+    </div>
+    ${renderDevicePeers(history?.peers)}
+    <h4>Latest Envelope${history?.latest ? ` <span class="detail-note">${escapeHtml(history.latest.messageType)} · ${new Date(history.latest.receivedAt).toLocaleTimeString()} · ${escapeHtml(history.latest.path)}</span>` : ''}</h4>
+    ${history?.latest ? renderJsonTree(history.latest.envelope, 'envelope', 'latest', 1) : '<div class="device-placeholder">No envelope yet</div>'}
+    <h4>Recent Messages</h4>
+    ${renderRecentMessages(history?.messages || {})}
+  `;
+
+  deviceDetailContent.querySelectorAll('details').forEach(element => {
+    if (expanded.has(element.dataset.key)) element.open = true;
+  });
+}
+
+function renderDevicePeers(peers) {
+  if (!peers) return '<h4>Peers</h4><div class="device-placeholder">No peer report yet</div>';
+  // null: only triangulation has mentioned the peer, which doesn't say
+  const check = value => (value === null ? '<span title="Not reported yet">?</span>' : value ? '✅' : '—');
+  const rows = peers.list.map(peer => `
+    <tr>
+      <td>${escapeHtml(peer.deviceId)}</td>
+      <td>${peer.rssi !== null ? `${peer.rssi} dBm` : '-'}</td>
+      <td>${check(peer.handshakeComplete)}</td>
+      <td>${check(peer.validated)}</td>
+    </tr>
+  `).join('');
+  return `
+    <h4>Peers <span class="detail-note">reported ${new Date(peers.at).toLocaleTimeString()}</span></h4>
+    <table class="path-table">
+      <thead><tr><th>Peer</th><th>RSSI</th><th>Handshake</th><th>Validated</th></tr></thead>
+      <tbody>${rows || '<tr><td colspan="4">No peers</td></tr>'}</tbody>
+    </table>
+  `;
+}
+
+function renderRecentMessages(messages) {
+  const types = Object.keys(messages).sort();
+  if (types.length === 0) return '<div class="device-placeholder">No messages yet</div>';
+  return types.map(type => `
+    <details class="message-group" data-key="messages/${escapeHtml(type)}">
+      <summary>${escapeHtml(type)} <span class="detail-note">${messages[type].length} most recent</span></summary>
+      ${messages[type].map(message => {
+        const key = `messages/${type}/${message.messageId || message.receivedAt}`;
+        const summary = [
+          new Date(message.receivedAt).toLocaleTimeString(),
+          message.path + (message.gateway ? ` (${message.gateway})` : ''),
+          message.rssi !== null ? `${message.rssi} dBm` : null,
+          message.messageId
+        ].filter(Boolean).join(' · ');
+        return `<details class="json-tree" data-key="${escapeHtml(key)}">
+          <summary>${escapeHtml(summary)}</summary>
+          ${renderJsonTree(message.envelope, null, key, 0)}
+        </details>`;
+      }).join('')}
+    </details>
+  `).join('');
+}
+
+// Objects and arrays become nested <details>; `openDepth` levels start open
+function renderJsonTree(value, name, key, openDepth) {
+  const label = name !== null ? `<span class="json-key">${escapeHtml(String(name))}</span>` : '';
+  if (value === null || typeof value !== 'object') {
+    const type = value === null ? 'null' : typeof value;
+    const text = typeof value === 'string' ? `"${value}"` : String(value);
+    return `<div class="json-leaf">${label}${label ? ': ' : ''}<span class="json-${type}">${escapeHtml(text)}</span></div>`;
+  }
+  const entries = Array.isArray(value) ? value.map((item, index) => [index, item]) : Object.entries(value);
+  const size = Array.isArray(value) ? `[${entries.length}]` : `{${entries.length}}`;
+  const children = entries.map(([childName, child]) => renderJsonTree(child, childName, `${key}/${childName}`, openDepth - 1)).join('');
+  return `<details class="json-tree" data-key="${escapeHtml(key)}"${openDepth > 0 ? ' open' : ''}>
+    <summary>${label} <span class="json-size">${size}</span></summary>
+    ${children}
+  </details>`;
+}
+
+function getPhaseMessageType(phase) {
+  const phaseMap = {
+    '1': 'ping',
+    '3': 'handshake',
+    '4': 'triangulation',
+    '5': 'relay'
+  };
+  return phaseMap[phase] || 'unknown';
+}
+
+function addActivityItem(message, source) {
+  if (!recentActivityFeed) return;
+  
+  const activityItem = document.createElement('div');
+  activityItem.className = 'activity-item';
+  
+  const time = new Date().toLocaleTimeString();
+  const shortMessage = message.length > 50 ? message.substring(0, 50) + '...' : message;
+  
+  activityItem.innerHTML = `
+    <span class="activity-time">${time}</span>
+    <span class="activity-message">${source}: ${shortMessage}</span>
+  `;
+  
+  // Add to top of feed
+  recentActivityFeed.insertBefore(activityItem, recentActivityFeed.firstChild);
+  
+  // Keep only last 10 items
+  while (recentActivityFeed.children.length > 10) {
+    recentActivityFeed.removeChild(recentActivityFeed.lastChild);
+  }
+}
+
+function updateSignalBars(rssi) {
+  if (!signalBars) return;
+  
+  // Convert RSSI to signal strength (0-4 bars)
+  let strength = 0;
+  if (rssi >= -50) strength = 4;
+  else if (rssi >= -60) strength = 3;
+  else if (rssi >= -70) strength = 2;
+  else if (rssi >= -80) strength = 1;
+  
+  signalBars.forEach((bar, index) => {
+    if (index < strength) {
+      bar.classList.add('active');
+    } else {
+      bar.classList.remove('active');
+    }
+  });
+}
+
+function setupEventListeners() {
+  // Event listeners
+  connectBtn.addEventListener('click', connectSerial);
+  disconnectBtn.addEventListener('click', disconnectSerial);
+  clearBtn.addEventListener('click', clearLog);
+  if (refreshOverviewBtn) {
+    refreshOverviewBtn.addEventListener('click', () => {
+      loadSerialPorts();
+      updateDashboard();
+    });
+  }
+  if (resetStatsBtn) {
+    resetStatsBtn.addEventListener('click', resetGatewayStats);
+  }
+  openGatewayMonitorBtn.addEventListener('click', () => {
+    window.electronAPI.openGatewayMonitor();
+  });
+  document.getElementById('device-detail-close').addEventListener('click', closeDeviceDetails);
+  filterSelect.addEventListener('change', (e) => {
+    logFilter = e.target.value;
+    rebuildLogView();
+  });
+  autoScrollCheck.addEventListener('change', (e) => {
+    autoScroll = e.target.checked;
+    scheduleLogRender();
+  });
+  logPanel.addEventListener('scroll', scheduleLogRender);
+  window.addEventListener('resize', () => {
+    // Row heights depend on the width
+    logRowHeights = new WeakMap();
+    rebuildLogView();
+  });
+  logExportRangeSelect.addEventListener('change', (e) => {
+    logExportCustom.style.display = e.target.value === 'custom' ? 'flex' : 'none';
+  });
+  exportLogBtn.addEventListener('click', exportLog);
+  logQueryInput.addEventListener('input', () => {
+    clearTimeout(logQueryTimer);
+    logQueryTimer = setTimeout(() => applyLogQuery(logQueryInput.value), 200);
+  });
+  savedFilterSelect.addEventListener('change', (e) => selectLogFilter(e.target.value));
+  document.getElementById('save-filter-btn').addEventListener('click', saveLogFilter);
+  document.getElementById('delete-filter-btn').addEventListener('click', deleteLogFilter);
+  
+  // Command console
+  sendCommandBtn.addEventListener('click', sendCommand);
+  commandNameSelect.addEventListener('change', () => {
+    commandModeSelect.style.display = commandNameSelect.value === 'set_mode' ? 'inline-block' : 'none';
+  });
+  
+  // Session recording & replay
+  recordBtn.addEventListener('click', toggleRecording);
+  replayLoadBtn.addEventListener('click', loadReplaySession);
+  replaySpeedBtns.forEach(button => {
+    button.addEventListener('click', () => {
+      const speed = button.dataset.speed === 'max' ? 'max' : Number(button.dataset.speed);
+      window.electronAPI.replayPlay(speed);
+    });
+  });
+  replayPauseBtn.addEventListener('click', () => window.electronAPI.replayPause());
+  replayStopBtn.addEventListener('click', () => window.electronAPI.replayStop());
+  replaySeek.addEventListener('input', () => {
+    isSeeking = true;
+  });
+  replaySeek.addEventListener('change', async () => {
+    await window.electronAPI.replaySeek(Number(replaySeek.value));
+    isSeeking = false;
+  });
+  
+  // Application settings
+  document.getElementById('save-settings-btn').addEventListener('click', saveSettings);
+  document.getElementById('reset-settings-btn').addEventListener('click', resetSettings);
+  document.getElementById('export-settings-btn').addEventListener('click', exportSettings);
+  document.getElementById('import-settings-btn').addEventListener('click', importSettings);
+  verboseLoggingCheck.addEventListener('change', (e) => updateSettings({ verboseLogging: e.target.checked }));
+  
+  // HTTP API
+  apiEnabledCheck.addEventListener('change', (e) => updateSettings({ apiEnabled: e.target.checked }));
+  document.getElementById('save-api-port-btn').addEventListener('click', () => updateSettings({ apiPort: apiPortInput.value }));
+  apiLanAccessCheck.addEventListener('change', (e) => setApiLanAccess(e.target.checked));
+  document.getElementById('generate-api-token-btn').addEventListener('click', generateApiToken);
+  document.getElementById('clear-api-token-btn').addEventListener('click', () => updateSettings({ apiToken: '', apiLanAccess: false }));
+  
+  // MQTT bridge
+  mqttEnabledCheck.addEventListener('change', (e) => updateSettings({ mqttEnabled: e.target.checked }));
+  document.getElementById('save-mqtt-btn').addEventListener('click', saveMqttSettings);
+  
+  // WebSocket authentication
+  wsAuthEnabledCheck.addEventListener('change', (e) => setWsAuthEnabled(e.target.checked));
+  addDeviceKeyBtn.addEventListener('click', addDeviceKey);
+  
+  // Alerts
+  enableNotificationsCheck.addEventListener('change', (e) => window.electronAPI.setNotificationsEnabled(e.target.checked));
+  clearAlertsBtn.addEventListener('click', () => clearAlert(null));
+  addAlertRuleBtn.addEventListener('click', addAlertRule);
+  
+  // Distance model & calibration
+  distanceEnvironmentSelect.addEventListener('change', (e) => setDistanceEnvironment(e.target.value));
+  saveEnvironmentBtn.addEventListener('click', saveEnvironmentProfile);
+  resetEnvironmentBtn.addEventListener('click', resetEnvironmentProfile);
+  startCalibrationBtn.addEventListener('click', startCalibration);
+  collectNearBtn.addEventListener('click', () => collectCalibration(1));
+  collectFarBtn.addEventListener('click', () => collectCalibration(Number(calibrationDistanceInput.value)));
+  fitCalibrationBtn.addEventListener('click', fitCalibration);
+  applyDeviceCalibrationBtn.addEventListener('click', () => applyCalibration('device'));
+  applyEnvironmentCalibrationBtn.addEventListener('click', () => applyCalibration('environment'));
+  cancelCalibrationBtn.addEventListener('click', () => window.electronAPI.cancelCalibration());
+  
+  // Telemetry charts
+  chartRangeSelects.forEach(select => {
+    select.addEventListener('change', (e) => setChartView(Number(e.target.value), null));
+  });
+  chartLiveBtns.forEach(button => {
+    button.addEventListener('click', () => setChartView(chartSpanMs, null));
+  });
+  metricCharts.forEach(setupChartInteraction);
+  
+  // Peer links
+  linkFilterSelect.addEventListener('change', (e) => setLinkFilter(e.target.value));
+  
+  // Positioning
+  positioningOrigin.addEventListener('change', (e) => {
+    positioningOriginId = e.target.value || null;
+    loadPositioning();
+  });
+}
+
+// Command console
+async function loadCommandConsole() {
+  try {
+    const definitions = await window.electronAPI.getCommandDefinitions();
+    commandNameSelect.innerHTML = '';
+    definitions.forEach(definition => {
+      const option = document.createElement('option');
+      option.value = definition.name;
+      option.textContent = `${definition.name} - ${definition.description}`;
+      commandNameSelect.appendChild(option);
+    });
+    
+    const history = await window.electronAPI.getCommands();
+    commands = new Map(history.map(command => [command.messageId, command]));
+    renderCommands();
+    renderCommandTargets();
+  } catch (error) {
+    console.error('Error loading command console:', error);
+  }
+}
+
+function renderCommandTargets() {
+  if (!commandTargetSelect) return;
+  
+  const selected = commandTargetSelect.value;
+  commandTargetSelect.innerHTML = '<option value="">Select target...</option>';
+  
+  serialGatewayIds.forEach(gatewayId => {
+    const option = document.createElement('option');
+    option.value = gatewayId;
+    option.textContent = `ESP1 gateway (${gatewayId})`;
+    commandTargetSelect.appendChild(option);
+  });
+  esp2Devices.forEach(device => {
+    const option = document.createElement('option');
+    option.value = device.deviceId;
+    option.textContent = device.deviceId;
+    commandTargetSelect.appendChild(option);
+  });
+  
+  commandTargetSelect.value = selected;
+}
+
+async function sendCommand() {
+  const target = commandTargetSelect.value;
+  const command = commandNameSelect.value;
+  if (!target) {
+    alert('Please select a command target');
+    return;
+  }
+  
+  const args = command === 'set_mode'
+    ? { communication_mode: Number(commandModeSelect.value) }
+    : {};
+  
+  try {
+    const result = await window.electronAPI.sendCommand(target, command, args);
+    if (result.command) {
+      updateCommand(result.command);
+    } else if (!result.success) {
+      addLogEntry(`Command rejected: ${result.error}`, 'ERROR');
+    }
+  } catch (error) {
+    console.error('Error sending command:', error);
+    addLogEntry('Error sending command', 'ERROR');
+  }
+}
+
+function updateCommand(command) {
+  commands.set(command.messageId, command);
+  renderCommands();
+}
+
+function renderCommands() {
+  if (!commandList) return;
+  
+  commandList.innerHTML = '';
+  if (commands.size === 0) {
+    commandList.innerHTML = '<div class="device-placeholder">No commands sent yet</div>';
+    return;
+  }
+  
+  const sorted = Array.from(commands.values())
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  sorted.forEach(command => {
+    const row = document.createElement('div');
+    row.className = 'command-row';
+    const args = Object.keys(command.args || {}).length > 0 ? ` ${JSON.stringify(command.args)}` : '';
+    const route = command.transport ? ` via ${command.transport} (${command.route})` : '';
+    row.innerHTML = `
+      <span class="command-state ${command.state}">${command.state.replace('_', ' ')}</span>
+      <span class="command-id">${escapeHtml(command.messageId)}</span>
+      <span class="command-detail">
+        ${escapeHtml(command.command + args)} → ${escapeHtml(command.target)}${escapeHtml(route)}
+        ${command.error ? `· ${escapeHtml(command.error)}` : ''}
+      </span>
+      <span class="activity-time">${new Date(command.updatedAt).toLocaleTimeString()}</span>
+    `;
+    commandList.appendChild(row);
+  });
+}
+
+// Application settings (validated and applied live in main)
+async function loadSettings() {
+  try {
+    const { settings: values, schema } = await window.electronAPI.getSettings();
+    baudRateSelect.innerHTML = schema.baudRate.values
+      .map(rate => `<option value="${rate}">${rate}</option>`)
+      .join('');
+    serialReconnectInput.min = schema.serialReconnectMs.min;
+    serialReconnectInput.max = schema.serialReconnectMs.max;
+    relayTimeoutInput.min = schema.relayTimeoutMs.min;
+    relayTimeoutInput.max = schema.relayTimeoutMs.max;
+    logRetentionInput.min = schema.logRetention.min;
+    logRetentionInput.max = schema.logRetention.max;
+    mqttInputs.mqttQos.innerHTML = schema.mqttQos.values
+      .map(qos => `<option value="${qos}">${qos}</option>`)
+      .join('');
+    ['mqttQueueSize', 'mqttPresenceTimeoutSec'].forEach(key => {
+      mqttInputs[key].min = schema[key].min;
+      mqttInputs[key].max = schema[key].max;
+    });
+    renderSettings(values);
+  } catch (error) {
+    console.error('Error loading settings:', error);
+  }
+}
+
+function renderSettings(values) {
+  settings = values;
+  websocketPortInput.value = settings.websocketPort;
+  baudRateSelect.value = settings.baudRate;
+  serialReconnectInput.value = settings.serialReconnectMs;
+  relayTimeoutInput.value = settings.relayTimeoutMs;
+  logRetentionInput.value = settings.logRetention;
+  setLogRetention(settings.logRetention);
+  verboseLoggingCheck.checked = settings.verboseLogging;
+  apiEnabledCheck.checked = settings.apiEnabled;
+  apiPortInput.value = settings.apiPort;
+  apiLanAccessCheck.checked = settings.apiLanAccess;
+  apiTokenElement.textContent = settings.apiToken || 'None';
+  mqttEnabledCheck.checked = settings.mqttEnabled;
+  Object.entries(mqttInputs).forEach(([key, input]) => {
+    input.value = settings[key];
+  });
+}
+
+function renderApiStatus(status) {
+  if (!status.running) {
+    apiStatusElement.textContent = 'Stopped';
+    return;
+  }
+  const host = status.lanAccess ? 'this machine\'s address' : status.host;
+  apiStatusElement.textContent = `Listening on http://${host}:${status.port}/api/v${status.apiVersion}` +
+    (status.streamClients > 0 ? ` · ${status.streamClients} stream client${status.streamClients === 1 ? '' : 's'}` : '');
+}
+
+// LAN access is refused without a token, so make one first
+async function setApiLanAccess(enabled) {
+  if (enabled && !settings.apiToken) {
+    await window.electronAPI.generateApiToken();
+  }
+  updateSettings({ apiLanAccess: enabled });
+}
+
+async function generateApiToken() {
+  const result = await window.electronAPI.generateApiToken();
+  renderSettings(result.settings);
+  settingsStatusElement.textContent = 'New API token generated';
+}
+
+function saveMqttSettings() {
+  const changes = {};
+  Object.entries(mqttInputs).forEach(([key, input]) => {
+    changes[key] = input.value;
+  });
+  updateSettings(changes);
+}
+
+async function loadMqttStatus() {
+  try {
+    renderMqttStatus(await window.electronAPI.getMqttStatus());
+  } catch (error) {
+    console.error('Error loading MQTT status:', error);
+  }
+}
+
+function renderMqttStatus(status) {
+  const counters = `${status.published} published · ${status.queued} queued` +
+    (status.dropped > 0 ? ` · ${status.dropped} dropped` : '') +
+    ` · ${status.onlineDevices} device${status.onlineDevices === 1 ? '' : 's'} online`;
+  if (status.state === 'disabled') {
+    mqttStatusElement.textContent = 'Disabled';
+  } else if (status.state === 'connected') {
+    mqttStatusElement.textContent = `Connected to ${status.url} · ${counters}`;
+  } else if (status.state === 'connecting') {
+    mqttStatusElement.textContent = `Connecting to ${status.url}…`;
+  } else {
+    const retry = status.nextRetryAt ? `, retrying at ${new Date(status.nextRetryAt).toLocaleTimeString()}` : '';
+    mqttStatusElement.textContent = `Disconnected${status.lastError ? ` (${status.lastError})` : ''}${retry} · ${counters}`;
+  }
+}
+
+async function updateSettings(changes) {
+  const result = await window.electronAPI.updateSettings(changes);
+  if (!result.success) {
+    settingsStatusElement.textContent = result.error;
+    addLogEntry(`Could not save settings: ${result.error}`, 'ERROR');
+    loadSettings();
+    return;
+  }
+  settingsStatusElement.textContent = result.changed.length > 0 ? 'Settings saved' : 'No changes';
+  renderSettings(result.settings);
+}
+
+function saveSettings() {
+  updateSettings({
+    websocketPort: websocketPortInput.value,
+    baudRate: baudRateSelect.value,
+    serialReconnectMs: serialReconnectInput.value,
+    relayTimeoutMs: relayTimeoutInput.value,
+    logRetention: logRetentionInput.value
+  });
+}
+
+async function resetSettings() {
+  const result = await window.electronAPI.resetSettings();
+  settingsStatusElement.textContent = 'Defaults restored';
+  renderSettings(result.settings);
+}
+
+async function exportSettings() {
+  const result = await window.electronAPI.exportSettings();
+  if (result.success) {
+    settingsStatusElement.textContent = `Exported to ${result.filePath}`;
+  } else if (!result.canceled) {
+    addLogEntry(`Could not export settings: ${result.error}`, 'ERROR');
+  }
+}
+
+async function importSettings() {
+  const result = await window.electronAPI.importSettings();
+  if (!result.success) {
+    if (!result.canceled) {
+      settingsStatusElement.textContent = result.error;
+      addLogEntry(`Could not import settings: ${result.error}`, 'ERROR');
+    }
+    return;
+  }
+  settingsStatusElement.textContent = `Imported ${result.filePath}`;
+  renderSettings(result.settings);
+  loadAlerts();
+  loadDistanceModel();
+}
+
+// WebSocket authentication (per-device key table)
+async function loadWsAuth() {
+  try {
+    renderWsAuth(await window.electronAPI.getWsAuth());
+  } catch (error) {
+    console.error('Error loading WebSocket auth settings:', error);
+  }
+}
+
+function renderWsAuth(status) {
+  if (wsAuthEnabledCheck) {
+    wsAuthEnabledCheck.checked = status.enabled;
+  }
+  if (!deviceKeyList) return;
+  
+  deviceKeyList.innerHTML = '';
+  if (status.keys.length === 0) {
+    deviceKeyList.innerHTML = '<div class="gateway-placeholder">No device keys</div>';
+    return;
+  }
+  
+  status.keys.forEach(entry => {
+    const row = document.createElement('div');
+    row.className = 'gateway-row';
+    row.innerHTML = `
+      <span class="gateway-port">${escapeHtml(entry.deviceId)}</span>
+      <span class="device-key">${escapeHtml(entry.key)}</span>
+    `;
+    
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'btn btn-secondary';
+    removeBtn.textContent = 'Remove';
+    removeBtn.addEventListener('click', () => removeDeviceKey(entry.deviceId));
+    row.appendChild(removeBtn);
+    
+    deviceKeyList.appendChild(row);
+  });
+}
+
+async function setWsAuthEnabled(enabled) {
+  try {
+    renderWsAuth(await window.electronAPI.setWsAuthEnabled(enabled));
+  } catch (error) {
+    console.error('Error updating WebSocket auth:', error);
+    addLogEntry('Error updating WebSocket authentication', 'ERROR');
+  }
+}
+
+async function addDeviceKey() {
+  const deviceId = deviceKeyIdInput.value.trim();
+  const result = await window.electronAPI.setDeviceKey(deviceId, deviceKeyValueInput.value.trim());
+  if (!result.success) {
+    addLogEntry(`Could not save device key: ${result.error}`, 'ERROR');
+    return;
+  }
+  deviceKeyIdInput.value = '';
+  deviceKeyValueInput.value = '';
+  addLogEntry(`Saved WebSocket key for ${result.entry.deviceId}`, 'SYSTEM');
+  loadWsAuth();
+}
+
+async function removeDeviceKey(deviceId) {
+  await window.electronAPI.removeDeviceKey(deviceId);
+  addLogEntry(`Removed WebSocket key for ${deviceId}`, 'SYSTEM');
+  loadWsAuth();
+}
+
+// Alerts (rules are evaluated in main; this shows what fired)
+const MAX_ALERTS_SHOWN = 200;
+
+async function loadAlerts() {
+  try {
+    const status = await window.electronAPI.getAlerts();
+    alerts = status.alerts;
+    enableNotificationsCheck.checked = status.notifications;
+    renderAlerts();
+    renderAlertRules(status);
+  } catch (error) {
+    console.error('Error loading alerts:', error);
+  }
+}
+
+function addAlert(alert) {
+  alerts.unshift(alert);
+  if (alerts.length > MAX_ALERTS_SHOWN) alerts.pop();
+  renderAlerts();
+}
+
+function renderAlerts() {
+  const open = alerts.filter(alert => !alert.acknowledged).length;
+  if (alertCountElement) {
+    alertCountElement.textContent = open > 0 ? `(${open})` : '';
+  }
+  if (!alertList) return;
+  
+  alertList.innerHTML = '';
+  if (alerts.length === 0) {
+    alertList.innerHTML = '<div class="device-placeholder">No alerts</div>';
+    return;
+  }
+  
+  alerts.forEach(alert => {
+    const item = document.createElement('div');
+    item.className = `alert-item ${alert.severity}${alert.acknowledged ? ' acknowledged' : ''}`;
+    item.innerHTML = `
+      <div class="alert-body">
+        <span>${escapeHtml(alert.message)}</span>
+        <span class="alert-meta">${escapeHtml(alert.ruleName)} · ${new Date(alert.firedAt).toLocaleTimeString()}${alert.acknowledged ? ' · acknowledged' : ''}</span>
+      </div>
+    `;
+    
+    if (!alert.acknowledged) {
+      const ackBtn = document.createElement('button');
+      ackBtn.className = 'btn btn-secondary';
+      ackBtn.textContent = 'Ack';
+      ackBtn.addEventListener('click', () => acknowledgeAlert(alert.id));
+      item.appendChild(ackBtn);
+    }
+    const clearBtn = document.createElement('button');
+    clearBtn.className = 'btn btn-secondary';
+    clearBtn.textContent = 'Clear';
+    clearBtn.addEventListener('click', () => clearAlert(alert.id));
+    item.appendChild(clearBtn);
+    
+    alertList.appendChild(item);
+  });
+}
+
+async function acknowledgeAlert(alertId) {
+  await window.electronAPI.acknowledgeAlert(alertId);
+  const alert = alerts.find(a => a.id === alertId);
+  if (alert) alert.acknowledged = true;
+  renderAlerts();
+}
+
+// Clears one alert, or all of them when alertId is null
+async function clearAlert(alertId) {
+  await window.electronAPI.clearAlert(alertId);
+  alerts = alertId ? alerts.filter(alert => alert.id !== alertId) : [];
+  renderAlerts();
+}
+
+function renderAlertRules(status) {
+  if (alertRuleTypeSelect.options.length === 0) {
+    alertRuleTypeSelect.innerHTML = status.ruleTypes
+      .map(ruleType => `<option value="${ruleType.type}">${escapeHtml(ruleType.description)}</option>`)
+      .join('');
+  }
+  if (!alertRuleList) return;
+  
+  alertRuleList.innerHTML = '';
+  if (status.rules.length === 0) {
+    alertRuleList.innerHTML = '<div class="gateway-placeholder">No alert rules</div>';
+    return;
+  }
+  
+  status.rules.forEach(rule => {
+    const row = document.createElement('div');
+    row.className = 'alert-rule-row';
+    row.innerHTML = `
+      <input type="checkbox" class="rule-enabled" ${rule.enabled ? 'checked' : ''}>
+      <span class="rule-name">${escapeHtml(rule.name)}</span>
+      ${Object.entries(rule.params).map(([key, value]) => `
+        <label class="rule-param">${escapeHtml(key)}
+          <input type="number" class="serial-select" data-param="${escapeHtml(key)}" value="${value}" min="0" step="any">
+        </label>
+      `).join('')}
+    `;
+    
+    const saveBtn = document.createElement('button');
+    saveBtn.className = 'btn btn-primary';
+    saveBtn.textContent = 'Save';
+    saveBtn.addEventListener('click', () => {
+      const params = {};
+      row.querySelectorAll('[data-param]').forEach(input => {
+        params[input.dataset.param] = Number(input.value);
+      });
+      updateAlertRule(rule.id, { enabled: row.querySelector('.rule-enabled').checked, params: params });
+    });
+    row.querySelector('.rule-enabled').addEventListener('change', (e) => updateAlertRule(rule.id, { enabled: e.target.checked }));
+    
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'btn btn-secondary';
+    removeBtn.textContent = 'Remove';
+    removeBtn.addEventListener('click', () => removeAlertRule(rule.id));
+    
+    if (Object.keys(rule.params).length > 0) row.appendChild(saveBtn);
+    row.appendChild(removeBtn);
+    alertRuleList.appendChild(row);
+  });
+}
+
+async function addAlertRule() {
+  const result = await window.electronAPI.addAlertRule(alertRuleTypeSelect.value);
+  if (!result.success) {
+    addLogEntry(`Could not add alert rule: ${result.error}`, 'ERROR');
+    return;
+  }
+  loadAlerts();
+}
+
+async function updateAlertRule(ruleId, changes) {
+  const result = await window.electronAPI.updateAlertRule(ruleId, changes);
+  if (!result.success) {
+    addLogEntry(`Could not update alert rule: ${result.error}`, 'ERROR');
+  }
+  loadAlerts();
+}
+
+async function removeAlertRule(ruleId) {
+  await window.electronAPI.removeAlertRule(ruleId);
+  loadAlerts();
+}
+
+// Distance model (environment profiles, per-device calibrations)
+async function loadDistanceModel() {
+  try {
+    renderDistanceModel(await window.electronAPI.getDistanceModel());
+  } catch (error) {
+    console.error('Error loading distance model:', error);
+  }
+}
+
+function renderDistanceModel(model) {
+  distanceModel = model;
+  
+  distanceEnvironmentSelect.innerHTML = model.environments
+    .map(environment => `<option value="${escapeHtml(environment.id)}">${escapeHtml(environment.name)}</option>`)
+    .join('');
+  distanceEnvironmentSelect.value = model.environment;
+  
+  const active = model.environments.find(environment => environment.id === model.environment);
+  if (active) {
+    environmentTxPowerInput.value = active.txPower;
+    environmentExponentInput.value = active.pathLossExponent;
+  }
+  
+  if (!deviceProfileList) return;
+  deviceProfileList.innerHTML = '';
+  if (model.devices.length === 0) {
+    deviceProfileList.innerHTML = '<div class="gateway-placeholder">No calibrated devices</div>';
+    return;
+  }
+  
+  model.devices.forEach(profile => {
+    const row = document.createElement('div');
+    row.className = 'gateway-row';
+    row.innerHTML = `
+      <span class="gateway-port">${escapeHtml(profile.deviceId)}</span>
+      <span class="gateway-meta">TxPower ${profile.txPower} dBm · exponent ${profile.pathLossExponent}${profile.rSquared !== null ? ` · R² ${profile.rSquared}` : ''} · ${new Date(profile.calibratedAt).toLocaleString()}</span>
+    `;
+    
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'btn btn-secondary';
+    removeBtn.textContent = 'Remove';
+    removeBtn.addEventListener('click', () => removeDeviceProfile(profile.deviceId));
+    row.appendChild(removeBtn);
+    
+    deviceProfileList.appendChild(row);
+  });
+}
+
+async function setDistanceEnvironment(environmentId) {
+  const result = await window.electronAPI.setDistanceEnvironment(environmentId);
+  if (!result.success) {
+    addLogEntry(`Could not change environment: ${result.error}`, 'ERROR');
+    return;
+  }
+  renderDistanceModel(result.model);
+}
+
+async function saveEnvironmentProfile() {
+  const result = await window.electronAPI.setEnvironmentProfile(distanceEnvironmentSelect.value, {
+    txPower: Number(environmentTxPowerInput.value),
+    pathLossExponent: Number(environmentExponentInput.value)
+  });
+  if (!result.success) {
+    addLogEntry(`Could not save environment profile: ${result.error}`, 'ERROR');
+    return;
+  }
+  renderDistanceModel(result.model);
+  addLogEntry(`Saved distance profile for environment "${distanceEnvironmentSelect.value}"`, 'SYSTEM');
+}
+
+async function resetEnvironmentProfile() {
+  const result = await window.electronAPI.resetEnvironmentProfile(distanceEnvironmentSelect.value);
+  if (!result.success) {
+    addLogEntry(`Could not reset environment profile: ${result.error}`, 'ERROR');
+    return;
+  }
+  renderDistanceModel(result.model);
+}
+
+async function removeDeviceProfile(deviceId) {
+  const result = await window.electronAPI.removeDeviceProfile(deviceId);
+  renderDistanceModel(result.model);
+  addLogEntry(`Removed distance calibration for ${deviceId}`, 'SYSTEM');
+}
+
+// Calibration wizard
+function renderCalibrationDevices() {
+  [calibrationDeviceSelect, calibrationPeerSelect].forEach((select, index) => {
+    if (!select) return;
+    const selected = select.value;
+    select.innerHTML = `<option value="">${index === 0 ? 'Device to calibrate...' : 'Peer it hears...'}</option>`;
+    esp2Devices.forEach(device => {
+      const option = document.createElement('option');
+      option.value = device.deviceId;
+      option.textContent = device.deviceId;
+      select.appendChild(option);
+    });
+    select.value = selected;
+  });
+}
+
+function renderCalibration(status) {
+  if (!calibrationWizard) return;
+  calibrationWizard.style.display = status.active ? 'flex' : 'none';
+  startCalibrationBtn.disabled = status.active;
+  if (!status.active) return;
+  
+  const lines = [`Calibrating ${status.deviceId} against ${status.peerId}`];
+  status.steps.forEach(step => {
+    const mean = step.meanRssi !== null ? `, mean ${step.meanRssi} dBm` : '';
+    const progress = status.collecting === step.distance ? ' - collecting...' : '';
+    lines.push(`${step.distance} m: ${step.count}/${status.samplesPerStep} samples${mean}${progress}`);
+  });
+  if (status.result) {
+    lines.push(`Fit: TxPower ${status.result.txPower} dBm, exponent ${status.result.pathLossExponent} (R² ${status.result.rSquared}, ${status.result.samples} samples)`);
+  }
+  calibrationStatusElement.textContent = lines.join('\n');
+  
+  const collecting = status.collecting !== null;
+  collectNearBtn.disabled = collecting;
+  collectFarBtn.disabled = collecting;
+  fitCalibrationBtn.disabled = collecting || status.steps.filter(step => step.count > 0).length < 2;
+  applyDeviceCalibrationBtn.disabled = !status.result;
+  applyEnvironmentCalibrationBtn.disabled = !status.result;
+}
+
+async function startCalibration() {
+  const result = await window.electronAPI.startCalibration(calibrationDeviceSelect.value, calibrationPeerSelect.value);
+  if (!result.success) {
+    addLogEntry(`Could not start calibration: ${result.error}`, 'ERROR');
+  }
+}
+
+async function collectCalibration(distance) {
+  const result = await window.electronAPI.collectCalibration(distance);
+  if (!result.success) {
+    addLogEntry(`Could not collect calibration samples: ${result.error}`, 'ERROR');
+  }
+}
+
+async function fitCalibration() {
+  const result = await window.electronAPI.fitCalibration();
+  if (!result.success) {
+    addLogEntry(`Calibration fit failed: ${result.error}`, 'ERROR');
+  }
+}
+
+async function applyCalibration(target) {
+  const result = await window.electronAPI.applyCalibration(target);
+  if (!result.success) {
+    addLogEntry(`Could not apply calibration: ${result.error}`, 'ERROR');
+    return;
+  }
+  renderDistanceModel(result.model);
+}
+
+// Path analytics (how the arrival paths of deduplicated messages compare)
+async function loadPathAnalytics() {
+  try {
+    renderPathAnalytics(await window.electronAPI.getPathAnalytics());
+  } catch (error) {
+    console.error('Error loading path analytics:', error);
+  }
+}
+
+function renderPathAnalytics(analytics) {
+  if (pathUniqueCount) pathUniqueCount.textContent = analytics.unique;
+  if (pathDuplicateCount) pathDuplicateCount.textContent = analytics.duplicates;
+  if (pathMultiCount) pathMultiCount.textContent = analytics.multiPath;
+  if (pathSpread) {
+    pathSpread.textContent = analytics.averageSpreadMs !== null
+      ? `${formatLatency(analytics.averageSpreadMs)} avg / ${formatLatency(analytics.maxSpreadMs)} max`
+      : '-';
+  }
+  
+  if (!pathTableBody) return;
+  pathTableBody.innerHTML = '';
+  if (analytics.paths.length === 0) {
+    pathTableBody.innerHTML = '<tr><td colspan="6" class="device-placeholder">No messages yet</td></tr>';
+    return;
+  }
+  
+  analytics.paths.forEach(path => {
+    const share = path.messages > 0 ? Math.round(path.firstCount / path.messages * 100) : 0;
+    const row = document.createElement('tr');
+    row.innerHTML = `
+      <td>${escapeHtml(path.path)}</td>
+      <td>${path.messages}</td>
+      <td>${path.firstCount} (${share}%)</td>
+      <td>${path.averageLagMs !== null ? formatLatency(path.averageLagMs) : '-'}</td>
+      <td>${path.maxLagMs !== null ? formatLatency(path.maxLagMs) : '-'}</td>
+      <td>${analytics.singlePathOnly[path.path] || 0}</td>
+    `;
+    pathTableBody.appendChild(row);
+  });
+}
+
+// Telemetry charts (time series kept in main, fetched incrementally)
+const CHART_COLORS = ['#58a6ff', '#3fb950', '#d29922', '#f85149', '#bc8cff', '#39c5cf', '#ff7b72', '#e3b341'];
+const MIN_CHART_SPAN_MS = 60 * 1000;
+const DEFAULT_CHART_SPAN_MS = 15 * 60 * 1000;
+const CHART_PADDING = { top: 10, right: 12, bottom: 24, left: 60 };
+
+async function loadMetrics() {
+  try {
+    mergeMetrics(await window.electronAPI.getMetrics(metrics.latestAt));
+    renderChartDevices();
+    drawMetricCharts();
+  } catch (error) {
+    console.error('Error loading metrics:', error);
+  }
+}
+
+function mergeMetrics(update) {
+  metrics.fields = update.fields;
+  metrics.windowMs = update.windowMs;
+  metrics.latestAt = Math.max(metrics.latestAt, update.latestAt);
+  
+  const oldest = metrics.latestAt - metrics.windowMs;
+  Object.entries(update.series).forEach(([field, byDevice]) => {
+    if (!metrics.series[field]) metrics.series[field] = {};
+    Object.entries(byDevice).forEach(([deviceId, points]) => {
+      const existing = metrics.series[field][deviceId] || [];
+      metrics.series[field][deviceId] = existing.concat(points).filter(point => point[0] >= oldest);
+    });
+  });
+}
+
+// Stable color per device so overlays match across charts
+function chartDeviceColor(deviceId) {
+  if (!chartDeviceColors.has(deviceId)) {
+    chartDeviceColors.set(deviceId, CHART_COLORS[chartDeviceColors.size % CHART_COLORS.length]);
+  }
+  return chartDeviceColors.get(deviceId);
+}
+
+function renderChartDevices() {
+  const deviceIds = new Set();
+  Object.values(metrics.series).forEach(byDevice => {
+    Object.keys(byDevice).forEach(deviceId => deviceIds.add(deviceId));
+  });
+  const sorted = Array.from(deviceIds).sort();
+  
+  chartDeviceLists.forEach(list => {
+    if (list.dataset.devices === sorted.join('|')) return;
+    list.dataset.devices = sorted.join('|');
+    list.innerHTML = '';
+    if (sorted.length === 0) {
+      list.innerHTML = '<span class="device-placeholder">No telemetry yet</span>';
+      return;
+    }
+    sorted.forEach(deviceId => {
+      const label = document.createElement('label');
+      label.className = 'chart-device';
+      label.innerHTML = `
+        <input type="checkbox" ${hiddenChartDevices.has(deviceId) ? '' : 'checked'}>
+        <span class="chart-swatch" style="background:${chartDeviceColor(deviceId)}"></span>
+        <span>${escapeHtml(deviceId)}</span>
+      `;
+      label.querySelector('input').addEventListener('change', (e) => toggleChartDevice(deviceId, e.target.checked));
+      list.appendChild(label);
+    });
+  });
+}
+
+function toggleChartDevice(deviceId, visible) {
+  if (visible) {
+    hiddenChartDevices.delete(deviceId);
+  } else {
+    hiddenChartDevices.add(deviceId);
+  }
+  // Keep the device lists of both tabs in step
+  chartDeviceLists.forEach(list => {
+    delete list.dataset.devices;
+  });
+  renderChartDevices();
+  drawMetricCharts();
+}
+
+function setChartView(spanMs, endMs) {
+  chartSpanMs = Math.max(MIN_CHART_SPAN_MS, Math.min(metrics.windowMs, spanMs));
+  // Back to live once the view reaches the newest data
+  chartEndMs = endMs !== null && endMs < metrics.latestAt ? endMs : null;
+  chartRangeSelects.forEach(select => {
+    select.value = String(chartSpanMs);
+  });
+  drawMetricCharts();
+}
+
+function chartRange() {
+  const end = chartEndMs !== null ? chartEndMs : (metrics.latestAt || Date.now());
+  return { start: end - chartSpanMs, end: end };
+}
+
+function drawMetricCharts() {
+  metricCharts.forEach(drawMetricChart);
+}
+
+function drawMetricChart(canvas) {
+  const ctx = canvas.getContext('2d');
+  const field = canvas.dataset.field;
+  const width = canvas.width;
+  const height = canvas.height;
+  const plotWidth = width - CHART_PADDING.left - CHART_PADDING.right;
+  const plotHeight = height - CHART_PADDING.top - CHART_PADDING.bottom;
+  const { start, end } = chartRange();
+  ctx.clearRect(0, 0, width, height);
+  
+  const lines = Object.entries(metrics.series[field] || {})
+    .filter(([deviceId]) => !hiddenChartDevices.has(deviceId))
+    .map(([deviceId, points]) => ({ deviceId, points: points.filter(point => point[0] >= start && point[0] <= end) }))
+    .filter(line => line.points.length > 0);
+  
+  ctx.font = '11px sans-serif';
+  if (lines.length === 0) {
+    ctx.fillStyle = '#6e7681';
+    ctx.textAlign = 'center';
+    ctx.fillText('No data in this range', width / 2, height / 2);
+    ctx.textAlign = 'left';
+    return;
+  }
+  
+  const values = lines.flatMap(line => line.points.map(point => point[1]));
+  let min = Math.min(...values);
+  let max = Math.max(...values);
+  if (min === max) {
+    min -= 1;
+    max += 1;
+  }
+  const margin = (max - min) * 0.05;
+  min -= margin;
+  max += margin;
+  
+  const x = (time) => CHART_PADDING.left + (time - start) / (end - start) * plotWidth;
+  const y = (value) => CHART_PADDING.top + (1 - (value - min) / (max - min)) * plotHeight;
+  const unit = metrics.fields[field]?.unit || '';
+  
+  // Grid and axis labels
+  ctx.strokeStyle = '#21262d';
+  ctx.fillStyle = '#6e7681';
+  for (let i = 0; i <= 4; i++) {
+    const value = min + (max - min) * i / 4;
+    ctx.beginPath();
+    ctx.moveTo(CHART_PADDING.left, y(value));
+    ctx.lineTo(width - CHART_PADDING.right, y(value));
+    ctx.stroke();
+    ctx.textAlign = 'right';
+    ctx.fillText(formatMetricValue(value, unit), CHART_PADDING.left - 6, y(value) + 4);
+  }
+  [start, (start + end) / 2, end].forEach((time, index) => {
+    ctx.textAlign = ['left', 'center', 'right'][index];
+    ctx.fillText(new Date(time).toLocaleTimeString(), x(time), height - 6);
+  });
+  ctx.textAlign = 'left';
+  
+  lines.forEach(line => {
+    ctx.strokeStyle = chartDeviceColor(line.deviceId);
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    line.points.forEach((point, index) => {
+      if (index === 0) {
+        ctx.moveTo(x(point[0]), y(point[1]));
+      } else {
+        ctx.lineTo(x(point[0]), y(point[1]));
+      }
+    });
+    ctx.stroke();
+    if (line.points.length === 1) {
+      ctx.fillStyle = ctx.strokeStyle;
+      ctx.fillRect(x(line.points[0][0]) - 2, y(line.points[0][1]) - 2, 4, 4);
+    }
+  });
+  ctx.lineWidth = 1;
+}
+
+function formatMetricValue(value, unit) {
+  if (unit === 'bytes') {
+    return `${(value / 1024).toFixed(value >= 10240 ? 0 : 1)} KB`;
+  }
+  if (unit === 's') {
+    return value >= 3600 ? `${(value / 3600).toFixed(1)} h` : `${Math.round(value)} s`;
+  }
+  const text = Math.abs(value) >= 100 ? Math.round(value).toString() : value.toFixed(1);
+  return unit ? `${text} ${unit}` : text;
+}
+
+// Wheel zooms around the cursor, dragging pans back in time, double click
+// returns to the live view
+function setupChartInteraction(canvas) {
+  let dragStart = null;
+  
+  const timeAt = (clientX) => {
+    const rect = canvas.getBoundingClientRect();
+    const plotLeft = CHART_PADDING.left * rect.width / canvas.width;
+    const plotWidth = (canvas.width - CHART_PADDING.left - CHART_PADDING.right) * rect.width / canvas.width;
+    const fraction = Math.max(0, Math.min(1, (clientX - rect.left - plotLeft) / plotWidth));
+    const { start } = chartRange();
+    return { fraction, time: start + fraction * chartSpanMs, plotWidth };
+  };
+  
+  canvas.addEventListener('wheel', (e) => {
+    e.preventDefault();
+    const { fraction, time } = timeAt(e.clientX);
+    const span = Math.max(MIN_CHART_SPAN_MS, Math.min(metrics.windowMs, chartSpanMs * (e.deltaY > 0 ? 1.25 : 0.8)));
+    setChartView(span, time + (1 - fraction) * span);
+  });
+  
+  canvas.addEventListener('mousedown', (e) => {
+    dragStart = { clientX: e.clientX, end: chartRange().end, plotWidth: timeAt(e.clientX).plotWidth };
+  });
+  
+  window.addEventListener('mousemove', (e) => {
+    if (!dragStart) return;
+    const shift = (e.clientX - dragStart.clientX) / dragStart.plotWidth * chartSpanMs;
+    setChartView(chartSpanMs, dragStart.end - shift);
+  });
+  
+  window.addEventListener('mouseup', () => {
+    dragStart = null;
+  });
+  
+  canvas.addEventListener('dblclick', () => setChartView(DEFAULT_CHART_SPAN_MS, null));
+}
+
+// Topology graph (devices, peer links, relay paths - see topology-graph.js)
+let topologyGraph = null;
+let topologySnapshot = null;
+
+async function loadTopology() {
+  if (!topologyCanvas) return;
+  if (!topologyGraph) {
+    topologyGraph = new TopologyGraph(topologyCanvas, { onSelect: renderSelectedTopologyNode });
+  }
+  try {
+    updateTopology(await window.electronAPI.getTopology());
+  } catch (error) {
+    console.error('Error loading topology:', error);
+  }
+}
+
+function updateTopology(snapshot) {
+  topologySnapshot = snapshot;
+  if (!topologyGraph) return;
+  topologyGraph.setData(snapshot);
+  renderSelectedTopologyNode(topologyGraph.selectedId);
+}
+
+function renderSelectedTopologyNode(nodeId) {
+  if (!topologyDetails) return;
+  renderTopologyDetails(topologyDetails, topologySnapshot, nodeId, nodeId && topologyGraph.isPinned(nodeId));
+  if (nodeId && esp2Devices.has(nodeId)) {
+    const button = document.createElement('button');
+    button.className = 'btn btn-secondary';
+    button.textContent = 'Device details';
+    button.addEventListener('click', () => openDeviceDetails(nodeId));
+    topologyDetails.appendChild(button);
+  }
+}
+
+// Peer links (filtered RSSI per directed pair)
+async function loadPeerLinks() {
+  try {
+    renderPeerLinks(await window.electronAPI.getPeerLinks());
+  } catch (error) {
+    console.error('Error loading peer links:', error);
+  }
+}
+
+function renderPeerLinks(status) {
+  if (linkFilterSelect && linkFilterSelect.options.length !== status.filters.length) {
+    linkFilterSelect.innerHTML = status.filters
+      .map(filter => `<option value="${filter}">${filter.toUpperCase()}</option>`)
+      .join('');
+  }
+  if (linkFilterSelect) linkFilterSelect.value = status.filter;
+  
+  if (!peerLinkTableBody) return;
+  peerLinkTableBody.innerHTML = '';
+  if (status.links.length === 0) {
+    peerLinkTableBody.innerHTML = '<tr><td colspan="7" class="device-placeholder">No peer links yet</td></tr>';
+    return;
+  }
+  
+  status.links.forEach(link => {
+    const row = document.createElement('tr');
+    if (link.asymmetric) row.className = 'asymmetric';
+    const reverse = link.reverseRssi !== null
+      ? `${link.reverseRssi} dBm${link.asymmetric ? ` ⚠ ${link.asymmetryDb > 0 ? '+' : ''}${link.asymmetryDb} dB` : ''}`
+      : '-';
+    row.innerHTML = `
+      <td>${escapeHtml(link.from)} → ${escapeHtml(link.to)}</td>
+      <td>${link.rssi} dBm</td>
+      <td>${link.smoothedRssi} dBm</td>
+      <td>±${link.stdDev.toFixed(1)} dB (${link.samples})</td>
+      <td>${link.distance.toFixed(1)} m <span class="link-raw">raw ${link.rawDistance.toFixed(1)} m</span></td>
+      <td class="${confidenceClass(link.confidence)}">${Math.round(link.confidence * 100)}%</td>
+      <td>${reverse}</td>
+    `;
+    peerLinkTableBody.appendChild(row);
+  });
+}
+
+async function setLinkFilter(filter) {
+  const result = await window.electronAPI.setLinkFilter(filter);
+  if (!result.success) {
+    addLogEntry(`Could not change link filter: ${result.error}`, 'ERROR');
+    return;
+  }
+  renderPeerLinks(result);
+}
+
+// Positioning ("view from device X", solved in main from peer RSSI)
+async function loadPositioning() {
+  try {
+    const view = await window.electronAPI.getPositioning(positioningOriginId);
+    renderPositioningOrigins(view.nodes);
+    if (!positioningOriginId && view.nodes.length > 0) {
+      // Pick a default origin and ask again for the view from it
+      positioningOriginId = view.nodes[0].deviceId;
+      positioningOrigin.value = positioningOriginId;
+      renderPositioning(await window.electronAPI.getPositioning(positioningOriginId));
+      return;
+    }
+    renderPositioning(view);
+  } catch (error) {
+    console.error('Error loading positioning:', error);
+  }
+}
+
+function renderPositioningOrigins(nodes) {
+  const ids = nodes.map(node => node.deviceId);
+  if (positioningOriginId && !ids.includes(positioningOriginId)) {
+    ids.unshift(positioningOriginId);
+  }
+  const current = Array.from(positioningOrigin.options).map(option => option.value);
+  if (ids.length > 0 && ids.join('|') === current.join('|')) return;
+  
+  positioningOrigin.innerHTML = ids.length > 0
+    ? ids.map(id => `<option value="${escapeHtml(id)}">${escapeHtml(id)}</option>`).join('')
+    : '<option value="">No devices yet</option>';
+  positioningOrigin.value = positioningOriginId || '';
+}
+
+function renderPositioning(view) {
+  if (positioningNote) {
+    if (view.nodes.length === 0) {
+      positioningNote.textContent = 'Waiting for peer RSSI reports';
+    } else if (view.orientation === 'reported') {
+      positioningNote.textContent = 'North aligned to the directions devices report';
+    } else if (view.anchor) {
+      positioningNote.textContent = `No direction reports - ${view.anchor.north} placed due north of ${view.anchor.origin}`;
+    } else {
+      positioningNote.textContent = 'Only one device located';
+    }
+  }
+  
+  drawPositioningMap(view);
+  
+  if (!positioningTableBody) return;
+  positioningTableBody.innerHTML = '';
+  if (view.devices.length === 0) {
+    positioningTableBody.innerHTML = '<tr><td colspan="4" class="device-placeholder">No peer links yet</td></tr>';
+    return;
+  }
+  
+  view.devices.forEach(device => {
+    const row = document.createElement('tr');
+    row.innerHTML = `
+      <td>${escapeHtml(device.deviceId)}</td>
+      <td>${device.distance.toFixed(1)} m${device.measured ? '' : ' (inferred)'}</td>
+      <td>${device.compass} (${Math.round(device.bearing)}°)</td>
+      <td class="${confidenceClass(device.confidence)}">${Math.round(device.confidence * 100)}%</td>
+    `;
+    positioningTableBody.appendChild(row);
+  });
+}
+
+function confidenceClass(confidence) {
+  if (confidence >= 0.7) return 'confidence-high';
+  if (confidence >= 0.4) return 'confidence-medium';
+  return 'confidence-low';
+}
+
+// Plot the other devices around the origin: north up, rings every few metres
+function drawPositioningMap(view) {
+  if (!positioningCanvas) return;
+  const ctx = positioningCanvas.getContext('2d');
+  const size = positioningCanvas.width;
+  const center = size / 2;
+  ctx.clearRect(0, 0, size, size);
+  
+  const maxDistance = Math.max(1, ...view.devices.map(device => Math.hypot(device.x, device.y)));
+  const scale = (center - 40) / maxDistance;
+  const ringStep = maxDistance > 20 ? 10 : maxDistance > 5 ? 5 : 1;
+  
+  ctx.strokeStyle = '#30363d';
+  ctx.fillStyle = '#6e7681';
+  ctx.font = '11px sans-serif';
+  for (let ring = ringStep; ring <= maxDistance; ring += ringStep) {
+    ctx.beginPath();
+    ctx.arc(center, center, ring * scale, 0, Math.PI * 2);
+    ctx.stroke();
+    ctx.fillText(`${ring} m`, center + 4, center - ring * scale - 4);
+  }
+  
+  ctx.fillStyle = '#8b949e';
+  ctx.font = 'bold 13px sans-serif';
+  ctx.textAlign = 'center';
+  ctx.fillText('N', center, 16);
+  ctx.textAlign = 'left';
+  
+  if (!view.origin || view.nodes.length === 0) return;
+  
+  const drawDevice = (x, y, color, label) => {
+    ctx.beginPath();
+    ctx.arc(x, y, 6, 0, Math.PI * 2);
+    ctx.fillStyle = color;
+    ctx.fill();
+    ctx.fillStyle = '#c9d1d9';
+    ctx.font = '12px sans-serif';
+    ctx.fillText(label, x + 9, y + 4);
+  };
+  
+  view.devices.forEach(device => {
+    const color = device.confidence >= 0.7 ? '#3fb950' : device.confidence >= 0.4 ? '#d29922' : '#f85149';
+    drawDevice(center + device.x * scale, center - device.y * scale, color, device.deviceId);
+  });
+  drawDevice(center, center, '#58a6ff', view.origin);
+}
+
+// Relay traces (store-and-forward hop paths)
+const MAX_RELAY_TRACES_SHOWN = 50;
+
+async function loadRelayTraces() {
+  try {
+    const { traces, stats } = await window.electronAPI.getRelayTraces();
+    relayTraces = new Map(traces.slice(0, MAX_RELAY_TRACES_SHOWN).reverse().map(trace => [trace.traceId, trace]));
+    renderRelayStats(stats);
+    renderRelayTraces();
+  } catch (error) {
+    console.error('Error loading relay traces:', error);
+  }
+}
+
+function updateRelayTrace(trace, stats) {
+  // Re-insert so the newest trace ends up last in the map
+  relayTraces.delete(trace.traceId);
+  relayTraces.set(trace.traceId, trace);
+  while (relayTraces.size > MAX_RELAY_TRACES_SHOWN) {
+    relayTraces.delete(relayTraces.keys().next().value);
+  }
+  renderRelayStats(stats);
+  renderRelayTraces();
+}
+
+function renderRelayStats(stats) {
+  if (relayTracedCount) relayTracedCount.textContent = stats.tracedMessages;
+  if (relayAverageHops) {
+    relayAverageHops.textContent = stats.tracedMessages > 0 ? stats.averageHops.toFixed(1) : '-';
+  }
+  if (relayAverageLatency) {
+    relayAverageLatency.textContent = stats.averageLatencyMs !== null ? formatLatency(stats.averageLatencyMs) : '-';
+  }
+  if (relayMaxHopCount) {
+    relayMaxHopCount.textContent = `${stats.maxHopMessages.length} (max ${stats.maxHops})`;
+  }
+  
+  if (!relayTopList) return;
+  relayTopList.innerHTML = '';
+  if (stats.topRelays.length === 0) {
+    relayTopList.innerHTML = '<div class="device-placeholder">No relays yet</div>';
+    return;
+  }
+  stats.topRelays.forEach(relay => {
+    const row = document.createElement('div');
+    row.className = 'relay-top-row';
+    row.innerHTML = `<span>${escapeHtml(relay.deviceId)}</span><span>${relay.count}</span>`;
+    relayTopList.appendChild(row);
+  });
+}
+
+function renderRelayTraces() {
+  if (!relayTraceList) return;
+  
+  relayTraceList.innerHTML = '';
+  if (relayTraces.size === 0) {
+    relayTraceList.innerHTML = '<div class="device-placeholder">No relayed messages yet</div>';
+    return;
   }
   
-  // Update phase counts
-  Object.keys(phaseCountElements).forEach(phase => {
-    const element = phaseCountElements[phase];
-    if (element) {
-      element.textContent = gatewayStats.messageStats[getPhaseMessageType(phase)] || 0;
-    }
+  Array.from(relayTraces.values()).reverse().forEach(trace => {
+    const element = document.createElement('div');
+    element.className = `relay-trace${trace.hitMaxHops ? ' max-hops' : ''}`;
+    
+    const hops = trace.hops.map(hop => `
+      <span class="relay-hop ${hop.role}">
+        <span>${escapeHtml(hop.deviceId)}${hop.rssi !== null ? ` · ${hop.rssi} dBm` : ''}</span>
+        <span class="hop-time">${escapeHtml(formatHopTime(hop))}</span>
+      </span>
+    `);
+    hops.push(`
+      <span class="relay-hop monitor">
+        <span>Monitor via ${escapeHtml(trace.arrival.path)}</span>
+        <span class="hop-time">${new Date(trace.arrival.at).toLocaleTimeString()}</span>
+      </span>
+    `);
+    
+    element.innerHTML = `
+      <div class="relay-trace-header">
+        <span class="command-id">${escapeHtml(trace.messageId)}${trace.messageType ? ` (${escapeHtml(trace.messageType)})` : ''}</span>
+        <span>${trace.hopCount} hop${trace.hopCount === 1 ? '' : 's'}</span>
+        <span>latency ${trace.latencyMs !== null ? formatLatency(trace.latencyMs) : 'n/a'}</span>
+        ${trace.deliveries > 1 ? `<span>delivered ${trace.deliveries}×</span>` : ''}
+        ${trace.hitMaxHops ? '<span class="command-state failed">hop limit</span>' : ''}
+      </div>
+      <div class="relay-hops">${hops.join('<span class="relay-arrow">→</span>')}</div>
+    `;
+    relayTraceList.appendChild(element);
   });
 }
 
-function getPhaseMessageType(phase) {
-  const phaseMap = {
-    '1': 'ping',
-    '3': 'handshake',
-    '4': 'triangulation',
-    '5': 'relay'
-  };
-  return phaseMap[phase] || 'unknown';
+// Hop timestamps are epoch times when the device has NTP, uptime otherwise
+function formatHopTime(hop) {
+  if (hop.at) return new Date(hop.at).toLocaleTimeString();
+  if (hop.timestamp !== null) return `uptime ${hop.timestamp}s`;
+  return '-';
 }
 
-function addActivityItem(message, source) {
-  if (!recentActivityFeed) return;
-  
-  const activityItem = document.createElement('div');
-  activityItem.className = 'activity-item';
-  
-  const time = new Date().toLocaleTimeString();
-  const shortMessage = message.length > 50 ? message.substring(0, 50) + '...' : message;
-  
-  activityItem.innerHTML = `
-    <span class="activity-time">${time}</span>
-    <span class="activity-message">${source}: ${shortMessage}</span>
-  `;
-  
-  // Add to top of feed
-  recentActivityFeed.insertBefore(activityItem, recentActivityFeed.firstChild);
-  
-  // Keep only last 10 items
-  while (recentActivityFeed.children.length > 10) {
-    recentActivityFeed.removeChild(recentActivityFeed.lastChild);
+function formatLatency(ms) {
+  return ms < 1000 ? `${Math.round(ms)} ms` : `${(ms / 1000).toFixed(1)} s`;
+}
+
+// Envelopes rejected by schema validation, per device
+async function loadEnvelopeRejects() {
+  try {
+    const rejects = await window.electronAPI.getEnvelopeRejects();
+    envelopeRejects = new Map(rejects.map(entry => [entry.deviceId, entry]));
+    renderEnvelopeRejects();
+  } catch (error) {
+    console.error('Error loading envelope rejects:', error);
   }
 }
 
-function updateSignalBars(rssi) {
-  if (!signalBars) return;
+function renderEnvelopeRejects() {
+  if (!rejectList) return;
   
-  // Convert RSSI to signal strength (0-4 bars)
-  let strength = 0;
-  if (rssi >= -50) strength = 4;
-  else if (rssi >= -60) strength = 3;
-  else if (rssi >= -70) strength = 2;
-  else if (rssi >= -80) strength = 1;
+  rejectList.innerHTML = '';
+  if (envelopeRejects.size === 0) {
+    rejectList.innerHTML = '<div class="device-placeholder">No rejected envelopes</div>';
+    return;
+  }
   
-  signalBars.forEach((bar, index) => {
-    if (index < strength) {
-      bar.classList.add('active');
-    } else {
-      bar.classList.remove('active');
-    }
+  const sorted = Array.from(envelopeRejects.values())
+    .sort((a, b) => b.rejected - a.rejected);
+  sorted.forEach(entry => {
+    const topReasons = Object.entries(entry.reasons)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 3)
+      .map(([reason, count]) => `${reason} (${count})`)
+      .join(', ');
+    const firmware = Object.keys(entry.firmwareVersions).join(', ');
+    const row = document.createElement('div');
+    row.className = 'reject-row';
+    row.innerHTML = `
+      <span class="reject-count">${entry.rejected}</span>
+      <span class="command-id">${escapeHtml(entry.deviceId)}</span>
+      <span class="reject-detail">
+        ${escapeHtml(topReasons)} · firmware ${escapeHtml(firmware)}
+      </span>
+      <span class="activity-time">${new Date(entry.lastRejectedAt).toLocaleTimeString()}</span>
+    `;
+    rejectList.appendChild(row);
   });
 }
 
-function setupEventListeners() {
-  // Event listeners
-  connectBtn.addEventListener('click', connectSerial);
-  disconnectBtn.addEventListener('click', disconnectSerial);
-  clearBtn.addEventListener('click', clearLog);
-  if (refreshOverviewBtn) {
-    refreshOverviewBtn.addEventListener('click', () => {
-      loadSerialPorts();
-      updateDashboard();
-    });
+// Session recording
+async function toggleRecording() {
+  try {
+    const result = isRecording
+      ? await window.electronAPI.stopRecording()
+      : await window.electronAPI.startRecording();
+    if (!result.success) {
+      addLogEntry(`Recording error: ${result.error}`, 'ERROR');
+    }
+  } catch (error) {
+    console.error('Error toggling recording:', error);
+    addLogEntry('Error toggling session recording', 'ERROR');
   }
-  if (resetStatsBtn) {
-    resetStatsBtn.addEventListener('click', resetGatewayStats);
+}
+
+function updateRecordingStatus(status) {
+  isRecording = status.recording;
+  recordBtn.textContent = isRecording ? '⏹ Stop Recording' : '⏺ Start Recording';
+  if (isRecording) {
+    recordingStatusElement.textContent = `Recording since ${new Date(status.startedAt).toLocaleTimeString()}`;
+  } else if (status.filePath) {
+    recordingStatusElement.textContent = `Last session: ${status.filePath}`;
+  } else {
+    recordingStatusElement.textContent = 'Not recording';
   }
-  filterSelect.addEventListener('change', (e) => {
-    logFilter = e.target.value;
-    filterLogEntries();
-  });
-  autoScrollCheck.addEventListener('change', (e) => {
-    autoScroll = e.target.checked;
+}
+
+// Session replay
+async function loadReplaySession() {
+  try {
+    const result = await window.electronAPI.loadReplay();
+    if (!result.success && !result.canceled) {
+      addLogEntry(`Could not load session: ${result.error}`, 'ERROR');
+    }
+  } catch (error) {
+    console.error('Error loading session:', error);
+    addLogEntry('Error loading session file', 'ERROR');
+  }
+}
+
+function updateReplayStatus(status) {
+  const loaded = status.frameCount > 0;
+  replaySpeedBtns.forEach(button => {
+    button.disabled = !loaded;
+    button.classList.toggle('btn-primary', status.state === 'playing' && String(status.speed) === button.dataset.speed);
   });
+  replayPauseBtn.disabled = status.state !== 'playing';
+  replayStopBtn.disabled = !loaded;
+  replaySeek.disabled = !loaded;
+  replaySeek.max = status.durationMs;
+  if (!isSeeking) {
+    replaySeek.value = status.positionMs;
+  }
+  
+  if (!loaded) {
+    replayStatusElement.textContent = 'No session loaded';
+    return;
+  }
+  replayStatusElement.textContent =
+    `${status.state} · ${formatDuration(status.positionMs)} / ${formatDuration(status.durationMs)} · ` +
+    `frame ${Math.min(status.index, status.frameCount)}/${status.frameCount}`;
+}
+
+function formatDuration(ms) {
+  const totalSeconds = Math.floor(ms / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${seconds.toString().padStart(2, '0')}`;
 }
 
 async function resetGatewayStats() {
   try {
     await window.electronAPI.resetGatewayStats();
+    envelopeRejects.clear();
+    renderEnvelopeRejects();
+    loadRelayTraces();
+    loadPathAnalytics();
+    loadPositioning();
+    loadPeerLinks();
+    metrics = { ...metrics, latestAt: 0, series: {} };
+    loadMetrics();
     addLogEntry('Gateway statistics reset', 'SYSTEM');
   } catch (error) {
     console.error('Error resetting gateway stats:', error);
@@ -279,7 +2180,7 @@ async function connectSerial() {
   
   try {
     await window.electronAPI.openSerialPort(selectedPort);
-    addLogEntry(`Connecting to ${selectedPort}...`, 'SYSTEM');
+    addLogEntry(`Adding gateway on ${selectedPort}...`, 'SYSTEM');
   } catch (error) {
     console.error('Error connecting to serial port:', error);
     addLogEntry('Error connecting to serial port', 'ERROR');
@@ -289,15 +2190,80 @@ async function connectSerial() {
 async function disconnectSerial() {
   try {
     await window.electronAPI.closeSerialPort();
-    addLogEntry('Disconnected from serial port', 'SYSTEM');
+    addLogEntry('Disconnected from all serial gateways', 'SYSTEM');
   } catch (error) {
     console.error('Error disconnecting from serial port:', error);
     addLogEntry('Error disconnecting from serial port', 'ERROR');
   }
 }
 
+async function removeGateway(portPath) {
+  try {
+    await window.electronAPI.closeSerialPort(portPath);
+  } catch (error) {
+    console.error('Error removing gateway:', error);
+    addLogEntry(`Error removing gateway ${portPath}`, 'ERROR');
+  }
+}
+
+// Open ESP1 gateways (Settings tab)
+function renderSerialGateways(gateways) {
+  if (!gatewayList) return;
+  
+  const gatewayIds = gateways.map(gateway => gateway.gatewayId);
+  if (gatewayIds.join('\n') !== serialGatewayIds.join('\n')) {
+    serialGatewayIds = gatewayIds;
+    renderCommandTargets();
+  }
+  
+  gatewayList.innerHTML = '';
+  if (gateways.length === 0) {
+    gatewayList.innerHTML = '<div class="gateway-placeholder">No gateways connected</div>';
+    return;
+  }
+  
+  gateways.forEach(gateway => {
+    const row = document.createElement('div');
+    row.className = 'gateway-row';
+    
+    const info = gateway.gatewayInfo;
+    const rssi = gateway.lastRssi !== null ? `${gateway.lastRssi} dBm` : '-';
+    row.innerHTML = `
+      <span class="device-status">${gateway.connected ? '🟢' : '🔴'}</span>
+      <span class="gateway-port">${escapeHtml(gateway.gatewayId)}</span>
+      <span class="gateway-meta">
+        ${escapeHtml(info.deviceId)} v${escapeHtml(String(info.version))} ·
+        ${escapeHtml(String(info.gatewayStatus))} ·
+        heard ${gateway.heardCount} · last RSSI ${rssi}
+      </span>
+    `;
+    
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'btn btn-secondary';
+    removeBtn.textContent = 'Remove';
+    removeBtn.addEventListener('click', () => removeGateway(gateway.gatewayId));
+    row.appendChild(removeBtn);
+    
+    gatewayList.appendChild(row);
+  });
+}
+
+// Every path an envelope came in on, with arrival time and lag behind the first
+function formatArrivals(arrivals) {
+  return arrivals
+    .map(arrival => {
+      const via = arrival.gateway ? ` ${arrival.gateway}` : '';
+      const rssi = arrival.rssi !== null && arrival.rssi !== undefined ? ` ${arrival.rssi} dBm` : '';
+      const delay = arrival.delayMs > 0 ? ` +${formatLatency(arrival.delayMs)}` : '';
+      const repeats = arrival.count > 1 ? ` ×${arrival.count}` : '';
+      return `${arrival.path}${via}${rssi} @ ${new Date(arrival.at).toLocaleTimeString()}${delay}${repeats}`;
+    })
+    .join(', ');
+}
+
 async function clearLog() {
-  logPanel.innerHTML = '';
+  logBuffer.clear();
+  rebuildLogView();
   try {
     await window.electronAPI.clearLog();
   } catch (error) {
@@ -305,27 +2271,47 @@ async function clearLog() {
   }
 }
 
-// Distance calculation from RSSI
-function calculateDistance(rssi) {
-  // Path loss model: distance = 10^((TxPower - RSSI) / (10 * N))
-  // TxPower: -40 dBm at 1m (calibrated for ESP32/ESP8266)
-  // N: path loss exponent (2.0 for free space, 2.5-4.0 for indoor)
-  const txPower = -40;
-  const pathLossExponent = 2.5; // Indoor environment
+// Export the entries the source filter and search show, within the chosen time range
+async function exportLog() {
+  let from = -Infinity;
+  let to = Infinity;
+  if (logExportRangeSelect.value === 'custom') {
+    from = logExportFromInput.value ? new Date(logExportFromInput.value).getTime() : -Infinity;
+    to = logExportToInput.value ? new Date(logExportToInput.value).getTime() : Infinity;
+  } else if (logExportRangeSelect.value !== 'all') {
+    from = Date.now() - Number(logExportRangeSelect.value);
+  }
+  
+  const entries = logBuffer.toArray().filter(entry => {
+    const time = new Date(entry.timestamp).getTime();
+    return matchesLogFilters(entry) && time >= from && time <= to;
+  });
+  if (entries.length === 0) {
+    addLogEntry('Nothing to export: no log entries match the filter and time range', 'SYSTEM');
+    return;
+  }
   
-  const distance = Math.pow(10, (txPower - rssi) / (10 * pathLossExponent));
-  return Math.max(0.1, Math.min(100, distance)); // Clamp between 0.1m and 100m
+  try {
+    const result = await window.electronAPI.exportLog(entries, logExportFormatSelect.value);
+    if (result.success) {
+      addLogEntry(`Exported ${result.count} log entries to ${result.filePath}`, 'SYSTEM');
+    } else if (!result.canceled) {
+      addLogEntry(`Could not export log: ${result.error}`, 'ERROR');
+    }
+  } catch (error) {
+    console.error('Error exporting log:', error);
+  }
 }
 
-function calculateConfidence(rssi) {
-  // Confidence based on signal strength
-  // Strong signal (-30 to -50) = high confidence
-  // Weak signal (-80 to -100) = low confidence
-  if (rssi >= -50) return 0.95;
-  if (rssi >= -60) return 0.85;
-  if (rssi >= -70) return 0.70;
-  if (rssi >= -80) return 0.50;
-  return 0.30;
+// Distance suffix for a peer line; confidence reflects how stable the
+// link's RSSI has been, not how strong it is
+function formatPeerLink(link) {
+  if (!link || link.distance === null) return '';
+  let text = ` | 📏 ${link.distance.toFixed(1)}m (conf: ${(link.confidence * 100).toFixed(0)}%, ±${link.stdDev.toFixed(1)} dB)`;
+  if (link.asymmetric) {
+    text += ` ⚠ asymmetric ${link.asymmetryDb > 0 ? '+' : ''}${link.asymmetryDb} dB`;
+  }
+  return text;
 }
 
 // Helper function to get icon for message type
@@ -344,10 +2330,12 @@ function getMessageTypeIcon(messageType) {
   return icons[messageType.toLowerCase()] || '📧';
 }
 
-function formatMessageData(data, source) {
+// Everything a frame carries is escaped: quarantined (UNTRUSTED) clients
+// get here too
+function formatMessageData(data, source, meta = {}) {
   // Format ESP1 Gateway messages
   if (source === 'ESP1_GATEWAY' || data.gateway_type === 'ESP1_WIRED_GATEWAY') {
-    return formatESP1GatewayMessage(data);
+    return formatESP1GatewayMessage(data, meta.peerLinks);
   }
   
   // Format ESP2 messages
@@ -357,16 +2345,16 @@ function formatMessageData(data, source) {
   
   // Default formatting for other messages
   if (data.raw) {
-    return data.raw;
+    return escapeHtml(data.raw);
   }
   
   // Fallback to formatted JSON
-  return `<pre>${JSON.stringify(data, null, 2)}</pre>`;
+  return `<pre>${escapeHtml(JSON.stringify(data, null, 2))}</pre>`;
 }
 
-function formatESP1GatewayMessage(data) {
+function formatESP1GatewayMessage(data, peerLinks) {
   const esp2Phase = data.esp2_phase || 'Unknown';
-  const esp2Type = data.esp2_message_type || 'status';
+  const esp2Type = String(data.esp2_message_type || 'status');
   const esp2Device = data.esp2_sender_device || 'Unknown';
   const messageCount = data.message_count || 0;
   const rssi = data.esp2_rssi || 0;
@@ -425,12 +2413,8 @@ function formatESP1GatewayMessage(data) {
             const validated = peer.validated ? '✅' : '❌';
             formatted += `  ${peer.device_id}: handshake:${handshake} Validation:${validated} (${peer.rssi}dBm)`;
             
-            // Calculate distance from RSSI (monitor does the calculation)
-            if (peer.rssi && peer.rssi < 0) {
-              const distance = calculateDistance(peer.rssi);
-              const confidence = calculateConfidence(peer.rssi);
-              formatted += ` | 📏 ${distance.toFixed(1)}m (conf: ${(confidence * 100).toFixed(0)}%)`;
-            }
+            // Smoothed distance and stability from the monitor's link tracker
+            formatted += formatPeerLink(peerLinks?.[peer.device_id]);
             formatted += `\n`;
           });
         }
@@ -451,20 +2435,16 @@ function formatESP1GatewayMessage(data) {
           esp2Data.payload.nearby_peers.forEach(peer => {
             formatted += `  ${peer.device_id} (${peer.rssi}dBm)`;
             
-            // Calculate distance from RSSI (monitor does the calculation)
-            if (peer.rssi && peer.rssi < 0) {
-              const distance = calculateDistance(peer.rssi);
-              const confidence = calculateConfidence(peer.rssi);
-              formatted += ` | 📏 ${distance.toFixed(1)}m (conf: ${(confidence * 100).toFixed(0)}%)`;
-            }
+            // Smoothed distance and stability from the monitor's link tracker
+            formatted += formatPeerLink(peerLinks?.[peer.device_id]);
             formatted += `\n`;
           });
         }
       }
       
-      return `<pre class="clean-message">${formatted}</pre>`;
+      return `<pre class="clean-message">${escapeHtml(formatted)}</pre>`;
     } catch (e) {
-      return `ESP1 Gateway: ${esp2Type.toUpperCase()} from ${esp2Device}\nRaw data: ${data.esp2_raw_data}`;
+      return escapeHtml(`ESP1 Gateway: ${esp2Type.toUpperCase()} from ${esp2Device}\nRaw data: ${data.esp2_raw_data}`);
     }
   } else {
     // Gateway status message only
@@ -473,12 +2453,12 @@ function formatESP1GatewayMessage(data) {
     formatted += `📈 Total: ${data.message_stats?.total || 0}\n`;
     formatted += `📄 Last: ${data.gateway_health?.last_message_type || 'none'}\n`;
     
-    return `<pre class="clean-message">${formatted}</pre>`;
+    return `<pre class="clean-message">${escapeHtml(formatted)}</pre>`;
   }
 }
 
 function formatESP2Message(data) {
-  const messageType = data.message_type || 'unknown';
+  const messageType = String(data.message_type || 'unknown');
   const deviceId = data.source_device?.device_id || data.device_id || 'Unknown';
   const version = data.version || 'Unknown';
   
@@ -497,10 +2477,45 @@ function formatESP2Message(data) {
     }
   }
   
-  return `<pre class="clean-message">${formatted}</pre>`;
+  return `<pre class="clean-message">${escapeHtml(formatted)}</pre>`;
+}
+
+function addLogEntry(message, source = 'SYSTEM', isESPNowRelay = false, data = null, meta = {}) {
+  const entry = {
+    message: message,
+    source: source,
+    timestamp: meta.timestamp || new Date().toISOString(),
+    gateway: meta.gateway || null,
+    replay: meta.replay || false,
+    messageKey: meta.messageKey || null,
+    arrivals: meta.arrivals || null,
+    validation: meta.validation || null,
+    peerLinks: meta.peerLinks || null,
+    data: data
+  };
+  appendLogEntry(entry);
+  
+  // Quarantined traffic stays out of the statistics
+  if (source === 'UNTRUSTED') return;
+  
+  // Update message statistics
+  messageCount++;
+  lastMessageTime = Date.now();
+  
+  // Update network analysis if WiFi data
+  if (data && data.rssi) {
+    updateSignalBars(data.rssi);
+    if (wifiSignalDetail) {
+      wifiSignalDetail.textContent = `${data.rssi} dBm`;
+    }
+    if (wifiDistanceDetail && meta.distance) {
+      wifiDistanceDetail.textContent = `${meta.distance.toFixed(1)} m`;
+    }
+  }
 }
 
-function addLogEntry(message, source = 'SYSTEM', isESPNowRelay = false, data = null) {
+function createLogElement(entry) {
+  const { message, source, data } = entry;
   const logEntry = document.createElement('div');
   
   // Detect message type for color coding
@@ -508,18 +2523,18 @@ function addLogEntry(message, source = 'SYSTEM', isESPNowRelay = false, data = n
   if (data && typeof data === 'object') {
     // Direct ESP2 message type
     if (data.message_type) {
-      messageTypeClass = data.message_type.toLowerCase();
+      messageTypeClass = String(data.message_type).toLowerCase();
     }
     // ESP1 Gateway relayed message type
     else if (data.esp2_message_type) {
-      messageTypeClass = data.esp2_message_type.toLowerCase();
+      messageTypeClass = String(data.esp2_message_type).toLowerCase();
     }
     // Try to parse from esp2_raw_data
     else if (data.esp2_raw_data) {
       try {
         const esp2Data = JSON.parse(data.esp2_raw_data);
         if (esp2Data.message_type) {
-          messageTypeClass = esp2Data.message_type.toLowerCase();
+          messageTypeClass = String(esp2Data.message_type).toLowerCase();
         }
       } catch (e) {
         // Ignore parsing errors
@@ -530,63 +2545,299 @@ function addLogEntry(message, source = 'SYSTEM', isESPNowRelay = false, data = n
   // Combine source and message type classes
   const classNames = [`log-entry`, source.toLowerCase()];
   if (messageTypeClass) {
-    classNames.push(messageTypeClass);
+    classNames.push(messageTypeClass.replace(/[^a-z0-9_-]/g, ''));
+  }
+  if (entry.replay) {
+    classNames.push('replayed');
+  }
+  if (entry.validation && !entry.validation.valid) {
+    classNames.push('rejected');
   }
   logEntry.className = classNames.join(' ');
+  if (entry.messageKey) {
+    logEntry.dataset.messageKey = entry.messageKey;
+  }
   
-  const timestamp = new Date().toLocaleTimeString();
+  const timestamp = new Date(entry.timestamp).toLocaleTimeString();
   
   // Format message based on data type
-  let formattedMessage = message;
+  let formattedMessage = escapeHtml(message);
   
   // If this is JSON data, format it nicely
   if (data && typeof data === 'object' && data !== null) {
-    formattedMessage = formatMessageData(data, source);
+    formattedMessage = formatMessageData(data, source, entry);
+  }
+  
+  // Paths this envelope came in on (several when WiFi, relays and ESP1 gateways overlap)
+  if (entry.arrivals && entry.arrivals.length > 0) {
+    formattedMessage += `<span class="log-arrivals">Arrived via: ${escapeHtml(formatArrivals(entry.arrivals))}</span>`;
+  }
+  
+  // Schema validation failures, with the reasons
+  if (entry.validation && !entry.validation.valid) {
+    formattedMessage += `<span class="log-rejected">⚠ Rejected: ${escapeHtml(entry.validation.errors.join('; '))}</span>`;
   }
   
   logEntry.innerHTML = `
     <span class="log-timestamp">[${timestamp}]</span>
-    <span class="log-source">${source}</span>
+    <span class="log-source">${escapeHtml(source)}</span>
     <span class="log-message">${formattedMessage}</span>
   `;
+  highlightMatches(logEntry.querySelector('.log-message'), logQuery.highlights);
   
-  if (shouldShowLogEntry(source)) {
-    logPanel.appendChild(logEntry);
-    
-    if (autoScroll) {
-      logPanel.scrollTop = logPanel.scrollHeight;
+  return logEntry;
+}
+
+function shouldShowLogEntry(source) {
+  // Quarantined clients have their own stream and never mix into the others
+  if (source === 'UNTRUSTED') return logFilter === 'UNTRUSTED';
+  if (logFilter === 'ALL') return true;
+  return source.toUpperCase().includes(logFilter);
+}
+
+// Source dropdown and search query, both checked on the stored entry
+function matchesLogFilters(entry) {
+  return shouldShowLogEntry(entry.source) && LogQuery.matchesLogQuery(logQuery, entry);
+}
+
+// Log view: rows are only created for the entries in (and near) the visible
+// part of the panel. Row heights vary with the content, so rendered rows are
+// measured and the rest use an estimate until they are shown.
+const LOG_ROW_ESTIMATE_PX = 64;
+const LOG_OVERSCAN_PX = 800;
+
+function appendLogEntry(entry) {
+  const dropped = logBuffer.push(entry);
+  if (dropped !== undefined && logView[logViewDropped] === dropped) {
+    logViewDropped++;
+    logLayoutChanged = true;
+  }
+  if (matchesLogFilters(entry)) {
+    logView.push(entry);
+    logViewHeights.push(logRowHeights.get(entry) || LOG_ROW_ESTIMATE_PX);
+    logLayoutChanged = true;
+  }
+  scheduleLogRender();
+}
+
+// After a filter, search or retention change
+function rebuildLogView() {
+  logView = logBuffer.toArray().filter(matchesLogFilters);
+  logViewHeights = logView.map(entry => logRowHeights.get(entry) || LOG_ROW_ESTIMATE_PX);
+  logViewDropped = 0;
+  logRowElements = new Map();
+  logLayoutChanged = true;
+  scheduleLogRender();
+}
+
+// Render at most once per frame, however many entries arrived
+function scheduleLogRender() {
+  if (logRenderPending) return;
+  logRenderPending = true;
+  requestAnimationFrame(() => {
+    logRenderPending = false;
+    renderLogRows();
+  });
+}
+
+function renderLogRows() {
+  updateLogQueryStatus();
+  // Hidden tab: nothing to measure; rendered when the tab is shown
+  if (logPanel.offsetParent === null) return;
+  
+  let removedHeight = 0;
+  if (logViewDropped > 0) {
+    for (let i = 0; i < logViewDropped; i++) {
+      removedHeight += logViewHeights[i];
     }
+    logView.splice(0, logViewDropped);
+    logViewHeights.splice(0, logViewDropped);
+    logViewDropped = 0;
+  }
+  layoutLogView();
+  if (autoScroll) {
+    logPanel.scrollTop = logPanel.scrollHeight;
+  } else if (removedHeight > 0) {
+    // Keep the rows being read in place while old ones drop off the top
+    logPanel.scrollTop = Math.max(0, logPanel.scrollTop - removedHeight);
   }
   
-  // Update message statistics
-  messageCount++;
-  lastMessageTime = Date.now();
+  if (logView.length === 0) {
+    logRows.replaceChildren();
+    logRowElements = new Map();
+    return;
+  }
   
-  // Update network analysis if WiFi data
-  if (data && data.rssi) {
-    updateSignalBars(data.rssi);
-    if (wifiSignalDetail) {
-      wifiSignalDetail.textContent = `${data.rssi} dBm`;
+  const top = logPanel.scrollTop - logViewport.offsetTop;
+  const first = findLogRow(top - LOG_OVERSCAN_PX);
+  const last = findLogRow(top + logPanel.clientHeight + LOG_OVERSCAN_PX);
+  const elements = new Map();
+  const fragment = document.createDocumentFragment();
+  for (let i = first; i <= last; i++) {
+    const entry = logView[i];
+    const element = logRowElements.get(entry) || createLogElement(entry);
+    elements.set(entry, element);
+    fragment.appendChild(element);
+  }
+  logRows.replaceChildren(fragment);
+  logRowElements = elements;
+  logRows.style.top = `${logViewOffsets[first] || 0}px`;
+  
+  // Measure what was rendered; a changed height moves every row below it
+  let measuredChange = false;
+  const rendered = logRows.children;
+  for (let k = 0; k < rendered.length; k++) {
+    const bottom = k + 1 < rendered.length ? rendered[k + 1].offsetTop : logRows.offsetHeight;
+    const height = bottom - rendered[k].offsetTop;
+    if (height > 0 && height !== logViewHeights[first + k]) {
+      logViewHeights[first + k] = height;
+      logRowHeights.set(logView[first + k], height);
+      measuredChange = true;
     }
-    if (wifiDistanceDetail && data.distance) {
-      wifiDistanceDetail.textContent = `${data.distance} m`;
+  }
+  if (measuredChange) {
+    logLayoutChanged = true;
+    layoutLogView();
+    logRows.style.top = `${logViewOffsets[first] || 0}px`;
+    if (autoScroll) {
+      logPanel.scrollTop = logPanel.scrollHeight;
     }
+    // The estimates were off, so the rendered range may not cover the panel
+    scheduleLogRender();
   }
 }
 
-function shouldShowLogEntry(source) {
-  if (logFilter === 'ALL') return true;
-  return source.toUpperCase().includes(logFilter);
+// Prefix sums of the row heights; the viewport is as tall as every row together
+function layoutLogView() {
+  if (!logLayoutChanged) return;
+  logLayoutChanged = false;
+  const offsets = new Float64Array(logView.length + 1);
+  for (let i = 0; i < logView.length; i++) {
+    offsets[i + 1] = offsets[i] + logViewHeights[i];
+  }
+  logViewOffsets = offsets;
+  logViewport.style.height = `${offsets[logView.length]}px`;
+}
+
+// Index of the row at `y` pixels into the viewport (clamped to the rows)
+function findLogRow(y) {
+  let low = 0;
+  let high = logView.length - 1;
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+    if (logViewOffsets[middle] <= y) {
+      low = middle;
+    } else {
+      high = middle - 1;
+    }
+  }
+  return low;
+}
+
+// A new retention cap drops the oldest entries right away
+function setLogRetention(limit) {
+  if (!limit || limit === logBuffer.capacity) return;
+  if (logBuffer.resize(limit) > 0) {
+    rebuildLogView();
+  }
+}
+
+// Parse the search bar; an invalid query keeps the previous one in effect
+function applyLogQuery(text) {
+  try {
+    logQuery = LogQuery.parseLogQuery(text);
+    logQueryInput.classList.remove('invalid');
+    rebuildLogView();
+  } catch (error) {
+    logQueryInput.classList.add('invalid');
+    logQueryStatus.textContent = error.message;
+  }
+}
+
+function updateLogQueryStatus() {
+  if (logQueryInput.classList.contains('invalid')) return;
+  if (logQuery.terms.length === 0) {
+    logQueryStatus.textContent = '';
+    return;
+  }
+  logQueryStatus.textContent = `${logView.length - logViewDropped} of ${logBuffer.length} entries`;
 }
 
-function filterLogEntries() {
-  const entries = logPanel.querySelectorAll('.log-entry');
-  entries.forEach(entry => {
-    const source = entry.querySelector('.log-source').textContent;
-    entry.style.display = shouldShowLogEntry(source) ? 'flex' : 'none';
+// Wrap the query's highlight terms in <mark>, leaving the markup intact
+function highlightMatches(element, terms) {
+  if (!element || terms.length === 0) return;
+  const pattern = new RegExp(terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|'), 'gi');
+  const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+  const textNodes = [];
+  while (walker.nextNode()) {
+    textNodes.push(walker.currentNode);
+  }
+  textNodes.forEach(node => {
+    const text = node.nodeValue;
+    pattern.lastIndex = 0;
+    if (!pattern.test(text)) return;
+    
+    const fragment = document.createDocumentFragment();
+    let last = 0;
+    text.replace(pattern, (match, offset) => {
+      fragment.appendChild(document.createTextNode(text.slice(last, offset)));
+      const mark = document.createElement('mark');
+      mark.className = 'log-highlight';
+      mark.textContent = match;
+      fragment.appendChild(mark);
+      last = offset + match.length;
+      return match;
+    });
+    fragment.appendChild(document.createTextNode(text.slice(last)));
+    node.parentNode.replaceChild(fragment, node);
   });
 }
 
+// Saved filters (named queries, kept in main)
+async function loadLogFilters() {
+  try {
+    renderLogFilters(await window.electronAPI.getLogFilters());
+  } catch (error) {
+    console.error('Error loading saved filters:', error);
+  }
+}
+
+function renderLogFilters(filters) {
+  savedFilters = filters;
+  const selected = savedFilterSelect.value;
+  savedFilterSelect.innerHTML = '<option value="">Saved filters…</option>' + filters
+    .map(filter => `<option value="${escapeHtml(filter.name)}" title="${escapeHtml(filter.query)}">${escapeHtml(filter.name)}</option>`)
+    .join('');
+  savedFilterSelect.value = filters.some(filter => filter.name === selected) ? selected : '';
+}
+
+function selectLogFilter(name) {
+  const filter = savedFilters.find(item => item.name === name);
+  if (!filter) return;
+  logQueryInput.value = filter.query;
+  filterNameInput.value = filter.name;
+  applyLogQuery(filter.query);
+}
+
+async function saveLogFilter() {
+  const result = await window.electronAPI.saveLogFilter(filterNameInput.value, logQueryInput.value);
+  if (!result.success) {
+    logQueryStatus.textContent = `Could not save filter: ${result.error}`;
+    return;
+  }
+  renderLogFilters(result.filters);
+  savedFilterSelect.value = result.filter.name;
+  logQueryStatus.textContent = `Saved filter "${result.filter.name}"`;
+}
+
+async function deleteLogFilter() {
+  const name = savedFilterSelect.value;
+  if (!name) return;
+  const result = await window.electronAPI.deleteLogFilter(name);
+  renderLogFilters(result.filters);
+  filterNameInput.value = '';
+}
+
 function updateConnectionStatus(status) {
   // Update status indicators
   updateStatusIndicator(wifiStatus, status.wifi?.connected);
@@ -597,14 +2848,8 @@ function updateConnectionStatus(status) {
   // Update connection state
   isConnected = status.usb?.connected || false;
   
-  // Update UI based on connection state
-  if (isConnected) {
-    connectBtn.style.display = 'none';
-    disconnectBtn.style.display = 'inline-block';
-  } else {
-    connectBtn.style.display = 'inline-block';
-    disconnectBtn.style.display = 'none';
-  }
+  // Gateways are added one by one; "Disconnect All" only when something is open
+  disconnectBtn.style.display = isConnected ? 'inline-block' : 'none';
 }
 
 function updateStatusIndicator(indicator, connected) {
@@ -620,8 +2865,19 @@ function updateStatusIndicator(indicator, connected) {
 
 // IPC Event listeners
 window.electronAPI.onLog((logData) => {
-  addLogEntry(logData.message, logData.source, logData.isESPNowRelay, logData.data);
-  addActivityItem(logData.message, logData.source);
+  addLogEntry(logData.message, logData.source, logData.isESPNowRelay, logData.data, {
+    timestamp: logData.timestamp,
+    gateway: logData.gateway,
+    replay: logData.replay,
+    messageKey: logData.messageKey,
+    arrivals: logData.arrivals,
+    validation: logData.validation,
+    distance: logData.distance,
+    peerLinks: logData.peerLinks
+  });
+  if (logData.source !== 'UNTRUSTED') {
+    addActivityItem(logData.message, logData.source);
+  }
 });
 
 window.electronAPI.onConnectionStatus((status) => {
@@ -632,4 +2888,60 @@ window.electronAPI.onConnectionStatus((status) => {
 window.electronAPI.onGatewayStats((stats) => {
   gatewayStats = stats;
   updateDashboard();
-});
\ No newline at end of file
+  renderSerialGateways(Object.values(stats.gateways || {}));
+});
+
+window.electronAPI.onESP2DeviceUpdate(({ device, isNew }) => {
+  updateESP2DeviceCard(device);
+  scheduleDeviceDetailRefresh(device.deviceId);
+  if (isNew) {
+    renderCommandTargets();
+    renderCalibrationDevices();
+  }
+});
+
+window.electronAPI.onRelayTrace(({ trace, stats }) => {
+  updateRelayTrace(trace, stats);
+});
+
+window.electronAPI.onTopology(updateTopology);
+
+window.electronAPI.onEnvelopeRejects((entry) => {
+  envelopeRejects.set(entry.deviceId, entry);
+  renderEnvelopeRejects();
+});
+
+window.electronAPI.onESP2DeviceRemoved(({ deviceId }) => {
+  esp2Devices.delete(deviceId);
+  renderESP2Devices();
+  renderCommandTargets();
+  renderCalibrationDevices();
+  if (deviceId === detailDeviceId) closeDeviceDetails();
+});
+
+window.electronAPI.onAlert(addAlert);
+
+window.electronAPI.onApiStatus(renderApiStatus);
+
+window.electronAPI.onMqttStatus(renderMqttStatus);
+
+window.electronAPI.onCalibrationUpdate(renderCalibration);
+
+window.electronAPI.onCommandUpdate(updateCommand);
+
+window.electronAPI.onRecordingStatus(updateRecordingStatus);
+
+window.electronAPI.onReplayStatus(updateReplayStatus);
+
+window.electronAPI.onSerialGateways(renderSerialGateways);
+
+window.electronAPI.onMessageArrivals(({ messageKey, arrivals }) => {
+  const entry = logBuffer.findLast(stored => stored.messageKey === messageKey);
+  if (!entry) return;
+  entry.arrivals = arrivals;
+  
+  // A rendered row is rebuilt (and re-measured) on the next frame
+  if (logRowElements.delete(entry)) {
+    scheduleLogRender();
+  }
+});
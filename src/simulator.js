@@ -0,0 +1,279 @@
+#!/usr/bin/env node
+// Fleet simulator: a virtual ESP1 wired gateway and ESP2_UNIVERSAL devices
+// for trying the monitor without hardware. The gateway writes to a
+// pseudo-terminal (made with socat) that the monitor opens like a real serial
+// port; WiFi devices connect to the monitor's WebSocket server. What the
+// fleet does comes from a scenario file (see src/core/fleet-scenario.js).
+//
+//   node src/simulator.js --scenario sample/fleet-scenario.json
+//   node src/headless.js --serial /tmp/esp-sim-gateway
+const { spawn } = require('child_process');
+const fs = require('fs');
+const WebSocket = require('ws');
+const { loadScenario } = require('./core/fleet-scenario');
+const { FleetSimulator } = require('./core/fleet-simulator');
+
+const TICK_MS = 100;
+const RECONNECT_DELAY_MS = 5000;
+const MAX_PENDING_SERIAL_BYTES = 64 * 1024;
+
+const USAGE = `Usage: node src/simulator.js --scenario <file> [options]
+
+Options:
+  -f, --scenario <file>    Scenario JSON (devices, movement, events)
+  -l, --link <path>        Pseudo-terminal for the ESP1 gateway
+                           (default: /tmp/esp-sim-gateway)
+  -u, --url <url>          Monitor WebSocket server (default: ws://127.0.0.1:8080)
+      --no-serial          Don't emulate the ESP1 gateway
+      --no-websocket       Don't connect WiFi devices to the monitor
+      --speed <factor>     Run the scenario faster than real time (default: 1)
+      --duration <sec>     Stop after <sec> scenario seconds
+      --seed <number>      Override the scenario's random seed
+  -v, --verbose            Echo everything the gateway writes
+  -h, --help               Show this help
+
+The gateway needs socat (apt install socat / brew install socat).`;
+
+function parseArgs(argv) {
+  const options = { link: '/tmp/esp-sim-gateway', url: 'ws://127.0.0.1:8080', serial: true, websocket: true, speed: 1 };
+  const value = (index, flag) => {
+    if (index >= argv.length || argv[index].startsWith('-')) {
+      throw new Error(`${flag} needs a value`);
+    }
+    return argv[index];
+  };
+  const number = (index, flag) => {
+    const parsed = Number(value(index, flag));
+    if (!Number.isFinite(parsed) || parsed <= 0) {
+      throw new Error(`${flag} must be a positive number`);
+    }
+    return parsed;
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i];
+    switch (flag) {
+      case '-f':
+      case '--scenario':
+        options.scenario = value(++i, flag);
+        break;
+      case '-l':
+      case '--link':
+        options.link = value(++i, flag);
+        break;
+      case '-u':
+      case '--url':
+        options.url = value(++i, flag);
+        break;
+      case '--no-serial':
+        options.serial = false;
+        break;
+      case '--no-websocket':
+        options.websocket = false;
+        break;
+      case '--speed':
+        options.speed = number(++i, flag);
+        break;
+      case '--duration':
+        options.duration = number(++i, flag);
+        break;
+      case '--seed':
+        options.seed = Math.floor(number(++i, flag));
+        break;
+      case '-v':
+      case '--verbose':
+        options.verbose = true;
+        break;
+      case '-h':
+      case '--help':
+        options.help = true;
+        break;
+      default:
+        throw new Error(`Unknown option ${flag}`);
+    }
+  }
+  if (!options.help && !options.scenario) {
+    throw new Error('--scenario is required');
+  }
+  return options;
+}
+
+// socat bridges our stdin/stdout to a new pseudo-terminal and links it to
+// `linkPath`; lines the monitor writes to the port come back on stdout
+function openGatewayTerminal(linkPath, onLine, onExit) {
+  const socat = spawn('socat', ['-d', '-d', `PTY,raw,echo=0,link=${linkPath}`, 'STDIO'], {
+    stdio: ['pipe', 'pipe', 'pipe']
+  });
+
+  let buffer = '';
+  socat.stdout.on('data', (chunk) => {
+    buffer += chunk.toString();
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    lines.forEach(line => onLine(line.replace(/\r$/, '')));
+  });
+  socat.stderr.on('data', (chunk) => {
+    // "PTY is /dev/pts/N" tells us the terminal is ready
+    const match = /PTY is (\S+)/.exec(chunk.toString());
+    if (match) {
+      log(`ESP1 gateway on ${linkPath} (${match[1]})`);
+    }
+  });
+  // The exit handler reports socat going away; writes racing it fail with EPIPE
+  socat.stdin.on('error', () => {});
+  socat.on('error', (error) => {
+    onExit(error.code === 'ENOENT' ? 'socat not found - install it, or run with --no-serial' : error.message);
+  });
+  socat.on('exit', (code, signal) => {
+    onExit(signal ? null : `socat exited with code ${code}`);
+  });
+
+  return {
+    // ESP1 Serial.println() line endings. Like a UART with nobody
+    // listening, output is dropped while no monitor drains the terminal
+    write(line) {
+      if (socat.stdin.writable && socat.stdin.writableLength < MAX_PENDING_SERIAL_BYTES) {
+        socat.stdin.write(line + '\r\n');
+      }
+    },
+    close() {
+      socat.stdin.end();
+      socat.kill();
+    }
+  };
+}
+
+// One WebSocket per WiFi device, open while the device has WiFi
+class DeviceSockets {
+  constructor(url, scenario, simulator) {
+    this.url = url;
+    this.scenario = scenario;
+    this.simulator = simulator;
+    this.sockets = new Map();
+    this.wanted = new Set();
+    this.reconnectTimers = new Map();
+  }
+
+  setConnected(deviceId, connected) {
+    if (connected) {
+      this.wanted.add(deviceId);
+      this.connect(deviceId);
+    } else {
+      this.wanted.delete(deviceId);
+      clearTimeout(this.reconnectTimers.get(deviceId));
+      const socket = this.sockets.get(deviceId);
+      if (socket) socket.close();
+    }
+  }
+
+  connect(deviceId) {
+    if (this.sockets.has(deviceId)) return;
+    const device = this.scenario.devices.find(d => d.deviceId === deviceId);
+    const url = new URL(this.url);
+    url.searchParams.set('device_id', deviceId);
+    if (device.key) url.searchParams.set('token', device.key);
+
+    const socket = new WebSocket(url.toString());
+    this.sockets.set(deviceId, socket);
+    socket.on('open', () => log(`${deviceId} connected to ${this.url}`));
+    socket.on('message', (data) => this.simulator.receiveWebSocket(deviceId, data.toString()));
+    socket.on('error', (error) => log(`${deviceId} WebSocket error: ${error.message}`));
+    socket.on('close', () => {
+      this.sockets.delete(deviceId);
+      // The monitor went away while the device still has WiFi - retry
+      if (this.wanted.has(deviceId)) {
+        this.reconnectTimers.set(deviceId, setTimeout(() => {
+          if (this.wanted.has(deviceId)) this.connect(deviceId);
+        }, RECONNECT_DELAY_MS));
+      }
+    });
+  }
+
+  send(deviceId, message) {
+    const socket = this.sockets.get(deviceId);
+    if (socket && socket.readyState === WebSocket.OPEN) {
+      socket.send(message);
+    }
+  }
+
+  closeAll() {
+    this.wanted.clear();
+    this.reconnectTimers.forEach(timer => clearTimeout(timer));
+    this.sockets.forEach(socket => socket.close());
+  }
+}
+
+function log(message) {
+  console.error(`[${new Date().toISOString()}] ${message}`);
+}
+
+function main() {
+  let options;
+  let scenario;
+  try {
+    options = parseArgs(process.argv.slice(2));
+    if (options.help) {
+      console.log(USAGE);
+      return;
+    }
+    scenario = loadScenario(options.scenario);
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    process.exit(2);
+  }
+  if (options.seed !== undefined) scenario.seed = options.seed;
+
+  const simulator = new FleetSimulator(scenario);
+  let terminal = null;
+  let sockets = null;
+  let timer = null;
+  let stopping = false;
+
+  const stop = (reason, code = 0) => {
+    if (stopping) return;
+    stopping = true;
+    if (reason) log(reason);
+    clearInterval(timer);
+    if (sockets) sockets.closeAll();
+    if (terminal) terminal.close();
+    // Give the sockets a moment to send their close frames
+    setTimeout(() => process.exit(code), 200);
+  };
+
+  if (options.serial) {
+    if (fs.existsSync(options.link) && !fs.lstatSync(options.link).isSymbolicLink()) {
+      console.error(`${options.link} exists and is not a link - pick another path with --link`);
+      process.exit(2);
+    }
+    terminal = openGatewayTerminal(options.link, line => simulator.receiveSerial(line), (reason) => {
+      stop(reason, reason ? 1 : 0);
+    });
+    simulator.on('serial', (line) => {
+      terminal.write(line);
+      if (options.verbose) log(`serial ${line}`);
+    });
+  }
+  if (options.websocket) {
+    sockets = new DeviceSockets(options.url, scenario, simulator);
+    simulator.on('wifi', (deviceId, connected) => sockets.setConnected(deviceId, connected));
+    simulator.on('websocket', (deviceId, message) => {
+      sockets.send(deviceId, message);
+      if (options.verbose) log(`${deviceId} ws ${message}`);
+    });
+  }
+  simulator.on('note', message => log(`t=${Math.floor(simulator.time)}s ${message}`));
+
+  log(`Scenario "${scenario.name}": ${scenario.devices.length} devices, seed ${scenario.seed}`);
+  simulator.start();
+  timer = setInterval(() => {
+    simulator.advance(TICK_MS / 1000 * options.speed);
+    if (options.duration && simulator.time >= options.duration) {
+      stop(`Scenario finished after ${options.duration}s`);
+    }
+  }, TICK_MS);
+
+  process.on('SIGTERM', () => stop('SIGTERM received, shutting down'));
+  process.on('SIGINT', () => stop('SIGINT received, shutting down'));
+}
+
+main();
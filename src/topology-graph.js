@@ -0,0 +1,393 @@
+// Interactive topology graph on a <canvas>, shared by the dashboard's
+// Overview and the Gateway Monitor window. Feed it the monitor's 'topology'
+// snapshots with setData(); the layout (core/topology-layout.js, loaded
+// first) only moves when devices or links appear or disappear.
+//   drag a node     move it and pin it there
+//   double-click    pin / unpin a node
+//   drag empty      pan
+//   wheel           zoom around the pointer
+//   click           select a node (options.onSelect(nodeId or null))
+(function () {
+  const COLORS = {
+    background: '#21262d',
+    validated: '#3fb950',
+    handshake: '#d29922',
+    discovered: '#6e7681',
+    heard: '#58a6ff',
+    relay: '#f0883e',
+    device: '#30363d',
+    gateway: '#1f6feb',
+    label: '#c9d1d9',
+    muted: '#8b949e',
+    selected: '#f0f6fc',
+    offline: '#f85149'
+  };
+  const NODE_RADIUS = 14;
+  const GATEWAY_RADIUS = 18;
+  const MIN_SCALE = 0.25;
+  const MAX_SCALE = 4;
+  // Pointer movement below this is a click, not a drag
+  const DRAG_THRESHOLD = 4;
+
+  const COMMUNICATION_MODES = {
+    0: 'ESP-NOW only',
+    1: 'WiFi backup',
+    2: 'WiFi primary',
+    3: 'WiFi only'
+  };
+
+  class TopologyGraph {
+    constructor(canvas, options = {}) {
+      this.canvas = canvas;
+      this.onSelect = options.onSelect || (() => {});
+      this.layout = new window.TopologyLayout.TopologyLayout();
+      this.data = { nodes: [], edges: [], relayPaths: [] };
+      this.nodesById = new Map();
+      this.selectedId = null;
+      this.view = { x: 0, y: 0, scale: 1 };
+      this.pointer = null;
+      this.frame = null;
+
+      this.canvas.addEventListener('mousedown', event => this.handleMouseDown(event));
+      window.addEventListener('mousemove', event => this.handleMouseMove(event));
+      window.addEventListener('mouseup', event => this.handleMouseUp(event));
+      this.canvas.addEventListener('dblclick', event => this.handleDoubleClick(event));
+      this.canvas.addEventListener('wheel', event => this.handleWheel(event), { passive: false });
+      new ResizeObserver(() => this.resize()).observe(this.canvas);
+      this.resize();
+    }
+
+    setData(snapshot) {
+      if (!snapshot) return;
+      this.data = snapshot;
+      this.nodesById = new Map(snapshot.nodes.map(node => [node.id, node]));
+      if (this.selectedId && !this.nodesById.has(this.selectedId)) this.select(null);
+
+      const first = this.layout.positions.size === 0;
+      if (this.layout.setGraph(snapshot.nodes, snapshot.edges) && first) {
+        // Open on a settled graph instead of animating it into shape
+        this.layout.settle();
+      }
+      this.requestDraw();
+    }
+
+    select(nodeId) {
+      this.selectedId = nodeId;
+      this.onSelect(nodeId);
+      this.requestDraw();
+    }
+
+    togglePin(nodeId) {
+      const position = this.layout.positions.get(nodeId);
+      if (!position) return;
+      this.layout.setPinned(nodeId, !position.pinned);
+      this.requestDraw();
+    }
+
+    isPinned(nodeId) {
+      return Boolean(this.layout.positions.get(nodeId)?.pinned);
+    }
+
+    // Fit the canvas to its box at the display's pixel density; the graph
+    // origin stays in the middle
+    resize() {
+      const width = this.canvas.clientWidth;
+      const height = this.canvas.clientHeight;
+      if (width === 0 || height === 0) return;
+      const ratio = window.devicePixelRatio || 1;
+      const previous = this.size;
+      this.canvas.width = Math.round(width * ratio);
+      this.canvas.height = Math.round(height * ratio);
+      this.size = { width: width, height: height, ratio: ratio };
+      if (previous) {
+        this.view.x += (width - previous.width) / 2;
+        this.view.y += (height - previous.height) / 2;
+      } else {
+        this.view.x = width / 2;
+        this.view.y = height / 2;
+      }
+      this.draw();
+    }
+
+    // Draws happen at most once a frame and keep going while the layout moves
+    requestDraw() {
+      if (this.frame !== null) return;
+      this.frame = window.requestAnimationFrame(() => {
+        this.frame = null;
+        const moving = this.layout.step();
+        this.draw();
+        if (moving) this.requestDraw();
+      });
+    }
+
+    toGraph(event) {
+      const rect = this.canvas.getBoundingClientRect();
+      return {
+        x: (event.clientX - rect.left - this.view.x) / this.view.scale,
+        y: (event.clientY - rect.top - this.view.y) / this.view.scale
+      };
+    }
+
+    nodeAt(point) {
+      let found = null;
+      this.data.nodes.forEach(node => {
+        const position = this.layout.positions.get(node.id);
+        if (!position) return;
+        const radius = (node.kind === 'gateway' ? GATEWAY_RADIUS : NODE_RADIUS) + 2;
+        if (Math.hypot(position.x - point.x, position.y - point.y) <= radius) found = node.id;
+      });
+      return found;
+    }
+
+    handleMouseDown(event) {
+      if (event.button !== 0) return;
+      const point = this.toGraph(event);
+      this.pointer = {
+        nodeId: this.nodeAt(point),
+        startX: event.clientX,
+        startY: event.clientY,
+        viewX: this.view.x,
+        viewY: this.view.y,
+        dragging: false
+      };
+      event.preventDefault();
+    }
+
+    handleMouseMove(event) {
+      if (!this.pointer) {
+        if (event.target === this.canvas) {
+          this.canvas.style.cursor = this.nodeAt(this.toGraph(event)) ? 'pointer' : 'grab';
+        }
+        return;
+      }
+      const dx = event.clientX - this.pointer.startX;
+      const dy = event.clientY - this.pointer.startY;
+      if (!this.pointer.dragging && Math.hypot(dx, dy) < DRAG_THRESHOLD) return;
+      this.pointer.dragging = true;
+      this.canvas.style.cursor = 'grabbing';
+
+      if (this.pointer.nodeId) {
+        const point = this.toGraph(event);
+        this.layout.moveTo(this.pointer.nodeId, point.x, point.y);
+      } else {
+        this.view.x = this.pointer.viewX + dx;
+        this.view.y = this.pointer.viewY + dy;
+      }
+      this.requestDraw();
+    }
+
+    handleMouseUp() {
+      if (!this.pointer) return;
+      const { nodeId, dragging } = this.pointer;
+      this.pointer = null;
+      this.canvas.style.cursor = '';
+      if (!dragging) this.select(nodeId);
+    }
+
+    handleDoubleClick(event) {
+      const nodeId = this.nodeAt(this.toGraph(event));
+      if (nodeId) this.togglePin(nodeId);
+    }
+
+    handleWheel(event) {
+      event.preventDefault();
+      const rect = this.canvas.getBoundingClientRect();
+      const x = event.clientX - rect.left;
+      const y = event.clientY - rect.top;
+      const scale = Math.min(MAX_SCALE, Math.max(MIN_SCALE, this.view.scale * Math.exp(-event.deltaY * 0.001)));
+      // Keep the point under the pointer where it is
+      this.view.x = x - (x - this.view.x) * scale / this.view.scale;
+      this.view.y = y - (y - this.view.y) * scale / this.view.scale;
+      this.view.scale = scale;
+      this.requestDraw();
+    }
+
+    draw() {
+      if (!this.size) return;
+      const ctx = this.canvas.getContext('2d');
+      const { width, height, ratio } = this.size;
+      ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+      ctx.fillStyle = COLORS.background;
+      ctx.fillRect(0, 0, width, height);
+
+      if (this.data.nodes.length === 0) {
+        ctx.fillStyle = COLORS.muted;
+        ctx.font = '13px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.fillText('Devices appear here as they report their peers', width / 2, height / 2);
+        ctx.textAlign = 'left';
+        return;
+      }
+
+      ctx.translate(this.view.x, this.view.y);
+      ctx.scale(this.view.scale, this.view.scale);
+      this.data.edges.forEach(edge => this.drawEdge(ctx, edge));
+      this.data.nodes.forEach(node => this.drawNode(ctx, node));
+    }
+
+    drawEdge(ctx, edge) {
+      const a = this.layout.positions.get(edge.source);
+      const b = this.layout.positions.get(edge.target);
+      if (!a || !b) return;
+      const selected = this.selectedId && (edge.source === this.selectedId || edge.target === this.selectedId);
+      // -40 dBm and better draws 4 px wide, -90 and worse 1 px
+      const strength = typeof edge.rssi === 'number' ? Math.min(1, Math.max(0, (edge.rssi + 90) / 50)) : 0.3;
+      const width = 1 + strength * 3;
+
+      ctx.save();
+      ctx.globalAlpha = edge.stale ? 0.4 : 1;
+      if (edge.relayActive) {
+        ctx.strokeStyle = COLORS.relay;
+        ctx.globalAlpha *= 0.45;
+        ctx.lineWidth = width + 6;
+        ctx.lineCap = 'round';
+        strokeLine(ctx, a, b);
+        ctx.globalAlpha = edge.stale ? 0.4 : 1;
+      }
+      ctx.strokeStyle = COLORS[edge.state] || COLORS.discovered;
+      ctx.lineWidth = selected ? width + 1.5 : width;
+      if (edge.stale) ctx.setLineDash([6, 4]);
+      strokeLine(ctx, a, b);
+      ctx.restore();
+
+      if (selected && typeof edge.rssi === 'number') {
+        ctx.fillStyle = COLORS.muted;
+        ctx.font = '10px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.fillText(`${edge.rssi} dBm`, (a.x + b.x) / 2, (a.y + b.y) / 2 - 4);
+        ctx.textAlign = 'left';
+      }
+    }
+
+    drawNode(ctx, node) {
+      const position = this.layout.positions.get(node.id);
+      if (!position) return;
+      const gateway = node.kind === 'gateway';
+      const radius = gateway ? GATEWAY_RADIUS : NODE_RADIUS;
+
+      ctx.beginPath();
+      ctx.arc(position.x, position.y, radius, 0, Math.PI * 2);
+      ctx.fillStyle = gateway ? COLORS.gateway : COLORS.device;
+      ctx.fill();
+      ctx.lineWidth = node.id === this.selectedId ? 3 : 2;
+      ctx.strokeStyle = node.id === this.selectedId ? COLORS.selected
+        : gateway || node.gatewayReachable ? COLORS.heard : COLORS.muted;
+      ctx.stroke();
+
+      ctx.fillStyle = COLORS.selected;
+      ctx.font = 'bold 10px sans-serif';
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.fillText(gateway ? 'ESP1' : node.relayCount > 0 ? 'R' : 'ESP2', position.x, position.y);
+
+      if (!gateway) {
+        // Reachability badges: W = WiFi, S = server (green yes, red no,
+        // left out while the device hasn't said)
+        const badges = [['W', node.wifiConnected], ['S', node.serverReachable]].filter(([, value]) => typeof value === 'boolean');
+        badges.forEach(([letter, value], index) => {
+          const x = position.x + radius * 0.8 + index * 11;
+          const y = position.y - radius * 0.8;
+          ctx.beginPath();
+          ctx.arc(x, y, 5.5, 0, Math.PI * 2);
+          ctx.fillStyle = value ? COLORS.validated : COLORS.offline;
+          ctx.fill();
+          ctx.fillStyle = COLORS.background;
+          ctx.font = 'bold 8px sans-serif';
+          ctx.fillText(letter, x, y + 0.5);
+        });
+      }
+
+      if (position.pinned) {
+        ctx.fillStyle = COLORS.muted;
+        ctx.font = '10px sans-serif';
+        ctx.fillText('📌', position.x - radius * 0.8, position.y - radius * 0.8);
+      }
+
+      ctx.textBaseline = 'top';
+      ctx.fillStyle = COLORS.label;
+      ctx.font = '11px sans-serif';
+      ctx.fillText(node.label || node.id, position.x, position.y + radius + 4);
+      ctx.textAlign = 'left';
+      ctx.textBaseline = 'alphabetic';
+    }
+  }
+
+  function strokeLine(ctx, a, b) {
+    ctx.beginPath();
+    ctx.moveTo(a.x, a.y);
+    ctx.lineTo(b.x, b.y);
+    ctx.stroke();
+  }
+
+  // Details of one node for the panel next to the graph: what the device
+  // reported, its links and the recent relay paths through it
+  function renderTopologyDetails(container, snapshot, nodeId, pinned) {
+    const node = snapshot?.nodes.find(candidate => candidate.id === nodeId);
+    if (!node) {
+      container.innerHTML = '<div class="topology-details-placeholder">Click a device for details. Drag a device to move and pin it, double-click to pin or unpin, scroll to zoom.</div>';
+      return;
+    }
+
+    const rows = node.kind === 'gateway'
+      ? [['Serial port', node.label], ['Last heard', formatTime(node.lastSeen)]]
+      : [
+        ['Owner', node.owner || '-'],
+        ['Mode', COMMUNICATION_MODES[node.communicationMode] || '-'],
+        ['WiFi', formatFlag(node.wifiConnected, 'Connected', 'Disconnected')],
+        ['SSID', node.ssid || '-'],
+        ['Server', formatFlag(node.serverReachable, 'Reachable', 'Unreachable')],
+        ['Gateway', node.gatewayReachable ? 'Heard directly' : 'Not heard directly'],
+        ['Last path', node.lastPath || '-'],
+        ['Peers reported', node.peerCount ?? '-'],
+        ['Relay capable', formatFlag(node.relayCapable, 'Yes', 'No')],
+        ['Messages relayed', node.relayCount || 0],
+        ['Stored messages', node.storedMessages ?? '-'],
+        ['Last seen', formatTime(node.lastSeen)]
+      ];
+
+    const links = snapshot.edges
+      .filter(edge => edge.source === nodeId || edge.target === nodeId)
+      .map(edge => {
+        const other = edge.source === nodeId ? edge.target : edge.source;
+        const rssi = typeof edge.rssi === 'number' ? `${edge.rssi} dBm` : '-';
+        const relays = edge.relayCount > 0 ? `, ${edge.relayCount} relayed` : '';
+        return `<li class="topology-link ${edge.state}${edge.stale ? ' stale' : ''}">
+          <span>${escapeText(snapshot.nodes.find(candidate => candidate.id === other)?.label || other)}</span>
+          <span>${rssi} · ${edge.state}${edge.stale ? ' (stale)' : ''}${relays}</span>
+        </li>`;
+      });
+
+    const paths = snapshot.relayPaths
+      .filter(path => path.nodes.includes(nodeId))
+      .slice(0, 5)
+      .map(path => `<li>${path.nodes.map(id => escapeText(snapshot.nodes.find(candidate => candidate.id === id)?.label || id)).join(' → ')}
+        <span class="topology-path-time">${formatTime(path.at)}</span></li>`);
+
+    container.innerHTML = `
+      <h4>${escapeText(node.label || node.id)}${pinned ? ' 📌' : ''}</h4>
+      <dl>${rows.map(([label, value]) => `<dt>${label}</dt><dd>${escapeText(String(value))}</dd>`).join('')}</dl>
+      <h5>Links (${links.length})</h5>
+      <ul class="topology-links">${links.join('') || '<li>None observed</li>'}</ul>
+      ${paths.length > 0 ? `<h5>Recent relay paths</h5><ul class="topology-paths">${paths.join('')}</ul>` : ''}
+    `;
+  }
+
+  function formatFlag(value, yes, no) {
+    return typeof value === 'boolean' ? (value ? yes : no) : 'Unknown';
+  }
+
+  function formatTime(timestamp) {
+    return timestamp ? new Date(timestamp).toLocaleTimeString() : '-';
+  }
+
+  function escapeText(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  window.TopologyGraph = TopologyGraph;
+  window.renderTopologyDetails = renderTopologyDetails;
+})();
@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { AlertEngine } = require('../src/core/alert-engine');
+const { envelope } = require('./envelopes');
+
+const START = Date.parse('2024-01-01T12:00:00.000Z');
+
+// An engine with only the given rule types enabled, collecting what fires
+function createEngine(...types) {
+  const engine = new AlertEngine();
+  engine.rules.forEach(rule => {
+    rule.enabled = types.includes(rule.type);
+  });
+  const fired = [];
+  engine.on('alert', alert => fired.push(alert));
+  return { engine, fired };
+}
+
+test('low heap fires once while it lasts and re-arms when it clears', () => {
+  const { engine, fired } = createEngine('low_heap');
+  engine.observeEnvelope(envelope('ESP2_A', 'ping', { free_heap: 25000 }), START);
+  assert.strictEqual(fired.length, 0);
+
+  engine.observeEnvelope(envelope('ESP2_A', 'ping', { free_heap: 15000 }), START + 1000);
+  engine.observeEnvelope(envelope('ESP2_A', 'ping', { system_data: { free_heap: 12000 } }), START + 2000);
+  assert.deepStrictEqual(fired.map(alert => [alert.subject, alert.severity]), [['ESP2_A', 'warning']]);
+  assert.match(fired[0].message, /free heap 15000 bytes is below 20000/);
+
+  // Other devices are separate subjects
+  engine.observeEnvelope(envelope('ESP2_B', 'ping', { free_heap: 1000 }), START + 2000);
+  assert.strictEqual(fired.length, 2);
+
+  // Clears, then drops below again: a new alert
+  engine.observeEnvelope(envelope('ESP2_A', 'ping', { free_heap: 30000 }), START + 3000);
+  engine.observeEnvelope(envelope('ESP2_A', 'ping', { free_heap: 10000 }), START + 4000);
+  assert.deepStrictEqual(fired.map(alert => alert.subject), ['ESP2_A', 'ESP2_B', 'ESP2_A']);
+  // Messages without a free_heap reading leave the condition alone
+  engine.observeEnvelope(envelope('ESP2_A', 'ping', {}), START + 5000);
+  engine.observeEnvelope(envelope('ESP2_A', 'ping', { free_heap: 9000 }), START + 6000);
+  assert.strictEqual(fired.length, 3);
+});
+
+test('thresholds follow rule updates and invalid parameters are refused', () => {
+  const { engine, fired } = createEngine('low_heap');
+  const rule = engine.rules.find(r => r.type === 'low_heap');
+  engine.updateRule(rule.id, { params: { bytes: 5000 } });
+  engine.observeEnvelope(envelope('ESP2_A', 'ping', { free_heap: 8000 }), START);
+  assert.strictEqual(fired.length, 0);
+  engine.observeEnvelope(envelope('ESP2_A', 'ping', { free_heap: 4000 }), START + 1000);
+  assert.strictEqual(fired.length, 1);
+
+  assert.throws(() => engine.updateRule(rule.id, { params: { bytes: -1 } }), /bytes must be a positive number/);
+  assert.strictEqual(rule.params.bytes, 5000);
+  assert.throws(() => engine.updateRule('nope', {}), /Unknown rule/);
+});
+
+test('silent devices alert on the clock and clear when heard from', () => {
+  const { engine, fired } = createEngine('device_silent');
+  engine.observeEnvelope(envelope('ESP2_A', 'ping', {}), START);
+  engine.tick(START + 30 * 1000);
+  assert.strictEqual(fired.length, 0);
+
+  engine.tick(START + 61 * 1000);
+  engine.tick(START + 90 * 1000);
+  assert.strictEqual(fired.length, 1);
+  assert.match(fired[0].message, /ESP2_A has been silent for 61 s/);
+
+  engine.observeEnvelope(envelope('ESP2_A', 'ping', {}), START + 100 * 1000);
+  engine.tick(START + 120 * 1000);
+  assert.strictEqual(fired.length, 1);
+  engine.tick(START + 161 * 1000 + 1);
+  assert.strictEqual(fired.length, 2);
+});
+
+test('gateway persistence and server reachability alert on their transitions', () => {
+  const { engine, fired } = createEngine('gateway_persistence', 'server_unreachable');
+  engine.observeGateway('/dev/ttyUSB0', 'CONNECTED');
+  engine.observeGateway('/dev/ttyUSB0', 'PERSISTENCE_MODE');
+  engine.observeGateway('/dev/ttyUSB0', 'PERSISTENCE_MODE');
+  engine.observeEnvelope(envelope('ESP2_A', 'ping', { server_reachable: false }), START);
+  engine.observeEnvelope(envelope('ESP2_A', 'ping', { system_data: { server_reachable: false } }), START + 1000);
+  assert.deepStrictEqual(fired.map(alert => [alert.type, alert.subject, alert.severity]), [
+    ['gateway_persistence', '/dev/ttyUSB0', 'critical'],
+    ['server_unreachable', 'ESP2_A', 'warning']
+  ]);
+});
+
+test('a message rate spike over the baseline alerts', () => {
+  const { engine, fired } = createEngine('message_rate_spike');
+  // A quiet baseline: one message every 10 s for 5 minutes
+  for (let t = 0; t < 300; t += 10) {
+    engine.observeEnvelope(envelope('ESP2_A', 'ping', {}), START + t * 1000);
+    engine.tick(START + t * 1000);
+  }
+  assert.strictEqual(fired.length, 0);
+
+  // Then 10 per second for 10 seconds
+  for (let t = 300; t < 310; t++) {
+    for (let i = 0; i < 10; i++) engine.observeEnvelope(envelope('ESP2_A', 'ping', {}), START + t * 1000 + i * 100);
+  }
+  engine.tick(START + 310 * 1000);
+  assert.deepStrictEqual(fired.map(alert => [alert.type, alert.subject]), [['message_rate_spike', 'network']]);
+});
+
+test('alerts can be acknowledged and cleared; reset forgets what was seen', () => {
+  const { engine, fired } = createEngine('low_heap');
+  engine.observeEnvelope(envelope('ESP2_A', 'ping', { free_heap: 100 }), START);
+  engine.observeEnvelope(envelope('ESP2_B', 'ping', { free_heap: 100 }), START);
+  assert.deepStrictEqual(engine.listAlerts().map(alert => alert.subject), ['ESP2_B', 'ESP2_A']);
+
+  assert.strictEqual(engine.acknowledge(fired[0].id).acknowledged, true);
+  assert.strictEqual(engine.clearAlert(fired[1].id), true);
+  assert.deepStrictEqual(engine.listAlerts().map(alert => alert.subject), ['ESP2_A']);
+
+  // Still low after a reset: fires again
+  engine.reset();
+  engine.observeEnvelope(envelope('ESP2_A', 'ping', { free_heap: 100 }), START + 1000);
+  assert.strictEqual(fired.length, 3);
+  engine.clearAlerts();
+  assert.deepStrictEqual(engine.listAlerts(), []);
+});
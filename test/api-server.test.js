@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const EventEmitter = require('events');
+const { ApiServer } = require('../src/core/api-server');
+const { envelope } = require('./envelopes');
+
+function createServer(overrides = {}) {
+  return new ApiServer({
+    events: new EventEmitter(),
+    getGatewayStats: () => ({}),
+    getConnectionStatus: () => ({}),
+    listDevices: () => [],
+    getDevice: deviceId => (deviceId === 'ESP2_A' ? { deviceId: deviceId } : null),
+    ...overrides
+  });
+}
+
+async function get(address, path) {
+  const response = await fetch(`http://${address.host}:${address.port}${path}`);
+  return { status: response.status, body: await response.json() };
+}
+
+test('malformed escapes and failing sources answer with an error instead of crashing', async () => {
+  let failing = false;
+  const server = createServer({
+    getGatewayStats: () => {
+      if (failing) throw new Error('stats unavailable');
+      return { ok: true };
+    }
+  });
+  const address = await server.start({ port: 0 });
+  try {
+    assert.strictEqual((await get(address, '/api/v1/devices/%E0')).status, 400);
+    assert.deepStrictEqual(await get(address, '/api/v1/devices/ESP2_A'), { status: 200, body: { deviceId: 'ESP2_A' } });
+
+    failing = true;
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+      assert.strictEqual((await get(address, '/api/v1/gateway-stats')).status, 500);
+    } finally {
+      console.error = originalError;
+    }
+
+    // Still serving
+    failing = false;
+    assert.deepStrictEqual(await get(address, '/api/v1/gateway-stats'), { status: 200, body: { ok: true } });
+  } finally {
+    await server.stop();
+  }
+});
+
+test('logs and stream events leave the shared key out', () => {
+  const server = createServer();
+  const key = { shared_key: 'ESP2_NETWORK_KEY' };
+  const original = envelope('ESP2_B', 'data', {}, key);
+  const raw = JSON.stringify(envelope('ESP2_A', 'relay', { message_data: JSON.stringify(original) }, key));
+  const written = [];
+  server.clients.add({ res: { write: chunk => written.push(chunk) }, events: new Set(['log', 'esp2-device-update']), filter: {} });
+
+  server.handleEvent('log', { message: raw, source: 'WIFI', data: JSON.parse(raw) });
+  server.handleEvent('esp2-device-update', { device: { deviceId: 'ESP2_A' }, envelope: JSON.parse(raw) });
+
+  const [entry] = server.logs;
+  assert.strictEqual(entry.deviceId, 'ESP2_A');
+  assert.strictEqual(JSON.parse(entry.data.payload.message_data).source_device.device_id, 'ESP2_B');
+  [JSON.stringify(entry), ...written].forEach(text => assert.ok(!text.includes('ESP2_NETWORK_KEY'), text));
+  assert.strictEqual(written.length, 2);
+});
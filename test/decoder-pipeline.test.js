@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { DecoderPipeline, createDecoderPipeline } = require('../src/core/decoder-pipeline');
+const { loadTranscript, runTranscript, listFixtures } = require('./transcript-harness');
+
+// Recorded transcripts must decode to the stored expected frames
+// (after an intended change: node test/transcript-harness.js --update)
+listFixtures().forEach(fixture => {
+  test(`transcript ${fixture.name}`, () => {
+    const expected = JSON.parse(fs.readFileSync(fixture.expectedPath, 'utf8'));
+    // Compared as JSON, like the expected file stores them (no undefined fields)
+    const decoded = JSON.parse(JSON.stringify(runTranscript(loadTranscript(fixture.transcriptPath))));
+    assert.deepStrictEqual(decoded, expected);
+  });
+});
+
+test('built-in decoders run in order', () => {
+  assert.deepStrictEqual(createDecoderPipeline().list(), ['framing', 'json', 'source', 'envelope', 'stats']);
+});
+
+test('decoders do not change their input frame', () => {
+  const input = { transport: 'serial', raw: '{"message_type":"ping","source_device":{"device_id":"ESP2_A"}}', timestamp: '2024-01-01T12:00:00.000Z', gateway: '/dev/ttyUSB0' };
+  const copy = JSON.parse(JSON.stringify(input));
+  const frame = createDecoderPipeline().decode(input);
+  assert.deepStrictEqual(input, copy);
+  assert.strictEqual(frame.kind, 'esp2');
+});
+
+test('registered decoders can take over parsing', () => {
+  // Key=value lines from a hypothetical sensor bridge
+  const pipeline = createDecoderPipeline().use('key-value', (frame) => {
+    if (!/^\w+=/.test(frame.line)) return frame;
+    const data = Object.fromEntries(frame.line.split(/\s+/).map(pair => pair.split('=')));
+    return { ...frame, data: data, kind: 'other', source: 'USB', log: true };
+  }, { after: 'framing' });
+
+  assert.deepStrictEqual(pipeline.list(), ['framing', 'key-value', 'json', 'source', 'envelope', 'stats']);
+  const frame = pipeline.decode({ transport: 'serial', raw: 'temp=21.5 hum=40\r', timestamp: '2024-01-01T12:00:00.000Z', gateway: 'COM3' });
+  assert.deepStrictEqual(frame.data, { temp: '21.5', hum: '40' });
+  assert.strictEqual(frame.log, true);
+  assert.deepStrictEqual(frame.events, []);
+});
+
+test('registration errors', () => {
+  const pipeline = new DecoderPipeline([['a', frame => frame]]);
+  assert.throws(() => pipeline.use('a', frame => frame), /already registered/);
+  assert.throws(() => pipeline.use('b', frame => frame, { before: 'missing' }), /Unknown decoder/);
+  assert.throws(() => pipeline.use('c', null), /must be a function/);
+  pipeline.use('d', () => null);
+  assert.throws(() => pipeline.decode({ transport: 'serial', raw: 'x' }), /Decoder d did not return a frame/);
+  assert.strictEqual(pipeline.remove('d'), true);
+  assert.strictEqual(pipeline.remove('d'), false);
+});
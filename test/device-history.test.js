@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { DeviceHistory } = require('../src/core/device-history');
+const { DeviceRegistry } = require('../src/core/device-registry');
+const { envelope } = require('./envelopes');
+
+// A message from ESP2_A with its own message id
+function message(id, type, payload) {
+  return envelope('ESP2_A', type, payload, { message_id: id });
+}
+
+test('keeps the last messages of each type, newest first', () => {
+  const history = new DeviceHistory({ messagesPerType: 3 });
+  for (let i = 1; i <= 5; i++) {
+    history.observe('ESP2_A', message(`ping_${i}`, 'ping', {}), { path: 'WIFI', receivedAt: `2024-01-01T12:00:0${i}.000Z` });
+  }
+  history.observe('ESP2_A', message('data_1', 'data', {}), { path: 'ESP1_GATEWAY', gateway: '/dev/ttyUSB0', rssi: -60 });
+
+  const entry = history.get('ESP2_A');
+  assert.deepStrictEqual(entry.messages.ping.map(message => message.messageId), ['ping_5', 'ping_4', 'ping_3']);
+  assert.strictEqual(entry.latest.messageId, 'data_1');
+  assert.strictEqual(entry.latest.gateway, '/dev/ttyUSB0');
+  assert.strictEqual(entry.latest.rssi, -60);
+  assert.strictEqual(entry.latest.envelope.message_type, 'data');
+});
+
+test('status fields keep their latest value whichever message carried them', () => {
+  const history = new DeviceHistory();
+  history.observe('ESP2_A', message('ping_1', 'ping', {
+    communication_mode: 2, wifi_connected: true, connected_ssid: 'Lab', wifi_channel: 6,
+    stored_messages: 3, relay_capable: true
+  }), {});
+  history.observe('ESP2_A', message('data_1', 'data', {
+    system_data: { wifi_connected: false, free_heap: 20000 }
+  }), {});
+  // Older firmware names the relay storage fields differently
+  history.observe('ESP2_A', message('ping_2', 'ping', { stored_message_count: 20, relay_capacity_available: false }), {});
+
+  const status = history.get('ESP2_A').status;
+  assert.strictEqual(status.communicationMode.value, 2);
+  assert.strictEqual(status.wifiConnected.value, false);
+  assert.strictEqual(status.ssid.value, 'Lab');
+  assert.strictEqual(status.wifiChannel.value, 6);
+  assert.strictEqual(status.freeHeap.value, 20000);
+  assert.strictEqual(status.storedMessages.value, 20);
+  assert.strictEqual(status.relayCapable.value, false);
+});
+
+test('the latest peer report replaces the previous one', () => {
+  const history = new DeviceHistory();
+  history.observe('ESP2_A', message('ping_1', 'ping', {
+    peers_status: [
+      { device_id: 'ESP2_B', rssi: -55, handshake_complete: true, validated: false },
+      { device_id: 'ESP2_C', rssi: -70, handshake_complete: false, validated: false }
+    ]
+  }), {});
+  history.observe('ESP2_A', message('data_1', 'data', { sensor_data: { temperature: 21 } }), {});
+  assert.strictEqual(history.get('ESP2_A').peers.list.length, 2);
+
+  // Triangulation doesn't report handshake or validation: known peers keep
+  // their last flags, new ones are unknown
+  history.observe('ESP2_A', message('tri_1', 'triangulation', {
+    nearby_peers: [{ device_id: 'ESP2_B', rssi: -52, distance: 1.5 }, { device_id: 'ESP2_D', rssi: -75, distance: 6 }]
+  }), {});
+  assert.deepStrictEqual(history.get('ESP2_A').peers.list, [
+    { deviceId: 'ESP2_B', rssi: -52, handshakeComplete: true, validated: false, distance: 1.5 },
+    { deviceId: 'ESP2_D', rssi: -75, handshakeComplete: null, validated: null, distance: 6 }
+  ]);
+
+  history.remove('ESP2_A');
+  assert.strictEqual(history.get('ESP2_A'), null);
+});
+
+test('a MAC-only placeholder keeps its history once merged into the real device', () => {
+  const MAC = 'AA:BB:CC:DD:EE:01';
+  const registry = new DeviceRegistry();
+  const history = new DeviceHistory({ messagesPerType: 3 });
+  // Wired as in monitor.js
+  registry.on('device-merged', (old, device) => history.mergeInto(old.deviceId, device.deviceId));
+  registry.on('device-removed', device => history.remove(device.deviceId));
+  const observe = (source, id, type, payload, second) => {
+    const received = envelope(source.device_id, type, payload, { message_id: id, source_device: source });
+    const context = { path: 'WIFI', receivedAt: `2024-01-01T12:00:0${second}.000Z` };
+    history.observe(registry.observe(received, context).deviceId, received, context);
+  };
+
+  observe({ device_id: 'ESP2_A' }, 'ping_a1', 'ping', { free_heap: 1000 }, 0);
+  observe({ mac_address: MAC }, 'ping_p1', 'ping', { free_heap: 2000 }, 1);
+  observe({ mac_address: MAC }, 'ping_p2', 'ping', {}, 2);
+  observe({ mac_address: MAC }, 'data_p1', 'data', { system_data: { wifi_connected: true } }, 3);
+  assert.strictEqual(history.get(MAC).messages.ping.length, 2);
+
+  observe({ device_id: 'ESP2_A', mac_address: MAC }, 'ping_a2', 'ping', {}, 4);
+  assert.strictEqual(history.get(MAC), null);
+  const entry = history.get('ESP2_A');
+  assert.deepStrictEqual(entry.messages.ping.map(m => m.messageId), ['ping_a2', 'ping_p2', 'ping_p1']);
+  assert.deepStrictEqual(entry.messages.data.map(m => m.messageId), ['data_p1']);
+  assert.strictEqual(entry.latest.messageId, 'ping_a2');
+  assert.deepStrictEqual(entry.status.freeHeap, { value: 2000, at: '2024-01-01T12:00:01.000Z' });
+  assert.strictEqual(entry.status.wifiConnected.value, true);
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateEnvelope, RejectTracker } = require('../src/core/envelope-validator');
+
+// A complete 2.0 ping; tests break it one field at a time
+function validPing() {
+  return {
+    version: '2.0',
+    message_id: 'ping_1',
+    timestamp: 1700000000,
+    shared_key: 'ESP2_NETWORK_KEY',
+    source_device: {
+      device_id: 'ESP2_SENSOR_001',
+      owner: 'alice',
+      mac_address: 'AA:BB:CC:DD:EE:01',
+      device_type: 'ESP2_UNIVERSAL',
+      firmware_version: '2.0.0'
+    },
+    message_type: 'ping',
+    payload: { free_heap: 234567, uptime: 12345 }
+  };
+}
+
+test('a complete envelope is accepted', () => {
+  assert.deepStrictEqual(validateEnvelope(validPing()), { valid: true, errors: [] });
+});
+
+test('envelopes without a source_device are rejected', () => {
+  const envelope = validPing();
+  delete envelope.source_device;
+  assert.deepStrictEqual(validateEnvelope(envelope), { valid: false, errors: ['missing source_device'] });
+
+  envelope.source_device = { ...validPing().source_device, device_id: '' };
+  assert.deepStrictEqual(validateEnvelope(envelope).errors, ['source_device.device_id must be a non-empty string']);
+});
+
+test('unknown message types, and types newer than the version, are rejected', () => {
+  assert.deepStrictEqual(validateEnvelope({ ...validPing(), message_type: 'teleport' }).errors, ['unknown message_type "teleport"']);
+  assert.deepStrictEqual(validateEnvelope({ ...validPing(), message_type: undefined }).errors, ['missing message_type']);
+
+  const errors = validateEnvelope({ ...validPing(), message_type: 'command', payload: { command: 'reboot' } }).errors;
+  assert.deepStrictEqual(errors, ['message_type "command" requires version 5.0 or later']);
+  assert.strictEqual(validateEnvelope({ ...validPing(), version: '5.0', message_type: 'command', payload: { command: 'reboot' } }).valid, true);
+});
+
+test('payloads must have the shape of their message type', () => {
+  assert.deepStrictEqual(validateEnvelope({ ...validPing(), payload: { free_heap: 'lots' } }).errors, [
+    'payload.free_heap must be a number',
+    'missing payload.uptime'
+  ]);
+  assert.deepStrictEqual(validateEnvelope({ ...validPing(), payload: [] }).errors, ['missing payload']);
+  assert.deepStrictEqual(validateEnvelope({ ...validPing(), message_type: 'data', payload: { readings: [] } }).errors, [
+    'missing payload.sensor_data or payload.system_data'
+  ]);
+  assert.deepStrictEqual(validateEnvelope({ ...validPing(), message_type: 'relay', payload: { hop_count: '2' } }).errors, [
+    'missing payload.message_data or payload.original_message',
+    'payload.hop_count must be a number'
+  ]);
+  // Version 1 envelopes had no required payload
+  assert.strictEqual(validateEnvelope({ ...validPing(), version: '1.0', shared_key: undefined, payload: undefined }).valid, true);
+});
+
+test('rejects are counted per device with their reasons and firmware', () => {
+  const tracker = new RejectTracker();
+  const envelope = validPing();
+  tracker.record('ESP2_SENSOR_001', envelope, ['missing payload.uptime'], '2024-01-01T12:00:00.000Z');
+  tracker.record('ESP2_SENSOR_001', envelope, ['missing payload.uptime', 'missing shared_key'], '2024-01-01T12:00:01.000Z');
+  tracker.record(null, {}, ['envelope is not a JSON object']);
+
+  const device = tracker.get('ESP2_SENSOR_001');
+  assert.strictEqual(device.rejected, 2);
+  assert.deepStrictEqual(device.reasons, { 'missing payload.uptime': 2, 'missing shared_key': 1 });
+  assert.deepStrictEqual(device.firmwareVersions, { '2.0.0': 2 });
+  assert.deepStrictEqual(device.lastReasons, ['missing payload.uptime', 'missing shared_key']);
+  assert.strictEqual(device.lastRejectedAt, '2024-01-01T12:00:01.000Z');
+  assert.strictEqual(tracker.get('unidentified').firmwareVersions.unknown, 1);
+  assert.strictEqual(tracker.total, 3);
+  assert.deepStrictEqual(tracker.list().map(entry => entry.deviceId), ['ESP2_SENSOR_001', 'unidentified']);
+
+  tracker.clear();
+  assert.deepStrictEqual([tracker.total, tracker.list()], [0, []]);
+});
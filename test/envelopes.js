@@ -0,0 +1,16 @@
+// ESP2 envelopes for the unit tests: a 2.0 envelope from `deviceId` with the
+// given type and payload. `fields` adds or overrides top-level fields
+// (message_id, shared_key, ...).
+function envelope(deviceId, type, payload = {}, fields = {}) {
+  return {
+    version: '2.0',
+    message_id: `${type}_1`,
+    timestamp: 1700000000,
+    message_type: type,
+    source_device: { device_id: deviceId, mac_address: 'AA:BB:CC:DD:EE:01' },
+    payload: payload,
+    ...fields
+  };
+}
+
+module.exports = { envelope };
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { loadScenario, parseScenario, positionAt } = require('../src/core/fleet-scenario');
+const { FleetSimulator } = require('../src/core/fleet-simulator');
+const { createDecoderPipeline } = require('../src/core/decoder-pipeline');
+const { validateEnvelope } = require('../src/core/envelope-validator');
+
+const SAMPLE_SCENARIO = path.join(__dirname, '..', 'sample', 'fleet-scenario.json');
+
+// Run a scenario and decode everything the fleet sends, like the monitor would
+function runScenario(scenario, seconds) {
+  const simulator = new FleetSimulator(scenario);
+  const pipeline = createDecoderPipeline();
+  const envelopes = [];
+  const decode = (transport, raw) => {
+    const frame = pipeline.decode({ transport: transport, raw: raw, timestamp: '2024-01-01T12:00:00.000Z', gateway: transport === 'serial' ? 'sim' : null });
+    frame.events.filter(event => event.type === 'envelope').forEach(event => envelopes.push({ transport: transport, envelope: event.envelope }));
+  };
+  simulator.on('serial', line => decode('serial', line));
+  simulator.on('websocket', (deviceId, message) => decode('websocket', message));
+  simulator.start();
+  simulator.advance(seconds);
+  return { simulator, envelopes };
+}
+
+test('sample scenario produces valid envelopes of every phase', () => {
+  const { envelopes } = runScenario(loadScenario(SAMPLE_SCENARIO), 120);
+  envelopes.forEach(({ envelope }) => {
+    assert.deepStrictEqual(validateEnvelope(envelope).errors, [], envelope.message_id);
+  });
+  const types = new Set(envelopes.map(({ envelope }) => envelope.message_type));
+  ['ping', 'handshake', 'data', 'triangulation', 'relay'].forEach(type => assert.ok(types.has(type), type));
+  assert.ok(envelopes.some(({ transport }) => transport === 'websocket'));
+});
+
+test('same seed, same run', () => {
+  const first = runScenario(loadScenario(SAMPLE_SCENARIO), 60).envelopes.map(({ envelope }) => JSON.stringify(envelope));
+  const second = runScenario(loadScenario(SAMPLE_SCENARIO), 60).envelopes.map(({ envelope }) => JSON.stringify(envelope));
+  assert.deepStrictEqual(first, second);
+});
+
+test('relayVia devices only reach the gateway through their relay', () => {
+  const scenario = parseScenario({
+    devices: [
+      { deviceId: 'ESP2_A', position: { x: 2, y: 0 } },
+      { deviceId: 'ESP2_B', position: { x: 4, y: 0 }, relayVia: 'ESP2_A' }
+    ]
+  });
+  const { envelopes } = runScenario(scenario, 40);
+  const fromB = envelopes.filter(({ envelope }) => envelope.source_device.device_id === 'ESP2_B');
+  assert.deepStrictEqual(fromB, []);
+  const relays = envelopes.filter(({ envelope }) => envelope.message_type === 'relay');
+  assert.ok(relays.length > 0);
+  assert.strictEqual(relays[0].envelope.payload.original_sender, 'ESP2_B');
+  assert.strictEqual(relays[0].envelope.payload.message_data.payload.relay_chain[0].device_id, 'ESP2_A');
+});
+
+test('wifi-loss events close and reopen the WebSocket path', () => {
+  const scenario = parseScenario({
+    devices: [{ deviceId: 'ESP2_A', position: { x: 2, y: 0 }, wifi: true }],
+    events: [{ at: 10, type: 'wifi-loss', device: 'ESP2_A', durationSec: 20 }]
+  });
+  const simulator = new FleetSimulator(scenario);
+  const changes = [];
+  simulator.on('wifi', (deviceId, connected) => changes.push([Math.round(simulator.time), connected]));
+  simulator.start();
+  simulator.advance(40);
+  assert.deepStrictEqual(changes, [[0, true], [10, false], [30, true]]);
+});
+
+test('commands written to the gateway are acknowledged', () => {
+  const scenario = parseScenario({ devices: [{ deviceId: 'ESP2_A', position: { x: 2, y: 0 } }] });
+  const simulator = new FleetSimulator(scenario);
+  const acks = [];
+  simulator.on('serial', (line) => {
+    if (!line.startsWith('{')) return;
+    const data = JSON.parse(line);
+    const envelope = data.esp2_raw_data ? JSON.parse(data.esp2_raw_data) : data;
+    if (envelope.message_type === 'command_ack') acks.push(envelope.payload);
+  });
+  simulator.start();
+  simulator.receiveSerial(JSON.stringify({ message_id: 'cmd_1', message_type: 'command', target_device: 'ESP1_WIRED_GATEWAY', payload: { command: 'ping', args: {} } }));
+  simulator.receiveSerial(JSON.stringify({ message_id: 'cmd_2', message_type: 'command', target_device: 'ESP2_A', payload: { command: 'set_mode', args: { communication_mode: 1 } } }));
+  simulator.advance(1);
+  assert.deepStrictEqual(acks.map(ack => [ack.reply_to, ack.status]), [['cmd_1', 'ok'], ['cmd_2', 'ok']]);
+  assert.strictEqual(simulator.devices.get('ESP2_A').communicationMode, 1);
+});
+
+test('positions follow the movement path', () => {
+  const device = { position: { x: 0, y: 0 }, movement: { path: [{ x: 10, y: 0 }], speed: 1, loop: true } };
+  assert.deepStrictEqual(positionAt(device, 5), { x: 5, y: 0 });
+  assert.deepStrictEqual(positionAt(device, 15), { x: 5, y: 0 });
+  assert.deepStrictEqual(positionAt({ ...device, movement: { ...device.movement, loop: false } }, 15), { x: 10, y: 0 });
+});
+
+test('scenario errors', () => {
+  assert.throws(() => parseScenario({ devices: [] }), /at least one device/);
+  assert.throws(() => parseScenario({ devices: [{ deviceId: 'A' }] }), /position needs numeric x and y/);
+  assert.throws(() => parseScenario({ devices: [{ deviceId: 'A', position: { x: 0, y: 0 }, relayVia: 'B' }] }), /unknown device B/);
+  assert.throws(() => parseScenario({
+    devices: [{ deviceId: 'A', position: { x: 0, y: 0 } }],
+    events: [{ at: 0, type: 'packet-loss', rate: 2 }]
+  }), /between 0 and 1/);
+});
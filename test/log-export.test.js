@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createLogExport } = require('../src/core/log-export');
+
+function csvRows(entries) {
+  return createLogExport(entries, 'csv').trim().split('\r\n').map(line => line.split(','));
+}
+
+test('CSV cells a spreadsheet would run as formulas are neutralised', () => {
+  const [header, ...rows] = csvRows(['=HYPERLINK("http://x")', '+1', '-2+3', '@SUM(A1)', '\tTAB', 'plain'].map(message => ({
+    timestamp: '2024-01-01T12:00:00.000Z',
+    source: 'WIFI',
+    message: message,
+    data: { message_type: 'ping', source_device: { device_id: '=cmd' } },
+    arrivals: [{ path: 'WIFI', rssi: -60 }]
+  })));
+  const column = name => rows.map(row => row[header.indexOf(name)]);
+
+  assert.deepStrictEqual(column('message'), ['"\'=HYPERLINK(""http://x"")"', '\'+1', '\'-2+3', '\'@SUM(A1)', '\'\tTAB', 'plain']);
+  assert.deepStrictEqual(column('device_id'), Array(6).fill('\'=cmd'));
+  // Numbers are still numbers
+  assert.deepStrictEqual(column('rssi'), Array(6).fill('-60'));
+});
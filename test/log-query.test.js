@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseLogQuery, matchesLogQuery } = require('../src/core/log-query');
+
+const NOW = Date.parse('2024-01-01T12:00:00.000Z');
+
+// Log entries as the renderer stores them
+const ping = {
+  message: '{"message_type":"ping", low heap warning}',
+  source: 'WIFI',
+  timestamp: '2024-01-01T11:59:30.000Z',
+  arrivals: [{ path: 'WIFI', rssi: -80 }],
+  data: {
+    message_type: 'ping',
+    source_device: { device_id: 'ESP2_SENSOR_001' },
+    payload: { free_heap: 15000, sensor_data: { temperature: 31.5 } }
+  }
+};
+const gatewayLine = {
+  message: 'ESP1 line',
+  source: 'ESP1_GATEWAY',
+  gateway: '/dev/ttyUSB0',
+  timestamp: '2024-01-01T11:00:00.000Z',
+  replay: true,
+  validation: { valid: false, errors: ['missing payload'] },
+  data: {
+    esp2_rssi: -60,
+    esp2_raw_data: JSON.stringify({ message_type: 'relay', source_device: { device_id: 'ESP2_SENSOR_003' }, payload: {} })
+  }
+};
+
+function matching(text) {
+  const query = parseLogQuery(text);
+  return [ping, gatewayLine].filter(entry => matchesLogQuery(query, entry, NOW)).map(entry => entry.source);
+}
+
+test('quoted phrases are single free-text terms', () => {
+  const query = parseLogQuery('"low heap" device:"ESP2 SENSOR"');
+  assert.deepStrictEqual(query.terms.map(term => [term.kind, term.value || term.values]), [
+    ['text', 'low heap'],
+    ['device', ['ESP2 SENSOR']]
+  ]);
+  assert.deepStrictEqual(query.highlights, ['low heap', 'ESP2 SENSOR']);
+  assert.deepStrictEqual(matching('"low heap"'), ['WIFI']);
+  assert.deepStrictEqual(matching('"no such words"'), []);
+});
+
+test('field:value terms match the envelope, also inside ESP1 lines', () => {
+  assert.deepStrictEqual(matching('device:ESP2_SENSOR_003'), ['ESP1_GATEWAY']);
+  assert.deepStrictEqual(matching('device:ESP2_SENSOR_*'), ['WIFI', 'ESP1_GATEWAY']);
+  assert.deepStrictEqual(matching('type:ping,relay'), ['WIFI', 'ESP1_GATEWAY']);
+  assert.deepStrictEqual(matching('phase:5'), ['ESP1_GATEWAY']);
+  assert.deepStrictEqual(matching('source:esp1 gateway:ttyUSB'), ['ESP1_GATEWAY']);
+  assert.deepStrictEqual(matching('is:rejected'), ['ESP1_GATEWAY']);
+  assert.deepStrictEqual(matching('is:replay'), ['ESP1_GATEWAY']);
+  assert.deepStrictEqual(matching('last:5m'), ['WIFI']);
+  assert.deepStrictEqual(matching('after:2024-01-01T11:30:00Z'), ['WIFI']);
+});
+
+test('comparisons read the first arrival, payload and sensor data', () => {
+  assert.deepStrictEqual(matching('rssi<-75'), ['WIFI']);
+  assert.deepStrictEqual(matching('rssi>=-60'), ['ESP1_GATEWAY']);
+  assert.deepStrictEqual(matching('free_heap<20000 temperature>30'), ['WIFI']);
+  assert.deepStrictEqual(matching('payload.free_heap=15000'), ['WIFI']);
+  assert.deepStrictEqual(matching('temperature!=31.5'), ['ESP1_GATEWAY']);
+});
+
+test('a leading minus negates a term, but not a negative number', () => {
+  assert.deepStrictEqual(matching('-device:ESP2_SENSOR_001'), ['ESP1_GATEWAY']);
+  assert.deepStrictEqual(matching('-is:replay -"low heap"'), []);
+  const [term] = parseLogQuery('-75').terms;
+  assert.deepStrictEqual([term.kind, term.value, term.negate], ['text', '-75', false]);
+});
+
+test('invalid queries throw with a reason', () => {
+  assert.throws(() => parseLogQuery('"unclosed'), /Unclosed quote/);
+  assert.throws(() => parseLogQuery('phase:two'), /phase: needs a phase number/);
+  assert.throws(() => parseLogQuery('is:fast'), /is: accepts rejected or replay/);
+  assert.throws(() => parseLogQuery('last:soon'), /last: needs a duration/);
+  assert.throws(() => parseLogQuery('after:yesterday'), /after: needs a date and time/);
+  assert.throws(() => parseLogQuery('rssi<strong'), /rssi< needs a number/);
+});
+
+test('an empty query matches everything', () => {
+  assert.deepStrictEqual(matching(''), ['WIFI', 'ESP1_GATEWAY']);
+});
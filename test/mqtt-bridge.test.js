@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const EventEmitter = require('events');
+const { MqttBridge } = require('../src/core/mqtt-bridge');
+const { envelope } = require('./envelopes');
+
+const CONFIG = {
+  enabled: true,
+  url: 'mqtt://broker.test',
+  messageTopic: 'esp/{device_id}/{message_type}',
+  gatewayTopic: 'esp/gateway/{gateway_id}',
+  presenceTopic: 'esp/{device_id}/presence',
+  bridgeTopic: 'esp/monitor',
+  qos: 0,
+  queueSize: 100,
+  presenceTimeoutSec: 60
+};
+
+const KEY = { shared_key: 'ESP2_NETWORK_KEY' };
+
+// A broker that never answers: everything stays in the bridge's queue
+async function queuedBridge() {
+  const bridge = new MqttBridge({ connect: () => Object.assign(new EventEmitter(), { end: (force, options, done) => done() }) });
+  await bridge.configure(CONFIG);
+  return bridge;
+}
+
+test('the shared key of relayed originals stays off the broker', async () => {
+  const bridge = await queuedBridge();
+  const original = envelope('ESP2_C', 'data', { sensor_data: { temperature: 21 } }, KEY);
+  const inner = envelope('ESP2_B', 'relay', { message_data: JSON.stringify(original) }, KEY);
+  bridge.publishMessage(envelope('ESP2_A', 'relay', { message_data: inner, hop_count: 2 }, KEY), { path: 'WIFI' });
+
+  const message = bridge.queue.find(queued => queued.topic === 'esp/ESP2_A/relay');
+  assert.ok(!message.payload.includes('ESP2_NETWORK_KEY'));
+  const published = JSON.parse(message.payload);
+  assert.strictEqual(published.payload.hop_count, 2);
+  assert.strictEqual(published.payload.message_data.source_device.device_id, 'ESP2_B');
+  const relayedOriginal = JSON.parse(published.payload.message_data.payload.message_data);
+  assert.deepStrictEqual(relayedOriginal.payload, original.payload);
+  assert.strictEqual('shared_key' in relayedOriginal, false);
+  await bridge.stop();
+});
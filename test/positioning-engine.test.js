@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { PositioningEngine } = require('../src/core/positioning-engine');
+const { envelope } = require('./envelopes');
+
+const AT = '2024-01-01T12:00:00.000Z';
+
+// Every device reports its distance to every other one; `noise(a, b)` is
+// added to each report
+function solve(points, noise = () => 0) {
+  const engine = new PositioningEngine({ rssiToDistance: () => null });
+  const ids = Object.keys(points);
+  ids.forEach(id => {
+    engine.observe(envelope(id, 'triangulation', {
+      nearby_peers: ids.filter(peer => peer !== id).map(peer => ({
+        device_id: peer,
+        distance: distance(points[id], points[peer]) + noise(id, peer)
+      }))
+    }), AT);
+  });
+  return Object.fromEntries(engine.solve().nodes.map(node => [node.deviceId, [node.x, node.y]]));
+}
+
+function distance(p, q) {
+  return Math.hypot(p[0] - q[0], p[1] - q[1]);
+}
+
+function maxPairError(points, solved) {
+  const ids = Object.keys(points);
+  let max = 0;
+  ids.forEach(a => ids.forEach(b => {
+    if (a < b) max = Math.max(max, Math.abs(distance(solved[a], solved[b]) - distance(points[a], points[b])));
+  }));
+  return max;
+}
+
+// Twice the largest triangle area: 0 when everything lies on one line
+function spread(solved) {
+  const points = Object.values(solved);
+  let largest = 0;
+  points.forEach(p => points.forEach(q => points.forEach(r => {
+    largest = Math.max(largest, Math.abs((q[0] - p[0]) * (r[1] - p[1]) - (q[1] - p[1]) * (r[0] - p[0])));
+  })));
+  return largest;
+}
+
+test('a square keeps both axes', () => {
+  const points = { A: [0, 0], B: [5, 0], C: [5, 5], D: [0, 5] };
+  const solved = solve(points);
+  assert.ok(maxPairError(points, solved) < 0.01);
+  assert.ok(spread(solved) > 20, 'not collapsed onto a line');
+});
+
+test('collinear devices stay on a line', () => {
+  const points = { A: [0, 0], B: [2, 0], C: [4, 0], D: [6, 0] };
+  const solved = solve(points);
+  assert.ok(maxPairError(points, solved) < 0.01);
+  assert.ok(spread(solved) < 0.01);
+});
+
+test('noisy distances give a close, non-degenerate layout', () => {
+  const points = { A: [0, 0], B: [6, 0], C: [6, 4], D: [0, 4], E: [3, 2] };
+  // Deterministic +-0.3 m of disagreement
+  const noise = (a, b) => 0.3 * Math.sin(a.charCodeAt(0) * 7 + b.charCodeAt(0) * 3);
+  const solved = solve(points, noise);
+  assert.ok(maxPairError(points, solved) < 0.6);
+  assert.ok(spread(solved) > 20);
+});
+
+test('the second device lies due north of the first without compass hints', () => {
+  const solved = solve({ A: [0, 0], B: [3, 0], C: [1.5, 2.6] });
+  assert.ok(Math.abs(solved.B[0] - solved.A[0]) < 1e-6);
+  assert.ok(solved.B[1] > solved.A[1]);
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { RingBuffer } = require('../src/core/ring-buffer');
+
+function filled(capacity, count) {
+  const buffer = new RingBuffer(capacity);
+  const dropped = [];
+  for (let i = 1; i <= count; i++) {
+    const item = buffer.push(i);
+    if (item !== undefined) dropped.push(item);
+  }
+  return { buffer, dropped };
+}
+
+test('pushing past capacity wraps around, dropping the oldest', () => {
+  const { buffer, dropped } = filled(3, 7);
+  assert.deepStrictEqual(dropped, [1, 2, 3, 4]);
+  assert.deepStrictEqual(buffer.toArray(), [5, 6, 7]);
+  assert.strictEqual(buffer.length, 3);
+  assert.deepStrictEqual([buffer.get(0), buffer.get(2), buffer.get(3), buffer.get(-1)], [5, 7, undefined, undefined]);
+  assert.strictEqual(buffer.findLast(item => item % 2 === 1), 7);
+  assert.strictEqual(buffer.findLast(item => item > 10), undefined);
+});
+
+test('resizing down keeps the newest items and reports how many went', () => {
+  const { buffer } = filled(5, 8);
+  assert.strictEqual(buffer.resize(2), 3);
+  assert.deepStrictEqual(buffer.toArray(), [7, 8]);
+  assert.strictEqual(buffer.push(9), 7);
+  assert.deepStrictEqual(buffer.toArray(), [8, 9]);
+});
+
+test('resizing up keeps everything and makes room', () => {
+  const { buffer } = filled(3, 5);
+  assert.strictEqual(buffer.resize(5), 0);
+  assert.strictEqual(buffer.push(6), undefined);
+  assert.strictEqual(buffer.push(7), undefined);
+  assert.strictEqual(buffer.push(8), 3);
+  assert.deepStrictEqual(buffer.toArray(), [4, 5, 6, 7, 8]);
+  assert.throws(() => buffer.resize(0), /Invalid capacity: 0/);
+  assert.throws(() => buffer.resize(2.5), /Invalid capacity/);
+  assert.deepStrictEqual(buffer.toArray(), [4, 5, 6, 7, 8]);
+});
+
+test('dropped items line up with a filtered view, as the log view counts them', () => {
+  // The renderer keeps the filtered entries in a view array and counts the
+  // ones the buffer drops from its front (logViewDropped)
+  const buffer = new RingBuffer(4);
+  const view = [];
+  let viewDropped = 0;
+  for (let i = 1; i <= 10; i++) {
+    const entry = { id: i, shown: i % 2 === 0 };
+    const dropped = buffer.push(entry);
+    if (dropped !== undefined && view[viewDropped] === dropped) viewDropped++;
+    if (entry.shown) view.push(entry);
+  }
+  assert.deepStrictEqual(view.slice(viewDropped).map(entry => entry.id), [8, 10]);
+  assert.deepStrictEqual(buffer.toArray().filter(entry => entry.shown), view.slice(viewDropped));
+
+  buffer.clear();
+  assert.deepStrictEqual([buffer.length, buffer.toArray()], [0, []]);
+  assert.strictEqual(buffer.push('a'), undefined);
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const monitor = require('../src/monitor');
+
+const SESSION = path.join(__dirname, 'fixtures', 'websocket.ndjson');
+
+// Play the loaded session to the end as fast as possible, collecting the
+// replayed log entries
+function playToEnd() {
+  const entries = [];
+  const onEvent = (channel, data) => {
+    if (channel === 'log' && data.replay) entries.push(data);
+  };
+  monitor.events.on('event', onEvent);
+  return new Promise(resolve => {
+    const onStatus = (status) => {
+      if (status.state !== 'finished') return;
+      monitor.sessionPlayer.off('status', onStatus);
+      monitor.events.off('event', onEvent);
+      resolve(entries);
+    };
+    monitor.sessionPlayer.on('status', onStatus);
+    monitor.sessionPlayer.play('max');
+  });
+}
+
+test('a session replayed twice logs the same entries both times', async () => {
+  monitor.sessionPlayer.load(SESSION);
+  const duplicatesBefore = monitor.gatewayStats.messageStats.duplicates;
+  const first = await playToEnd();
+  const duplicatesFirst = monitor.gatewayStats.messageStats.duplicates - duplicatesBefore;
+  assert.ok(first.length > 0);
+
+  monitor.sessionPlayer.seek(0);
+  const second = await playToEnd();
+  assert.deepStrictEqual(second.map(entry => entry.message), first.map(entry => entry.message));
+  assert.strictEqual(monitor.gatewayStats.messageStats.duplicates - duplicatesBefore, duplicatesFirst * 2);
+
+  // Playing again from the end starts over too
+  const third = await playToEnd();
+  assert.strictEqual(third.length, first.length);
+  monitor.sessionPlayer.stop();
+});
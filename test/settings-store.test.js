@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SettingsStore, createSettingsExport, parseSettingsExport } = require('../src/core/settings-store');
+
+function tempSettingsFile(t) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'settings-store-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  return path.join(directory, 'settings.json');
+}
+
+test('saved settings load back into a new store', (t) => {
+  const filePath = tempSettingsFile(t);
+  const store = new SettingsStore();
+  store.load(filePath);
+  const changes = [];
+  store.on('change', change => changes.push(change));
+
+  assert.deepStrictEqual(store.update({ websocketPort: '9000', verboseLogging: true, mqttUrl: '  mqtt://broker:1883 ' }),
+    ['websocketPort', 'verboseLogging', 'mqttUrl']);
+  assert.deepStrictEqual(changes[0], { key: 'websocketPort', value: 9000, previous: 8080 });
+  // Unchanged values are no change
+  assert.deepStrictEqual(store.update({ websocketPort: 9000 }), []);
+
+  const reloaded = new SettingsStore();
+  reloaded.load(filePath);
+  assert.strictEqual(reloaded.get('websocketPort'), 9000);
+  assert.strictEqual(reloaded.get('verboseLogging'), true);
+  assert.strictEqual(reloaded.get('mqttUrl'), 'mqtt://broker:1883');
+  assert.strictEqual(reloaded.get('baudRate'), 115200);
+});
+
+test('invalid and out-of-range values are rejected without applying any change', () => {
+  const store = new SettingsStore();
+  assert.throws(() => store.update({ websocketPort: 70000 }), /WebSocket server port: must be between 1 and 65535/);
+  assert.throws(() => store.update({ baudRate: 12345 }), /must be one of 9600/);
+  assert.throws(() => store.update({ serialReconnectMs: 1.5 }), /must be a whole number/);
+  assert.throws(() => store.update({ verboseLogging: 'yes' }), /must be true or false/);
+  assert.throws(() => store.update({ apiToken: 'short' }), /16-128 letters/);
+  assert.throws(() => store.update({ mqttMessageTopic: 'esp/#' }), /without wildcards/);
+  assert.throws(() => store.update({ noSuchSetting: 1 }), /unknown setting "noSuchSetting"/);
+
+  // One bad value leaves the good ones unapplied too, and every error is listed
+  assert.throws(() => store.update({ websocketPort: 9000, logRetention: 10, mqttQos: 3 }),
+    /Log retention \(entries\): must be between 500 and 200000; MQTT QoS: must be one of 0, 1, 2/);
+  assert.strictEqual(store.get('websocketPort'), 8080);
+});
+
+test('invalid values in the settings file are ignored', (t) => {
+  const filePath = tempSettingsFile(t);
+  fs.writeFileSync(filePath, JSON.stringify({ websocketPort: 0, baudRate: 9600, logRetention: 'many' }));
+  const store = new SettingsStore();
+  const originalError = console.error;
+  const errors = [];
+  console.error = message => errors.push(message);
+  try {
+    store.load(filePath);
+  } finally {
+    console.error = originalError;
+  }
+  assert.strictEqual(store.get('websocketPort'), 8080);
+  assert.strictEqual(store.get('baudRate'), 9600);
+  assert.strictEqual(store.get('logRetention'), 10000);
+  assert.strictEqual(errors.length, 2);
+});
+
+test('overrides apply for this run only', (t) => {
+  const filePath = tempSettingsFile(t);
+  const store = new SettingsStore();
+  store.load(filePath);
+  store.override({ websocketPort: 8181 });
+  assert.strictEqual(store.get('websocketPort'), 8181);
+  assert.throws(() => store.override({ websocketPort: -1 }), /must be between/);
+
+  store.update({ verboseLogging: true });
+  assert.strictEqual(JSON.parse(fs.readFileSync(filePath, 'utf8')).websocketPort, 8080);
+  // Updating an overridden setting replaces the override
+  store.update({ websocketPort: 8282 });
+  assert.strictEqual(store.get('websocketPort'), 8282);
+});
+
+test('exports leave secrets out and refuse foreign files', () => {
+  const store = new SettingsStore();
+  store.update({ apiToken: 'abcdefghijklmnop', mqttPassword: 'hunter2' });
+  const exported = createSettingsExport(store.getAll(), { alertRules: { rules: [] } });
+  assert.strictEqual('apiToken' in exported.settings, false);
+  assert.strictEqual('mqttPassword' in exported.settings, false);
+  assert.deepStrictEqual(parseSettingsExport(JSON.stringify(exported)).alertRules, { rules: [] });
+
+  assert.throws(() => parseSettingsExport('{'), /not valid JSON/);
+  assert.throws(() => parseSettingsExport('{"format":"other"}'), /Not a settings export file/);
+  assert.throws(() => parseSettingsExport(JSON.stringify({ ...exported, version: 99 })), /newer than this app supports/);
+});
@@ -0,0 +1,149 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseScenario } = require('../src/core/fleet-scenario');
+const { FleetSimulator } = require('../src/core/fleet-simulator');
+const { createDecoderPipeline } = require('../src/core/decoder-pipeline');
+const { RelayTracer } = require('../src/core/relay-tracer');
+const { TopologyTracker } = require('../src/core/topology-tracker');
+const { TopologyLayout, linkLength } = require('../src/core/topology-layout');
+const { envelope } = require('./envelopes');
+
+const AT = '2024-01-01T12:00:00.000Z';
+
+// Feed a simulated fleet through the decoders into a tracker, the way
+// monitor.js does (relays are unwrapped and traced)
+function simulate(scenario, seconds) {
+  const tracker = new TopologyTracker();
+  const relayTracer = new RelayTracer();
+  relayTracer.on('trace', trace => tracker.observeRelay(trace));
+  const pipeline = createDecoderPipeline();
+  const simulator = new FleetSimulator(scenario);
+  simulator.on('serial', (raw) => {
+    const frame = pipeline.decode({ transport: 'serial', raw: raw, timestamp: AT, gateway: 'sim' });
+    frame.events.filter(event => event.type === 'envelope').forEach(({ envelope, context }) => {
+      tracker.observe(envelope, context);
+      relayTracer.observe(envelope, context);
+      const original = envelope.message_type === 'relay' ? envelope.payload.message_data : null;
+      if (original) tracker.observe(original, { path: 'ESP_NOW_RELAY', via: envelope.source_device.device_id, receivedAt: context.receivedAt });
+    });
+  });
+  simulator.start();
+  simulator.advance(seconds);
+  return tracker;
+}
+
+test('peer reports become edges with handshake and validation state', () => {
+  const tracker = new TopologyTracker();
+  tracker.observe(envelope('ESP2_A', 'ping', {
+    peers_status: [
+      { device_id: 'ESP2_B', rssi: -60, handshake_complete: true, validated: true },
+      { device_id: 'ESP2_C', rssi: -80, handshake_complete: true, validated: false },
+      { device_id: 'ESP2_D', rssi: -85, handshake_complete: false, validated: false }
+    ],
+    wifi_connected: true,
+    server_reachable: false
+  }), { path: 'ESP1_GATEWAY', gateway: '/dev/ttyUSB0', rssi: -55, receivedAt: AT });
+  tracker.observe(envelope('ESP2_B', 'data', { nearby_peers: [{ device_id: 'ESP2_A', rssi: -64 }] }), { path: 'WIFI', receivedAt: AT });
+
+  const snapshot = tracker.snapshot(Date.parse(AT));
+  const edges = Object.fromEntries(snapshot.edges.map(edge => [edge.id, edge]));
+  assert.deepStrictEqual(Object.keys(edges), ['ESP2_A|ESP2_B', 'ESP2_A|ESP2_C', 'ESP2_A|ESP2_D', 'ESP2_A|gateway:/dev/ttyUSB0']);
+  assert.strictEqual(edges['ESP2_A|ESP2_B'].state, 'validated');
+  assert.strictEqual(edges['ESP2_A|ESP2_B'].rssi, -60);
+  assert.strictEqual(edges['ESP2_A|ESP2_B'].directions.length, 2);
+  assert.strictEqual(edges['ESP2_A|ESP2_C'].state, 'handshake');
+  assert.strictEqual(edges['ESP2_A|ESP2_D'].state, 'discovered');
+  assert.strictEqual(edges['ESP2_A|gateway:/dev/ttyUSB0'].state, 'heard');
+
+  const nodes = Object.fromEntries(snapshot.nodes.map(node => [node.id, node]));
+  assert.strictEqual(nodes.ESP2_A.wifiConnected, true);
+  assert.strictEqual(nodes.ESP2_A.serverReachable, false);
+  assert.strictEqual(nodes.ESP2_A.gatewayReachable, true);
+  assert.strictEqual(nodes.ESP2_B.gatewayReachable, false);
+  assert.strictEqual(nodes['gateway:/dev/ttyUSB0'].kind, 'gateway');
+});
+
+test('triangulation peers are heard, not validated', () => {
+  const tracker = new TopologyTracker();
+  tracker.observe(envelope('ESP2_A', 'ping', { peers_status: [{ device_id: 'ESP2_B', rssi: -60, handshake_complete: true, validated: true }] }), { receivedAt: AT });
+  tracker.observe(envelope('ESP2_A', 'triangulation', { nearby_peers: [{ device_id: 'ESP2_B', rssi: -58 }, { device_id: 'ESP2_C', rssi: -75 }] }), { receivedAt: AT });
+
+  const edges = Object.fromEntries(tracker.snapshot(Date.parse(AT)).edges.map(edge => [edge.id, edge]));
+  assert.strictEqual(edges['ESP2_A|ESP2_B'].state, 'validated', 'known flags are kept');
+  assert.strictEqual(edges['ESP2_A|ESP2_B'].rssi, -58);
+  assert.strictEqual(edges['ESP2_A|ESP2_C'].state, 'discovered');
+});
+
+test('links go stale, then expire; removed devices take their links along', () => {
+  const tracker = new TopologyTracker({ staleMs: 1000, expireMs: 5000 });
+  tracker.observe(envelope('ESP2_A', 'ping', { nearby_peers: [{ device_id: 'ESP2_B', rssi: -70 }] }), { receivedAt: AT });
+  tracker.observe(envelope('ESP2_C', 'ping', { nearby_peers: [{ device_id: 'ESP2_B', rssi: -70 }] }), { receivedAt: AT });
+  const start = Date.parse(AT);
+
+  let version = tracker.version;
+  tracker.expire(start + 500);
+  assert.ok(tracker.version > version, 'first expire records the time state');
+  version = tracker.version;
+  tracker.expire(start + 600);
+  assert.strictEqual(tracker.version, version, 'nothing changed');
+  tracker.expire(start + 2000);
+  assert.ok(tracker.version > version, 'links went stale');
+  assert.ok(tracker.snapshot(start + 2000).edges.every(edge => edge.stale));
+
+  tracker.removeNode('ESP2_C');
+  assert.deepStrictEqual(tracker.snapshot(start + 2000).edges.map(edge => edge.id), ['ESP2_A|ESP2_B']);
+  tracker.expire(start + 6000);
+  assert.deepStrictEqual(tracker.snapshot(start + 6000).edges, []);
+});
+
+test('relay paths through the simulated fleet are highlighted', () => {
+  const scenario = parseScenario({
+    devices: [
+      { deviceId: 'ESP2_A', position: { x: 2, y: 0 } },
+      { deviceId: 'ESP2_B', position: { x: 4, y: 0 }, relayVia: 'ESP2_A' }
+    ]
+  });
+  const tracker = simulate(scenario, 60);
+  const snapshot = tracker.snapshot();
+
+  assert.ok(snapshot.relayPaths.length > 0);
+  assert.deepStrictEqual(snapshot.relayPaths[0].nodes, ['ESP2_B', 'ESP2_A', 'gateway:sim']);
+  const relayEdge = snapshot.edges.find(edge => edge.id === 'ESP2_A|ESP2_B');
+  assert.ok(relayEdge.relayActive);
+  assert.ok(relayEdge.relayCount > 0);
+  // B never reaches the gateway itself
+  assert.strictEqual(snapshot.edges.some(edge => edge.id === 'ESP2_B|gateway:sim'), false);
+  assert.strictEqual(snapshot.nodes.find(node => node.id === 'ESP2_B').gatewayReachable, false);
+});
+
+test('layout keeps positions when only readings change', () => {
+  const layout = new TopologyLayout();
+  const nodes = [{ id: 'A' }, { id: 'B' }, { id: 'C' }];
+  const edges = [{ id: 'A|B', source: 'A', target: 'B', rssi: -50 }, { id: 'B|C', source: 'B', target: 'C', rssi: -85 }];
+  assert.strictEqual(layout.setGraph(nodes, edges), true);
+  layout.settle(1000);
+  assert.strictEqual(layout.moving, false);
+
+  const before = JSON.stringify(Array.from(layout.positions.entries()));
+  assert.strictEqual(layout.setGraph(nodes, edges.map(edge => ({ ...edge, rssi: edge.rssi - 5 }))), false);
+  assert.strictEqual(layout.step(), false);
+  assert.strictEqual(JSON.stringify(Array.from(layout.positions.entries())), before);
+
+  // Strong links settle shorter than weak ones
+  const distance = (a, b) => Math.hypot(layout.positions.get(a).x - layout.positions.get(b).x, layout.positions.get(a).y - layout.positions.get(b).y);
+  assert.ok(distance('A', 'B') < distance('B', 'C'));
+  assert.ok(linkLength(-40) < linkLength(-90));
+});
+
+test('pinned nodes stay where they were dropped', () => {
+  const layout = new TopologyLayout();
+  layout.setGraph([{ id: 'A' }, { id: 'B' }], [{ id: 'A|B', source: 'A', target: 'B', rssi: -60 }]);
+  layout.moveTo('A', 300, 300);
+  layout.settle(1000);
+  assert.deepStrictEqual([layout.positions.get('A').x, layout.positions.get('A').y], [300, 300]);
+
+  assert.strictEqual(layout.setGraph([{ id: 'A' }, { id: 'B' }, { id: 'C' }], [{ id: 'A|B', source: 'A', target: 'B', rssi: -60 }]), true);
+  assert.ok(layout.moving);
+  layout.settle(1000);
+  assert.deepStrictEqual([layout.positions.get('A').x, layout.positions.get('A').y], [300, 300]);
+});
@@ -0,0 +1,78 @@
+// Runs recorded sessions through the decoder pipeline. A transcript is a
+// session file as SessionRecorder writes it (a header line, then one
+// { t, transport, data, ... } frame per line); fixtures in test/fixtures pair
+// each <name>.ndjson transcript with <name>.expected.json, the decoded frames
+// it must produce.
+//
+//   node test/transcript-harness.js <session.ndjson>   print the decoded frames
+//   node test/transcript-harness.js --update           rewrite every expected file
+const fs = require('fs');
+const path = require('path');
+const { createDecoderPipeline } = require('../src/core/decoder-pipeline');
+
+const FIXTURES_DIRECTORY = path.join(__dirname, 'fixtures');
+
+// Frames in recorded order; untrusted WebSocket frames never reach the
+// decoders in the monitor, so they are left out here as well
+function loadTranscript(filePath) {
+  return fs.readFileSync(filePath, 'utf8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map((line, index) => {
+      try {
+        return JSON.parse(line);
+      } catch (e) {
+        throw new Error(`${path.basename(filePath)}: line ${index + 1} is not JSON`);
+      }
+    })
+    .filter(entry => entry.transport && !entry.untrusted);
+}
+
+// The decoded form of every frame, as stored in the expected files
+function runTranscript(frames, pipeline = createDecoderPipeline()) {
+  return frames.map((entry, index) => {
+    const frame = pipeline.decode({
+      transport: entry.transport,
+      raw: entry.data,
+      timestamp: entry.t,
+      gateway: entry.transport === 'serial' ? entry.port || 'unknown' : null
+    });
+    return {
+      frame: index + 1,
+      transport: frame.transport,
+      kind: frame.kind || null,
+      source: frame.source || null,
+      log: Boolean(frame.log) && !frame.done,
+      events: frame.events
+    };
+  });
+}
+
+function listFixtures() {
+  return fs.readdirSync(FIXTURES_DIRECTORY)
+    .filter(file => file.endsWith('.ndjson'))
+    .sort()
+    .map(file => ({
+      name: path.basename(file, '.ndjson'),
+      transcriptPath: path.join(FIXTURES_DIRECTORY, file),
+      expectedPath: path.join(FIXTURES_DIRECTORY, `${path.basename(file, '.ndjson')}.expected.json`)
+    }));
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  if (args[0] === '--update') {
+    listFixtures().forEach(fixture => {
+      const decoded = runTranscript(loadTranscript(fixture.transcriptPath));
+      fs.writeFileSync(fixture.expectedPath, JSON.stringify(decoded, null, 2) + '\n');
+      console.log(`Updated ${path.relative(process.cwd(), fixture.expectedPath)}`);
+    });
+  } else if (args.length === 1) {
+    console.log(JSON.stringify(runTranscript(loadTranscript(args[0])), null, 2));
+  } else {
+    console.error('Usage: node test/transcript-harness.js <session.ndjson> | --update');
+    process.exit(1);
+  }
+}
+
+module.exports = { loadTranscript, runTranscript, listFixtures };
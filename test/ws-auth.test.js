@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createDecoderPipeline } = require('../src/core/decoder-pipeline');
+const { DeviceKeyStore, checkFrameSender, checkForwardedEnvelope } = require('../src/core/ws-auth');
+const { envelope } = require('./envelopes');
+
+const AT = '2024-01-01T12:00:00.000Z';
+
+function decode(data) {
+  return createDecoderPipeline().decode({ transport: 'websocket', raw: JSON.stringify(data), timestamp: AT, gateway: null });
+}
+
+// Not saved anywhere: no file path
+function keyStore() {
+  const store = new DeviceKeyStore();
+  store.setEnabled(true);
+  store.setKey('ESP2_A', 'key-of-device-a');
+  store.setKey('ESP2_B', 'key-of-device-b');
+  return store;
+}
+
+test('a client authenticated as A cannot send an envelope from B', () => {
+  const store = keyStore();
+  assert.strictEqual(checkFrameSender(decode(envelope('ESP2_A', 'ping')), 'ESP2_A', store), null);
+  assert.match(checkFrameSender(decode(envelope('ESP2_B', 'ping')), 'ESP2_A', store), /authenticated as ESP2_A .*ESP2_B/);
+  // Not even with B's key: that's B's to present on its own connection
+  assert.notStrictEqual(checkFrameSender(decode(envelope('ESP2_B', 'ping', {}, { shared_key: 'key-of-device-b' })), 'ESP2_A', store), null);
+});
+
+test('forwarded envelopes from other devices need their own device key', () => {
+  const store = keyStore();
+  const original = key => JSON.stringify(envelope('ESP2_B', 'data', {}, { shared_key: key }));
+
+  // WiFi relay: the wrapper names the authenticated device, the envelope its own key
+  const forwarded = key => ({ sender_mac: 'AA:BB:CC:DD:EE:02', device_id: 'ESP2_A', relayed_data: original(key) });
+  assert.strictEqual(checkFrameSender(decode(forwarded('key-of-device-b')), 'ESP2_A', store), null);
+  assert.match(checkFrameSender(decode(forwarded('key-of-device-a')), 'ESP2_A', store), /ESP2_B without its key/);
+  assert.match(checkFrameSender(decode(forwarded(undefined)), 'ESP2_A', store), /ESP2_B without its key/);
+  assert.match(checkFrameSender(decode({ ...forwarded('key-of-device-b'), device_id: 'ESP2_C' }), 'ESP2_A', store), /authenticated as ESP2_A/);
+  assert.notStrictEqual(checkFrameSender(decode({ sender_mac: 'AA:BB:CC:DD:EE:02', relayed_data: original('key-of-device-b') }), 'ESP2_A', store), null);
+
+  // Phase 5 relay: the relay itself is A's; its original is checked when unwrapped
+  assert.strictEqual(checkFrameSender(decode(envelope('ESP2_A', 'relay', { message_data: original(undefined) })), 'ESP2_A', store), null);
+  assert.strictEqual(checkForwardedEnvelope(envelope('ESP2_B', 'data', {}, { shared_key: 'key-of-device-b' }), 'ESP2_A', store), null);
+  assert.match(checkForwardedEnvelope(envelope('ESP2_B', 'data', {}, { shared_key: 'ESP2_NETWORK_KEY' }), 'ESP2_A', store), /without its key/);
+  assert.match(checkForwardedEnvelope(envelope('ESP2_C', 'data', {}, { shared_key: 'key-of-device-b' }), 'ESP2_A', store), /unknown device ESP2_C/);
+  assert.strictEqual(checkForwardedEnvelope(envelope('ESP2_A', 'data'), 'ESP2_A', store), null);
+});
+
+test('frames without an envelope pass', () => {
+  assert.strictEqual(checkFrameSender(decode({ type: 'status', message: 'hello' }), 'ESP2_A', keyStore()), null);
+});